@@ -0,0 +1,45 @@
+/**
+ * Interpreter benchmarks: runs each sketch in fast mode for a fixed wall
+ * time and reports statements executed per second.
+ *
+ *   npm run bench                  all sketches, 2 s each
+ *   npm run bench -- calls adc     only the named sketches
+ *   npm run bench -- --time 5000   5 s each
+ */
+import { Engine } from '../src/simulator/Engine.js';
+import { SKETCHES } from './sketches.js';
+
+const args = process.argv.slice(2);
+const timeFlag = args.indexOf('--time');
+const duration = timeFlag >= 0 ? Number(args.splice(timeFlag, 2)[1]) : 2000;
+const selected = args.length ? SKETCHES.filter(s => args.includes(s.name)) : SKETCHES;
+
+async function measure(sketch) {
+    const engine = new Engine();
+    const errors = [];
+    engine.onSerial((text, type) => { if (type === 'error') errors.push(text); });
+    engine.setRealtime(false);
+
+    const run = engine.start(sketch.code);
+    await new Promise(resolve => setTimeout(resolve, duration));
+    const statements = engine.parser.statementCount;
+    const virtualMicros = engine.clock.micros;
+    engine.stop();
+    await run;
+
+    if (errors.length) throw new Error(`${sketch.name}: ${errors[0]}`);
+    return {
+        statements,
+        perSecond: statements / (duration / 1000),
+        // Simulated time per wall-clock time, at the default statement cost
+        realtime: virtualMicros / 1000 / duration,
+    };
+}
+
+const pad = (text, width) => String(text).padStart(width);
+
+console.log(`${'sketch'.padEnd(12)}${pad('statements/s', 14)}${pad('x realtime', 12)}`);
+for (const sketch of selected) {
+    const { perSecond, realtime } = await measure(sketch);
+    console.log(`${sketch.name.padEnd(12)}${pad(Math.round(perSecond).toLocaleString('en-US'), 14)}${pad(realtime.toFixed(3), 12)}`);
+}
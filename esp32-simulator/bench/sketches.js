@@ -0,0 +1,136 @@
+/**
+ * Benchmark sketches: the hot paths real sketches spend their time in
+ */
+export const SKETCHES = [
+    {
+        name: 'arithmetic',
+        description: 'integer and float math in a counted loop',
+        code: `
+long total = 0;
+float acc = 0;
+
+void setup() {}
+
+void loop() {
+    for (int i = 0; i < 1000; i++) {
+        total += (i * 7) % 13 - (i >> 2);
+        acc = acc * 0.5f + i / 3.0f;
+    }
+}
+`,
+    },
+    {
+        name: 'bitbang',
+        description: 'software SPI: shifting bytes out on two pins',
+        code: `
+const int DATA_PIN = 23;
+const int CLOCK_PIN = 18;
+uint8_t frame[8] = {0x3C, 0x42, 0xA5, 0x81, 0xA5, 0x99, 0x42, 0x3C};
+
+void sendByte(uint8_t value) {
+    for (int bit = 7; bit >= 0; bit--) {
+        digitalWrite(DATA_PIN, (value >> bit) & 1);
+        digitalWrite(CLOCK_PIN, HIGH);
+        digitalWrite(CLOCK_PIN, LOW);
+    }
+}
+
+void setup() {
+    pinMode(DATA_PIN, OUTPUT);
+    pinMode(CLOCK_PIN, OUTPUT);
+}
+
+void loop() {
+    for (int i = 0; i < 8; i++) sendByte(frame[i]);
+}
+`,
+    },
+    {
+        name: 'adc',
+        description: 'sampling an analog pin into a ring buffer and averaging',
+        code: `
+const int SAMPLES = 64;
+int samples[SAMPLES];
+int head = 0;
+long average = 0;
+
+void setup() {}
+
+void loop() {
+    samples[head] = analogRead(34);
+    head = (head + 1) % SAMPLES;
+    long sum = 0;
+    for (int i = 0; i < SAMPLES; i++) sum += samples[i];
+    average = sum / SAMPLES;
+}
+`,
+    },
+    {
+        name: 'calls',
+        description: 'recursive function calls',
+        code: `
+int fib(int n) {
+    if (n < 2) return n;
+    return fib(n - 1) + fib(n - 2);
+}
+
+int result;
+
+void setup() {}
+
+void loop() {
+    result = fib(15);
+}
+`,
+    },
+    {
+        name: 'structs',
+        description: 'sorting an array of structs',
+        code: `
+struct Reading {
+    int id;
+    float value;
+};
+
+Reading readings[32];
+unsigned long seed = 1;
+
+void setup() {}
+
+void loop() {
+    for (int i = 0; i < 32; i++) {
+        seed = seed * 1103515245 + 12345;
+        readings[i].id = i;
+        readings[i].value = (seed >> 16) % 1000;
+    }
+    for (int i = 1; i < 32; i++) {
+        Reading key = readings[i];
+        int j = i - 1;
+        while (j >= 0 && readings[j].value > key.value) {
+            readings[j + 1] = readings[j];
+            j--;
+        }
+        readings[j + 1] = key;
+    }
+}
+`,
+    },
+    {
+        name: 'strings',
+        description: 'building and scanning String objects',
+        code: `
+int found = 0;
+
+void setup() {}
+
+void loop() {
+    String line = "";
+    for (int i = 0; i < 20; i++) {
+        line += String(i);
+        line += ',';
+    }
+    if (line.indexOf("19,") >= 0) found++;
+}
+`,
+    },
+];
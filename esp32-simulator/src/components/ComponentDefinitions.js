@@ -38,7 +38,7 @@ export const COMPONENT_CATEGORIES = [
             {
                 type: 'lcd1602',
                 name: 'LCD 16×2',
-                description: 'Character LCD display',
+                description: 'Character LCD with PCF8574 I2C backpack',
                 icon: '📟',
                 color: '#4cc9f0',
                 pins: [
@@ -47,7 +47,81 @@ export const COMPONENT_CATEGORIES = [
                     { name: 'VCC', label: 'VCC' },
                     { name: 'GND', label: 'GND' },
                 ],
-                defaultAttrs: {},
+                defaultAttrs: { address: '0x27' },
+                controls: [
+                    { type: 'select', prop: 'address', label: 'Address', options: ['0x27', '0x3F'] },
+                ],
+            },
+            {
+                type: 'ssd1306',
+                name: 'OLED 128×64',
+                description: 'SSD1306 monochrome OLED on I2C',
+                icon: '🖥️',
+                color: '#38bdf8',
+                pins: [
+                    { name: 'GND', label: 'GND' },
+                    { name: 'VCC', label: 'VCC' },
+                    { name: 'SCL', label: 'SCL' },
+                    { name: 'SDA', label: 'SDA' },
+                ],
+                defaultAttrs: { size: '128x64', address: '0x3C' },
+                controls: [
+                    { type: 'select', prop: 'size', label: 'Size', options: ['128x64', '128x32'] },
+                    { type: 'select', prop: 'address', label: 'Address', options: ['0x3C', '0x3D'] },
+                ],
+            },
+            {
+                type: 'neopixel-strip',
+                name: 'NeoPixel Strip',
+                description: 'WS2812 addressable LED strip',
+                icon: '🌈',
+                color: '#f472b6',
+                pins: [
+                    { name: 'DIN', label: 'DIN' },
+                    { name: 'DOUT', label: 'DOUT' },
+                    { name: 'VDD', label: 'VDD' },
+                    { name: 'VSS', label: 'VSS' },
+                ],
+                defaultAttrs: { pixels: 8 },
+                controls: [
+                    { type: 'select', prop: 'pixels', label: 'Pixels', options: [1, 8, 16, 30, 60] },
+                ],
+            },
+            {
+                type: 'neopixel-ring',
+                name: 'NeoPixel Ring',
+                description: 'WS2812 addressable LED ring',
+                icon: '⭕',
+                color: '#f472b6',
+                pins: [
+                    { name: 'DIN', label: 'DIN' },
+                    { name: 'DOUT', label: 'DOUT' },
+                    { name: 'VDD', label: 'VDD' },
+                    { name: 'VSS', label: 'VSS' },
+                ],
+                defaultAttrs: { pixels: 24 },
+                controls: [
+                    { type: 'select', prop: 'pixels', label: 'Pixels', options: [12, 16, 24, 60] },
+                ],
+            },
+            {
+                type: 'neopixel-matrix',
+                name: 'NeoPixel Matrix',
+                description: 'WS2812 addressable LED matrix',
+                icon: '🔲',
+                color: '#f472b6',
+                pins: [
+                    { name: 'DIN', label: 'DIN' },
+                    { name: 'DOUT', label: 'DOUT' },
+                    { name: 'VDD', label: 'VDD' },
+                    { name: 'VSS', label: 'VSS' },
+                ],
+                defaultAttrs: { rows: 8, cols: 8, layout: 'progressive' },
+                controls: [
+                    { type: 'select', prop: 'rows', label: 'Rows', options: [4, 8, 16] },
+                    { type: 'select', prop: 'cols', label: 'Columns', options: [4, 8, 16, 32] },
+                    { type: 'select', prop: 'layout', label: 'Wiring', options: ['progressive', 'serpentine'] },
+                ],
             },
             {
                 type: 'buzzer',
@@ -72,7 +146,11 @@ export const COMPONENT_CATEGORIES = [
                     { name: 'vcc', label: 'VCC' },
                     { name: 'gnd', label: 'GND' },
                 ],
-                defaultAttrs: { angle: 90 },
+                defaultAttrs: { angle: 90, range: 180, rotation: 'positional' },
+                controls: [
+                    { type: 'select', prop: 'range', label: 'Range', options: [90, 180, 270] },
+                    { type: 'select', prop: 'rotation', label: 'Rotation', options: ['positional', 'continuous'] },
+                ],
             },
         ],
     },
@@ -122,6 +200,20 @@ export const COMPONENT_CATEGORIES = [
                     { type: 'slider', prop: 'light', label: 'Light', min: 0, max: 100, unit: '%' },
                 ],
             },
+            {
+                type: 'touchpad',
+                name: 'Touch Pad',
+                description: 'Capacitive touch electrode (T0–T9)',
+                icon: '👆',
+                color: '#a855f7',
+                pins: [
+                    { name: 'pad', label: 'PAD' },
+                ],
+                defaultAttrs: { touch: 0 },
+                controls: [
+                    { type: 'slider', prop: 'touch', label: 'Touch', min: 0, max: 100, unit: '%' },
+                ],
+            },
         ],
     },
     {
@@ -183,6 +275,29 @@ export const COMPONENT_CATEGORIES = [
             },
         ],
     },
+    {
+        name: 'Instruments',
+        components: [
+            {
+                type: 'logic-analyzer',
+                name: 'Logic Analyzer',
+                description: '8 channels, shown in the Logic tab',
+                icon: '📈',
+                color: '#00f5d4',
+                pins: [
+                    { name: 'D0', label: 'D0' },
+                    { name: 'D1', label: 'D1' },
+                    { name: 'D2', label: 'D2' },
+                    { name: 'D3', label: 'D3' },
+                    { name: 'D4', label: 'D4' },
+                    { name: 'D5', label: 'D5' },
+                    { name: 'D6', label: 'D6' },
+                    { name: 'D7', label: 'D7' },
+                ],
+                defaultAttrs: {},
+            },
+        ],
+    },
 ];
 
 /**
@@ -2,7 +2,9 @@
  * ESP32 Simulator — Main Application
  * Wires up all components: board, editor, serial monitor, component palette
  */
-import { Engine } from './simulator/Engine.js';
+import { EngineClient } from './simulator/EngineClient.js';
+import { VDD } from './simulator/PinManager.js';
+import { waveformEdges, firstSampleAt, isToggling, toVcd } from './simulator/LogicAnalyzer.js';
 import { COMPONENT_CATEGORIES, getComponentDef } from './components/ComponentDefinitions.js';
 import { createBoard, getAllPins } from './components/Board.js';
 import { DEFAULT_CODE } from './DefaultCode.js';
@@ -11,7 +13,7 @@ import * as monaco from 'monaco-editor';
 // ============================================================
 //  GLOBALS
 // ============================================================
-const engine = new Engine();
+const engine = new EngineClient();
 let editor = null;
 let isRunning = false;
 let placedComponents = [];
@@ -20,6 +22,26 @@ let nextComponentId = 1;
 let wiringMode = false;
 let wireStart = null;
 let timeInterval = null;
+let diagnosticsTimer = null;
+let breakpointDecorations = null;
+let debugLineDecorations = null;
+
+// Roughly a red LED's: below it a DAC-driven LED stays dark
+const LED_FORWARD_VOLTAGE = 1.8;
+
+// Servo pulses: 500 µs at one end of the range, 2500 µs at the other,
+// 1500 µs centred (or stopped, for continuous rotation)
+const SERVO_MIN_PULSE = 500;
+const SERVO_MAX_PULSE = 2500;
+const SERVO_CENTER_PULSE = 1500;
+// Frame rates a servo follows; it ignores anything slower or faster
+const SERVO_MIN_HZ = 20;
+const SERVO_MAX_HZ = 400;
+// An SG90 turns 60° in 0.1 s; a continuous one spins at up to 60 rpm
+const SERVO_SLEW_DEG_PER_S = 600;
+const SERVO_SPIN_DEG_PER_S = 360;
+// Pulses this close to the centre leave a continuous servo stopped
+const SERVO_DEADBAND_US = 10;
 
 // ============================================================
 //  INITIALIZATION
@@ -29,6 +51,9 @@ document.addEventListener('DOMContentLoaded', () => {
     initComponentPalette();
     initEditor();
     initSerialMonitor();
+    initTaskPanel();
+    initLogicAnalyzer();
+    initDebugger();
     initToolbar();
     initToastContainer();
 
@@ -57,9 +82,14 @@ function initBoard() {
         if (pinEl) {
             pinEl.classList.toggle('high', state.value === 1);
             pinEl.classList.toggle('active', state.mode === 'OUTPUT');
+            // Probe: hovering a DAC pin shows the voltage it drives
+            pinEl.title = state.dac !== null && state.dac !== undefined ? `${state.dac.toFixed(2)} V` : '';
         }
         updatePeripheralVisuals(pin, state);
     });
+
+    // What I2C parts such as the LCD show
+    engine.onPartState((id, state) => updatePartVisual(id, state));
 }
 
 // ============================================================
@@ -201,6 +231,41 @@ function addComponentToCanvas(type, x = null, y = null) {
         setupComponentControls(wrapper, id, comp);
     }
 
+    // Push buttons close while held
+    if (type === 'pushbutton') {
+        const button = wrapper.querySelector(`#button-${id}`);
+        const press = (pressed) => {
+            comp.attrs.pressed = pressed;
+            engine.updatePart(comp);
+        };
+        const release = () => {
+            if (comp.attrs.pressed) press(false);
+        };
+        button.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            press(true);
+        });
+        button.addEventListener('mouseup', release);
+        button.addEventListener('mouseleave', release);
+    }
+
+    // Touch pads read fully touched while held, and the slider's amount otherwise
+    if (type === 'touchpad') {
+        const pad = wrapper.querySelector(`#touchpad-${id}`);
+        const hold = (held) => {
+            comp.held = held;
+            updateTouchValue(comp);
+        };
+        pad.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            hold(true);
+        });
+        pad.addEventListener('mouseup', () => hold(false));
+        pad.addEventListener('mouseleave', () => {
+            if (comp.held) hold(false);
+        });
+    }
+
     // Selection
     wrapper.addEventListener('click', (e) => {
         document.querySelectorAll('.placed-component.selected').forEach(el => el.classList.remove('selected'));
@@ -209,6 +274,7 @@ function addComponentToCanvas(type, x = null, y = null) {
 
     document.getElementById('placed-components').appendChild(wrapper);
     placedComponents.push(comp);
+    engine.setCircuit(placedComponents, wires);
     updateComponentCount();
 
     showToast(`Added ${def.name}`, 'success');
@@ -267,17 +333,41 @@ function renderComponentVisual(type, id, attrs) {
         <div style="
           padding: 8px; border-radius: 4px;
           background: #1a365d; border: 2px solid #2563eb44;
-          min-width: 160px;
         ">
-          <div style="
-            background: #0c4a6e; padding: 6px 8px; border-radius: 3px;
-            font-family: var(--font-mono); font-size: 13px;
-            color: #7dd3fc; min-height: 36px; line-height: 1.4;
-          " id="lcd-${id}">Hello, World!<br>ESP32 Sim v1.0</div>
+          <div class="lcd-screen backlight-off" id="lcd-${id}">${renderLcdCells(null)}</div>
         </div>
-        <div style="text-align:center;font-size:10px;color:var(--text-muted);margin-top:4px;">LCD 16×2</div>
+        <div style="text-align:center;font-size:10px;color:var(--text-muted);margin-top:4px;">LCD 16×2 (${attrs.address || '0x27'})</div>
       `;
 
+        case 'ssd1306': {
+            const height = attrs.size === '128x32' ? 32 : 64;
+            return `
+        <div style="
+          padding: 6px; border-radius: 4px;
+          background: #0f172a; border: 2px solid #38bdf844;
+        ">
+          <canvas class="oled-screen" id="oled-${id}" width="128" height="${height}" style="width:160px;height:${height * 1.25}px;"></canvas>
+        </div>
+        <div style="text-align:center;font-size:10px;color:var(--text-muted);margin-top:4px;">OLED ${attrs.size || '128x64'} (${attrs.address || '0x3C'})</div>
+      `;
+        }
+
+        case 'neopixel-strip':
+        case 'neopixel-ring':
+        case 'neopixel-matrix': {
+            const { width, height } = pixelLayout(type, attrs);
+            const label = type === 'neopixel-matrix' ? `${attrs.rows || 8}×${attrs.cols || 8}` : `${attrs.pixels || 8}`;
+            return `
+        <div style="
+          padding: 6px; border-radius: ${type === 'neopixel-ring' ? '50%' : '4px'};
+          background: #0f172a; border: 2px solid #f472b644;
+        ">
+          <canvas class="pixel-canvas" id="pixels-${id}" width="${width}" height="${height}"></canvas>
+        </div>
+        <div style="text-align:center;font-size:10px;color:var(--text-muted);margin-top:4px;">NeoPixel ${label}</div>
+      `;
+        }
+
         case 'buzzer':
             return `
         <div style="
@@ -297,9 +387,10 @@ function renderComponentVisual(type, id, attrs) {
           border: 1px solid #8b5cf644; text-align: center;
         ">
           <div style="font-size:11px;font-weight:600;color:#8b5cf6;margin-bottom:4px;">SERVO</div>
-          <div style="font-family:var(--font-mono);font-size:14px;color:#c4b5fd;" id="servo-angle-${id}">${attrs.angle || 90}°</div>
-          <div style="width:40px;height:3px;background:#8b5cf6;margin:6px auto;border-radius:2px;transform:rotate(${(attrs.angle || 90) - 90}deg);transition:transform 0.3s;" id="servo-arm-${id}"></div>
+          <div style="font-family:var(--font-mono);font-size:14px;color:#c4b5fd;" id="servo-angle-${id}">${attrs.rotation === 'continuous' ? 'stopped' : `${attrs.angle ?? 90}°`}</div>
+          <div style="width:40px;height:3px;background:#8b5cf6;margin:6px auto;border-radius:2px;transform:rotate(${(attrs.angle ?? 90) - (attrs.range || 180) / 2}deg);" id="servo-arm-${id}"></div>
         </div>
+        <div style="text-align:center;font-size:10px;color:var(--text-muted);margin-top:4px;">${attrs.rotation === 'continuous' ? '360° continuous' : `${attrs.range || 180}°`}</div>
       `;
 
         case 'pushbutton':
@@ -340,6 +431,32 @@ function renderComponentVisual(type, id, attrs) {
         <div style="text-align:center;font-size:10px;color:var(--text-muted);margin-top:4px;">LDR: <span id="ldr-val-${id}">${attrs.light || 50}%</span></div>
       `;
 
+        case 'logic-analyzer':
+            return `
+        <div style="
+          padding: 8px 12px; border-radius: 6px;
+          background: #0a0e17; border: 1px solid #00f5d444;
+          text-align: center;
+        ">
+          <div style="font-size:11px;font-weight:600;color:#00f5d4;">LOGIC</div>
+          <svg width="48" height="20" viewBox="0 0 48 20" fill="none" stroke="#00f5d4" stroke-width="1.5" style="margin-top:4px;">
+            <polyline points="0,16 8,16 8,4 18,4 18,16 26,16 26,4 30,4 30,16 40,16 40,4 48,4"/>
+          </svg>
+        </div>
+      `;
+
+        case 'touchpad':
+            return `
+        <div style="
+          width: 36px; height: 36px; border-radius: 8px;
+          background: radial-gradient(circle, #d4af37, #92702a);
+          border: 2px solid #a855f744;
+          margin: 4px auto; cursor: pointer; transition: all 0.1s;
+          user-select: none;
+        " id="touchpad-${id}"></div>
+        <div style="text-align:center;font-size:10px;color:var(--text-muted);margin-top:4px;">Touch: <span id="touch-val-${id}">${attrs.touch || 0}%</span></div>
+      `;
+
         case 'pir':
             return `
         <div style="
@@ -466,20 +583,42 @@ function updateComponentAttr(id, prop, value) {
             const el = document.getElementById(`dht-hum-${id}`);
             if (el) el.textContent = `${value}%`;
         }
+        // The sensor's next reading reports the new values
+        engine.updatePart(comp);
     } else if (comp.type === 'potentiometer') {
         const needle = document.getElementById(`pot-needle-${id}`);
         const valLabel = document.getElementById(`pot-val-${id}`);
         if (needle) needle.style.transform = `rotate(${value * 2.7 - 135}deg)`;
         if (valLabel) valLabel.textContent = `${value}%`;
-        // Update analog value on connected pin
-        updateAnalogValue(id, Math.round(value / 100 * 4095));
+        updateAnalogValue(comp);
     } else if (comp.type === 'photoresistor') {
         const valLabel = document.getElementById(`ldr-val-${id}`);
         if (valLabel) valLabel.textContent = `${value}%`;
-        updateAnalogValue(id, Math.round(value / 100 * 4095));
+        updateAnalogValue(comp);
+    } else if (comp.type === 'touchpad') {
+        const valLabel = document.getElementById(`touch-val-${id}`);
+        if (valLabel) valLabel.textContent = `${value}%`;
+        updateTouchValue(comp);
     } else if (comp.type === 'pir') {
         const pirEl = document.getElementById(`pir-${id}`);
         if (pirEl) pirEl.style.borderColor = value ? '#ef4444' : '#ef444444';
+        engine.updatePart(comp);
+    } else if (comp.type === 'servo') {
+        // Start over from the middle of the new range, then follow the signal already there
+        comp.attrs.angle = comp.attrs.rotation === 'continuous' ? 0 : (Number(comp.attrs.range) || 180) / 2;
+        servoMotion.delete(id);
+        const visual = document.getElementById(`visual-${id}`);
+        if (visual) visual.innerHTML = renderComponentVisual(comp.type, id, comp.attrs);
+        for (const wire of wires) {
+            const signal = (wire.from.compId === id && wire.from.pin === 'signal') || (wire.to.compId === id && wire.to.pin === 'signal');
+            const boardPin = wire.from.compId === 'board' ? wire.from.pin : wire.to.pin;
+            if (signal && engine.pinManager.pins[boardPin]) driveServo(comp, engine.pinManager.pins[boardPin]);
+        }
+    } else if (['lcd1602', 'ssd1306', 'neopixel-strip', 'neopixel-ring', 'neopixel-matrix'].includes(comp.type)) {
+        // The bus or LED chain learns the new address, size or pixel count with the circuit
+        engine.setCircuit(placedComponents, wires);
+        const visual = document.getElementById(`visual-${id}`);
+        if (visual) visual.innerHTML = renderComponentVisual(comp.type, id, comp.attrs);
     } else if (comp.type === 'led' && prop === 'color') {
         // Re-render the visual
         const visual = document.getElementById(`visual-${id}`);
@@ -490,12 +629,39 @@ function updateComponentAttr(id, prop, value) {
     }
 }
 
-function updateAnalogValue(compId, value) {
+/**
+ * Voltage an analog component outputs, or null for other components
+ */
+function analogVoltage(comp) {
+    if (comp.type === 'potentiometer') return comp.attrs.value / 100 * VDD;
+    if (comp.type === 'photoresistor') return comp.attrs.light / 100 * VDD;
+    return null;
+}
+
+function updateAnalogValue(comp) {
+    const volts = analogVoltage(comp);
+    if (volts === null) return;
     // Find wire connected to this component and update the pin
     for (const wire of wires) {
-        if (wire.from.compId === compId || wire.to.compId === compId) {
+        if (wire.from.compId === comp.id || wire.to.compId === comp.id) {
             const boardPin = wire.from.compId === 'board' ? wire.from.pin : wire.to.pin;
-            engine.pinManager.setAnalogValue(boardPin, value);
+            engine.pinManager.setVoltage(boardPin, volts);
+        }
+    }
+}
+
+/**
+ * Send how firmly a touch pad is touched to the pins it's wired to
+ */
+function updateTouchValue(comp) {
+    if (comp.type !== 'touchpad') return;
+    const amount = comp.held ? 1 : comp.attrs.touch / 100;
+    const pad = document.getElementById(`touchpad-${comp.id}`);
+    if (pad) pad.style.borderColor = amount ? '#a855f7' : '#a855f744';
+    for (const wire of wires) {
+        if (wire.from.compId === comp.id || wire.to.compId === comp.id) {
+            const boardPin = wire.from.compId === 'board' ? wire.from.pin : wire.to.pin;
+            engine.pinManager.setTouch(boardPin, amount);
         }
     }
 }
@@ -526,12 +692,18 @@ function updatePeripheralVisuals(pin, state) {
                     yellow: '#fbbf24', white: '#f1f5f9', orange: '#f97316',
                 };
                 const c = colorMap[comp.attrs.color] || '#ef4444';
-                if (state.value) {
+                // PWM dims it by its duty cycle; on the DAC it lights above its forward voltage
+                const brightness = state.dac !== null && state.dac !== undefined
+                    ? Math.max(0, Math.min(1, (state.dac - LED_FORWARD_VOLTAGE) / (VDD - LED_FORWARD_VOLTAGE)))
+                    : state.frequency ? state.duty : state.value;
+                if (brightness) {
                     led.style.background = c;
-                    led.style.boxShadow = `0 0 16px ${c}, 0 0 32px ${c}66`;
+                    led.style.opacity = String(0.3 + 0.7 * brightness);
+                    led.style.boxShadow = `0 0 ${Math.round(16 * brightness)}px ${c}, 0 0 ${Math.round(32 * brightness)}px ${c}66`;
                     led.classList.add('led-glow');
                 } else {
                     led.style.background = `${c}44`;
+                    led.style.opacity = '';
                     led.style.boxShadow = 'none';
                     led.classList.remove('led-glow');
                 }
@@ -542,20 +714,236 @@ function updatePeripheralVisuals(pin, state) {
         if (comp.type === 'buzzer') {
             const buz = document.getElementById(`buzzer-${compId}`);
             if (buz) {
-                buz.textContent = state.value ? '🔔' : '🔇';
-                buz.style.borderColor = state.value ? '#fbbf24' : '#fbbf2444';
+                // Driven HIGH it beeps; on PWM it sounds only while the signal toggles
+                const sounding = state.frequency ? state.duty > 0 && state.duty < 1 : !!state.value;
+                buz.textContent = sounding ? '🔔' : '🔇';
+                buz.title = sounding && state.frequency ? `${state.frequency} Hz` : '';
+                buz.style.borderColor = sounding ? '#fbbf24' : '#fbbf2444';
             }
         }
 
-        // Servo
-        if (comp.type === 'servo' && state.pwmValue !== undefined) {
-            const angle = Math.round(state.pwmValue / 255 * 180);
-            const angleEl = document.getElementById(`servo-angle-${compId}`);
-            const armEl = document.getElementById(`servo-arm-${compId}`);
-            if (angleEl) angleEl.textContent = `${angle}°`;
-            if (armEl) armEl.style.transform = `rotate(${angle - 90}deg)`;
+        // Servo: the pulses on its signal pin
+        const compPin = wire.from.compId === compId ? wire.from.pin : wire.to.pin;
+        if (comp.type === 'servo' && compPin === 'signal') driveServo(comp, state);
+    }
+}
+
+// ============================================================
+//  SERVOS
+// ============================================================
+// Part id -> { angle, target, speed }: where each arm is, where a
+// positional servo is heading and how fast a continuous one turns
+const servoMotion = new Map();
+let servoFrame = null;
+let servoFrameTime = 0;
+
+/**
+ * Follow the pulse width on a servo's signal pin. Without a steady frame a
+ * positional servo holds where it is and a continuous one stops.
+ */
+function driveServo(comp, state) {
+    const range = Number(comp.attrs.range) || 180;
+    let motion = servoMotion.get(comp.id);
+    if (!motion) {
+        const angle = Number(comp.attrs.angle ?? 90);
+        motion = { angle, target: angle, speed: 0 };
+        servoMotion.set(comp.id, motion);
+    }
+    const framed = state.frequency >= SERVO_MIN_HZ && state.frequency <= SERVO_MAX_HZ && state.duty > 0 && state.duty < 1;
+    const pulse = framed ? state.duty / state.frequency * 1e6 : null;
+    if (comp.attrs.rotation === 'continuous') {
+        const offset = pulse === null ? 0 : SERVO_CENTER_PULSE - pulse;
+        const fraction = Math.abs(offset) <= SERVO_DEADBAND_US ? 0 : offset / (SERVO_CENTER_PULSE - SERVO_MIN_PULSE);
+        motion.speed = Math.max(-1, Math.min(1, fraction)) * SERVO_SPIN_DEG_PER_S;
+    } else if (pulse !== null) {
+        const fraction = (pulse - SERVO_MIN_PULSE) / (SERVO_MAX_PULSE - SERVO_MIN_PULSE);
+        motion.target = Math.max(0, Math.min(1, fraction)) * range;
+    }
+    drawServo(comp, motion);
+    if (!servoFrame) {
+        servoFrameTime = performance.now();
+        servoFrame = requestAnimationFrame(animateServos);
+    }
+}
+
+/**
+ * Move every arm on by its slew rate or speed, for as long as any moves
+ */
+function animateServos(now) {
+    const seconds = Math.min(0.1, (now - servoFrameTime) / 1000);
+    servoFrameTime = now;
+    let moving = false;
+    for (const [id, motion] of servoMotion) {
+        const comp = placedComponents.find(c => c.id === id);
+        if (!comp) {
+            servoMotion.delete(id);
+            continue;
+        }
+        if (motion.speed) {
+            motion.angle = (motion.angle + motion.speed * seconds + 360) % 360;
+            moving = true;
+        } else if (motion.angle !== motion.target && comp.attrs.rotation !== 'continuous') {
+            const step = SERVO_SLEW_DEG_PER_S * seconds;
+            const remaining = motion.target - motion.angle;
+            motion.angle = Math.abs(remaining) <= step ? motion.target : motion.angle + Math.sign(remaining) * step;
+            moving = true;
+        }
+        drawServo(comp, motion);
+    }
+    servoFrame = moving ? requestAnimationFrame(animateServos) : null;
+}
+
+function drawServo(comp, motion) {
+    const angleEl = document.getElementById(`servo-angle-${comp.id}`);
+    const armEl = document.getElementById(`servo-arm-${comp.id}`);
+    if (comp.attrs.rotation === 'continuous') {
+        const rpm = Math.round(Math.abs(motion.speed) / 6);
+        if (angleEl) angleEl.textContent = rpm ? `${motion.speed > 0 ? '⟳' : '⟲'} ${rpm} rpm` : 'stopped';
+        if (armEl) armEl.style.transform = `rotate(${motion.angle}deg)`;
+    } else {
+        const range = Number(comp.attrs.range) || 180;
+        if (angleEl) angleEl.textContent = `${Math.round(motion.angle)}°`;
+        if (armEl) armEl.style.transform = `rotate(${motion.angle - range / 2}deg)`;
+    }
+}
+
+// ============================================================
+//  I2C PART VISUALS
+// ============================================================
+// HD44780 ROM A00 glyphs that aren't ASCII; other codes above 0x7F show blank
+const LCD_GLYPHS = { 0x5C: '¥', 0x7E: '→', 0x7F: '←', 0xDF: '°', 0xFF: '█' };
+const LCD_ESCAPES = { '<': '&lt;', '>': '&gt;', '&': '&amp;' };
+
+/**
+ * The 16×2 character cells of an LCD state, blank before it has one
+ */
+function renderLcdCells(state) {
+    let html = '';
+    for (let row = 0; row < 2; row++) {
+        for (let col = 0; col < 16; col++) {
+            const cursor = state && state.display && state.cursor;
+            const here = cursor && cursor.row === row && cursor.col === col;
+            const classes = ['lcd-cell', here && cursor.underline ? 'underline' : '', here && cursor.blink ? 'blink' : ''].join(' ').trim();
+            const code = state && state.display ? state.rows[row][col] : 0x20;
+            html += `<span class="${classes}">${lcdGlyph(code, state)}</span>`;
+        }
+    }
+    return html;
+}
+
+/**
+ * A character code as the controller draws it: codes 0–15 are the eight
+ * custom characters (twice over), drawn from CGRAM
+ */
+function lcdGlyph(code, state) {
+    if (code < 16) {
+        const rows = state.cgram.slice((code & 7) * 8, (code & 7) * 8 + 8);
+        let pixels = '';
+        rows.forEach((bits, y) => {
+            for (let x = 0; x < 5; x++) {
+                if (bits & (0x10 >> x)) pixels += `<rect x="${x}" y="${y}" width="0.85" height="0.85"/>`;
+            }
+        });
+        return `<svg viewBox="0 0 5 8" fill="currentColor">${pixels}</svg>`;
+    }
+    if (LCD_GLYPHS[code]) return LCD_GLYPHS[code];
+    if (code < 0x20 || code > 0x7F) return ' ';
+    const char = String.fromCharCode(code);
+    return LCD_ESCAPES[char] || char;
+}
+
+function updatePartVisual(id, state) {
+    const comp = placedComponents.find(c => c.id === id);
+    if (!comp) return;
+    if (comp.type === 'lcd1602') {
+        const screen = document.getElementById(`lcd-${id}`);
+        if (!screen) return;
+        screen.classList.toggle('backlight-off', !state.backlight);
+        screen.innerHTML = renderLcdCells(state);
+    } else if (comp.type === 'ssd1306') {
+        const canvas = document.getElementById(`oled-${id}`);
+        if (canvas) drawOled(canvas, state);
+    } else if (comp.type.startsWith('neopixel-')) {
+        const canvas = document.getElementById(`pixels-${id}`);
+        if (canvas) drawPixels(canvas, comp, state);
+    }
+}
+
+/**
+ * Canvas size and the centre of every pixel, in chain order. A
+ * serpentine matrix runs its odd rows right to left.
+ */
+function pixelLayout(type, attrs) {
+    if (type === 'neopixel-ring') {
+        const count = Number(attrs.pixels) || 24;
+        const size = count > 24 ? 160 : 120;
+        const orbit = size / 2 - 8;
+        const radius = Math.min(6, Math.PI * orbit / count * 0.8);
+        const centers = Array.from({ length: count }, (_, i) => {
+            const angle = (i / count) * 2 * Math.PI - Math.PI / 2;
+            return [size / 2 + orbit * Math.cos(angle), size / 2 + orbit * Math.sin(angle)];
+        });
+        return { width: size, height: size, radius, centers };
+    }
+    if (type === 'neopixel-matrix') {
+        const rows = Number(attrs.rows) || 8;
+        const cols = Number(attrs.cols) || 8;
+        const cell = Math.max(6, Math.min(16, Math.floor(192 / cols)));
+        const centers = [];
+        for (let row = 0; row < rows; row++) {
+            for (let i = 0; i < cols; i++) {
+                const col = attrs.layout === 'serpentine' && row % 2 ? cols - 1 - i : i;
+                centers.push([(col + 0.5) * cell, (row + 0.5) * cell]);
+            }
         }
+        return { width: cols * cell, height: rows * cell, radius: cell * 0.35, centers };
     }
+    const count = Number(attrs.pixels) || 8;
+    const cell = Math.max(4, Math.min(20, Math.floor(240 / count)));
+    const centers = Array.from({ length: count }, (_, i) => [(i + 0.5) * cell, cell / 2]);
+    return { width: count * cell, height: cell, radius: cell * 0.35, centers };
+}
+
+/**
+ * Paint each pixel its latched colour, with a glow when it's lit
+ */
+function drawPixels(canvas, comp, state) {
+    const { width, height, radius, centers } = pixelLayout(comp.type, comp.attrs);
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    centers.forEach(([x, y], i) => {
+        const [r, g, b] = state.rgb.slice(i * 3, i * 3 + 3);
+        const lit = r || g || b;
+        ctx.fillStyle = lit ? `rgb(${r}, ${g}, ${b})` : '#1e293b';
+        ctx.shadowColor = lit ? ctx.fillStyle : 'transparent';
+        ctx.shadowBlur = lit ? radius * 1.5 : 0;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+}
+
+/**
+ * Paint an OLED state's pixels, brighter the higher its contrast
+ */
+function drawOled(canvas, state) {
+    if (canvas.height !== state.height) canvas.height = state.height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(state.width, state.height);
+    const level = state.lit ? 0.45 + 0.55 * state.contrast / 255 : 0;
+    const lit = [125 * level, 211 * level, 252 * level];
+    const dark = [2, 6, 23];
+    for (let y = 0; y < state.height; y++) {
+        for (let x = 0; x < state.width; x++) {
+            const on = state.pixels[y * state.width / 8 + (x >> 3)] & (0x80 >> (x & 7));
+            const i = (y * state.width + x) * 4;
+            image.data.set(on ? lit : dark, i);
+            image.data[i + 3] = 255;
+        }
+    }
+    ctx.putImageData(image, 0, 0);
 }
 
 // ============================================================
@@ -644,6 +1032,13 @@ function handlePinClick(compId, pin, pinEl) {
         wireStart = null;
 
         updateWires();
+        engine.setCircuit(placedComponents, wires);
+        for (const comp of placedComponents) {
+            if (comp.id === wire.from.compId || comp.id === wire.to.compId) {
+                updateAnalogValue(comp);
+                updateTouchValue(comp);
+            }
+        }
         showToast('Wire connected!', 'success');
     }
 }
@@ -701,16 +1096,31 @@ function getAbsolutePinPosition(compId, pinName) {
 }
 
 function removeWire(wireId) {
+    releaseVoltages(wires.filter(w => w.id === wireId));
     wires = wires.filter(w => w.id !== wireId);
     updateWires();
+    engine.setCircuit(placedComponents, wires);
     showToast('Wire removed', 'info');
 }
 
+/**
+ * Board pins lose the voltage or touch a component put on them once it's unwired
+ */
+function releaseVoltages(removed) {
+    for (const wire of removed) {
+        const boardEnd = wire.from.compId === 'board' ? wire.from : wire.to.compId === 'board' ? wire.to : null;
+        if (!boardEnd) continue;
+        engine.pinManager.setVoltage(boardEnd.pin, null);
+        engine.pinManager.setTouch(boardEnd.pin, 0);
+    }
+}
+
 // ============================================================
 //  REMOVE COMPONENT
 // ============================================================
 function removeComponent(id) {
     // Remove wires connected to this component
+    releaseVoltages(wires.filter(w => w.from.compId === id || w.to.compId === id));
     wires = wires.filter(w => w.from.compId !== id && w.to.compId !== id);
     updateWires();
 
@@ -719,6 +1129,7 @@ function removeComponent(id) {
     if (el) el.remove();
 
     placedComponents = placedComponents.filter(c => c.id !== id);
+    engine.setCircuit(placedComponents, wires);
     engine.removePeripheral(id);
     updateComponentCount();
 }
@@ -752,6 +1163,7 @@ function initEditor() {
         minimap: { enabled: false },
         scrollBeyondLastLine: false,
         lineNumbers: 'on',
+        glyphMargin: true,
         renderLineHighlight: 'gutter',
         automaticLayout: true,
         tabSize: 2,
@@ -789,16 +1201,59 @@ function initEditor() {
     });
     monaco.editor.setTheme('esp32-dark');
 
+    // Re-check the sketch shortly after the user stops typing
+    editor.onDidChangeModelContent(() => {
+        clearTimeout(diagnosticsTimer);
+        diagnosticsTimer = setTimeout(updateDiagnostics, 500);
+    });
+    updateDiagnostics();
+
     // Register Arduino-specific auto-completions
     monaco.languages.registerCompletionItemProvider('cpp', {
         provideCompletionItems: (model, position) => {
             const suggestions = [
                 'pinMode', 'digitalWrite', 'digitalRead', 'analogRead', 'analogWrite',
-                'Serial.begin', 'Serial.print', 'Serial.println', 'Serial.printf',
-                'delay', 'delayMicroseconds', 'millis', 'micros',
-                'map', 'constrain', 'random', 'abs', 'min', 'max', 'pow', 'sqrt',
-                'tone', 'noTone', 'ledcWrite',
-                'HIGH', 'LOW', 'INPUT', 'OUTPUT', 'INPUT_PULLUP',
+                'Serial.begin', 'Serial.print', 'Serial.println', 'Serial.printf', 'Serial.write',
+                'Serial.available', 'Serial.read', 'Serial.peek', 'Serial.readString', 'Serial.readStringUntil',
+                'Serial.parseInt', 'Serial.parseFloat', 'Serial.setTimeout',
+                'delay', 'delayMicroseconds', 'millis', 'micros', 'yield',
+                'map', 'constrain', 'random', 'randomSeed', 'abs', 'min', 'max', 'pow', 'sqrt', 'sq',
+                'sin', 'cos', 'tan', 'atan2', 'floor', 'ceil', 'round', 'fabs', 'fmod', 'radians', 'degrees',
+                'PI', 'HALF_PI', 'TWO_PI', 'DEG_TO_RAD', 'RAD_TO_DEG', 'NAN',
+                'shiftOut', 'shiftIn', 'MSBFIRST', 'LSBFIRST', 'pulseIn',
+                'bitRead', 'bitSet', 'bitClear', 'bitWrite', 'bit', 'highByte', 'lowByte',
+                'dacWrite', 'dacDisable', 'touchRead', 'touchAttachInterrupt', 'touchDetachInterrupt',
+                'tone', 'noTone', 'ledcSetup', 'ledcAttachPin', 'ledcDetachPin', 'ledcAttach',
+                'ledcAttachChannel', 'ledcDetach', 'ledcWrite', 'ledcRead', 'ledcReadFreq',
+                'ledcWriteTone', 'ledcWriteNote', 'ledcChangeFrequency',
+                'analogWriteResolution', 'analogWriteFrequency',
+                'attachInterrupt', 'detachInterrupt', 'digitalPinToInterrupt', 'noInterrupts', 'interrupts', 'IRAM_ATTR',
+                'timerBegin', 'timerAttachInterrupt', 'timerAlarmWrite', 'timerAlarmEnable', 'timerAlarm', 'timerRead',
+                'portENTER_CRITICAL', 'portEXIT_CRITICAL', 'portENTER_CRITICAL_ISR', 'portEXIT_CRITICAL_ISR',
+                'Ticker', 'attach', 'attach_ms', 'once', 'once_ms', 'detach',
+                'Wire.begin', 'Wire.setClock', 'Wire.beginTransmission', 'Wire.write', 'Wire.endTransmission',
+                'Wire.requestFrom', 'Wire.available', 'Wire.read',
+                'LiquidCrystal_I2C', 'init', 'backlight', 'noBacklight', 'setCursor', 'clear', 'home', 'createChar',
+                'scrollDisplayLeft', 'scrollDisplayRight', 'cursor', 'noCursor', 'blink', 'noBlink',
+                'DHT', 'DHT11', 'DHT22', 'readTemperature', 'readHumidity', 'computeHeatIndex', 'isnan',
+                'Adafruit_SSD1306', 'SSD1306_SWITCHCAPVCC', 'SSD1306_WHITE', 'SSD1306_BLACK', 'clearDisplay', 'display',
+                'setTextSize', 'setTextColor', 'drawPixel', 'drawLine', 'drawRect', 'fillRect', 'drawCircle',
+                'fillCircle', 'drawRoundRect', 'drawTriangle', 'drawBitmap', 'invertDisplay',
+                'Adafruit_NeoPixel', 'NEO_GRB', 'NEO_KHZ800', 'setPixelColor', 'Color', 'ColorHSV', 'gamma32',
+                'setBrightness', 'show', 'numPixels', 'fill',
+                'CRGB', 'CHSV', 'FastLED.addLeds', 'FastLED.show', 'FastLED.clear', 'FastLED.setBrightness',
+                'FastLED.delay', 'fill_solid', 'fill_rainbow', 'fadeToBlackBy', 'WS2812B', 'GRB',
+                'setRGB', 'setHue', 'setHSV', 'setColorCode', 'nscale8', 'nscale8_video', 'fadeLightBy',
+                'maximizeBrightness', 'getAverageLight',
+                'Servo', 'setPeriodHertz', 'writeMicroseconds', 'readMicroseconds', 'attached',
+                'xTaskCreate', 'xTaskCreatePinnedToCore', 'vTaskDelay', 'vTaskDelayUntil', 'vTaskDelete', 'pdMS_TO_TICKS',
+                'xQueueCreate', 'xQueueSend', 'xQueueReceive', 'xSemaphoreCreateBinary', 'xSemaphoreCreateMutex',
+                'xSemaphoreTake', 'xSemaphoreGive', 'xSemaphoreGiveFromISR', 'xTaskNotifyGive', 'ulTaskNotifyTake',
+                'xEventGroupCreate', 'xEventGroupSetBits', 'xEventGroupWaitBits', 'portMAX_DELAY',
+                'String', 'strcpy', 'strcat', 'strcmp', 'strlen', 'strchr', 'strstr', 'memset', 'memcpy',
+                'sprintf', 'snprintf', 'dtostrf', 'itoa', 'atoi',
+                'HIGH', 'LOW', 'INPUT', 'OUTPUT', 'INPUT_PULLUP', 'INPUT_PULLDOWN',
+                'DEC', 'HEX', 'OCT', 'BIN', 'RISING', 'FALLING', 'CHANGE',
                 'void setup()', 'void loop()',
             ].map(label => ({
                 label,
@@ -816,6 +1271,22 @@ function initEditor() {
     });
 }
 
+/**
+ * Run the diagnostics pass and mirror the results as editor markers
+ */
+function updateDiagnostics() {
+    const diagnostics = engine.check(editor.getValue());
+    monaco.editor.setModelMarkers(editor.getModel(), 'arduino', diagnostics.map(d => ({
+        severity: d.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+        message: d.message,
+        startLineNumber: d.loc.line,
+        startColumn: d.loc.column,
+        endLineNumber: d.loc.endLine,
+        endColumn: Math.max(d.loc.endColumn, d.loc.column + 1),
+    })));
+    return diagnostics;
+}
+
 // ============================================================
 //  SERIAL MONITOR
 // ============================================================
@@ -824,11 +1295,12 @@ function initSerialMonitor() {
     const clearBtn = document.getElementById('btn-clear-serial');
     const sendBtn = document.getElementById('btn-serial-send');
     const input = document.getElementById('serial-input');
+    const lineEnding = document.getElementById('serial-line-ending');
     const autoscroll = document.getElementById('serial-autoscroll');
 
     engine.onSerial((text, type, elapsed) => {
         const line = document.createElement('div');
-        line.className = `serial-line ${type === 'error' ? 'error' : ''} ${type === 'system' ? 'system' : ''}`;
+        line.className = `serial-line ${['error', 'warning', 'system'].includes(type) ? type : ''}`;
 
         const timestamp = document.createElement('span');
         timestamp.className = 'serial-timestamp';
@@ -847,12 +1319,24 @@ function initSerialMonitor() {
         output.innerHTML = '';
     });
 
+    lineEnding.addEventListener('change', () => {
+        engine.setSerialLineEnding(lineEnding.value);
+    });
+    engine.setSerialLineEnding(lineEnding.value);
+
     sendBtn.addEventListener('click', () => {
-        if (input.value.trim()) {
-            // TODO: Send to Serial input buffer
-            showToast(`Sent: "${input.value}"`, 'info');
-            input.value = '';
+        // An empty line is still worth sending when it carries a line ending
+        if (!input.value && lineEnding.value === 'none') return;
+        if (!engine.running) {
+            showToast('Start the simulation to send serial data', 'info');
+            return;
         }
+        engine.sendSerial(input.value)
+            .then((sent) => {
+                if (sent === 0) showToast('Serial RX buffer is full', 'error');
+            })
+            .catch(err => showToast(err.message, 'error'));
+        input.value = '';
     });
 
     input.addEventListener('keydown', (e) => {
@@ -860,6 +1344,402 @@ function initSerialMonitor() {
     });
 }
 
+// ============================================================
+//  TASK PANEL
+// ============================================================
+function initTaskPanel() {
+    engine.onStatus(() => renderTasks());
+    renderTasks();
+}
+
+/**
+ * Show the FreeRTOS tasks of the running sketch
+ */
+function renderTasks() {
+    const list = document.getElementById('task-list');
+    const tasks = engine.getTasks();
+    list.innerHTML = '';
+    document.getElementById('task-empty').style.display = tasks.length ? 'none' : '';
+
+    for (const task of tasks) {
+        const row = document.createElement('tr');
+        const cells = [
+            task.name,
+            task.state,
+            task.priority,
+            task.core === null ? 'any' : task.core,
+            task.stackDepth,
+            `${(task.cpu * 100).toFixed(1)}%`,
+        ];
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        row.children[1].className = `task-state ${task.state.toLowerCase()}`;
+        list.appendChild(row);
+    }
+}
+
+// ============================================================
+//  LOGIC ANALYZER
+// ============================================================
+const ANALYZER_LABEL_WIDTH = 72;
+const ANALYZER_AXIS_HEIGHT = 22;
+const ANALYZER_ROW_HEIGHT = 34;
+// A PWM wave whose period is narrower than this many pixels is drawn as a
+// band labelled with its duty cycle
+const ANALYZER_MIN_PERIOD_PX = 4;
+
+// Channels ({ name, pin }), each pin's samples, and the view: the time at
+// the left edge and the span shown, in µs. While following, the view fits
+// the whole capture as it grows.
+const capture = { channels: [], samples: {}, full: false };
+const analyzerView = { start: 0, span: 1000, follow: true, cursors: [null, null] };
+
+function initLogicAnalyzer() {
+    const canvas = document.getElementById('analyzer-canvas');
+
+    engine.onCapture((message) => {
+        if (message.restart) {
+            capture.samples = {};
+            analyzerView.follow = true;
+            analyzerView.cursors = [null, null];
+        }
+        if (message.channels) capture.channels = message.channels;
+        for (const sample of message.samples) {
+            if (!capture.samples[sample.pin]) capture.samples[sample.pin] = [];
+            capture.samples[sample.pin].push(sample);
+        }
+        capture.full = message.full;
+        renderAnalyzer();
+    });
+
+    const zoom = (factor, at) => {
+        const { start, span } = analyzerView;
+        const newSpan = Math.max(0.1, span * factor);
+        analyzerView.start = Math.max(0, at - (at - start) * newSpan / span);
+        analyzerView.span = newSpan;
+        analyzerView.follow = false;
+        renderAnalyzer();
+    };
+    const middle = () => analyzerView.start + analyzerView.span / 2;
+    document.getElementById('btn-analyzer-zoom-in').addEventListener('click', () => zoom(0.5, middle()));
+    document.getElementById('btn-analyzer-zoom-out').addEventListener('click', () => zoom(2, middle()));
+    document.getElementById('btn-analyzer-fit').addEventListener('click', () => {
+        analyzerView.follow = true;
+        renderAnalyzer();
+    });
+    document.getElementById('btn-analyzer-export').addEventListener('click', () => {
+        if (!capture.channels.length) {
+            showToast('Nothing captured yet', 'info');
+            return;
+        }
+        const vcd = toVcd(capture.channels, capture.samples, engine.getElapsedTime() * 1e6);
+        const blob = new Blob([vcd], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'esp32-capture.vcd';
+        a.click();
+        URL.revokeObjectURL(url);
+    });
+
+    // Time under the mouse
+    const timeAt = (e) => {
+        const x = e.clientX - canvas.getBoundingClientRect().left - ANALYZER_LABEL_WIDTH;
+        const width = canvas.clientWidth - ANALYZER_LABEL_WIDTH;
+        return analyzerView.start + Math.max(0, x) / width * analyzerView.span;
+    };
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoom(e.deltaY > 0 ? 1.25 : 0.8, timeAt(e));
+    }, { passive: false });
+
+    // Drag to pan; a click without dragging places a cursor
+    let drag = null;
+    canvas.addEventListener('mousedown', (e) => {
+        drag = { x: e.clientX, start: analyzerView.start, moved: false };
+    });
+    canvas.addEventListener('mousemove', (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.x;
+        if (Math.abs(dx) > 3) drag.moved = true;
+        if (!drag.moved) return;
+        const width = canvas.clientWidth - ANALYZER_LABEL_WIDTH;
+        analyzerView.start = Math.max(0, drag.start - dx / width * analyzerView.span);
+        analyzerView.follow = false;
+        renderAnalyzer();
+    });
+    canvas.addEventListener('mouseup', (e) => {
+        if (drag && !drag.moved) {
+            analyzerView.cursors[e.shiftKey ? 1 : 0] = timeAt(e);
+            renderAnalyzer();
+        }
+        drag = null;
+    });
+    canvas.addEventListener('mouseleave', () => {
+        drag = null;
+    });
+
+    // The canvas has no size while its tab is hidden
+    document.querySelector('.panel-tab[data-tab="analyzer"]').addEventListener('click', () => {
+        requestAnimationFrame(renderAnalyzer);
+    });
+    renderAnalyzer();
+}
+
+/**
+ * Time in µs as a short label: 1.5 s, 250 ms, 12 µs, 500 ns
+ */
+function formatMicros(us) {
+    const abs = Math.abs(us);
+    if (abs >= 1e6) return `${+(us / 1e6).toPrecision(4)} s`;
+    if (abs >= 1e3) return `${+(us / 1e3).toPrecision(4)} ms`;
+    if (abs >= 1 || abs === 0) return `${+us.toPrecision(4)} µs`;
+    return `${+(us * 1e3).toPrecision(4)} ns`;
+}
+
+function formatHertz(hz) {
+    if (hz >= 1e6) return `${+(hz / 1e6).toPrecision(4)} MHz`;
+    if (hz >= 1e3) return `${+(hz / 1e3).toPrecision(4)} kHz`;
+    return `${+hz.toPrecision(4)} Hz`;
+}
+
+/**
+ * Draw the captured waveforms, time axis and cursors
+ */
+function renderAnalyzer() {
+    const canvas = document.getElementById('analyzer-canvas');
+    const empty = document.getElementById('analyzer-empty');
+    empty.style.display = capture.channels.length ? 'none' : '';
+    canvas.style.display = capture.channels.length ? '' : 'none';
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!capture.channels.length || !width || !height) return;
+
+    const scale = window.devicePixelRatio || 1;
+    if (canvas.width !== width * scale || canvas.height !== height * scale) {
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const now = engine.getElapsedTime() * 1e6;
+    if (analyzerView.follow) {
+        analyzerView.start = 0;
+        analyzerView.span = Math.max(now, 1);
+    }
+    const { start, span } = analyzerView;
+    const end = start + span;
+    const plotWidth = width - ANALYZER_LABEL_WIDTH;
+    const xOf = t => ANALYZER_LABEL_WIDTH + (t - start) / span * plotWidth;
+    const style = getComputedStyle(document.documentElement);
+    const color = name => style.getPropertyValue(name).trim();
+
+    // Time axis: gridlines at 1, 2 or 5 times a power of ten
+    const rough = span / Math.max(1, plotWidth / 90);
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    ctx.font = `10px ${color('--font-mono')}`;
+    ctx.textBaseline = 'middle';
+    for (let t = Math.ceil(start / step) * step; t <= end; t += step) {
+        const x = xOf(t);
+        ctx.fillStyle = color('--border-color');
+        ctx.fillRect(x, ANALYZER_AXIS_HEIGHT, 1, height);
+        ctx.fillStyle = color('--text-muted');
+        ctx.fillText(formatMicros(t), x + 3, ANALYZER_AXIS_HEIGHT / 2);
+    }
+
+    capture.channels.forEach((channel, row) => {
+        const top = ANALYZER_AXIS_HEIGHT + row * ANALYZER_ROW_HEIGHT;
+        const high = top + 8;
+        const low = top + ANALYZER_ROW_HEIGHT - 8;
+        ctx.fillStyle = color('--text-secondary');
+        ctx.fillText(`${channel.name} G${channel.pin}`, 8, (high + low) / 2);
+
+        const samples = capture.samples[channel.pin] || [];
+        const last = Math.min(end, now);
+        ctx.strokeStyle = color('--accent-green');
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let level = null;
+        const lineTo = (t, next) => {
+            const x = xOf(t);
+            if (level === null) ctx.moveTo(x, next ? high : low);
+            else if (next !== level) ctx.lineTo(x, level ? high : low);
+            ctx.lineTo(x, next ? high : low);
+            level = next;
+        };
+        for (let i = Math.max(0, firstSampleAt(samples, start)); i < samples.length && samples[i].time < last; i++) {
+            const sample = samples[i];
+            const from = Math.max(sample.time, start);
+            const to = i + 1 < samples.length ? Math.min(samples[i + 1].time, last) : last;
+            if (isToggling(sample) && 1e6 / sample.frequency / span * plotWidth < ANALYZER_MIN_PERIOD_PX) {
+                // Too fine to draw edge by edge
+                ctx.fillStyle = `${color('--accent-green')}33`;
+                ctx.fillRect(xOf(from), high, xOf(to) - xOf(from), low - high);
+                ctx.fillStyle = color('--accent-green');
+                const label = `${(sample.duty * 100).toFixed(1)}% @ ${formatHertz(sample.frequency)}`;
+                if (xOf(to) - xOf(from) > ctx.measureText(label).width + 8) ctx.fillText(label, xOf(from) + 4, (high + low) / 2);
+                if (level !== null) ctx.lineTo(xOf(from), level ? high : low);
+                ctx.moveTo(xOf(to), low);
+                level = 0;
+                continue;
+            }
+            for (const [t, next] of waveformEdges([sample], from, to)) lineTo(t, next);
+        }
+        if (level !== null) ctx.lineTo(xOf(last), level ? high : low);
+        ctx.stroke();
+    });
+
+    // Cursors, and the time between them
+    const [a, b] = analyzerView.cursors;
+    [[a, '--accent-amber', 'A'], [b, '--accent-blue', 'B']].forEach(([t, name, label]) => {
+        if (t === null) return;
+        ctx.fillStyle = color(name);
+        ctx.fillRect(xOf(t), ANALYZER_AXIS_HEIGHT, 1, height);
+        ctx.fillText(label, xOf(t) + 3, ANALYZER_AXIS_HEIGHT + 6);
+    });
+    const parts = [];
+    if (a !== null) parts.push(`A ${formatMicros(a)}`);
+    if (b !== null) parts.push(`B ${formatMicros(b)}`);
+    if (a !== null && b !== null && a !== b) parts.push(`Δ ${formatMicros(Math.abs(b - a))} (${formatHertz(1e6 / Math.abs(b - a))})`);
+    if (capture.full) parts.push('capture full');
+    document.getElementById('analyzer-readout').textContent = parts.join('  ');
+}
+
+// ============================================================
+//  DEBUGGER
+// ============================================================
+function initDebugger() {
+    breakpointDecorations = editor.createDecorationsCollection([]);
+    debugLineDecorations = editor.createDecorationsCollection([]);
+
+    // Clicking the gutter toggles a breakpoint
+    editor.onMouseDown((e) => {
+        const { GUTTER_GLYPH_MARGIN, GUTTER_LINE_NUMBERS } = monaco.editor.MouseTargetType;
+        if (e.target.type !== GUTTER_GLYPH_MARGIN && e.target.type !== GUTTER_LINE_NUMBERS) return;
+        toggleBreakpoint(e.target.position.lineNumber);
+    });
+
+    // Breakpoint decorations move with the text; keep the engine in step
+    editor.onDidChangeModelContent(() => {
+        engine.setBreakpoints(breakpointLines());
+    });
+
+    engine.onStatus((status) => {
+        const panel = document.getElementById('watch-panel');
+        panel.hidden = status === 'idle';
+        if (status === 'paused') {
+            // The highlighted line is only visible with the code showing
+            document.querySelector('.panel-tab[data-tab="editor"]').click();
+        }
+        showDebugLine();
+        renderWatch();
+    });
+}
+
+function breakpointLines() {
+    return [...new Set(breakpointDecorations.getRanges().map(r => r.startLineNumber))];
+}
+
+function toggleBreakpoint(line) {
+    const lines = breakpointLines();
+    const next = lines.includes(line) ? lines.filter(l => l !== line) : [...lines, line];
+    breakpointDecorations.set(next.map(l => ({
+        range: new monaco.Range(l, 1, l, 1),
+        options: { glyphMarginClassName: 'breakpoint-glyph', glyphMarginHoverMessage: { value: 'Breakpoint' } },
+    })));
+    engine.setBreakpoints(next);
+}
+
+/**
+ * Highlight the line execution is paused on, if any
+ */
+function showDebugLine() {
+    const location = engine.paused && engine.getWatch().location;
+    if (!location || !location.line) {
+        debugLineDecorations.clear();
+        return;
+    }
+    debugLineDecorations.set([{
+        range: new monaco.Range(location.line, 1, location.line, 1),
+        options: { isWholeLine: true, className: 'debug-current-line', glyphMarginClassName: 'debug-current-glyph' },
+    }]);
+    editor.revealLineInCenterIfOutsideViewport(location.line);
+}
+
+/**
+ * Fill the watch panel with the locals where execution is paused and the
+ * globals. Double-clicking a value edits it.
+ */
+function renderWatch() {
+    const body = document.getElementById('watch-body');
+    // Don't pull the input out from under the user
+    if (body.querySelector('input')) return;
+
+    const { location, locals, globals } = engine.getWatch();
+    const where = document.getElementById('watch-location');
+    where.textContent = location ? `${location.callStack.join(' ← ') || location.task}${location.line ? ` : ${location.line}` : ''}` : '';
+
+    body.innerHTML = '';
+    const section = (title, entries, scope) => {
+        const header = document.createElement('div');
+        header.className = 'watch-section';
+        header.textContent = title;
+        body.appendChild(header);
+        for (const entry of entries) {
+            const row = document.createElement('div');
+            row.className = 'watch-row';
+            const name = document.createElement('span');
+            name.className = 'watch-name';
+            name.textContent = entry.name;
+            const type = document.createElement('span');
+            type.className = 'watch-type';
+            type.textContent = entry.type;
+            const value = document.createElement('span');
+            value.className = 'watch-value';
+            value.textContent = entry.value;
+            value.title = entry.value;
+            value.addEventListener('dblclick', () => editWatchValue(value, scope, entry));
+            row.append(name, type, value);
+            body.appendChild(row);
+        }
+    };
+    if (location) section(`Locals — ${location.task}`, locals, 'local');
+    section('Globals', globals, 'global');
+}
+
+function editWatchValue(cell, scope, entry) {
+    const input = document.createElement('input');
+    input.value = entry.value;
+    cell.textContent = '';
+    cell.appendChild(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+        if (done) return;
+        done = true;
+        cell.removeChild(input);
+        renderWatch();
+        if (commit) {
+            engine.setVariable(scope, entry.name, input.value)
+                .catch(err => showToast(err.message, 'error'))
+                .finally(renderWatch);
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(false));
+}
+
 // ============================================================
 //  TOOLBAR
 // ============================================================
@@ -867,10 +1747,17 @@ function initToolbar() {
     const btnRun = document.getElementById('btn-run');
     const btnStop = document.getElementById('btn-stop');
     const btnReset = document.getElementById('btn-reset');
+    const btnPause = document.getElementById('btn-pause');
+    const stepButtons = {
+        'btn-step-over': () => engine.stepOver(),
+        'btn-step-into': () => engine.stepInto(),
+        'btn-step-out': () => engine.stepOut(),
+    };
     const btnSave = document.getElementById('btn-save');
     const btnLoad = document.getElementById('btn-load');
     const speedSlider = document.getElementById('speed-slider');
     const speedLabel = document.getElementById('speed-label');
+    const speedFast = document.getElementById('speed-fast');
     const statusEl = document.getElementById('status-indicator');
     const timeEl = document.getElementById('sim-time');
 
@@ -887,17 +1774,30 @@ function initToolbar() {
     // Run
     btnRun.addEventListener('click', () => {
         if (isRunning) return;
+
+        const code = editor.getValue();
+        clearTimeout(diagnosticsTimer);
+        const diagnostics = updateDiagnostics();
+        engine.reportDiagnostics(diagnostics);
+        const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+        if (errorCount > 0) {
+            showToast(`Fix ${errorCount} error${errorCount !== 1 ? 's' : ''} before running`, 'error');
+            return;
+        }
+
         isRunning = true;
         btnRun.disabled = true;
         btnStop.disabled = false;
 
-        const code = editor.getValue();
         engine.start(code);
 
         // Start time counter
         timeInterval = setInterval(() => {
             const t = engine.getElapsedTime();
             timeEl.textContent = `${t.toFixed(2)}s`;
+            renderTasks();
+            renderAnalyzer();
+            if (!engine.paused) renderWatch();
         }, 100);
     });
 
@@ -929,6 +1829,15 @@ function initToolbar() {
         showToast('Simulation reset', 'info');
     });
 
+    // Pause / resume, and stepping while paused
+    btnPause.addEventListener('click', () => {
+        if (engine.paused) engine.resume();
+        else engine.pause();
+    });
+    for (const [id, step] of Object.entries(stepButtons)) {
+        document.getElementById(id).addEventListener('click', step);
+    }
+
     // Speed
     speedSlider.addEventListener('input', (e) => {
         const speed = parseFloat(e.target.value);
@@ -936,16 +1845,32 @@ function initToolbar() {
         engine.setSpeed(speed);
     });
 
+    // Fast mode skips real-time pacing, so the speed setting doesn't apply
+    speedFast.addEventListener('change', () => {
+        engine.setRealtime(!speedFast.checked);
+        speedSlider.disabled = speedFast.checked;
+        speedLabel.textContent = speedFast.checked ? 'Max' : `${parseFloat(speedSlider.value)}×`;
+    });
+
     // Status listener
     engine.onStatus((status) => {
         statusEl.className = `status-${status}`;
         const statusText = {
             idle: '⬤ Idle',
             running: '⬤ Running',
+            paused: '⬤ Paused',
             stopped: '⬤ Stopped',
             error: '⬤ Error',
         };
         statusEl.textContent = statusText[status] || status;
+
+        const paused = status === 'paused';
+        btnPause.disabled = status !== 'running' && !paused;
+        btnPause.title = paused ? 'Resume' : 'Pause';
+        btnPause.querySelector('span').textContent = paused ? 'Resume' : 'Pause';
+        for (const id of Object.keys(stepButtons)) {
+            document.getElementById(id).disabled = !paused;
+        }
     });
 
     // Save
@@ -0,0 +1,127 @@
+/**
+ * Adc — The ESP32's SAR ADC as analogRead() sees it
+ * Converts a pin voltage to a count the way the chip does: over the range
+ * the attenuation sets, with a dead zone just above 0 V and a curve that
+ * bows and then clips toward full scale. Optional noise comes from a seeded
+ * RNG, so a run reads the same values every time.
+ */
+
+// Per attenuation (ADC_0db, ADC_2_5db, ADC_6db, ADC_11db): the input in
+// volts below which the ADC reads 0, and at which it reaches full scale
+const RANGES = [
+    { min: 0.06, max: 1.05 },
+    { min: 0.08, max: 1.40 },
+    { min: 0.12, max: 1.95 },
+    { min: 0.14, max: 3.10 },
+];
+const DEFAULT_ATTENUATION = 3;
+
+// How far the transfer curve bows above a straight line; it flattens
+// toward full scale by as much
+const CURVE_BOW = 0.08;
+
+// The converter is 12 bits; other resolutions are scaled from that
+const RAW_BITS = 12;
+const RAW_MAX = (1 << RAW_BITS) - 1;
+
+/**
+ * mulberry32: small, fast and good enough for measurement noise and for
+ * random(); a function returning numbers in [0, 1)
+ */
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class Adc {
+    constructor() {
+        // Standard deviation of the noise added to every reading, in mV
+        this.noise = 0;
+        this.seed = 1;
+        this.reset();
+    }
+
+    /**
+     * Back to the defaults the chip starts with: 12 bits, 11 dB
+     */
+    reset() {
+        this.resolution = RAW_BITS;
+        this.attenuation = DEFAULT_ATTENUATION;
+        this.pinAttenuation = new Map();
+        this.random = seededRandom(this.seed);
+    }
+
+    setResolution(bits) {
+        if (bits >= 1 && bits <= 16) this.resolution = bits;
+    }
+
+    /**
+     * analogSetAttenuation() applies to every pin, overriding per-pin settings
+     */
+    setAttenuation(attenuation) {
+        if (!RANGES[attenuation]) return;
+        this.attenuation = attenuation;
+        this.pinAttenuation.clear();
+    }
+
+    setPinAttenuation(pin, attenuation) {
+        if (RANGES[attenuation]) this.pinAttenuation.set(Number(pin), attenuation);
+    }
+
+    /**
+     * Add Gaussian noise of the given standard deviation (mV) to readings.
+     * The seed restarts the sequence, as does reset().
+     */
+    setNoise(millivolts, seed = this.seed) {
+        this.noise = Math.max(0, millivolts);
+        this.seed = seed;
+        this.random = seededRandom(seed);
+    }
+
+    range(pin) {
+        const attenuation = this.pinAttenuation.get(Number(pin));
+        return RANGES[attenuation === undefined ? this.attenuation : attenuation];
+    }
+
+    /**
+     * 12-bit conversion of a voltage
+     */
+    convert(pin, volts) {
+        if (this.noise) {
+            // Box-Muller
+            const u = 1 - this.random();
+            volts += Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random()) * this.noise / 1000;
+        }
+        const { min, max } = this.range(pin);
+        const x = Math.min(1, Math.max(0, (volts - min) / (max - min)));
+        return Math.round(((1 + CURVE_BOW) * x - CURVE_BOW * x * x) * RAW_MAX);
+    }
+
+    /**
+     * analogRead(): the conversion at the set resolution
+     */
+    read(pin, volts) {
+        const raw = this.convert(pin, volts);
+        const shift = this.resolution - RAW_BITS;
+        return shift >= 0 ? raw << shift : raw >> -shift;
+    }
+
+    /**
+     * analogReadMilliVolts(): the conversion mapped back through the
+     * calibration curve. That undoes the bow, but not the dead zone or the
+     * clipping.
+     */
+    readMilliVolts(pin, volts) {
+        const y = this.convert(pin, volts) / RAW_MAX;
+        const b = 1 + CURVE_BOW;
+        const x = (b - Math.sqrt(b * b - 4 * CURVE_BOW * y)) / (2 * CURVE_BOW);
+        const { min, max } = this.range(pin);
+        return Math.round((min + x * (max - min)) * 1000);
+    }
+}
@@ -1,609 +1,2656 @@
 /**
  * ArduinoParser — Parses and interprets Arduino-style C++ code
- * Converts a subset of Arduino C++ into executable simulation commands
+ * Builds an AST with the Parser and compiles it to closures that drive the simulation
  */
+import { Parser } from './Parser.js';
+import { ParseError } from './Lexer.js';
+import { Analyzer, forEachNode } from './Diagnostics.js';
+import {
+    TYPES, Pointer, convert, resolveType, pointerTo, defaultValue, pointerOffset, toCharArray, readCString,
+    cloneValue, elementType, sizeOf, zeroValue, byteFilled,
+} from './Types.js';
+import { Clock, wallTime } from './Clock.js';
+import { HardwareTimer, Ticker, APB_CLOCK_HZ, TIMER_COUNT } from './Timers.js';
+import {
+    Scheduler, Task, Queue, Semaphore, EventGroup, MAX_DELAY, MAX_PRIORITIES, TASK_STATES,
+} from './Scheduler.js';
+import { Debugger } from './Debugger.js';
+import { Compiler, RuntimeError } from './Compiler.js';
+import { ESP32_PINS, pinIssue, wifiAdcIssue } from './PinCapabilities.js';
+import { Ledc, LEDC_CHANNELS } from './Ledc.js';
+import { I2cBus, TwoWire } from './I2c.js';
+import { LiquidCrystalI2C } from './Lcd1602.js';
+import { Dht, DHT_TYPES, computeHeatIndex, convertCtoF, convertFtoC } from './Dht.js';
+import { seededRandom } from './Adc.js';
+import {
+    AdafruitSsd1306, SSD1306_BLACK, SSD1306_WHITE, SSD1306_INVERSE, SSD1306_EXTERNALVCC, SSD1306_SWITCHCAPVCC,
+} from './Ssd1306.js';
+import {
+    PixelChain, AdafruitNeoPixel, NEO_TYPES, neoColor, neoColorHSV, neoGamma8, neoGamma32,
+} from './NeoPixel.js';
+import {
+    FastLed, FASTLED_TYPES, FASTLED_CONSTANTS, toCRGB, hsv2rgbRainbow, scale8, scale8Video, scaleColor, maximizeBrightness,
+} from './FastLed.js';
+import {
+    Servo, MIN_PULSE_WIDTH, MAX_PULSE_WIDTH, DEFAULT_PULSE_WIDTH, SERVO_TIMER_WIDTH,
+} from './Servo.js';
+
+const CHAR_POINTER = pointerTo(TYPES.char);
+const VOID_POINTER = pointerTo(TYPES.void);
+const HW_TIMER_POINTER = pointerTo(resolveType('hw_timer_t'));
+const TASK_HANDLE = resolveType('TaskHandle_t');
+const QUEUE_HANDLE = resolveType('QueueHandle_t');
+const EVENT_GROUP_HANDLE = resolveType('EventGroupHandle_t');
+
+// Objects the core defines for every sketch, such as Wire, whose address
+// sketches pass to libraries: "Adafruit_SSD1306 display(128, 64, &Wire)"
+const CORE_OBJECT_TYPES = {
+    Serial: resolveType('HardwareSerial'),
+    Serial1: resolveType('HardwareSerial'),
+    Serial2: resolveType('HardwareSerial'),
+    Wire: resolveType('TwoWire'),
+    WiFi: resolveType('WiFiClass'),
+    FastLED: resolveType('CFastLED'),
+};
+
+// Values match the ESP32 Arduino core headers
+const CONSTANTS = {
+    HIGH: 1,
+    LOW: 0,
+    INPUT: 0x01,
+    OUTPUT: 0x03,
+    INPUT_PULLUP: 0x05,
+    INPUT_PULLDOWN: 0x09,
+    DEC: 10,
+    HEX: 16,
+    OCT: 8,
+    BIN: 2,
+    NULL: 0,
+    // Arduino.h and <math.h>
+    PI: Math.PI,
+    HALF_PI: Math.PI / 2,
+    TWO_PI: Math.PI * 2,
+    DEG_TO_RAD: Math.PI / 180,
+    RAD_TO_DEG: 180 / Math.PI,
+    EULER: Math.E,
+    M_PI: Math.PI,
+    M_PI_2: Math.PI / 2,
+    M_E: Math.E,
+    M_SQRT2: Math.SQRT2,
+    NAN: NaN,
+    INFINITY: Infinity,
+    // shiftOut() and shiftIn() bit orders
+    LSBFIRST: 0,
+    MSBFIRST: 1,
+    RISING: 0x01,
+    FALLING: 0x02,
+    CHANGE: 0x03,
+    ONLOW: 0x04,
+    ONHIGH: 0x05,
+    NOT_AN_INTERRUPT: -1,
+    portMUX_INITIALIZER_UNLOCKED: 0,
+    // FreeRTOS
+    pdFALSE: 0,
+    pdTRUE: 1,
+    pdFAIL: 0,
+    pdPASS: 1,
+    errQUEUE_FULL: 0,
+    errQUEUE_EMPTY: 0,
+    portMAX_DELAY: MAX_DELAY,
+    portTICK_PERIOD_MS: 1,
+    configTICK_RATE_HZ: 1000,
+    configMAX_PRIORITIES: MAX_PRIORITIES,
+    tskIDLE_PRIORITY: 0,
+    tskNO_AFFINITY: 0x7FFFFFFF,
+    PRO_CPU_NUM: 0,
+    APP_CPU_NUM: 1,
+    CONFIG_ARDUINO_RUNNING_CORE: 1,
+    ARDUINO_RUNNING_CORE: 1,
+    eNoAction: 0,
+    eSetBits: 1,
+    eIncrement: 2,
+    eSetValueWithOverwrite: 3,
+    eSetValueWithoutOverwrite: 4,
+    eRunning: 0,
+    eReady: 1,
+    eBlocked: 2,
+    eSuspended: 3,
+    eDeleted: 4,
+    // ledcWriteNote() notes (note_t)
+    NOTE_C: 0,
+    NOTE_Cs: 1,
+    NOTE_D: 2,
+    NOTE_Eb: 3,
+    NOTE_E: 4,
+    NOTE_F: 5,
+    NOTE_Fs: 6,
+    NOTE_G: 7,
+    NOTE_Gs: 8,
+    NOTE_A: 9,
+    NOTE_Bb: 10,
+    NOTE_B: 11,
+    NOTE_MAX: 12,
+    // Touch pads T0-T9, and the DAC channels, by GPIO
+    T0: 4,
+    T1: 0,
+    T2: 2,
+    T3: 15,
+    T4: 13,
+    T5: 12,
+    T6: 14,
+    T7: 27,
+    T8: 33,
+    T9: 32,
+    DAC1: 25,
+    DAC2: 26,
+    // DHT sensor types
+    ...DHT_TYPES,
+    // Adafruit_SSD1306, with the older unprefixed colour names
+    SSD1306_BLACK,
+    SSD1306_WHITE,
+    SSD1306_INVERSE,
+    SSD1306_EXTERNALVCC,
+    SSD1306_SWITCHCAPVCC,
+    BLACK: SSD1306_BLACK,
+    WHITE: SSD1306_WHITE,
+    INVERSE: SSD1306_INVERSE,
+    // Adafruit_NeoPixel pixel types
+    ...NEO_TYPES,
+    // FastLED chipsets, colour orders, corrections and CRGB colour codes
+    ...FASTLED_CONSTANTS,
+    // ESP32Servo
+    MIN_PULSE_WIDTH,
+    MAX_PULSE_WIDTH,
+    DEFAULT_PULSE_WIDTH,
+    // ADC attenuation (adc_attenuation_t)
+    ADC_0db: 0,
+    ADC_2_5db: 1,
+    ADC_6db: 2,
+    ADC_11db: 3,
+    // WiFi
+    WIFI_OFF: 0,
+    WIFI_STA: 1,
+    WIFI_AP: 2,
+    WIFI_AP_STA: 3,
+    WL_IDLE_STATUS: 0,
+    WL_NO_SSID_AVAIL: 1,
+    WL_CONNECTED: 3,
+    WL_CONNECT_FAILED: 4,
+    WL_CONNECTION_LOST: 5,
+    WL_DISCONNECTED: 6,
+};
+
+// Stack each nested call is charged; 256 calls overflow the 8 KB loopTask stack
+const STACK_FRAME_BYTES = 32;
+const LOOP_TASK_STACK = 8192;
+
+// Rough cost of one statement at 240 MHz (1 µs), and of reading the
+// timer, which also keeps millis() busy-waits finite when statements are free
+const DEFAULT_CYCLES_PER_STATEMENT = 240;
+const TIMER_READ_CYCLES = 60;
+
+// Wall-clock time between yields to the event loop, and how far real-time
+// mode may fall behind before it gives up catching up
+const YIELD_INTERVAL_MS = 16;
+const MAX_LAG_MS = 250;
+const MAX_SLEEP_SLICE_MS = 100;
+// Statements between checks whether a loop should pace or yield
+const PACE_CHECK_STATEMENTS = 64;
+
+// Interrupt source of the touch pad on a pin
+const touchSource = pin => `T${ESP32_PINS[pin].touch}`;
+
+// analogWrite() defaults, and the channel tone() plays on, as in core 2.x
+const ANALOG_WRITE_FREQUENCY = 1000;
+const ANALOG_WRITE_RESOLUTION = 8;
+const TONE_CHANNEL = 0;
+
+// delay() waits in FreeRTOS ticks of 1 ms, servicing interrupts in between
+const TICK_MICROS = 1000;
+
+// random() restarts from this seed on every Run, so runs repeat exactly
+const RANDOM_SEED = 1;
+
+// shiftOut() and shiftIn() take about this long for each edge they make
+const SHIFT_EDGE_CYCLES = 60;
+// pulseIn() checks the pin this often
+const PULSE_POLL_MICROS = 10;
+
+// <math.h> functions, as their JavaScript equivalents. Each also comes as
+// a float version with an f suffix, such as sinf().
+const MATH_FUNCTIONS = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, exp: Math.exp, log: Math.log, log10: Math.log10,
+    log2: Math.log2, sqrt: Math.sqrt, cbrt: Math.cbrt, floor: Math.floor, ceil: Math.ceil, trunc: Math.trunc,
+    fabs: Math.abs,
+    // Halfway cases round away from zero, not up
+    round: x => Math.sign(x) * Math.round(Math.abs(x)),
+    atan2: Math.atan2,
+    pow: Math.pow,
+    hypot: Math.hypot,
+    fmod: (x, y) => x % y,
+    // A NaN argument loses to a number
+    fmin: (x, y) => (Number.isNaN(x) ? y : Number.isNaN(y) ? x : Math.min(x, y)),
+    fmax: (x, y) => (Number.isNaN(x) ? y : Number.isNaN(y) ? x : Math.max(x, y)),
+};
+
+const PIN_MODES = {
+    [CONSTANTS.INPUT]: 'INPUT',
+    [CONSTANTS.OUTPUT]: 'OUTPUT',
+    [CONSTANTS.INPUT_PULLUP]: 'INPUT_PULLUP',
+    [CONSTANTS.INPUT_PULLDOWN]: 'INPUT_PULLDOWN',
+};
+
+// What each pin mode needs of a pin (see pinIssue)
+const PIN_MODE_USES = {
+    [CONSTANTS.INPUT]: 'input',
+    [CONSTANTS.OUTPUT]: 'output',
+    [CONSTANTS.INPUT_PULLUP]: 'pullup',
+    [CONSTANTS.INPUT_PULLDOWN]: 'pulldown',
+};
+
+/**
+ * Attach the accepted argument count range and, for functions that
+ * produce a value, the C return type ('auto' = common type of the
+ * arguments) to a built-in implementation
+ */
+function arity(minArgs, maxArgs, fn, returns = null) {
+    fn.minArgs = minArgs;
+    fn.maxArgs = maxArgs;
+    fn.returns = returns;
+    return fn;
+}
+
+/**
+ * Mark a built-in that formats its arguments as text, so that 64-bit
+ * integers reach it exactly, as BigInts
+ */
+function exact(fn) {
+    fn.exact = true;
+    return fn;
+}
+
+/**
+ * Built-ins for MATH_FUNCTIONS, in double and float
+ */
+function mathBuiltins() {
+    const builtins = {};
+    for (const [name, fn] of Object.entries(MATH_FUNCTIONS)) {
+        builtins[name] = arity(fn.length, fn.length, args => fn(...args), 'double');
+        builtins[`${name}f`] = arity(fn.length, fn.length, args => Math.fround(fn(...args.map(Math.fround))), 'float');
+    }
+    return builtins;
+}
+
+/**
+ * Overwrite the CRGB a member function was called on; the CRGB
+ */
+function setColor(self, color) {
+    return Object.assign(self.base[self.key], color);
+}
+
+/**
+ * Let queued events (input, stop, debugger commands) run. A message
+ * round-trip isn't clamped to 4 ms the way nested setTimeout(0) is.
+ */
+function yieldToEventLoop() {
+    if (typeof MessageChannel === 'undefined') return new Promise(resolve => setTimeout(resolve, 0));
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => {
+            channel.port1.close();
+            resolve();
+        };
+        channel.port2.postMessage(null);
+    });
+}
+
+/**
+ * Queue item spanning several array elements, e.g. a char[16] message
+ */
+class ItemSlice {
+    constructor(values) {
+        this.values = values;
+    }
+}
+
 export class ArduinoParser {
-    constructor(pinManager, serialCallback) {
+    /**
+     * @param {PinManager} pinManager
+     * @param {Function} serialCallback receives (text, type) for serial output
+     * @param {number[]} serialRx FIFO of received bytes, filled by the Engine
+     * @param {Clock} clock virtual time, advanced by delays and statements
+     * @param {Scheduler} scheduler runs FreeRTOS tasks, each its own interpreter context
+     */
+    constructor(pinManager, serialCallback, serialRx = [], clock = new Clock(), scheduler = new Scheduler(clock)) {
         this.pinManager = pinManager;
         this.serialCallback = serialCallback;
+        this.serialRx = serialRx;
+        this.clock = clock;
+        this.scheduler = scheduler;
+        // CPU cycles charged per executed statement; 0 makes code free
+        this.cyclesPerStatement = DEFAULT_CYCLES_PER_STATEMENT;
+        // Statements executed since parse(), for the benchmarks
+        this.statementCount = 0;
+        this.paceCheckAt = 0;
+        // Stream::setTimeout(), used by the blocking read functions
+        this.serialTimeout = 1000;
         this.variables = {};
         this.functions = {};
+        this.overloads = {};
+        this.globalScope = { vars: this.variables, parent: null };
+        this.globalCode = [];
         this.setupCode = [];
         this.loopCode = [];
+        // setup() and loop(), which only the core calls
+        this.entryPoints = {};
+        // Declared types of globals, for the debugger's watch panel
+        this.globalTypes = new Map();
         this.running = false;
-        this.startTime = 0;
-        this.speed = 1;
+        this.lastYield = 0;
+        // Interrupt source -> { func, mode, args, loc }. Sources are GPIO
+        // numbers (attachInterrupt), HardwareTimers, Tickers and touch pads
+        // ('T0'-'T9').
+        this.interrupts = new Map();
+        // Sources that have triggered but not yet been serviced
+        this.pendingInterrupts = new Set();
+        this.interruptsEnabled = true;
+        // portENTER_CRITICAL() nesting depth
+        this.criticalNesting = 0;
+        this.inInterrupt = false;
+        this.timers = new Array(TIMER_COUNT).fill(null);
+        this.ledc = new Ledc(pinManager);
+        this.i2c = new I2cBus(pinManager.netlist);
+        this.wire = new TwoWire(this.i2c, us => this.wait(us));
+        // Wire is passed to libraries as &Wire. The rest only evaluate to true,
+        // as `while (!Serial)` needs of HardwareSerial's operator bool().
+        this.coreObjects = { Serial: 1, Serial1: 1, Serial2: 1, Wire: this.wire, WiFi: 1, FastLED: 1 };
+        this.pixels = new PixelChain(pinManager.netlist);
+        this.fastLed = new FastLed(this.pixels, clock, { wait: us => this.wait(us), delay: ms => this.taskDelay(ms) });
+        pinManager.onEdge((pin, rising) => this.onPinEdge(pin, rising));
+        pinManager.onTouch((pin, reading, previous) => this.onTouch(pin, reading, previous));
+        // Call stack of code running outside any task: global initialisers,
+        // and interrupts serviced while every task is blocked
+        this.mainContext = { name: 'loopTask', stackDepth: LOOP_TASK_STACK, callDepth: 0, maxCallDepth: 0, frames: [], node: null, scope: null };
+        // Context that ran the latest statement, for pausing while all tasks wait
+        this.lastContext = this.mainContext;
+        this.debugger = new Debugger();
+        // Storage of function-local statics, keyed by their declarator
+        this.statics = new Map();
+        // Runtime warnings already printed this run
+        this.warned = new Set();
+        // WiFi.mode() bits; ADC2 is unusable while the radio is on
+        this.wifiMode = CONSTANTS.WIFI_OFF;
+        this.wifiStatus = CONSTANTS.WL_IDLE_STATUS;
+        // Touch interrupts fire as a reading falls below the threshold,
+        // or rises above it after touchInterruptSetThresholdDirection(false)
+        this.touchBelow = true;
+        this.builtins = this.createBuiltins();
     }
 
     /**
-     * Parse Arduino code into setup and loop blocks
+     * Parse Arduino code into global declarations, setup, loop and user functions
      */
     parse(code) {
         this.variables = {};
         this.functions = {};
+        this.globalScope = { vars: this.variables, parent: null };
+        this.globalCode = [];
         this.setupCode = [];
         this.loopCode = [];
-
-        // Remove comments
-        code = code.replace(/\/\/.*$/gm, '');
-        code = code.replace(/\/\*[\s\S]*?\*\//g, '');
-
-        // Extract global variables
-        this.extractGlobals(code);
-
-        // Extract setup()
-        const setupMatch = code.match(/void\s+setup\s*\(\s*\)\s*\{/);
-        if (setupMatch) {
-            const setupBody = this.extractBlock(code, setupMatch.index + setupMatch[0].length - 1);
-            this.setupCode = this.tokenize(setupBody);
-        }
-
-        // Extract loop()
-        const loopMatch = code.match(/void\s+loop\s*\(\s*\)\s*\{/);
-        if (loopMatch) {
-            const loopBody = this.extractBlock(code, loopMatch.index + loopMatch[0].length - 1);
-            this.loopCode = this.tokenize(loopBody);
-        }
-
-        // Extract custom functions
-        const funcRegex = /(?:void|int|float|double|bool|String|long|unsigned)\s+(\w+)\s*\(([^)]*)\)\s*\{/g;
-        let funcMatch;
-        while ((funcMatch = funcRegex.exec(code)) !== null) {
-            const name = funcMatch[1];
-            if (name !== 'setup' && name !== 'loop') {
-                const body = this.extractBlock(code, funcMatch.index + funcMatch[0].length - 1);
-                this.functions[name] = {
-                    params: funcMatch[2].split(',').map(p => p.trim().split(/\s+/).pop()).filter(Boolean),
-                    body: this.tokenize(body),
-                };
+        this.entryPoints = {};
+        this.globalTypes = new Map();
+        Object.assign(this.mainContext, { callDepth: 0, maxCallDepth: 0, frames: [], node: null, scope: null });
+        this.lastContext = this.mainContext;
+        this.debugger.reset();
+        this.scheduler.reset();
+        this.interrupts.clear();
+        this.pendingInterrupts.clear();
+        this.interruptsEnabled = true;
+        this.criticalNesting = 0;
+        this.inInterrupt = false;
+        this.timers.fill(null);
+        this.resetLedc();
+        this.wire.reset();
+        this.fastLed.reset();
+        this.statics = new Map();
+        this.serialTimeout = 1000;
+        this.statementCount = 0;
+        this.paceCheckAt = 0;
+        this.warned.clear();
+        this.wifiMode = CONSTANTS.WIFI_OFF;
+        this.wifiStatus = CONSTANTS.WL_IDLE_STATUS;
+        this.touchBelow = true;
+        this.random = seededRandom(RANDOM_SEED);
+
+        const parser = new Parser(code);
+        const program = parser.parseProgram();
+        if (parser.errors.length) throw parser.errors[0];
+        // Annotates the AST with C types; the diagnostics themselves are the job of diagnose()
+        new Analyzer({ builtins: this.builtins, constants: CONSTANTS, objects: CORE_OBJECT_TYPES, types: FASTLED_TYPES }).analyze(program);
+
+        for (const node of program.body) {
+            if (node.type !== 'FunctionDecl') {
+                if (node.type === 'VarDecl') {
+                    for (const decl of node.declarations) this.globalTypes.set(decl.name, decl.ctype);
+                }
+                this.globalCode.push(node);
+                continue;
+            }
+            // Prototypes carry no body
+            if (!node.body) continue;
+
+            const params = node.params.filter(p => p.name);
+            const func = {
+                name: node.name,
+                params: params.map(p => p.name),
+                paramTypes: params.map(p => p.ctype),
+                // Reference parameters ("int &x") alias the caller's variable
+                paramRefs: params.map(p => p.varType.reference),
+                returnType: node.ctype,
+                body: node.body.body,
+                // Types of parameters and locals, for the debugger's watch panel
+                localTypes: this.localTypes(params, node.body),
+                node,
+            };
+            if (node.name === 'setup') {
+                this.setupCode = func.body;
+                this.entryPoints.setup = func;
+            } else if (node.name === 'loop') {
+                this.loopCode = func.body;
+                this.entryPoints.loop = func;
+            } else {
+                // The bare name means the first definition; a call picks its overload by signature
+                if (!(node.name in this.functions)) this.functions[node.name] = func;
+                this.overloads[node.signature] = func;
             }
         }
+
+        // Compiled once, after every function is known, so calls bind directly
+        const compiler = new Compiler(this, { constants: CONSTANTS, globals: this.globalCode, objects: this.coreObjects });
+        for (const func of [...Object.values(this.overloads), ...Object.values(this.entryPoints)]) {
+            func.run = compiler.function(func);
+        }
+        this.globalInit = compiler.statements(this.globalCode);
+        return program;
     }
 
     /**
-     * Extract global variable declarations
+     * Run the initializers of global variables
      */
-    extractGlobals(code) {
-        // Match: int/float/bool/const/String varName = value;
-        const lines = code.split('\n');
-        for (const line of lines) {
-            const trimmed = line.trim();
-            // Skip function definitions
-            if (trimmed.match(/^(void|int|float|double|bool|String)\s+\w+\s*\(/)) continue;
-            if (trimmed.startsWith('#')) {
-                // Handle #define
-                const defineMatch = trimmed.match(/#define\s+(\w+)\s+(.+)/);
-                if (defineMatch) {
-                    this.variables[defineMatch[1]] = this.parseValue(defineMatch[2].trim());
-                }
-                continue;
-            }
-            // Variable declarations
-            const varMatch = trimmed.match(/^(?:const\s+)?(?:int|float|double|bool|long|unsigned\s+long|byte|char|String)\s+(\w+)\s*(?:=\s*(.+))?;/);
-            if (varMatch) {
-                this.variables[varMatch[1]] = varMatch[2] ? this.parseValue(varMatch[2].trim()) : 0;
-            }
-        }
+    async runGlobals() {
+        await this.globalInit(this.globalScope);
     }
 
     /**
-     * Extract a brace-delimited block
+     * Map of the names declared in a function to their types. A name
+     * declared twice with different types keeps the last.
      */
-    extractBlock(code, startIdx) {
-        let depth = 0;
-        let start = -1;
-        for (let i = startIdx; i < code.length; i++) {
-            if (code[i] === '{') {
-                if (depth === 0) start = i + 1;
-                depth++;
-            } else if (code[i] === '}') {
-                depth--;
-                if (depth === 0) {
-                    return code.substring(start, i).trim();
-                }
+    localTypes(params, body) {
+        const types = new Map(params.map(p => [p.name, p.ctype]));
+        forEachNode(body, (node) => {
+            if (node.type === 'VarDecl') {
+                for (const decl of node.declarations) types.set(decl.name, decl.ctype);
             }
-        }
-        return '';
+        });
+        return types;
     }
 
     /**
-     * Tokenize code block into statements
+     * Run setup() or loop() as the ESP32 core's loopTask does
      */
-    tokenize(code) {
-        const statements = [];
-        const lines = code.split('\n');
+    async runEntryPoint(name) {
+        const func = this.entryPoints[name];
+        if (func) await this.enter(func, { vars: {}, parent: this.globalScope }, func.node.loc);
+    }
 
-        for (let i = 0; i < lines.length; i++) {
-            let line = lines[i].trim();
-            if (!line || line === '{' || line === '}') continue;
+    /**
+     * Check code without running it. Returns a list of
+     * { severity: 'error' | 'warning', message, loc } diagnostics.
+     */
+    diagnose(code) {
+        let parser;
+        try {
+            parser = new Parser(code);
+        } catch (err) {
+            if (err instanceof ParseError) return [{ severity: 'error', message: err.message, loc: err.loc }];
+            throw err;
+        }
 
-            // Handle multi-line statements (if/for/while blocks)
-            if (line.match(/^(if|else if|else|for|while)\b/)) {
-                // Find the block
-                let block = line;
-                if (!line.includes('{')) {
-                    // Single-line if/for/while
-                    if (i + 1 < lines.length) {
-                        block += '\n' + lines[++i].trim();
-                    }
-                } else {
-                    let braceCount = (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length;
-                    while (braceCount > 0 && i + 1 < lines.length) {
-                        i++;
-                        block += '\n' + lines[i].trim();
-                        braceCount += (lines[i].match(/\{/g) || []).length;
-                        braceCount -= (lines[i].match(/\}/g) || []).length;
-                    }
-                }
-                statements.push(block);
-            } else {
-                // Remove trailing semicolons for processing
-                if (line.endsWith(';')) line = line.slice(0, -1).trim();
-                if (line) statements.push(line);
-            }
+        const program = parser.parseProgram();
+        if (parser.errors.length) {
+            // Semantic checks on a partial AST only produce follow-on noise
+            return parser.errors.map(err => ({ severity: 'error', message: err.message, loc: err.loc }));
         }
-        return statements;
+
+        return new Analyzer({ builtins: this.builtins, constants: CONSTANTS, objects: CORE_OBJECT_TYPES, types: FASTLED_TYPES }).analyze(program);
     }
 
     /**
-     * Execute a list of statements. Returns a Promise.
+     * Run a compiled statement, first doing what happens between any two
+     * statements: servicing interrupts, charging its time, preemption and
+     * the debugger. Returns its control-flow signal, or a Promise of it
+     * when any of that had to wait.
      */
-    async execute(statements, localVars = {}) {
-        for (let i = 0; i < statements.length; i++) {
-            if (!this.running) return;
-            const stmt = statements[i];
-            await this.executeStatement(stmt, localVars);
+    executeStatement(node, scope, run) {
+        if (!this.running) return undefined;
+        // Interrupts preempt the running code between statements
+        if (this.pendingInterrupts.size) return this.checkInterrupts().then(() => this.startStatement(node, scope, run));
+        return this.startStatement(node, scope, run);
+    }
+
+    startStatement(node, scope, run) {
+        this.statementCount++;
+        this.clock.advanceCycles(this.cyclesPerStatement);
+        // ... and so does a higher-priority task, or the next in line at the tick
+        const scheduler = this.scheduler;
+        if ((scheduler.switchPending || this.clock.micros >= scheduler.nextTick) && !this.inInterrupt) {
+            return this.preemptionPoint().then(() => this.runStatement(node, scope, run));
+        }
+        return this.runStatement(node, scope, run);
+    }
+
+    runStatement(node, scope, run) {
+        const context = this.context;
+        context.node = node;
+        context.scope = scope;
+        this.lastContext = context;
+        if (this.debugger.enabled && node.type !== 'Block') {
+            // Stopped while paused
+            return this.debugger.statement(node, scope, context).then(() => (this.running ? run(scope) : undefined));
         }
+        return run(scope);
     }
 
     /**
-     * Execute a single statement
+     * Value of a name no enclosing scope declares: a global, a function
+     * (e.g. for attachInterrupt()) or a constant
      */
-    async executeStatement(stmt, localVars = {}) {
-        if (!this.running) return;
+    globalValue(node) {
+        const name = node.name;
+        if (name in this.variables) return this.variables[name];
+        if (name in this.functions) return this.functions[name];
+        if (name in CONSTANTS) return CONSTANTS[name];
+        throw new RuntimeError(`'${name}' was not declared in this scope`, node.loc);
+    }
 
-        // --- delay ---
-        const delayMatch = stmt.match(/^delay\s*\(\s*(.+)\s*\)/);
-        if (delayMatch) {
-            const ms = this.evaluateExpr(delayMatch[1], localVars);
-            await this.sleep(ms / this.speed);
-            return;
-        }
+    /**
+     * Convert a value for storage in a variable of type `to`. A String
+     * needs the source type too: 'A' becomes "A" but 65 becomes "65".
+     */
+    coerce(value, from, to) {
+        if (to && to.name === 'String') return this.formatPrint(value, from);
+        return convert(value, to);
+    }
 
-        // --- delayMicroseconds ---
-        const delayUsMatch = stmt.match(/^delayMicroseconds\s*\(\s*(.+)\s*\)/);
-        if (delayUsMatch) {
-            const us = this.evaluateExpr(delayUsMatch[1], localVars);
-            await this.sleep(Math.max(1, us / 1000 / this.speed));
-            return;
+    /**
+     * Flatten a callee such as "delay" or "Serial.print" to its name
+     */
+    calleeName(callee) {
+        if (callee.type === 'Identifier') return callee.qualifier ? `${callee.qualifier}::${callee.name}` : callee.name;
+        if (callee.type === 'Member' && callee.object.type === 'Identifier') {
+            return `${callee.object.name}.${callee.property}`;
         }
+        return null;
+    }
 
-        // --- Serial.begin ---
-        if (stmt.match(/^Serial\.begin\s*\(/)) {
-            this.serialCallback('[System] Serial initialized', 'system');
-            return;
+    /**
+     * Call a user-defined function with already evaluated arguments, as
+     * callbacks are
+     */
+    async callback(func, values, loc) {
+        const fnScope = { vars: {}, parent: this.globalScope };
+        func.params.forEach((name, i) => {
+            fnScope.vars[name] = convert(values[i] ?? 0, func.paramTypes[i]);
+        });
+        return this.enter(func, fnScope, loc);
+    }
+
+    /**
+     * Run a function body in its prepared scope and produce its return value
+     */
+    async enter(func, fnScope, loc) {
+        // The stack grows on the running task, even when other tasks run in between
+        const context = this.context;
+        if (context.callDepth >= this.maxCallDepth(context)) {
+            throw new RuntimeError(`***ERROR*** A stack overflow in task ${context.name} has been detected.`, loc);
+        }
+        context.callDepth++;
+        context.maxCallDepth = Math.max(context.maxCallDepth, context.callDepth);
+        context.frames.push({ func, scope: fnScope });
+        let signal;
+        try {
+            signal = await func.run(fnScope);
+        } finally {
+            context.callDepth--;
+            context.frames.pop();
+        }
+        if (signal && signal.type === 'return' && signal.value !== undefined) {
+            return this.coerce(signal.value, signal.ctype, func.returnType);
         }
+        return defaultValue(func.returnType);
+    }
 
-        // --- Serial.print / println ---
-        const printMatch = stmt.match(/^Serial\.(print|println)\s*\(\s*(.*)\s*\)/);
-        if (printMatch) {
-            const isPrintln = printMatch[1] === 'println';
-            const arg = printMatch[2].trim();
-            let output = '';
+    /**
+     * Task whose stack the running code is on
+     */
+    get context() {
+        return this.scheduler.current || this.mainContext;
+    }
 
-            if (arg === '') {
-                output = '';
-            } else if (arg.startsWith('"') && arg.endsWith('"')) {
-                output = arg.slice(1, -1);
-            } else if (arg.startsWith("'") && arg.endsWith("'")) {
-                output = arg.slice(1, -1);
-            } else {
-                // Could be a variable or expression
-                const val = this.evaluateExpr(arg, localVars);
-                output = String(val);
-            }
+    /**
+     * How deep calls may nest before a task's stack overflows
+     */
+    maxCallDepth(context) {
+        return Math.max(1, Math.floor(context.stackDepth / STACK_FRAME_BYTES));
+    }
 
-            // Handle escape sequences
-            output = output.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
-            this.serialCallback(output + (isPrintln ? '' : ''), isPrintln ? 'println' : 'print');
-            return;
-        }
+    resetLedc() {
+        this.ledc.reset();
+        // Pins attached with core 3.x's ledcAttach() -> their channel
+        this.ledcPins = new Map();
+        // Pins analogWrite() has given a channel -> that channel
+        this.analogChannels = new Map();
+        this.analogWriteFrequency = ANALOG_WRITE_FREQUENCY;
+        this.analogWriteResolution = ANALOG_WRITE_RESOLUTION;
+        this.toneAlarm = null;
+    }
 
-        // --- Serial.printf ---
-        const printfMatch = stmt.match(/^Serial\.printf\s*\(\s*"(.+?)"\s*(?:,\s*(.*))?\s*\)/);
-        if (printfMatch) {
-            let fmt = printfMatch[1];
-            const args = printfMatch[2] ? this.splitArgs(printfMatch[2]).map(a => this.evaluateExpr(a, localVars)) : [];
-            let argIdx = 0;
-            fmt = fmt.replace(/%(?:\.(\d+))?([dfsuclx%])/g, (match, precision, type) => {
-                if (type === '%') return '%';
-                const val = args[argIdx++];
-                if (type === 'f' && precision !== undefined) {
-                    return Number(val).toFixed(parseInt(precision));
-                }
-                if (type === 'd' || type === 'u') return Math.floor(Number(val));
-                return String(val);
-            });
-            fmt = fmt.replace(/\\n/g, '\n').replace(/\\t/g, '\t').replace(/°/g, '°');
-            this.serialCallback(fmt, 'printf');
-            return;
-        }
+    /**
+     * Channel an ledc*() call means: core 3.x calls name a pin attached
+     * with ledcAttach(), core 2.x calls the channel itself. -1 if neither.
+     */
+    ledcChannel(target, node) {
+        if (this.ledcPins.has(target)) return this.ledcPins.get(target);
+        return this.validLedcChannel(target, node) ? target : -1;
+    }
 
-        // --- pinMode ---
-        const pinModeMatch = stmt.match(/^pinMode\s*\(\s*(.+?)\s*,\s*(.+?)\s*\)/);
-        if (pinModeMatch) {
-            const pin = this.evaluateExpr(pinModeMatch[1], localVars);
-            const mode = pinModeMatch[2].trim();
-            this.pinManager.pinMode(pin, mode);
-            return;
-        }
+    validLedcChannel(channel, node) {
+        if (channel >= 0 && channel < LEDC_CHANNELS) return true;
+        this.warnOnce(`ledc:${channel}`, `${this.calleeName(node.callee)}(${channel}): there is no LEDC channel ${channel}; the ESP32 has 0–${LEDC_CHANNELS - 1}`, node);
+        return false;
+    }
 
-        // --- digitalWrite ---
-        const dwMatch = stmt.match(/^digitalWrite\s*\(\s*(.+?)\s*,\s*(.+?)\s*\)/);
-        if (dwMatch) {
-            const pin = this.evaluateExpr(dwMatch[1], localVars);
-            const raw = dwMatch[2].trim();
-            const value = raw === 'HIGH' ? 1 : raw === 'LOW' ? 0 : this.evaluateExpr(raw, localVars);
-            this.pinManager.digitalWrite(pin, value);
-            return;
+    /**
+     * Set up a channel's timer, warning when that can't be done or when it
+     * retunes the other channel on the same timer. Returns the frequency.
+     */
+    ledcSetup(channel, frequency, resolution, node) {
+        const call = `${this.calleeName(node.callee)}()`;
+        const partner = this.ledc.partner(channel);
+        const before = partner && partner.timer.frequency;
+        const actual = this.ledc.setup(channel, frequency, resolution);
+        if (!actual) {
+            this.warnOnce(`ledc-setup:${channel}:${frequency}:${resolution}`,
+                `${call}: ${frequency} Hz at ${resolution} bits can't be achieved; lower the frequency or the resolution (at most 20 bits)`, node);
+        } else if (partner && partner.pins.size && before !== actual) {
+            this.warnOnce(`ledc-partner:${channel}:${actual}`,
+                `${call}: channel ${partner.num} shares this channel's timer, so it now runs at ${actual} Hz too`, node);
         }
+        return actual;
+    }
 
-        // --- analogWrite ---
-        const awMatch = stmt.match(/^analogWrite\s*\(\s*(.+?)\s*,\s*(.+?)\s*\)/);
-        if (awMatch) {
-            const pin = this.evaluateExpr(awMatch[1], localVars);
-            const value = this.evaluateExpr(awMatch[2], localVars);
-            this.pinManager.analogWrite(pin, value);
-            return;
-        }
+    /**
+     * ledcAttach() and ledcAttachChannel(): set up the channel and route the pin
+     */
+    ledcAttachChannel(pin, frequency, resolution, channel, node) {
+        if (!this.checkPin(pin, 'output', node) || !this.ledcSetup(channel, frequency, resolution, node)) return 0;
+        this.ledc.attachPin(pin, channel);
+        this.ledcPins.set(pin, channel);
+        return 1;
+    }
 
-        // --- ledcWrite (ESP32 specific) ---
-        const ledcMatch = stmt.match(/^ledcWrite\s*\(\s*(.+?)\s*,\s*(.+?)\s*\)/);
-        if (ledcMatch) {
-            const channel = this.evaluateExpr(ledcMatch[1], localVars);
-            const duty = this.evaluateExpr(ledcMatch[2], localVars);
-            // Map channel to pin (simplified)
-            this.pinManager.analogWrite(channel, duty);
-            return;
-        }
+    /**
+     * Stop tone() on a pin, whether by noTone() or once its duration is up
+     */
+    noTone(pin) {
+        if (this.toneAlarm) this.clock.cancelAlarm(this.toneAlarm);
+        this.toneAlarm = null;
+        this.ledc.detachPin(pin);
+        this.ledc.writeTone(TONE_CHANNEL, 0);
+    }
 
-        // --- tone ---
-        const toneMatch = stmt.match(/^tone\s*\(\s*(.+?)\s*,\s*(.+?)(?:\s*,\s*(.+?))?\s*\)/);
-        if (toneMatch) {
-            const pin = this.evaluateExpr(toneMatch[1], localVars);
-            const freq = this.evaluateExpr(toneMatch[2], localVars);
-            this.pinManager.analogWrite(pin, 128); // Simulate with PWM
-            return;
-        }
+    /**
+     * Warn once per run about a pin a call can't use that way
+     */
+    checkPin(pin, use, node) {
+        const issue = pinIssue(pin, use);
+        // Constructors such as DHT's get the declaration, not a call
+        const call = node.callee ? this.calleeName(node.callee) : node.ctype.name;
+        if (issue) this.warnOnce(`${use}:${pin}`, `${call}(${pin}): ${issue}`, node);
+        return !issue;
+    }
 
-        // --- noTone ---
-        const noToneMatch = stmt.match(/^noTone\s*\(\s*(.+?)\s*\)/);
-        if (noToneMatch) {
-            const pin = this.evaluateExpr(noToneMatch[1], localVars);
-            this.pinManager.analogWrite(pin, 0);
-            return;
-        }
+    /**
+     * Can an analog read of the pin go ahead? When WiFi holds ADC2 the
+     * driver refuses it and the core returns 0.
+     */
+    adcReadable(pin, node) {
+        if (!this.checkPin(pin, 'adc', node)) return false;
+        const issue = this.wifiMode !== CONSTANTS.WIFI_OFF && wifiAdcIssue(pin);
+        if (issue) this.warnOnce(`wifi:${pin}`, `${this.calleeName(node.callee)}(${pin}): ${issue}`, node);
+        return !issue;
+    }
 
-        // --- Variable assignment ---
-        const assignMatch = stmt.match(/^(?:(?:int|float|double|bool|long|unsigned\s+long|byte|char|String)\s+)?(\w+)\s*([\+\-\*\/]?=)\s*(.+)/);
-        if (assignMatch) {
-            const name = assignMatch[1];
-            const op = assignMatch[2];
-            const expr = assignMatch[3].trim();
-            const value = this.evaluateExpr(expr, localVars);
-
-            const target = (name in localVars) ? localVars : this.variables;
-            switch (op) {
-                case '=': target[name] = value; break;
-                case '+=': target[name] = (target[name] || 0) + value; break;
-                case '-=': target[name] = (target[name] || 0) - value; break;
-                case '*=': target[name] = (target[name] || 0) * value; break;
-                case '/=': target[name] = (target[name] || 0) / value; break;
-            }
-            return;
+    warnOnce(key, message, node) {
+        if (this.warned.has(key)) return;
+        this.warned.add(key);
+        this.serialCallback(`[Warning] Line ${node.loc.line}:${node.loc.column}: ${message}`, 'warning');
+    }
+
+    /**
+     * PinManager edge callback: flag the pin's interrupt if its mode matches
+     */
+    onPinEdge(pin, rising) {
+        const handler = this.interrupts.get(Number(pin));
+        if (handler && this.triggers(handler.mode, rising)) this.pendingInterrupts.add(Number(pin));
+    }
+
+    /**
+     * PinManager touch callback: flag the pad's interrupt as the reading
+     * crosses its threshold
+     */
+    onTouch(pin, reading, previous) {
+        const handler = this.interrupts.get(touchSource(pin));
+        if (handler && this.touchActive(reading, handler.threshold) && !this.touchActive(previous, handler.threshold)) {
+            this.pendingInterrupts.add(touchSource(pin));
         }
+    }
 
-        // --- Increment/decrement ---
-        const incMatch = stmt.match(/^(\w+)\s*(\+\+|--)$/);
-        if (incMatch) {
-            const name = incMatch[1];
-            const target = (name in localVars) ? localVars : this.variables;
-            if (incMatch[2] === '++') target[name] = (target[name] || 0) + 1;
-            else target[name] = (target[name] || 0) - 1;
-            return;
+    touchActive(reading, threshold) {
+        return this.touchBelow ? reading < threshold : reading > threshold;
+    }
+
+    /**
+     * Flag a timer's or ticker's interrupt, if it has a handler
+     */
+    raiseInterrupt(source) {
+        if (this.interrupts.has(source)) this.pendingInterrupts.add(source);
+    }
+
+    /**
+     * Install the handler for an interrupt source; func must be a function name
+     */
+    setInterruptHandler(source, func, node, argIndex, handler = {}) {
+        if (!func || this.functions[func.name] !== func) {
+            throw new RuntimeError(`${this.calleeName(node.callee)}() expects the name of a function`, node.args[argIndex].loc);
         }
+        this.interrupts.set(source, { func, loc: node.loc, ...handler });
+        this.pendingInterrupts.delete(source);
+    }
 
-        // --- if / else if / else ---
-        if (stmt.startsWith('if') || stmt.startsWith('else if') || stmt.startsWith('else')) {
-            await this.executeIfElse(stmt, localVars);
-            return;
+    removeInterruptHandler(source) {
+        this.interrupts.delete(source);
+        this.pendingInterrupts.delete(source);
+    }
+
+    /**
+     * Check a hw_timer_t* argument; NULL crashes like it does on the chip
+     */
+    timerArg(timer, node) {
+        if (timer instanceof HardwareTimer) return timer;
+        throw new RuntimeError("Guru Meditation Error: Core 1 panic'ed (LoadProhibited). Exception was unhandled.", node.loc);
+    }
+
+    /**
+     * Ticker::attach() and friends: run func once or every periodMicros
+     */
+    startTicker(self, periodMicros, func, arg, repeat, node) {
+        const ticker = self.base[self.key];
+        this.setInterruptHandler(ticker, func, node, 1, { args: arg === undefined ? [] : [arg] });
+        ticker.attach(periodMicros, repeat);
+    }
+
+    triggers(mode, level) {
+        switch (mode) {
+            case CONSTANTS.RISING:
+            case CONSTANTS.ONHIGH: return level;
+            case CONSTANTS.FALLING:
+            case CONSTANTS.ONLOW: return !level;
+            case CONSTANTS.CHANGE: return true;
+            default: return false;
         }
+    }
 
-        // --- for loop ---
-        const forMatch = stmt.match(/^for\s*\(\s*(.+?)\s*;\s*(.+?)\s*;\s*(.+?)\s*\)\s*\{([\s\S]*)\}/);
-        if (forMatch) {
-            await this.executeStatement(forMatch[1].replace(/;$/, ''), localVars);
-            while (this.running && this.evaluateCondition(forMatch[2], localVars)) {
-                const body = this.tokenize(forMatch[4]);
-                await this.execute(body, localVars);
-                await this.executeStatement(forMatch[3], localVars);
-                await this.sleep(1); // Prevent freezing
+    /**
+     * Run pending interrupt handlers, unless interrupts are disabled or one
+     * is already running (ISRs don't nest)
+     */
+    async checkInterrupts() {
+        if (!this.pendingInterrupts.size || !this.interruptsEnabled || this.criticalNesting || this.inInterrupt) return;
+        this.inInterrupt = true;
+        try {
+            for (const source of [...this.pendingInterrupts]) {
+                this.pendingInterrupts.delete(source);
+                const handler = this.interrupts.get(source);
+                if (!handler) continue;
+                await this.callback(handler.func, handler.args || [], handler.loc);
+                // Level-triggered interrupts keep firing while the level holds
+                if (handler.mode === CONSTANTS.ONHIGH || handler.mode === CONSTANTS.ONLOW) {
+                    if (this.triggers(handler.mode, this.pinManager.pins[source].value === 1)) this.pendingInterrupts.add(source);
+                }
             }
-            return;
+        } finally {
+            this.inInterrupt = false;
         }
+    }
 
-        // --- while loop ---
-        const whileMatch = stmt.match(/^while\s*\(\s*(.+?)\s*\)\s*\{([\s\S]*)\}/);
-        if (whileMatch) {
-            let iterations = 0;
-            while (this.running && this.evaluateCondition(whileMatch[1], localVars)) {
-                const body = this.tokenize(whileMatch[2]);
-                await this.execute(body, localVars);
-                iterations++;
-                if (iterations % 100 === 0) await this.sleep(1);
+    /**
+     * Let virtual time pass, as delay() does: a tick at a time, so that
+     * interrupts raised in the meantime are serviced on time
+     */
+    async wait(micros) {
+        const end = this.clock.micros + micros;
+        while (this.running && this.clock.micros < end) {
+            // Stop at each timer alarm so its interrupt runs on time
+            this.clock.advance(Math.min(TICK_MICROS, end - this.clock.micros, this.clock.untilNextAlarm()));
+            await this.pace();
+            await this.checkInterrupts();
+            if (!this.inInterrupt) await this.preemptionPoint();
+            await this.debugger.checkPause(this.context);
+        }
+    }
+
+    /**
+     * pulseIn(): wait for the pin to go to state and back, and return how
+     * long it stayed, in µs. A pulse already under way doesn't count.
+     */
+    async pulseIn(pin, state, timeout, node) {
+        this.checkPin(pin, 'input', node);
+        const level = state ? 1 : 0;
+        const end = this.clock.micros + timeout;
+        const waitFor = async (value) => {
+            while (this.pinManager.digitalRead(pin) !== value) {
+                if (!this.running || this.clock.micros >= end) return false;
+                await this.wait(PULSE_POLL_MICROS);
             }
-            return;
+            return true;
+        };
+        if (!await waitFor(1 - level) || !await waitFor(level)) return 0;
+        const start = this.clock.micros;
+        if (!await waitFor(1 - level)) return 0;
+        return Math.round(this.clock.micros - start);
+    }
+
+    /**
+     * Let time pass while every task is blocked, up to untilWake microseconds
+     */
+    async idle(untilWake) {
+        this.clock.advance(Math.min(TICK_MICROS, untilWake, this.clock.untilNextAlarm()));
+        await this.pace();
+        await this.checkInterrupts();
+        await this.debugger.checkPause(this.lastContext);
+    }
+
+    /**
+     * Give the scheduler the chance to switch tasks
+     */
+    async preemptionPoint() {
+        // Masking interrupts also stops the tick, and with it preemption
+        if (this.criticalNesting || !this.interruptsEnabled) return;
+        await this.scheduler.preempt();
+    }
+
+    /**
+     * delay() and vTaskDelay(): a task blocks and lets others run; code
+     * outside the scheduler busy-waits
+     */
+    async taskDelay(ms) {
+        if (this.scheduler.current && !this.inInterrupt) {
+            await this.scheduler.delay(Math.floor(ms));
+        } else {
+            await this.wait(ms * 1000);
         }
+    }
 
-        // --- Function call ---
-        const funcCallMatch = stmt.match(/^(\w+)\s*\(\s*(.*?)\s*\)/);
-        if (funcCallMatch && this.functions[funcCallMatch[1]]) {
-            const func = this.functions[funcCallMatch[1]];
-            const args = funcCallMatch[2] ? this.splitArgs(funcCallMatch[2]) : [];
-            const funcLocals = {};
-            func.params.forEach((p, i) => {
-                funcLocals[p] = args[i] ? this.evaluateExpr(args[i], localVars) : 0;
-            });
-            await this.execute(func.body, { ...localVars, ...funcLocals });
-            return;
+    /**
+     * Block the running task on a wait list until ready() holds or `ticks`
+     * pass. Returns whether ready() holds. Code outside a task, such as an
+     * ISR, can't block.
+     */
+    async blockOn(waitList, ticks, ready) {
+        const scheduler = this.scheduler;
+        const deadline = this.deadline(ticks);
+        while (!ready()) {
+            if (!this.running || !scheduler.current || this.inInterrupt || this.clock.micros >= deadline) return false;
+            await scheduler.block(deadline, waitList);
         }
+        return true;
     }
 
     /**
-     * Execute if/else if/else chain
+     * Virtual time at which a wait of `ticks` times out
      */
-    async executeIfElse(stmt, localVars) {
-        const lines = stmt.split('\n');
-        let fullStmt = stmt;
+    deadline(ticks) {
+        return ticks >= MAX_DELAY ? Infinity : this.clock.micros + ticks * TICK_MICROS;
+    }
 
-        // Parse if condition
-        const ifMatch = fullStmt.match(/^(?:else\s+)?if\s*\(\s*(.+?)\s*\)\s*\{([\s\S]*?)\}([\s\S]*)/);
-        if (ifMatch) {
-            const condition = ifMatch[1];
-            const body = ifMatch[2];
-            const rest = ifMatch[3].trim();
+    /**
+     * Wake the first task on a wait list, flagging *woken (the FromISR
+     * functions' pxHigherPriorityTaskWoken) if it outranks the running task
+     */
+    wakeFrom(waitList, woken) {
+        if (this.scheduler.wakeOne(waitList)) this.store(woken, 1);
+    }
 
-            if (this.evaluateCondition(condition, localVars)) {
-                await this.execute(this.tokenize(body), localVars);
-            } else if (rest.startsWith('else if') || rest.startsWith('else')) {
-                await this.executeIfElse(rest, localVars);
-            }
-            return;
+    /**
+     * xTaskCreate() and xTaskCreatePinnedToCore()
+     */
+    spawnTask(func, name, stackDepth, param, priority, core, node) {
+        if (!func || this.functions[func.name] !== func) {
+            throw new RuntimeError(`${this.calleeName(node.callee)}() expects the name of a function`, node.args[0].loc);
         }
+        const task = this.scheduler.createTask({
+            // configMAX_TASK_NAME_LEN is 16, including the terminator
+            name: name ? readCString(name).slice(0, 15) : '',
+            priority: Math.max(0, Math.min(MAX_PRIORITIES - 1, priority)),
+            core: core === undefined || core === CONSTANTS.tskNO_AFFINITY ? null : core,
+            stackDepth,
+            body: async () => {
+                await this.callback(func, [param], node.loc);
+                if (this.running) throw new RuntimeError(`FreeRTOS Task "${task.name}" should not return, Aborting now!`, func.node.loc);
+            },
+        });
+        return task;
+    }
 
-        // Simple else block
-        const elseMatch = fullStmt.match(/^else\s*\{([\s\S]*)\}/);
-        if (elseMatch) {
-            await this.execute(this.tokenize(elseMatch[1]), localVars);
+    /**
+     * xTaskNotify() and friends. Returns pdFAIL if eSetValueWithoutOverwrite
+     * finds a notification still pending.
+     */
+    notifyTask(task, value, action, woken) {
+        if (action === CONSTANTS.eSetValueWithoutOverwrite && task.notifyPending) return CONSTANTS.pdFAIL;
+        switch (action) {
+            case CONSTANTS.eSetBits: task.notifyValue |= value; break;
+            case CONSTANTS.eIncrement: task.notifyValue++; break;
+            case CONSTANTS.eSetValueWithOverwrite:
+            case CONSTANTS.eSetValueWithoutOverwrite: task.notifyValue = value; break;
         }
+        task.notifyValue >>>= 0;
+        task.notifyPending = true;
+        this.wakeFrom(task.notifyWaiters, woken);
+        return CONSTANTS.pdPASS;
     }
 
     /**
-     * Evaluate a condition expression
+     * xQueueSend() and friends; position is 'back', 'front' or 'overwrite'
      */
-    evaluateCondition(expr, localVars = {}) {
-        expr = expr.trim();
+    async queueSend(queue, item, ticks, position, woken) {
+        if (position === 'overwrite') {
+            queue.items = [item];
+        } else {
+            if (!await this.blockOn(queue.senders, ticks, () => queue.spaces > 0)) return CONSTANTS.errQUEUE_FULL;
+            if (position === 'front') queue.items.unshift(item);
+            else queue.items.push(item);
+        }
+        this.wakeFrom(queue.receivers, woken);
+        return CONSTANTS.pdPASS;
+    }
 
-        // Handle && and ||
-        if (expr.includes('&&')) {
-            const parts = expr.split('&&');
-            return parts.every(p => this.evaluateCondition(p.trim(), localVars));
+    /**
+     * xQueueReceive() and xQueuePeek()
+     */
+    async queueReceive(queue, pointer, ticks, peek, woken, node) {
+        if (!await this.blockOn(queue.receivers, ticks, () => queue.items.length > 0)) return CONSTANTS.pdFALSE;
+        const item = peek ? queue.items[0] : queue.items.shift();
+        this.writeItem(pointer, item, node);
+        // A peeked item is still there for the next receiver
+        this.wakeFrom(peek ? queue.receivers : queue.senders, woken);
+        return CONSTANTS.pdTRUE;
+    }
+
+    async semaphoreTake(semaphore, ticks, recursive) {
+        const task = this.scheduler.current;
+        if (recursive && task && semaphore.owner === task) {
+            semaphore.recursion++;
+            return CONSTANTS.pdTRUE;
         }
-        if (expr.includes('||')) {
-            const parts = expr.split('||');
-            return parts.some(p => this.evaluateCondition(p.trim(), localVars));
+        if (!await this.blockOn(semaphore.waiters, ticks, () => semaphore.count > 0)) return CONSTANTS.pdFALSE;
+        semaphore.count--;
+        if (semaphore.isMutex) {
+            semaphore.owner = task;
+            semaphore.recursion = 1;
         }
+        return CONSTANTS.pdTRUE;
+    }
 
-        // Handle negation
-        if (expr.startsWith('!')) {
-            return !this.evaluateCondition(expr.slice(1).trim(), localVars);
+    /**
+     * Give a semaphore back. A mutex can only be given by its holder.
+     */
+    semaphoreGive(semaphore, recursive, woken) {
+        if (semaphore.isMutex) {
+            if (semaphore.owner !== this.scheduler.current) return CONSTANTS.pdFALSE;
+            if (recursive && --semaphore.recursion > 0) return CONSTANTS.pdTRUE;
+            semaphore.owner = null;
+            semaphore.recursion = 0;
         }
+        if (semaphore.count >= semaphore.max) return CONSTANTS.pdFALSE;
+        semaphore.count++;
+        this.wakeFrom(semaphore.waiters, woken);
+        return CONSTANTS.pdTRUE;
+    }
 
-        // Comparison operators
-        for (const op of ['>=', '<=', '!=', '==', '>', '<']) {
-            const idx = expr.indexOf(op);
-            if (idx !== -1) {
-                const left = this.evaluateExpr(expr.substring(0, idx).trim(), localVars);
-                const right = this.evaluateExpr(expr.substring(idx + op.length).trim(), localVars);
-                switch (op) {
-                    case '==': return left == right;
-                    case '!=': return left != right;
-                    case '>': return left > right;
-                    case '<': return left < right;
-                    case '>=': return left >= right;
-                    case '<=': return left <= right;
-                }
-            }
+    /**
+     * Set event bits and release the tasks waiting for them. Returns the
+     * bits as set, before waiters' clear-on-exit bits are cleared.
+     */
+    setEventBits(group, bits, woken) {
+        // 24 bits are usable with 32-bit ticks
+        group.bits = (group.bits | bits) & 0xFFFFFF;
+        const value = group.bits;
+        let clear = 0;
+        for (const task of [...group.waiters]) {
+            const wait = task.eventWait;
+            const got = group.bits & wait.bits;
+            if (wait.all ? got !== wait.bits : !got) continue;
+            task.eventResult = group.bits;
+            if (wait.clearOnExit) clear |= wait.bits;
+            if (this.scheduler.wake(task)) this.store(woken, 1);
         }
+        group.bits &= ~clear;
+        return value;
+    }
 
-        // Truthy check
-        return !!this.evaluateExpr(expr, localVars);
+    /**
+     * xEventGroupWaitBits(): returns the bits that released the wait, or
+     * the current bits on a timeout
+     */
+    async waitEventBits(group, bits, clearOnExit, all, ticks) {
+        const got = group.bits & bits;
+        if (all ? got === bits : got) {
+            const value = group.bits;
+            if (clearOnExit) group.bits &= ~bits;
+            return value;
+        }
+        const task = this.scheduler.current;
+        if (!ticks || !task || this.inInterrupt || !this.running) return group.bits;
+        task.eventWait = { bits, all, clearOnExit };
+        task.eventResult = null;
+        const timedOut = await this.scheduler.block(this.deadline(ticks), group.waiters);
+        return timedOut || task.eventResult === null ? group.bits : task.eventResult;
     }
 
     /**
-     * Evaluate an expression and return its value
+     * Check a FreeRTOS handle argument; NULL trips the kernel's assert
      */
-    evaluateExpr(expr, localVars = {}) {
-        if (typeof expr === 'number') return expr;
-        expr = String(expr).trim();
+    kernelObject(handle, kind, node) {
+        if (handle instanceof kind) return handle;
+        throw new RuntimeError(`assert failed: ${this.calleeName(node.callee)} (${kind === EventGroup ? 'xEventGroup' : 'pxQueue'})`, node.loc);
+    }
 
-        // Constants
-        if (expr === 'HIGH') return 1;
-        if (expr === 'LOW') return 0;
-        if (expr === 'true') return 1;
-        if (expr === 'false') return 0;
-        if (expr === 'INPUT') return 'INPUT';
-        if (expr === 'OUTPUT') return 'OUTPUT';
-        if (expr === 'INPUT_PULLUP') return 'INPUT_PULLUP';
+    /**
+     * A TaskHandle_t argument; NULL means the calling task
+     */
+    taskArg(handle, node) {
+        if (handle instanceof Task) return handle;
+        const task = this.scheduler.current;
+        if (handle || !task) throw new RuntimeError(`assert failed: ${this.calleeName(node.callee)} (pxTCB)`, node.loc);
+        return task;
+    }
 
-        // Numeric literal
-        if (/^-?\d+(\.\d+)?$/.test(expr)) return parseFloat(expr);
-        if (/^0x[0-9a-fA-F]+$/.test(expr)) return parseInt(expr, 16);
+    /**
+     * Store through an output pointer argument, unless it is NULL
+     */
+    store(pointer, value) {
+        if (pointer instanceof Pointer) pointer.base[pointer.index] = value;
+    }
 
-        // String literal
-        if ((expr.startsWith('"') && expr.endsWith('"')) ||
-            (expr.startsWith("'") && expr.endsWith("'"))) {
-            return expr.slice(1, -1);
+    /**
+     * Copy a queue item of itemSize bytes out of the sketch's memory. A
+     * pointer into an array covers as many elements as the item spans.
+     */
+    readItem(pointer, type, itemSize, node) {
+        let element = elementType(type);
+        let p = this.itemPointer(pointer, node);
+        // &buf for an array buf: the item starts at its first element
+        if (Array.isArray(p.base[p.index]) && element && element.kind === 'array') {
+            p = new Pointer(p.base[p.index], 0);
+            element = element.of;
         }
-
-        // millis()
-        if (expr === 'millis()') {
-            return Math.floor((Date.now() - this.startTime) * this.speed);
+        const size = element ? sizeOf(element) : 0;
+        if (p.isArray && size && itemSize > size) {
+            return new ItemSlice(p.base.slice(p.index, p.index + Math.ceil(itemSize / size)).map(cloneValue));
         }
+        return cloneValue(p.base[p.index]);
+    }
 
-        // micros()
-        if (expr === 'micros()') {
-            return Math.floor((Date.now() - this.startTime) * this.speed * 1000);
+    /**
+     * Copy a queue item into the sketch's memory
+     */
+    writeItem(pointer, item, node) {
+        let p = this.itemPointer(pointer, node);
+        if (!(item instanceof ItemSlice)) {
+            p.base[p.index] = cloneValue(item);
+            return;
         }
-
-        // digitalRead
-        const drMatch = expr.match(/^digitalRead\s*\(\s*(.+?)\s*\)/);
-        if (drMatch) {
-            const pin = this.evaluateExpr(drMatch[1], localVars);
-            return this.pinManager.digitalRead(pin);
+        if (Array.isArray(p.base[p.index])) p = new Pointer(p.base[p.index], 0);
+        if (!p.isArray || p.index + item.values.length > p.base.length) {
+            const room = p.isArray ? p.base.length - p.index : 1;
+            throw new RuntimeError(`Buffer overflow: writing ${item.values.length} elements into a buffer of ${room}`, node.loc);
         }
+        item.values.forEach((v, i) => { p.base[p.index + i] = cloneValue(v); });
+    }
 
-        // analogRead
-        const arMatch = expr.match(/^analogRead\s*\(\s*(.+?)\s*\)/);
-        if (arMatch) {
-            const pin = this.evaluateExpr(arMatch[1], localVars);
-            return this.pinManager.analogRead(pin);
-        }
+    itemPointer(pointer, node) {
+        if (Array.isArray(pointer) || typeof pointer === 'string') return pointerOffset(pointer, 0);
+        if (pointer instanceof Pointer) return pointer;
+        throw new RuntimeError(`${this.calleeName(node.callee)}() expects a pointer to the item`, node.loc);
+    }
 
-        // map()
-        const mapMatch = expr.match(/^map\s*\(\s*(.+?)\s*,\s*(.+?)\s*,\s*(.+?)\s*,\s*(.+?)\s*,\s*(.+?)\s*\)/);
-        if (mapMatch) {
-            const val = this.evaluateExpr(mapMatch[1], localVars);
-            const inMin = this.evaluateExpr(mapMatch[2], localVars);
-            const inMax = this.evaluateExpr(mapMatch[3], localVars);
-            const outMin = this.evaluateExpr(mapMatch[4], localVars);
-            const outMax = this.evaluateExpr(mapMatch[5], localVars);
-            return Math.round((val - inMin) * (outMax - outMin) / (inMax - inMin) + outMin);
+    /**
+     * Stream::timedRead()/timedPeek(): wait up to the serial timeout for a
+     * byte. Returns -1 on timeout.
+     */
+    async timedRead(peek = false) {
+        const start = this.clock.millis;
+        while (!this.serialRx.length) {
+            if (!this.running || this.clock.millis - start >= this.serialTimeout) return -1;
+            await this.wait(TICK_MICROS);
         }
+        return peek ? this.serialRx[0] : this.serialRx.shift();
+    }
 
-        // constrain()
-        const constrainMatch = expr.match(/^constrain\s*\(\s*(.+?)\s*,\s*(.+?)\s*,\s*(.+?)\s*\)/);
-        if (constrainMatch) {
-            const val = this.evaluateExpr(constrainMatch[1], localVars);
-            const lo = this.evaluateExpr(constrainMatch[2], localVars);
-            const hi = this.evaluateExpr(constrainMatch[3], localVars);
-            return Math.max(lo, Math.min(hi, val));
+    /**
+     * Stream::parseInt()/parseFloat(): skip to the first digit or sign,
+     * then read the number. Times out to 0 like the real Stream.
+     */
+    async parseSerialNumber(isFloat) {
+        const isDigit = c => c >= 0x30 && c <= 0x39;
+        let c;
+        // peekNextDigit() with SKIP_ALL
+        while (true) {
+            c = await this.timedRead(true);
+            if (c < 0) return 0;
+            if (c === 0x2D || isDigit(c) || (isFloat && c === 0x2E)) break;
+            this.serialRx.shift();
         }
 
-        // random()
-        const randMatch = expr.match(/^random\s*\(\s*(?:(.+?)\s*,\s*)?(.+?)\s*\)/);
-        if (randMatch) {
-            const min = randMatch[1] ? this.evaluateExpr(randMatch[1], localVars) : 0;
-            const max = this.evaluateExpr(randMatch[2], localVars);
-            return Math.floor(Math.random() * (max - min)) + min;
+        let negative = false;
+        let fraction = false;
+        let value = 0;
+        let scale = 1;
+        do {
+            if (c === 0x2D) negative = true;
+            else if (c === 0x2E) fraction = true;
+            else if (isDigit(c)) {
+                value = value * 10 + (c - 0x30);
+                if (fraction) scale *= 0.1;
+            }
+            this.serialRx.shift();
+            c = await this.timedRead(true);
+        } while (isDigit(c) || (isFloat && c === 0x2E && !fraction));
+
+        if (negative) value = -value;
+        return isFloat ? value * scale : convert(value, TYPES.long);
+    }
+
+    /**
+     * Bytes a write(value) or write(buf, len) call sends
+     */
+    writtenBytes(data, length, node) {
+        const type = node.args[0].ctype;
+        if (length === undefined && type && type.kind === 'int') return [data & 0xFF];
+        const text = length !== undefined ? this.bytesOf(data, length) : this.formatPrint(data, type);
+        return Array.from(text, c => c.charCodeAt(0) & 0xFF);
+    }
+
+    /**
+     * Text of the first `length` bytes of a buffer, for write(buf, len)
+     */
+    bytesOf(data, length) {
+        if (typeof data === 'string') return data.slice(0, length);
+        const { array, index } = this.charBuffer(data, { loc: null });
+        let text = '';
+        for (let i = 0; i < length && index + i < array.length; i++) text += String.fromCharCode(array[index + i] & 0xFF);
+        return text;
+    }
+
+    /**
+     * Copy received bytes into a char/byte buffer (no terminator, as readBytes does)
+     */
+    storeBytes(buffer, bytes, node) {
+        const { array, index } = this.charBuffer(buffer, node);
+        if (index + bytes.length > array.length) {
+            throw new RuntimeError(`Buffer overflow: writing ${bytes.length} bytes into a buffer of ${array.length - index}`, node.loc);
         }
+        for (let i = 0; i < bytes.length; i++) array[index + i] = bytes[i];
+    }
+
+    /**
+     * Run the sketch's serialEvent() after loop() when data is waiting,
+     * as the ESP32 core's serialEventRun() does
+     */
+    async serialEventRun() {
+        const handler = this.functions.serialEvent;
+        if (!handler || !this.serialRx.length || !this.running) return;
+        await handler.run({ vars: {}, parent: this.globalScope });
+    }
+
+    /**
+     * Where a char* argument writes to: { array, index }
+     */
+    charBuffer(dest, node) {
+        if (Array.isArray(dest)) return { array: dest, index: 0 };
+        if (dest instanceof Pointer && dest.isArray) return { array: dest.base, index: dest.index };
+        throw new RuntimeError('Destination is not a writable char buffer', node.loc);
+    }
 
-        // abs, min, max, sqrt, pow
-        const mathFuncs = { abs: Math.abs, sqrt: Math.sqrt };
-        for (const [name, fn] of Object.entries(mathFuncs)) {
-            const m = expr.match(new RegExp(`^${name}\\s*\\(\\s*(.+?)\\s*\\)`));
-            if (m) return fn(this.evaluateExpr(m[1], localVars));
+    /**
+     * Pointer to character i of a C string, or NULL for -1, as strchr()
+     * and the like return
+     */
+    charPointer(s, i) {
+        return i < 0 ? null : pointerOffset(s, i);
+    }
+
+    /**
+     * What a mem*() call covers, { base, keys }: n bytes from ptr, which
+     * must be whole elements of type. A pointer to a variable (&x) covers
+     * the whole variable.
+     */
+    memoryRange(ptr, type, n, node) {
+        if (typeof ptr === 'string') ptr = toCharArray(ptr);
+        if (Array.isArray(ptr)) ptr = new Pointer(ptr, 0);
+        if (!(ptr instanceof Pointer)) {
+            throw new RuntimeError("Guru Meditation Error: Core 1 panic'ed (LoadProhibited). Exception was unhandled.", node.loc);
+        }
+        if (!ptr.isArray) return { base: ptr.base, keys: n > 0 ? [ptr.index] : [] };
+        // void* counts bytes
+        const size = (type && sizeOf(type)) || 1;
+        const count = n / size;
+        if (!Number.isInteger(count)) {
+            throw new RuntimeError(`${this.calleeName(node.callee)}(): ${n} bytes is not a whole number of ${size}-byte elements`, node.loc);
+        }
+        if (ptr.index + count > ptr.base.length) {
+            throw new RuntimeError(`Buffer overflow: ${n} bytes in a buffer of ${(ptr.base.length - ptr.index) * size}`, node.loc);
         }
+        return { base: ptr.base, keys: Array.from({ length: count }, (_, i) => ptr.index + i) };
+    }
 
-        const minMaxMatch = expr.match(/^(min|max)\s*\(\s*(.+?)\s*,\s*(.+?)\s*\)/);
-        if (minMaxMatch) {
-            const a = this.evaluateExpr(minMaxMatch[2], localVars);
-            const b = this.evaluateExpr(minMaxMatch[3], localVars);
-            return minMaxMatch[1] === 'min' ? Math.min(a, b) : Math.max(a, b);
+    /**
+     * memcpy() and memmove(): copy n bytes of elements from src to dest
+     */
+    copyMemory(dest, src, n, node) {
+        const to = this.memoryRange(dest, elementType(node.args[0].ctype), n, node);
+        const from = this.memoryRange(src, elementType(node.args[1].ctype), n, node);
+        if (to.keys.length !== from.keys.length) {
+            throw new RuntimeError(`${this.calleeName(node.callee)}() between different element types is not simulated`, node.loc);
         }
+        const values = from.keys.map(key => cloneValue(from.base[key]));
+        to.keys.forEach((key, i) => { to.base[key] = values[i]; });
+        return dest;
+    }
 
-        const powMatch = expr.match(/^pow\s*\(\s*(.+?)\s*,\s*(.+?)\s*\)/);
-        if (powMatch) {
-            return Math.pow(this.evaluateExpr(powMatch[1], localVars), this.evaluateExpr(powMatch[2], localVars));
+    /**
+     * The CRGB array a FastLED call works on, { array, index }, checked to
+     * hold count LEDs
+     */
+    ledArray(leds, count, node) {
+        let array;
+        let index = 0;
+        if (Array.isArray(leds)) array = leds;
+        else if (leds instanceof Pointer && leds.isArray) ({ base: array, index } = leds);
+        else throw new RuntimeError(`${this.calleeName(node.callee)}() expects an array of CRGB`, node.loc);
+        if (index + count > array.length) {
+            throw new RuntimeError(`Buffer overflow: ${count} LEDs in an array of ${array.length - index}`, node.loc);
         }
+        return { array, index };
+    }
 
-        // isnan
-        const isnanMatch = expr.match(/^isnan\s*\(\s*(.+?)\s*\)/);
-        if (isnanMatch) {
-            return isNaN(this.evaluateExpr(isnanMatch[1], localVars)) ? 1 : 0;
+    /**
+     * Store a NUL-terminated string into a char buffer. Overrunning the
+     * buffer corrupts memory on the device, so it is reported instead.
+     */
+    writeCString(dest, str, node) {
+        const { array, index } = this.charBuffer(dest, node);
+        const chars = toCharArray(str);
+        if (index + chars.length > array.length) {
+            throw new RuntimeError(`Buffer overflow: writing ${chars.length} bytes into a buffer of ${array.length - index}`, node.loc);
         }
+        for (let i = 0; i < chars.length; i++) array[index + i] = chars[i];
+        return dest;
+    }
+
+    /**
+     * The text of a String method argument: a char, C string or String
+     */
+    textArg(value, type) {
+        if (type && type.kind === 'int') return String.fromCharCode(value & 0xFF);
+        return this.formatPrint(value, type);
+    }
 
-        // Variable lookup
-        if (expr in localVars) return localVars[expr];
-        if (expr in this.variables) return this.variables[expr];
+    /**
+     * Built-in Arduino/ESP32 API, keyed by callee name
+     */
+    /**
+     * Adafruit_GFX's drawing and text methods, for a display class whose
+     * objects extend AdafruitGfx. Coordinates are int16_t, as in the library.
+     */
+    gfxBuiltins(className) {
+        const gfx = self => self.base[self.key];
+        const int16 = value => convert(value, TYPES.short);
+        const bitmap = (data, w, h, node) => {
+            const { array, index } = this.charBuffer(data, node);
+            return array.slice(index, index + ((w + 7) >> 3) * h);
+        };
+        return {
+            [`${className}::drawPixel`]: arity(3, 3, ([x, y, color], node, self) => {
+                gfx(self).drawPixel(int16(x), int16(y), color);
+            }),
+            [`${className}::drawLine`]: arity(5, 5, ([x0, y0, x1, y1, color], node, self) => {
+                gfx(self).drawLine(int16(x0), int16(y0), int16(x1), int16(y1), color);
+            }),
+            [`${className}::drawFastHLine`]: arity(4, 4, ([x, y, w, color], node, self) => {
+                gfx(self).drawFastHLine(int16(x), int16(y), int16(w), color);
+            }),
+            [`${className}::drawFastVLine`]: arity(4, 4, ([x, y, h, color], node, self) => {
+                gfx(self).drawFastVLine(int16(x), int16(y), int16(h), color);
+            }),
+            [`${className}::drawRect`]: arity(5, 5, ([x, y, w, h, color], node, self) => {
+                gfx(self).drawRect(int16(x), int16(y), int16(w), int16(h), color);
+            }),
+            [`${className}::fillRect`]: arity(5, 5, ([x, y, w, h, color], node, self) => {
+                gfx(self).fillRect(int16(x), int16(y), int16(w), int16(h), color);
+            }),
+            [`${className}::fillScreen`]: arity(1, 1, ([color], node, self) => {
+                gfx(self).fillScreen(color);
+            }),
+            [`${className}::drawCircle`]: arity(4, 4, ([x, y, r, color], node, self) => {
+                gfx(self).drawCircle(int16(x), int16(y), int16(r), color);
+            }),
+            [`${className}::fillCircle`]: arity(4, 4, ([x, y, r, color], node, self) => {
+                gfx(self).fillCircle(int16(x), int16(y), int16(r), color);
+            }),
+            [`${className}::drawRoundRect`]: arity(6, 6, ([x, y, w, h, r, color], node, self) => {
+                gfx(self).drawRoundRect(int16(x), int16(y), int16(w), int16(h), int16(r), color);
+            }),
+            [`${className}::fillRoundRect`]: arity(6, 6, ([x, y, w, h, r, color], node, self) => {
+                gfx(self).fillRoundRect(int16(x), int16(y), int16(w), int16(h), int16(r), color);
+            }),
+            [`${className}::drawTriangle`]: arity(7, 7, ([x0, y0, x1, y1, x2, y2, color], node, self) => {
+                gfx(self).drawTriangle(int16(x0), int16(y0), int16(x1), int16(y1), int16(x2), int16(y2), color);
+            }),
+            [`${className}::fillTriangle`]: arity(7, 7, ([x0, y0, x1, y1, x2, y2, color], node, self) => {
+                gfx(self).fillTriangle(int16(x0), int16(y0), int16(x1), int16(y1), int16(x2), int16(y2), color);
+            }),
+            [`${className}::drawBitmap`]: arity(6, 7, ([x, y, data, w, h, color, bg], node, self) => {
+                gfx(self).drawBitmap(int16(x), int16(y), bitmap(data, w, h, node), w, h, color, bg);
+            }),
+            [`${className}::drawXBitmap`]: arity(6, 6, ([x, y, data, w, h, color], node, self) => {
+                gfx(self).drawXBitmap(int16(x), int16(y), bitmap(data, w, h, node), w, h, color);
+            }),
+            [`${className}::drawChar`]: arity(6, 7, ([x, y, c, color, bg, sizeX, sizeY], node, self) => {
+                gfx(self).drawChar(int16(x), int16(y), c & 0xFF, color, bg, sizeX, sizeY === undefined ? sizeX : sizeY);
+            }),
+            [`${className}::setCursor`]: arity(2, 2, ([x, y], node, self) => {
+                gfx(self).setCursor(int16(x), int16(y));
+            }),
+            [`${className}::getCursorX`]: arity(0, 0, (args, node, self) => gfx(self).cursorX, 'int16_t'),
+            [`${className}::getCursorY`]: arity(0, 0, (args, node, self) => gfx(self).cursorY, 'int16_t'),
+            [`${className}::setTextSize`]: arity(1, 2, ([sizeX, sizeY], node, self) => {
+                gfx(self).setTextSize(Math.trunc(sizeX), Math.trunc(sizeY === undefined ? sizeX : sizeY));
+            }),
+            [`${className}::setTextColor`]: arity(1, 2, ([color, bg], node, self) => {
+                gfx(self).setTextColor(color, bg === undefined ? color : bg);
+            }),
+            [`${className}::setTextWrap`]: arity(1, 1, ([wrap], node, self) => {
+                gfx(self).wrap = !!wrap;
+            }),
+            [`${className}::cp437`]: arity(0, 1, ([enable], node, self) => {
+                gfx(self).cp437 = enable === undefined ? true : !!enable;
+            }),
+            [`${className}::setRotation`]: arity(1, 1, ([rotation], node, self) => {
+                gfx(self).setRotation(rotation);
+            }),
+            [`${className}::getRotation`]: arity(0, 0, (args, node, self) => gfx(self).rotation, 'uint8_t'),
+            [`${className}::width`]: arity(0, 0, (args, node, self) => gfx(self).width, 'int16_t'),
+            [`${className}::height`]: arity(0, 0, (args, node, self) => gfx(self).height, 'int16_t'),
+            [`${className}::getTextBounds`]: arity(7, 7, ([text, x, y, x1, y1, w, h], node, self) => {
+                const bounds = gfx(self).getTextBounds(this.formatPrint(text, node.args[0].ctype), int16(x), int16(y));
+                this.store(x1, bounds.x);
+                this.store(y1, bounds.y);
+                this.store(w, bounds.w);
+                this.store(h, bounds.h);
+            }),
+            [`${className}::write`]: arity(1, 2, ([data, length], node, self) => {
+                const bytes = this.writtenBytes(data, length, node);
+                for (const byte of bytes) gfx(self).write(byte);
+                return bytes.length;
+            }, 'size_t'),
+            [`${className}::print`]: exact(arity(1, 2, ([value, format], node, self) =>
+                gfx(self).print(this.formatPrint(value, node.args[0].ctype, format)), 'size_t')),
+            [`${className}::println`]: exact(arity(0, 2, ([value, format], node, self) =>
+                gfx(self).print(`${node.args.length ? this.formatPrint(value, node.args[0].ctype, format) : ''}\r\n`), 'size_t')),
+            [`${className}::printf`]: exact(arity(1, Infinity, ([fmt, ...args], node, self) =>
+                gfx(self).print(this.formatPrintf(String(fmt), args)), 'size_t')),
+        };
+    }
 
-        // Simple arithmetic: try to evaluate via splitting operators
-        // Handle + - * / %
-        try {
-            // Replace variables in expression
-            let evalExpr = expr;
-            // Replace variable names with values (longest first to avoid partial replacements)
-            const allVars = { ...this.variables, ...localVars };
-            const sortedNames = Object.keys(allVars).sort((a, b) => b.length - a.length);
-            for (const name of sortedNames) {
-                const val = allVars[name];
-                if (typeof val === 'number') {
-                    evalExpr = evalExpr.replace(new RegExp(`\\b${name}\\b`, 'g'), String(val));
+    createBuiltins() {
+        return {
+            // --- Timing ---
+            // delay() is vTaskDelay() in the ESP32 core
+            'delay': arity(1, 1, async ([ms]) => {
+                await this.taskDelay(ms);
+            }),
+            'delayMicroseconds': arity(1, 1, async ([us]) => {
+                await this.wait(us);
+            }),
+            // Lets tasks of the same priority run
+            'yield': arity(0, 0, async () => {
+                if (this.scheduler.current && !this.inInterrupt) await this.scheduler.yield();
+            }),
+            'millis': arity(0, 0, () => {
+                this.clock.advanceCycles(TIMER_READ_CYCLES);
+                return Math.floor(this.clock.millis) >>> 0;
+            }, 'unsigned long'),
+            'micros': arity(0, 0, () => {
+                this.clock.advanceCycles(TIMER_READ_CYCLES);
+                return Math.floor(this.clock.micros) >>> 0;
+            }, 'unsigned long'),
+
+            // --- Serial ---
+            'Serial.begin': arity(1, 2, () => {
+                this.serialCallback('[System] Serial initialized', 'system');
+            }),
+            'Serial.print': exact(arity(1, 2, ([value, format], node) => {
+                this.serialCallback(this.formatPrint(value, node.args[0].ctype, format), 'print');
+            })),
+            'Serial.println': exact(arity(0, 2, ([value, format], node) => {
+                this.serialCallback(node.args.length ? this.formatPrint(value, node.args[0].ctype, format) : '', 'println');
+            })),
+            'Serial.printf': exact(arity(1, Infinity, ([fmt, ...args]) => {
+                this.serialCallback(this.formatPrintf(String(fmt), args), 'printf');
+            })),
+            'Serial.write': arity(1, 2, ([data, length], node) => {
+                const type = node.args[0].ctype;
+                let text;
+                if (length !== undefined) text = this.bytesOf(data, length);
+                else if (type && type.kind === 'int') text = String.fromCharCode(data & 0xFF);
+                else text = this.formatPrint(data, type);
+                this.serialCallback(text, 'print');
+                return text.length;
+            }, 'size_t'),
+            'Serial.flush': arity(0, 0, () => {}),
+            'Serial.available': arity(0, 0, () => this.serialRx.length, 'int'),
+            'Serial.read': arity(0, 0, () => (this.serialRx.length ? this.serialRx.shift() : -1), 'int'),
+            'Serial.peek': arity(0, 0, () => (this.serialRx.length ? this.serialRx[0] : -1), 'int'),
+            'Serial.setTimeout': arity(1, 1, ([ms]) => {
+                this.serialTimeout = ms;
+            }),
+            'Serial.readString': arity(0, 0, async () => {
+                let text = '';
+                for (let c = await this.timedRead(); c >= 0; c = await this.timedRead()) text += String.fromCharCode(c);
+                return text;
+            }, 'String'),
+            'Serial.readStringUntil': arity(1, 1, async ([terminator]) => {
+                let text = '';
+                for (let c = await this.timedRead(); c >= 0 && c !== (terminator & 0xFF); c = await this.timedRead()) {
+                    text += String.fromCharCode(c);
                 }
-            }
-            // Replace constants
-            evalExpr = evalExpr.replace(/\bHIGH\b/g, '1').replace(/\bLOW\b/g, '0');
-            evalExpr = evalExpr.replace(/\btrue\b/g, '1').replace(/\bfalse\b/g, '0');
+                return text;
+            }, 'String'),
+            'Serial.readBytes': arity(2, 2, async ([buffer, length], node) => {
+                const bytes = [];
+                while (bytes.length < length) {
+                    const c = await this.timedRead();
+                    if (c < 0) break;
+                    bytes.push(c);
+                }
+                this.storeBytes(buffer, bytes, node);
+                return bytes.length;
+            }, 'size_t'),
+            'Serial.readBytesUntil': arity(3, 3, async ([terminator, buffer, length], node) => {
+                const bytes = [];
+                while (bytes.length < length) {
+                    const c = await this.timedRead();
+                    if (c < 0 || c === (terminator & 0xFF)) break;
+                    bytes.push(c);
+                }
+                this.storeBytes(buffer, bytes, node);
+                return bytes.length;
+            }, 'size_t'),
+            'Serial.parseInt': arity(0, 0, () => this.parseSerialNumber(false), 'long'),
+            'Serial.parseFloat': arity(0, 0, () => this.parseSerialNumber(true), 'float'),
+
+            // --- GPIO ---
+            'pinMode': arity(2, 2, ([pin, mode], node) => {
+                this.checkPin(pin, PIN_MODE_USES[mode] || 'input', node);
+                this.pinManager.pinMode(pin, PIN_MODES[mode] || 'INPUT');
+            }),
+            'digitalWrite': arity(2, 2, ([pin, value], node) => {
+                this.checkPin(pin, 'output', node);
+                this.pinManager.digitalWrite(pin, value);
+            }),
+            'digitalRead': arity(1, 1, ([pin], node) => {
+                this.checkPin(pin, 'input', node);
+                return this.pinManager.digitalRead(pin);
+            }, 'int'),
+            // A byte, one bit per clock pulse
+            'shiftOut': arity(4, 4, ([dataPin, clockPin, bitOrder, value], node) => {
+                this.checkPin(dataPin, 'output', node);
+                this.checkPin(clockPin, 'output', node);
+                for (let i = 0; i < 8; i++) {
+                    const bit = bitOrder === CONSTANTS.LSBFIRST ? (value >> i) & 1 : (value >> (7 - i)) & 1;
+                    this.pinManager.digitalWrite(dataPin, bit);
+                    this.clock.advanceCycles(SHIFT_EDGE_CYCLES);
+                    this.pinManager.digitalWrite(clockPin, 1);
+                    this.clock.advanceCycles(SHIFT_EDGE_CYCLES);
+                    this.pinManager.digitalWrite(clockPin, 0);
+                }
+            }),
+            'shiftIn': arity(3, 3, ([dataPin, clockPin, bitOrder], node) => {
+                this.checkPin(dataPin, 'input', node);
+                this.checkPin(clockPin, 'output', node);
+                let value = 0;
+                for (let i = 0; i < 8; i++) {
+                    this.pinManager.digitalWrite(clockPin, 1);
+                    this.clock.advanceCycles(SHIFT_EDGE_CYCLES);
+                    const bit = this.pinManager.digitalRead(dataPin);
+                    value |= bitOrder === CONSTANTS.LSBFIRST ? bit << i : bit << (7 - i);
+                    this.pinManager.digitalWrite(clockPin, 0);
+                    this.clock.advanceCycles(SHIFT_EDGE_CYCLES);
+                }
+                return value;
+            }, 'uint8_t'),
+            // Length of the next pulse at state in µs, 0 if it doesn't end in time
+            'pulseIn': arity(2, 3, ([pin, state, timeout = 1000000], node) => this.pulseIn(pin, state, timeout, node), 'unsigned long'),
+            'pulseInLong': arity(2, 3, ([pin, state, timeout = 1000000], node) => this.pulseIn(pin, state, timeout, node), 'unsigned long'),
+            'analogRead': arity(1, 1, ([pin], node) => (this.adcReadable(pin, node) ? this.pinManager.analogRead(pin) : 0), 'uint16_t'),
+            'analogReadMilliVolts': arity(1, 1, ([pin], node) => (this.adcReadable(pin, node) ? this.pinManager.analogReadMilliVolts(pin) : 0), 'uint32_t'),
+            'analogReadResolution': arity(1, 1, ([bits]) => this.pinManager.adc.setResolution(bits)),
+            'analogSetAttenuation': arity(1, 1, ([attenuation]) => this.pinManager.adc.setAttenuation(attenuation)),
+            'analogSetPinAttenuation': arity(2, 2, ([pin, attenuation], node) => {
+                if (this.checkPin(pin, 'adc', node)) this.pinManager.adc.setPinAttenuation(pin, attenuation);
+            }),
+
+            // --- DAC ---
+            'dacWrite': arity(2, 2, ([pin, value], node) => {
+                if (this.checkPin(pin, 'dac', node)) this.pinManager.dacWrite(pin, value);
+            }),
+            'dacDisable': arity(1, 1, ([pin], node) => {
+                if (this.checkPin(pin, 'dac', node)) this.pinManager.dacDisable(pin);
+            }),
+
+            // --- Touch ---
+            'touchRead': arity(1, 1, ([pin], node) => (this.checkPin(pin, 'touch', node) ? this.pinManager.touchRead(pin) : 0), 'uint16_t'),
+            'touchAttachInterrupt': arity(3, 3, ([pin, func, threshold], node) => {
+                if (!this.checkPin(pin, 'touch', node)) return;
+                this.setInterruptHandler(touchSource(pin), func, node, 1, { threshold });
+                // A pad already past the threshold fires at the next measurement
+                if (this.touchActive(this.pinManager.touchRead(pin), threshold)) this.pendingInterrupts.add(touchSource(pin));
+            }),
+            'touchDetachInterrupt': arity(1, 1, ([pin], node) => {
+                if (this.checkPin(pin, 'touch', node)) this.removeInterruptHandler(touchSource(pin));
+            }),
+            'touchInterruptSetThresholdDirection': arity(1, 1, ([mustBeLower]) => {
+                this.touchBelow = !!mustBeLower;
+            }),
+            'touchInterruptGetLastStatus': arity(1, 1, ([pin], node) => {
+                if (!this.checkPin(pin, 'touch', node)) return 0;
+                const handler = this.interrupts.get(touchSource(pin));
+                return handler && this.touchActive(this.pinManager.touchRead(pin), handler.threshold) ? 1 : 0;
+            }, 'bool'),
+            // Measurement timing doesn't change the simulated readings
+            'touchSetCycles': arity(2, 2, () => {}),
+
+            // --- LEDC PWM ---
+            // analogWrite() gives each pin its own channel, from the top down
+            'analogWrite': arity(2, 2, ([pin, value], node) => {
+                if (!this.checkPin(pin, 'output', node)) return;
+                let channel = this.analogChannels.get(pin);
+                if (channel === undefined) {
+                    channel = this.ledc.lastFreeChannel();
+                    if (channel < 0) {
+                        this.warnOnce(`analog-channel:${pin}`, `analogWrite(${pin}): no LEDC channel is left for this pin`, node);
+                        return;
+                    }
+                    if (!this.ledcSetup(channel, this.analogWriteFrequency, this.analogWriteResolution, node)) return;
+                    this.ledc.attachPin(pin, channel);
+                    this.analogChannels.set(pin, channel);
+                }
+                this.ledc.write(channel, value);
+            }),
+            // Core 3.x takes a pin first; the setting applies to all pins here
+            'analogWriteResolution': arity(1, 2, (args, node) => {
+                this.analogWriteResolution = args[args.length - 1];
+                for (const channel of this.analogChannels.values()) {
+                    this.ledcSetup(channel, this.analogWriteFrequency, this.analogWriteResolution, node);
+                }
+            }),
+            'analogWriteFrequency': arity(1, 2, (args, node) => {
+                this.analogWriteFrequency = args[args.length - 1];
+                for (const channel of this.analogChannels.values()) {
+                    this.ledcSetup(channel, this.analogWriteFrequency, this.analogWriteResolution, node);
+                }
+            }),
+            'tone': arity(2, 3, ([pin, frequency, duration = 0], node) => {
+                if (!this.checkPin(pin, 'output', node)) return;
+                if (this.toneAlarm) this.clock.cancelAlarm(this.toneAlarm);
+                this.toneAlarm = null;
+                this.ledc.attachPin(pin, TONE_CHANNEL);
+                this.ledc.writeTone(TONE_CHANNEL, frequency);
+                if (duration > 0) this.toneAlarm = this.clock.setAlarm(this.clock.micros + duration * 1000, () => this.noTone(pin));
+            }),
+            'noTone': arity(1, 1, ([pin]) => this.noTone(pin)),
+            // Core 2.x: channels set up and routed to pins explicitly
+            'ledcSetup': arity(3, 3, ([channel, frequency, resolution], node) => (
+                this.validLedcChannel(channel, node) ? this.ledcSetup(channel, frequency, resolution, node) : 0
+            ), 'double'),
+            'ledcAttachPin': arity(2, 2, ([pin, channel], node) => {
+                if (this.checkPin(pin, 'output', node) && this.validLedcChannel(channel, node)) this.ledc.attachPin(pin, channel);
+            }),
+            'ledcDetachPin': arity(1, 1, ([pin]) => this.ledc.detachPin(pin)),
+            // Core 3.x: pins attached to a channel picked for them
+            'ledcAttach': arity(3, 3, ([pin, frequency, resolution], node) => {
+                const channel = this.ledc.freeChannel(frequency, resolution);
+                if (channel < 0) {
+                    this.warnOnce(`ledc-attach:${pin}`, `ledcAttach(${pin}): no free LEDC channel can run at ${frequency} Hz and ${resolution} bits`, node);
+                    return 0;
+                }
+                return this.ledcAttachChannel(pin, frequency, resolution, channel, node);
+            }, 'bool'),
+            'ledcAttachChannel': arity(4, 4, ([pin, frequency, resolution, channel], node) => (
+                this.validLedcChannel(channel, node) ? this.ledcAttachChannel(pin, frequency, resolution, channel, node) : 0
+            ), 'bool'),
+            'ledcDetach': arity(1, 1, ([pin]) => {
+                const channel = this.ledc.channelOfPin(pin);
+                if (channel < 0) return 0;
+                this.ledc.detachPin(pin);
+                this.ledcPins.delete(pin);
+                this.ledc.release(channel);
+                return 1;
+            }, 'bool'),
+            'ledcChangeFrequency': arity(3, 3, ([target, frequency, resolution], node) => {
+                const channel = this.ledcChannel(target, node);
+                return channel < 0 ? 0 : this.ledcSetup(channel, frequency, resolution, node);
+            }, 'uint32_t'),
+            // Both: the first argument is a channel, or a pin from ledcAttach()
+            'ledcWrite': arity(2, 2, ([target, duty], node) => {
+                const channel = this.ledcChannel(target, node);
+                if (channel < 0) return 0;
+                this.ledc.write(channel, duty);
+                return 1;
+            }, 'bool'),
+            'ledcRead': arity(1, 1, ([target], node) => {
+                const channel = this.ledcChannel(target, node);
+                return channel < 0 ? 0 : this.ledc.read(channel);
+            }, 'uint32_t'),
+            'ledcReadFreq': arity(1, 1, ([target], node) => {
+                const channel = this.ledcChannel(target, node);
+                return channel < 0 ? 0 : this.ledc.readFrequency(channel);
+            }, 'uint32_t'),
+            'ledcWriteTone': arity(2, 2, ([target, frequency], node) => {
+                const channel = this.ledcChannel(target, node);
+                return channel < 0 ? 0 : this.ledc.writeTone(channel, frequency);
+            }, 'uint32_t'),
+            'ledcWriteNote': arity(3, 3, ([target, note, octave], node) => {
+                const channel = this.ledcChannel(target, node);
+                return channel < 0 ? 0 : this.ledc.writeNote(channel, note, octave);
+            }, 'uint32_t'),
+
+            // --- I2C (Wire) ---
+            'Wire.begin': arity(0, 3, ([sda, scl, frequency], node) => {
+                if (node.args.length === 1) {
+                    // Wire.begin(address) joins the bus as a slave
+                    this.warnOnce('wire-slave', 'Wire.begin(address): I2C slave mode is not simulated', node);
+                    return 0;
+                }
+                sda = sda === undefined ? -1 : sda;
+                scl = scl === undefined ? -1 : scl;
+                if (sda >= 0 && !this.checkPin(sda, 'output', node)) return 0;
+                if (scl >= 0 && !this.checkPin(scl, 'output', node)) return 0;
+                this.wire.begin(sda, scl, frequency);
+                return 1;
+            }, 'bool'),
+            'Wire.end': arity(0, 0, () => {
+                this.wire.end();
+                return 1;
+            }, 'bool'),
+            'Wire.setClock': arity(1, 1, ([frequency]) => {
+                this.wire.setClock(frequency);
+                return 1;
+            }, 'bool'),
+            'Wire.getClock': arity(0, 0, () => this.wire.frequency, 'uint32_t'),
+            'Wire.beginTransmission': arity(1, 1, ([address]) => {
+                this.wire.beginTransmission(address);
+            }),
+            'Wire.write': arity(1, 2, ([data, length], node) => this.wire.write(this.writtenBytes(data, length, node)), 'size_t'),
+            'Wire.endTransmission': arity(0, 1, async (args, node) => {
+                if (!this.wire.started) this.warnOnce('wire-begin', 'Wire.endTransmission(): call Wire.begin() first', node);
+                return this.wire.endTransmission();
+            }, 'uint8_t'),
+            'Wire.requestFrom': arity(2, 3, async ([address, count], node) => {
+                if (!this.wire.started) this.warnOnce('wire-begin', 'Wire.requestFrom(): call Wire.begin() first', node);
+                return this.wire.requestFrom(address, count);
+            }, 'uint8_t'),
+            'Wire.available': arity(0, 0, () => this.wire.available(), 'int'),
+            'Wire.read': arity(0, 0, () => this.wire.read(), 'int'),
+            'Wire.peek': arity(0, 0, () => this.wire.peek(), 'int'),
+
+            // --- WiFi ---
+            // There is no network: joining one succeeds at once. What matters
+            // to the rest of the chip is whether the radio is on.
+            'WiFi.mode': arity(1, 1, ([mode]) => {
+                this.wifiMode = mode & CONSTANTS.WIFI_AP_STA;
+                if (!(this.wifiMode & CONSTANTS.WIFI_STA)) this.wifiStatus = CONSTANTS.WL_DISCONNECTED;
+                return 1;
+            }, 'bool'),
+            'WiFi.getMode': arity(0, 0, () => this.wifiMode, 'int'),
+            'WiFi.begin': arity(0, 2, () => {
+                this.wifiMode |= CONSTANTS.WIFI_STA;
+                this.wifiStatus = CONSTANTS.WL_CONNECTED;
+                return this.wifiStatus;
+            }, 'int'),
+            'WiFi.softAP': arity(1, 5, () => {
+                this.wifiMode |= CONSTANTS.WIFI_AP;
+                return 1;
+            }, 'bool'),
+            'WiFi.disconnect': arity(0, 2, ([wifiOff = 0]) => {
+                this.wifiStatus = CONSTANTS.WL_DISCONNECTED;
+                if (wifiOff) this.wifiMode &= ~CONSTANTS.WIFI_STA;
+                return 1;
+            }, 'bool'),
+            'WiFi.status': arity(0, 0, () => this.wifiStatus, 'int'),
+            'WiFi.isConnected': arity(0, 0, () => (this.wifiStatus === CONSTANTS.WL_CONNECTED ? 1 : 0), 'bool'),
+
+            // --- Interrupts ---
+            'digitalPinToInterrupt': arity(1, 1, ([pin]) => (pin >= 0 && pin < 40 ? pin : CONSTANTS.NOT_AN_INTERRUPT), 'int'),
+            'attachInterrupt': arity(3, 3, ([pin, func, mode], node) => {
+                this.checkPin(pin, 'input', node);
+                if (!this.pinManager.pins[pin]) return;
+                this.setInterruptHandler(pin, func, node, 1, { mode });
+                // A level interrupt whose level already holds fires straight away
+                if ((mode === CONSTANTS.ONHIGH || mode === CONSTANTS.ONLOW) && this.triggers(mode, this.pinManager.pins[pin].value === 1)) {
+                    this.pendingInterrupts.add(pin);
+                }
+            }),
+            'detachInterrupt': arity(1, 1, ([pin]) => this.removeInterruptHandler(pin)),
+            'noInterrupts': arity(0, 0, () => {
+                this.interruptsEnabled = false;
+            }),
+            'interrupts': arity(0, 0, () => {
+                this.interruptsEnabled = true;
+            }),
+            // Single core, so a spinlock only has to mask interrupts
+            'portENTER_CRITICAL': arity(1, 1, () => {
+                this.criticalNesting++;
+            }),
+            'portEXIT_CRITICAL': arity(1, 1, () => {
+                this.criticalNesting = Math.max(0, this.criticalNesting - 1);
+            }),
+            'portENTER_CRITICAL_ISR': arity(1, 1, () => {
+                this.criticalNesting++;
+            }),
+            'portEXIT_CRITICAL_ISR': arity(1, 1, () => {
+                this.criticalNesting = Math.max(0, this.criticalNesting - 1);
+            }),
+
+            // --- Hardware timers ---
+            // timerBegin(num, divider, countUp) in core 2.x; timerBegin(frequency) in 3.x
+            'timerBegin': arity(1, 3, ([first, divider, countUp = 1]) => {
+                const num = divider === undefined ? this.timers.indexOf(null) : first;
+                const frequency = divider === undefined ? first : APB_CLOCK_HZ / divider;
+                if (num < 0 || num >= TIMER_COUNT || !(frequency > 0) || frequency > APB_CLOCK_HZ) return null;
+                if (this.timers[num]) this.timers[num].end();
+                const timer = new HardwareTimer(num, frequency, !!countUp, this.clock, t => this.raiseInterrupt(t));
+                this.timers[num] = timer;
+                return timer;
+            }, HW_TIMER_POINTER),
+            'timerEnd': arity(1, 1, ([timer], node) => {
+                this.timerArg(timer, node).end();
+                this.removeInterruptHandler(timer);
+                this.timers[timer.num] = null;
+            }),
+            'timerAttachInterrupt': arity(2, 3, ([timer, func], node) => {
+                this.setInterruptHandler(this.timerArg(timer, node), func, node, 1);
+            }),
+            'timerDetachInterrupt': arity(1, 1, ([timer], node) => {
+                this.removeInterruptHandler(this.timerArg(timer, node));
+            }),
+            'timerAlarmWrite': arity(3, 3, ([timer, value, autoreload], node) => {
+                const t = this.timerArg(timer, node);
+                t.setAlarm(value, !!autoreload, t.alarmEnabled);
+            }),
+            'timerAlarm': arity(3, 4, ([timer, value, autoreload, reloadCount = 0], node) => {
+                this.timerArg(timer, node).setAlarm(value, !!autoreload, true, reloadCount);
+            }),
+            'timerAlarmEnable': arity(1, 1, ([timer], node) => this.timerArg(timer, node).enableAlarm(true)),
+            'timerAlarmDisable': arity(1, 1, ([timer], node) => this.timerArg(timer, node).enableAlarm(false)),
+            'timerAlarmEnabled': arity(1, 1, ([timer], node) => (this.timerArg(timer, node).alarmEnabled ? 1 : 0), 'bool'),
+            'timerAlarmRead': arity(1, 1, ([timer], node) => this.timerArg(timer, node).alarmValue, 'uint64_t'),
+            'timerSetAutoReload': arity(2, 2, ([timer, autoreload], node) => {
+                const t = this.timerArg(timer, node);
+                t.setAlarm(t.alarmValue, !!autoreload, t.alarmEnabled);
+            }),
+            'timerStart': arity(1, 1, ([timer], node) => this.timerArg(timer, node).start()),
+            'timerStop': arity(1, 1, ([timer], node) => this.timerArg(timer, node).stop()),
+            'timerStarted': arity(1, 1, ([timer], node) => (this.timerArg(timer, node).running ? 1 : 0), 'bool'),
+            'timerRestart': arity(1, 1, ([timer], node) => this.timerArg(timer, node).write(0)),
+            'timerWrite': arity(2, 2, ([timer, value], node) => this.timerArg(timer, node).write(value)),
+            'timerRead': arity(1, 1, ([timer], node) => this.timerArg(timer, node).read(), 'uint64_t'),
+            'timerReadMicros': arity(1, 1, ([timer], node) => {
+                const t = this.timerArg(timer, node);
+                return Math.floor(t.read() * 1e6 / t.frequency);
+            }, 'uint64_t'),
+            'timerReadMillis': arity(1, 1, ([timer], node) => {
+                const t = this.timerArg(timer, node);
+                return Math.floor(t.read() * 1e3 / t.frequency);
+            }, 'uint64_t'),
+            'timerReadSeconds': arity(1, 1, ([timer], node) => {
+                const t = this.timerArg(timer, node);
+                return t.read() / t.frequency;
+            }, 'double'),
+            'timerGetFrequency': arity(1, 1, ([timer], node) => Math.round(this.timerArg(timer, node).frequency), 'uint32_t'),
+
+            // --- Ticker ---
+            'Ticker::Ticker': arity(0, 0, () => new Ticker(this.clock, t => this.raiseInterrupt(t))),
+            'Ticker::attach': arity(2, 3, ([seconds, func, arg], node, self) => {
+                this.startTicker(self, seconds * 1e6, func, arg, true, node);
+            }),
+            'Ticker::attach_ms': arity(2, 3, ([ms, func, arg], node, self) => {
+                this.startTicker(self, ms * 1000, func, arg, true, node);
+            }),
+            'Ticker::attach_us': arity(2, 3, ([us, func, arg], node, self) => {
+                this.startTicker(self, us, func, arg, true, node);
+            }),
+            'Ticker::once': arity(2, 3, ([seconds, func, arg], node, self) => {
+                this.startTicker(self, seconds * 1e6, func, arg, false, node);
+            }),
+            'Ticker::once_ms': arity(2, 3, ([ms, func, arg], node, self) => {
+                this.startTicker(self, ms * 1000, func, arg, false, node);
+            }),
+            'Ticker::once_us': arity(2, 3, ([us, func, arg], node, self) => {
+                this.startTicker(self, us, func, arg, false, node);
+            }),
+            'Ticker::detach': arity(0, 0, (args, node, self) => {
+                const ticker = self.base[self.key];
+                ticker.detach();
+                this.removeInterruptHandler(ticker);
+            }),
+            'Ticker::active': arity(0, 0, (args, node, self) => (self.base[self.key].active() ? 1 : 0), 'bool'),
+
+            // --- LiquidCrystal_I2C ---
+            'LiquidCrystal_I2C::LiquidCrystal_I2C': arity(3, 3, ([address, cols, rows]) => new LiquidCrystalI2C(
+                this.wire, { wait: us => this.wait(us), delay: ms => this.taskDelay(ms) }, address & 0x7F, cols, rows)),
+            'LiquidCrystal_I2C::init': arity(0, 0, (args, node, self) => self.base[self.key].init()),
+            'LiquidCrystal_I2C::begin': arity(0, 3, (args, node, self) => self.base[self.key].init()),
+            'LiquidCrystal_I2C::clear': arity(0, 0, (args, node, self) => self.base[self.key].clear()),
+            'LiquidCrystal_I2C::home': arity(0, 0, (args, node, self) => self.base[self.key].home()),
+            'LiquidCrystal_I2C::setCursor': arity(2, 2, ([col, row], node, self) => self.base[self.key].setCursor(col, row)),
+            'LiquidCrystal_I2C::display': arity(0, 0, (args, node, self) => self.base[self.key].display(true)),
+            'LiquidCrystal_I2C::noDisplay': arity(0, 0, (args, node, self) => self.base[self.key].display(false)),
+            'LiquidCrystal_I2C::cursor': arity(0, 0, (args, node, self) => self.base[self.key].cursor(true)),
+            'LiquidCrystal_I2C::noCursor': arity(0, 0, (args, node, self) => self.base[self.key].cursor(false)),
+            'LiquidCrystal_I2C::blink': arity(0, 0, (args, node, self) => self.base[self.key].blink(true)),
+            'LiquidCrystal_I2C::noBlink': arity(0, 0, (args, node, self) => self.base[self.key].blink(false)),
+            'LiquidCrystal_I2C::scrollDisplayLeft': arity(0, 0, (args, node, self) => self.base[self.key].scroll(false)),
+            'LiquidCrystal_I2C::scrollDisplayRight': arity(0, 0, (args, node, self) => self.base[self.key].scroll(true)),
+            'LiquidCrystal_I2C::leftToRight': arity(0, 0, (args, node, self) => self.base[self.key].leftToRight(true)),
+            'LiquidCrystal_I2C::rightToLeft': arity(0, 0, (args, node, self) => self.base[self.key].leftToRight(false)),
+            'LiquidCrystal_I2C::autoscroll': arity(0, 0, (args, node, self) => self.base[self.key].autoscroll(true)),
+            'LiquidCrystal_I2C::noAutoscroll': arity(0, 0, (args, node, self) => self.base[self.key].autoscroll(false)),
+            'LiquidCrystal_I2C::backlight': arity(0, 0, (args, node, self) => self.base[self.key].setBacklight(true)),
+            'LiquidCrystal_I2C::noBacklight': arity(0, 0, (args, node, self) => self.base[self.key].setBacklight(false)),
+            'LiquidCrystal_I2C::setBacklight': arity(1, 1, ([on], node, self) => self.base[self.key].setBacklight(!!on)),
+            'LiquidCrystal_I2C::createChar': arity(2, 2, ([location, charmap], node, self) => {
+                const { array, index } = this.charBuffer(charmap, node);
+                return self.base[self.key].createChar(location, array.slice(index, index + 8));
+            }),
+            'LiquidCrystal_I2C::write': arity(1, 2, async ([data, length], node, self) => {
+                const bytes = this.writtenBytes(data, length, node);
+                for (const byte of bytes) await self.base[self.key].write(byte);
+                return bytes.length;
+            }, 'size_t'),
+            'LiquidCrystal_I2C::print': exact(arity(1, 2, ([value, format], node, self) =>
+                self.base[self.key].print(this.formatPrint(value, node.args[0].ctype, format)), 'size_t')),
+            // Print::println() sends CR LF, which the LCD shows as two glyphs
+            'LiquidCrystal_I2C::println': exact(arity(0, 2, ([value, format], node, self) =>
+                self.base[self.key].print(`${node.args.length ? this.formatPrint(value, node.args[0].ctype, format) : ''}\r\n`), 'size_t')),
+            'LiquidCrystal_I2C::printf': exact(arity(1, Infinity, ([fmt, ...args], node, self) =>
+                self.base[self.key].print(this.formatPrintf(String(fmt), args)), 'size_t')),
+
+            // --- DHT sensors ---
+            'DHT::DHT': arity(2, 3, ([pin, type], node) => {
+                // The library drives the data line low to start a reading
+                this.checkPin(pin, 'output', node);
+                return new Dht(this.pinManager.netlist, this.clock, us => this.wait(us), pin, type);
+            }),
+            'DHT::begin': arity(0, 1, (args, node, self) => {
+                self.base[self.key].begin();
+            }),
+            'DHT::read': arity(0, 1, async ([force], node, self) => ((await self.base[self.key].read(!!force)) ? 1 : 0), 'bool'),
+            'DHT::readTemperature': arity(0, 2, ([fahrenheit, force], node, self) =>
+                self.base[self.key].readTemperature(!!fahrenheit, !!force), 'float'),
+            'DHT::readHumidity': arity(0, 1, ([force], node, self) => self.base[self.key].readHumidity(!!force), 'float'),
+            'DHT::computeHeatIndex': arity(2, 3, ([temperature, humidity, isFahrenheit]) =>
+                computeHeatIndex(temperature, humidity, isFahrenheit === undefined ? true : !!isFahrenheit), 'float'),
+            'DHT::convertCtoF': arity(1, 1, ([c]) => convertCtoF(c), 'float'),
+            'DHT::convertFtoC': arity(1, 1, ([f]) => convertFtoC(f), 'float'),
+
+            // --- Adafruit_SSD1306 ---
+            // The bus argument can only be &Wire, the one bus simulated; the
+            // module's reset pin isn't wired out
+            'Adafruit_SSD1306::Adafruit_SSD1306': arity(2, 6, ([width, height, , , clockDuring, clockAfter]) =>
+                new AdafruitSsd1306(this.wire, width, height, clockDuring, clockAfter)),
+            'Adafruit_SSD1306::begin': arity(0, 4, async ([vccState, address, reset, periphBegin], node, self) =>
+                ((await self.base[self.key].begin(vccState, address, periphBegin === undefined ? true : !!periphBegin)) ? 1 : 0), 'bool'),
+            'Adafruit_SSD1306::display': arity(0, 0, (args, node, self) => self.base[self.key].display()),
+            'Adafruit_SSD1306::clearDisplay': arity(0, 0, (args, node, self) => {
+                self.base[self.key].clearDisplay();
+            }),
+            'Adafruit_SSD1306::invertDisplay': arity(1, 1, ([invert], node, self) => self.base[self.key].invertDisplay(!!invert)),
+            'Adafruit_SSD1306::dim': arity(1, 1, ([dim], node, self) => self.base[self.key].dim(!!dim)),
+            'Adafruit_SSD1306::ssd1306_command': arity(1, 1, ([c], node, self) => self.base[self.key].command(c & 0xFF)),
+            'Adafruit_SSD1306::getPixel': arity(2, 2, ([x, y], node, self) =>
+                (self.base[self.key].getPixel(convert(x, TYPES.short), convert(y, TYPES.short)) ? 1 : 0), 'bool'),
+            ...this.gfxBuiltins('Adafruit_SSD1306'),
+
+            // --- Adafruit_NeoPixel ---
+            'Adafruit_NeoPixel::Adafruit_NeoPixel': arity(0, 3, ([count, pin, type]) => new AdafruitNeoPixel(
+                this.pixels, this.clock, us => this.wait(us), count, pin, type)),
+            'Adafruit_NeoPixel::begin': arity(0, 0, (args, node, self) => {
+                const { pin } = self.base[self.key];
+                if (pin < 0) return;
+                this.checkPin(pin, 'output', node);
+                this.pinManager.pinMode(pin, 'OUTPUT');
+                this.pinManager.digitalWrite(pin, 0);
+            }),
+            'Adafruit_NeoPixel::show': arity(0, 0, (args, node, self) => self.base[self.key].show()),
+            'Adafruit_NeoPixel::canShow': arity(0, 0, (args, node, self) => (self.base[self.key].canShow() ? 1 : 0), 'bool'),
+            'Adafruit_NeoPixel::setPin': arity(1, 1, ([pin], node, self) => {
+                self.base[self.key].setPin(pin);
+            }),
+            'Adafruit_NeoPixel::updateLength': arity(1, 1, ([count], node, self) => {
+                self.base[self.key].updateLength(count);
+            }),
+            'Adafruit_NeoPixel::updateType': arity(1, 1, ([type], node, self) => {
+                self.base[self.key].updateType(type);
+            }),
+            // setPixelColor(n, color) takes a packed colour, otherwise r, g, b and maybe w
+            'Adafruit_NeoPixel::setPixelColor': arity(2, 5, ([n, r, g, b, w], node, self) => {
+                const strip = self.base[self.key];
+                if (node.args.length === 2) strip.setPixelColor32(n, r >>> 0);
+                else if (node.args.length === 4 || node.args.length === 5) strip.setPixelColor(n, r & 0xFF, g & 0xFF, b & 0xFF, (w || 0) & 0xFF);
+                else throw new RuntimeError('setPixelColor() takes a packed colour or red, green and blue', node.loc);
+            }),
+            'Adafruit_NeoPixel::getPixelColor': arity(1, 1, ([n], node, self) => self.base[self.key].getPixelColor(n), 'uint32_t'),
+            'Adafruit_NeoPixel::fill': arity(0, 3, ([color, first, count], node, self) => {
+                self.base[self.key].fill(color === undefined ? 0 : color >>> 0, first || 0, count || 0);
+            }),
+            'Adafruit_NeoPixel::clear': arity(0, 0, (args, node, self) => {
+                self.base[self.key].clear();
+            }),
+            'Adafruit_NeoPixel::setBrightness': arity(1, 1, ([b], node, self) => {
+                self.base[self.key].setBrightness(b);
+            }),
+            'Adafruit_NeoPixel::getBrightness': arity(0, 0, (args, node, self) => self.base[self.key].getBrightness(), 'uint8_t'),
+            'Adafruit_NeoPixel::numPixels': arity(0, 0, (args, node, self) => self.base[self.key].count, 'uint16_t'),
+            'Adafruit_NeoPixel::getPin': arity(0, 0, (args, node, self) => self.base[self.key].pin, 'int16_t'),
+            // Static members, also called as Adafruit_NeoPixel::Color()
+            'Adafruit_NeoPixel::Color': arity(3, 4, ([r, g, b, w]) => neoColor(r, g, b, w || 0), 'uint32_t'),
+            'Adafruit_NeoPixel::ColorHSV': arity(0, 3, ([hue, sat, val]) =>
+                neoColorHSV(hue || 0, sat === undefined ? 255 : sat, val === undefined ? 255 : val), 'uint32_t'),
+            'Adafruit_NeoPixel::gamma32': arity(1, 1, ([color]) => neoGamma32(color >>> 0), 'uint32_t'),
+            'Adafruit_NeoPixel::gamma8': arity(1, 1, ([x]) => neoGamma8(x), 'uint8_t'),
+
+            // --- FastLED ---
+            // CRGB(r, g, b), or CRGB(colour code or CHSV)
+            'CRGB::CRGB': arity(0, 3, (args) => {
+                if (args.length === 1) return toCRGB(args[0]);
+                const [r = 0, g = 0, b = 0] = args;
+                return { r: r & 0xFF, g: g & 0xFF, b: b & 0xFF };
+            }, FASTLED_TYPES.CRGB),
+            'CHSV::CHSV': arity(0, 3, ([hue, sat, val]) => ({ hue: (hue || 0) & 0xFF, sat: (sat || 0) & 0xFF, val: (val || 0) & 0xFF }), FASTLED_TYPES.CHSV),
+            // CRGB's member functions change the colour in place and return it
+            'CRGB::setRGB': arity(3, 3, ([r, g, b], node, self) =>
+                setColor(self, { r: r & 0xFF, g: g & 0xFF, b: b & 0xFF }), FASTLED_TYPES.CRGB),
+            'CRGB::setColorCode': arity(1, 1, ([code], node, self) => setColor(self, toCRGB(code >>> 0)), FASTLED_TYPES.CRGB),
+            'CRGB::setHue': arity(1, 1, ([hue], node, self) => setColor(self, hsv2rgbRainbow(hue & 0xFF, 255, 255)), FASTLED_TYPES.CRGB),
+            'CRGB::setHSV': arity(3, 3, ([hue, sat, val], node, self) =>
+                setColor(self, hsv2rgbRainbow(hue & 0xFF, sat & 0xFF, val & 0xFF)), FASTLED_TYPES.CRGB),
+            'CRGB::nscale8': arity(1, 1, ([scale], node, self) =>
+                setColor(self, scaleColor(self.base[self.key], scale & 0xFF)), FASTLED_TYPES.CRGB),
+            'CRGB::nscale8_video': arity(1, 1, ([scale], node, self) =>
+                setColor(self, scaleColor(self.base[self.key], scale & 0xFF, scale8Video)), FASTLED_TYPES.CRGB),
+            'CRGB::fadeToBlackBy': arity(1, 1, ([fadeBy], node, self) =>
+                setColor(self, scaleColor(self.base[self.key], 255 - (fadeBy & 0xFF))), FASTLED_TYPES.CRGB),
+            'CRGB::fadeLightBy': arity(1, 1, ([fadeBy], node, self) =>
+                setColor(self, scaleColor(self.base[self.key], 255 - (fadeBy & 0xFF), scale8Video)), FASTLED_TYPES.CRGB),
+            'CRGB::maximizeBrightness': arity(0, 1, ([limit = 255], node, self) =>
+                setColor(self, maximizeBrightness(self.base[self.key], limit & 0xFF)), FASTLED_TYPES.CRGB),
+            'CRGB::getAverageLight': arity(0, 0, (args, node, self) => {
+                const { r, g, b } = self.base[self.key];
+                return scale8(r, 85) + scale8(g, 85) + scale8(b, 85);
+            }, 'uint8_t'),
+            // addLeds<CHIPSET, DATA_PIN, COLOR_ORDER>(leds, count), or (leds, offset, count)
+            'FastLED.addLeds': arity(2, 3, ([leds, offset, count], node) => {
+                const [chipset, pin, order = FASTLED_CONSTANTS.RGB] = node.templateValues || [];
+                if (pin === undefined) {
+                    throw new RuntimeError('FastLED.addLeds() needs a chipset and data pin: addLeds<WS2812B, DATA_PIN, GRB>(leds, count)', node.loc);
+                }
+                if (count === undefined) [offset, count] = [0, offset];
+                const { array, index } = this.ledArray(leds, offset + count, node);
+                this.checkPin(pin, 'output', node);
+                this.pinManager.pinMode(pin, 'OUTPUT');
+                return this.fastLed.addLeds(chipset, pin, order, { array, index: index + offset }, count);
+            }, 'CLEDController'),
+            'CLEDController::setCorrection': arity(1, 1, ([color], node, self) => {
+                self.base[self.key].setCorrection(color);
+                return self.base[self.key];
+            }, 'CLEDController'),
+            'CLEDController::setTemperature': arity(1, 1, ([color], node, self) => {
+                self.base[self.key].setTemperature(color);
+                return self.base[self.key];
+            }, 'CLEDController'),
+            'FastLED.show': arity(0, 1, ([scale]) => this.fastLed.show(scale === undefined ? this.fastLed.brightness : scale)),
+            'FastLED.clear': arity(0, 1, ([writeData]) => this.fastLed.clear(!!writeData)),
+            'FastLED.setBrightness': arity(1, 1, ([scale]) => {
+                this.fastLed.brightness = scale & 0xFF;
+            }),
+            'FastLED.getBrightness': arity(0, 0, () => this.fastLed.brightness, 'uint8_t'),
+            'FastLED.delay': arity(1, 1, ([ms]) => this.fastLed.delay(ms)),
+            'fill_solid': arity(3, 3, ([leds, count, color], node) => {
+                const { array, index } = this.ledArray(leds, count, node);
+                for (let i = 0; i < count; i++) array[index + i] = toCRGB(color);
+            }),
+            'fill_rainbow': arity(3, 4, ([leds, count, initialHue, deltaHue], node) => {
+                const { array, index } = this.ledArray(leds, count, node);
+                let hue = initialHue & 0xFF;
+                for (let i = 0; i < count; i++) {
+                    array[index + i] = hsv2rgbRainbow(hue, 240, 255);
+                    hue = (hue + (deltaHue === undefined ? 5 : deltaHue)) & 0xFF;
+                }
+            }),
+            'fadeToBlackBy': arity(3, 3, ([leds, count, fadeBy], node) => {
+                const { array, index } = this.ledArray(leds, count, node);
+                const scale = 255 - (fadeBy & 0xFF);
+                for (let i = 0; i < count; i++) array[index + i] = scaleColor(array[index + i], scale);
+            }),
+
+            // --- Servo (ESP32Servo) ---
+            'Servo::Servo': arity(0, 0, () => new Servo(this.ledc)),
+            // Returns the LEDC channel the servo got, 0 if none
+            'Servo::attach': arity(1, 3, ([pin, min, max], node, self) => {
+                const servo = self.base[self.key];
+                if (!this.checkPin(pin, 'output', node)) return 0;
+                servo.detach();
+                const channel = this.ledc.freeChannel(servo.frequency, SERVO_TIMER_WIDTH);
+                if (channel < 0) {
+                    this.warnOnce(`servo-attach:${pin}`, `${this.calleeName(node.callee)}(${pin}): no free LEDC channel can run a servo at ${servo.frequency} Hz`, node);
+                    return 0;
+                }
+                return servo.attach(pin, channel, min, max);
+            }, 'int'),
+            'Servo::detach': arity(0, 0, (args, node, self) => {
+                self.base[self.key].detach();
+            }),
+            'Servo::attached': arity(0, 0, (args, node, self) => (self.base[self.key].attached() ? 1 : 0), 'bool'),
+            'Servo::setPeriodHertz': arity(1, 1, ([hertz], node, self) => {
+                self.base[self.key].setPeriodHertz(hertz);
+            }),
+            'Servo::write': arity(1, 1, ([value], node, self) => {
+                self.base[self.key].write(Math.trunc(value));
+            }),
+            'Servo::writeMicroseconds': arity(1, 1, ([us], node, self) => {
+                self.base[self.key].writeMicroseconds(Math.trunc(us));
+            }),
+            'Servo::read': arity(0, 0, (args, node, self) => self.base[self.key].read(), 'int'),
+            'Servo::readMicroseconds': arity(0, 0, (args, node, self) => self.base[self.key].readMicroseconds(), 'int'),
+            // Reserves an LEDC timer for the library; here channels are found free as servos attach
+            'ESP32PWM::allocateTimer': arity(1, 1, () => {}),
+
+            // --- FreeRTOS tasks ---
+            'xTaskCreate': arity(6, 6, ([func, name, stackDepth, param, priority, handle], node) => {
+                this.store(handle, this.spawnTask(func, name, stackDepth, param, priority, undefined, node));
+                return CONSTANTS.pdPASS;
+            }, 'BaseType_t'),
+            'xTaskCreatePinnedToCore': arity(7, 7, ([func, name, stackDepth, param, priority, handle, core], node) => {
+                this.store(handle, this.spawnTask(func, name, stackDepth, param, priority, core, node));
+                return CONSTANTS.pdPASS;
+            }, 'BaseType_t'),
+            'vTaskDelete': arity(1, 1, async ([handle], node) => {
+                await this.scheduler.deleteTask(this.taskArg(handle, node));
+            }),
+            'vTaskDelay': arity(1, 1, async ([ticks]) => {
+                await this.taskDelay(ticks);
+            }),
+            'xTaskDelayUntil': arity(2, 2, async ([previous, period], node) => {
+                if (!(previous instanceof Pointer)) throw new RuntimeError('assert failed: xTaskDelayUntil (pxPreviousWakeTime)', node.loc);
+                const wakeTick = (previous.base[previous.index] + period) >>> 0;
+                previous.base[previous.index] = wakeTick;
+                const ticks = wakeTick - this.scheduler.tickCount;
+                if (ticks <= 0) return CONSTANTS.pdFALSE;
+                await this.taskDelay(ticks);
+                return CONSTANTS.pdTRUE;
+            }, 'BaseType_t'),
+            'vTaskDelayUntil': arity(2, 2, async (args, node) => {
+                await this.builtins.xTaskDelayUntil(args, node);
+            }),
+            'xTaskGetTickCount': arity(0, 0, () => this.scheduler.tickCount, 'TickType_t'),
+            'xTaskGetTickCountFromISR': arity(0, 0, () => this.scheduler.tickCount, 'TickType_t'),
+            'pdMS_TO_TICKS': arity(1, 1, ([ms]) => Math.floor(ms) >>> 0, 'TickType_t'),
+            'pdTICKS_TO_MS': arity(1, 1, ([ticks]) => Math.floor(ticks) >>> 0, 'TickType_t'),
+            'vTaskSuspend': arity(1, 1, async ([handle], node) => {
+                await this.scheduler.suspend(this.taskArg(handle, node));
+            }),
+            'vTaskResume': arity(1, 1, ([handle], node) => {
+                this.scheduler.resumeTask(this.taskArg(handle, node));
+            }),
+            'xTaskResumeFromISR': arity(1, 1, ([handle], node) => (this.scheduler.resumeTask(this.taskArg(handle, node)) ? 1 : 0), 'BaseType_t'),
+            'uxTaskPriorityGet': arity(1, 1, ([handle], node) => this.taskArg(handle, node).priority, 'UBaseType_t'),
+            'vTaskPrioritySet': arity(2, 2, ([handle, priority], node) => {
+                this.scheduler.setPriority(this.taskArg(handle, node), Math.max(0, Math.min(MAX_PRIORITIES - 1, priority)));
+            }),
+            'xTaskGetCurrentTaskHandle': arity(0, 0, () => this.scheduler.current, TASK_HANDLE),
+            'pcTaskGetName': arity(1, 1, ([handle], node) => this.taskArg(handle, node).name, CHAR_POINTER),
+            'pcTaskGetTaskName': arity(1, 1, ([handle], node) => this.taskArg(handle, node).name, CHAR_POINTER),
+            'xPortGetCoreID': arity(0, 0, () => {
+                const task = this.scheduler.current;
+                return task && task.core !== null ? task.core : CONSTANTS.ARDUINO_RUNNING_CORE;
+            }, 'BaseType_t'),
+            'uxTaskGetStackHighWaterMark': arity(1, 1, ([handle], node) => {
+                const task = this.taskArg(handle, node);
+                return Math.max(0, task.stackDepth - (task.maxCallDepth + 1) * STACK_FRAME_BYTES);
+            }, 'UBaseType_t'),
+            'eTaskGetState': arity(1, 1, ([handle], node) => TASK_STATES.indexOf(this.taskArg(handle, node).state), 'int'),
+            'uxTaskGetNumberOfTasks': arity(0, 0, () => this.scheduler.tasks.filter(t => t.state !== 'Deleted').length, 'UBaseType_t'),
+            'taskYIELD': arity(0, 0, async () => {
+                if (this.scheduler.current && !this.inInterrupt) await this.scheduler.yield();
+            }),
+            'portYIELD': arity(0, 0, async () => {
+                if (this.scheduler.current && !this.inInterrupt) await this.scheduler.yield();
+            }),
+            // The switch a FromISR call asked for happens when the ISR returns anyway
+            'portYIELD_FROM_ISR': arity(0, 1, () => {}),
+            'taskENTER_CRITICAL': arity(1, 1, () => {
+                this.criticalNesting++;
+            }),
+            'taskEXIT_CRITICAL': arity(1, 1, () => {
+                this.criticalNesting = Math.max(0, this.criticalNesting - 1);
+            }),
+
+            // --- FreeRTOS task notifications ---
+            'xTaskNotifyGive': arity(1, 1, ([handle], node) => this.notifyTask(this.taskArg(handle, node), 0, CONSTANTS.eIncrement), 'BaseType_t'),
+            'vTaskNotifyGiveFromISR': arity(2, 2, ([handle, woken], node) => {
+                this.notifyTask(this.taskArg(handle, node), 0, CONSTANTS.eIncrement, woken);
+            }),
+            'xTaskNotify': arity(3, 3, ([handle, value, action], node) => this.notifyTask(this.taskArg(handle, node), value, action), 'BaseType_t'),
+            'xTaskNotifyFromISR': arity(4, 4, ([handle, value, action, woken], node) =>
+                this.notifyTask(this.taskArg(handle, node), value, action, woken), 'BaseType_t'),
+            'ulTaskNotifyTake': arity(2, 2, async ([clearOnExit, ticks]) => {
+                const task = this.scheduler.current;
+                if (!task) return 0;
+                await this.blockOn(task.notifyWaiters, ticks, () => task.notifyValue !== 0);
+                const value = task.notifyValue;
+                if (value) task.notifyValue = clearOnExit ? 0 : value - 1;
+                task.notifyPending = false;
+                return value;
+            }, 'unsigned int'),
+            'xTaskNotifyWait': arity(4, 4, async ([clearOnEntry, clearOnExit, valuePointer, ticks]) => {
+                const task = this.scheduler.current;
+                if (!task) return CONSTANTS.pdFALSE;
+                if (!task.notifyPending) task.notifyValue = (task.notifyValue & ~clearOnEntry) >>> 0;
+                if (!await this.blockOn(task.notifyWaiters, ticks, () => task.notifyPending)) return CONSTANTS.pdFALSE;
+                this.store(valuePointer, task.notifyValue);
+                task.notifyValue = (task.notifyValue & ~clearOnExit) >>> 0;
+                task.notifyPending = false;
+                return CONSTANTS.pdTRUE;
+            }, 'BaseType_t'),
+
+            // --- FreeRTOS queues ---
+            'xQueueCreate': arity(2, 2, ([length, itemSize]) => (length > 0 ? new Queue(length, itemSize) : null), QUEUE_HANDLE),
+            'xQueueSend': arity(3, 3, ([queue, item, ticks], node) => this.queueSend(
+                this.kernelObject(queue, Queue, node), this.readItem(item, node.args[1].ctype, queue.itemSize, node), ticks, 'back'), 'BaseType_t'),
+            'xQueueSendToBack': arity(3, 3, ([queue, item, ticks], node) => this.queueSend(
+                this.kernelObject(queue, Queue, node), this.readItem(item, node.args[1].ctype, queue.itemSize, node), ticks, 'back'), 'BaseType_t'),
+            'xQueueSendToFront': arity(3, 3, ([queue, item, ticks], node) => this.queueSend(
+                this.kernelObject(queue, Queue, node), this.readItem(item, node.args[1].ctype, queue.itemSize, node), ticks, 'front'), 'BaseType_t'),
+            'xQueueOverwrite': arity(2, 2, ([queue, item], node) => this.queueSend(
+                this.kernelObject(queue, Queue, node), this.readItem(item, node.args[1].ctype, queue.itemSize, node), 0, 'overwrite'), 'BaseType_t'),
+            'xQueueSendFromISR': arity(3, 3, ([queue, item, woken], node) => this.queueSend(
+                this.kernelObject(queue, Queue, node), this.readItem(item, node.args[1].ctype, queue.itemSize, node), 0, 'back', woken), 'BaseType_t'),
+            'xQueueSendToBackFromISR': arity(3, 3, ([queue, item, woken], node) => this.queueSend(
+                this.kernelObject(queue, Queue, node), this.readItem(item, node.args[1].ctype, queue.itemSize, node), 0, 'back', woken), 'BaseType_t'),
+            'xQueueSendToFrontFromISR': arity(3, 3, ([queue, item, woken], node) => this.queueSend(
+                this.kernelObject(queue, Queue, node), this.readItem(item, node.args[1].ctype, queue.itemSize, node), 0, 'front', woken), 'BaseType_t'),
+            'xQueueOverwriteFromISR': arity(3, 3, ([queue, item, woken], node) => this.queueSend(
+                this.kernelObject(queue, Queue, node), this.readItem(item, node.args[1].ctype, queue.itemSize, node), 0, 'overwrite', woken), 'BaseType_t'),
+            'xQueueReceive': arity(3, 3, ([queue, buffer, ticks], node) =>
+                this.queueReceive(this.kernelObject(queue, Queue, node), buffer, ticks, false, undefined, node), 'BaseType_t'),
+            'xQueuePeek': arity(3, 3, ([queue, buffer, ticks], node) =>
+                this.queueReceive(this.kernelObject(queue, Queue, node), buffer, ticks, true, undefined, node), 'BaseType_t'),
+            'xQueueReceiveFromISR': arity(3, 3, ([queue, buffer, woken], node) =>
+                this.queueReceive(this.kernelObject(queue, Queue, node), buffer, 0, false, woken, node), 'BaseType_t'),
+            'uxQueueMessagesWaiting': arity(1, 1, ([queue], node) => this.kernelObject(queue, Queue, node).items.length, 'UBaseType_t'),
+            'uxQueueMessagesWaitingFromISR': arity(1, 1, ([queue], node) => this.kernelObject(queue, Queue, node).items.length, 'UBaseType_t'),
+            'uxQueueSpacesAvailable': arity(1, 1, ([queue], node) => this.kernelObject(queue, Queue, node).spaces, 'UBaseType_t'),
+            'xQueueReset': arity(1, 1, ([queue], node) => {
+                const q = this.kernelObject(queue, Queue, node);
+                q.items = [];
+                this.scheduler.wakeAll(q.senders);
+                return CONSTANTS.pdPASS;
+            }, 'BaseType_t'),
+            'vQueueDelete': arity(1, 1, ([queue], node) => {
+                this.kernelObject(queue, Queue, node);
+            }),
+
+            // --- FreeRTOS semaphores and mutexes ---
+            'xSemaphoreCreateBinary': arity(0, 0, () => new Semaphore('binary', 1, 0), QUEUE_HANDLE),
+            'xSemaphoreCreateCounting': arity(2, 2, ([max, initial]) => (max > 0 && initial <= max ? new Semaphore('counting', max, initial) : null), QUEUE_HANDLE),
+            'xSemaphoreCreateMutex': arity(0, 0, () => new Semaphore('mutex', 1, 1), QUEUE_HANDLE),
+            'xSemaphoreCreateRecursiveMutex': arity(0, 0, () => new Semaphore('recursive', 1, 1), QUEUE_HANDLE),
+            'xSemaphoreTake': arity(2, 2, ([semaphore, ticks], node) =>
+                this.semaphoreTake(this.kernelObject(semaphore, Semaphore, node), ticks, false), 'BaseType_t'),
+            'xSemaphoreTakeRecursive': arity(2, 2, ([semaphore, ticks], node) =>
+                this.semaphoreTake(this.kernelObject(semaphore, Semaphore, node), ticks, true), 'BaseType_t'),
+            'xSemaphoreTakeFromISR': arity(2, 2, ([semaphore], node) =>
+                this.semaphoreTake(this.kernelObject(semaphore, Semaphore, node), 0, false), 'BaseType_t'),
+            'xSemaphoreGive': arity(1, 1, ([semaphore], node) =>
+                this.semaphoreGive(this.kernelObject(semaphore, Semaphore, node), false), 'BaseType_t'),
+            'xSemaphoreGiveRecursive': arity(1, 1, ([semaphore], node) =>
+                this.semaphoreGive(this.kernelObject(semaphore, Semaphore, node), true), 'BaseType_t'),
+            'xSemaphoreGiveFromISR': arity(2, 2, ([semaphore, woken], node) =>
+                this.semaphoreGive(this.kernelObject(semaphore, Semaphore, node), false, woken), 'BaseType_t'),
+            'uxSemaphoreGetCount': arity(1, 1, ([semaphore], node) => this.kernelObject(semaphore, Semaphore, node).count, 'UBaseType_t'),
+            'xSemaphoreGetMutexHolder': arity(1, 1, ([semaphore], node) => this.kernelObject(semaphore, Semaphore, node).owner, TASK_HANDLE),
+            'vSemaphoreDelete': arity(1, 1, ([semaphore], node) => {
+                this.kernelObject(semaphore, Semaphore, node);
+            }),
+
+            // --- FreeRTOS event groups ---
+            'xEventGroupCreate': arity(0, 0, () => new EventGroup(), EVENT_GROUP_HANDLE),
+            'xEventGroupSetBits': arity(2, 2, ([group, bits], node) => {
+                const g = this.kernelObject(group, EventGroup, node);
+                this.setEventBits(g, bits);
+                return g.bits;
+            }, 'EventBits_t'),
+            'xEventGroupSetBitsFromISR': arity(3, 3, ([group, bits, woken], node) => {
+                this.setEventBits(this.kernelObject(group, EventGroup, node), bits, woken);
+                return CONSTANTS.pdPASS;
+            }, 'BaseType_t'),
+            'xEventGroupClearBits': arity(2, 2, ([group, bits], node) => {
+                const g = this.kernelObject(group, EventGroup, node);
+                const value = g.bits;
+                g.bits &= ~bits;
+                return value;
+            }, 'EventBits_t'),
+            'xEventGroupGetBits': arity(1, 1, ([group], node) => this.kernelObject(group, EventGroup, node).bits, 'EventBits_t'),
+            'xEventGroupGetBitsFromISR': arity(1, 1, ([group], node) => this.kernelObject(group, EventGroup, node).bits, 'EventBits_t'),
+            'xEventGroupWaitBits': arity(5, 5, ([group, bits, clearOnExit, waitForAll, ticks], node) =>
+                this.waitEventBits(this.kernelObject(group, EventGroup, node), bits, !!clearOnExit, !!waitForAll, ticks), 'EventBits_t'),
+            // Rendezvous: set our bits, then wait for everyone's
+            'xEventGroupSync': arity(4, 4, ([group, setBits, waitBits, ticks], node) => {
+                const g = this.kernelObject(group, EventGroup, node);
+                const value = this.setEventBits(g, setBits);
+                if ((value & waitBits) === waitBits) {
+                    g.bits &= ~waitBits;
+                    return value;
+                }
+                return this.waitEventBits(g, waitBits, true, true, ticks);
+            }, 'EventBits_t'),
+            'vEventGroupDelete': arity(1, 1, ([group], node) => {
+                this.kernelObject(group, EventGroup, node);
+            }),
+
+            // --- Math ---
+            'map': arity(5, 5, (args) => {
+                // Same long arithmetic as the ESP32 core's WMath.cpp
+                const [val, inMin, inMax, outMin, outMax] = args.map(a => convert(a, TYPES.long));
+                const run = convert(inMax - inMin, TYPES.long);
+                if (run === 0) return -1;
+                const rise = convert(outMax - outMin, TYPES.long);
+                const delta = convert(val - inMin, TYPES.long);
+                return convert(Math.trunc(convert(Math.imul(delta, rise), TYPES.long) / run) + outMin, TYPES.long);
+            }, 'long'),
+            'constrain': arity(3, 3, ([val, lo, hi]) => Math.max(lo, Math.min(hi, val)), 'auto'),
+            'random': arity(1, 2, (args) => {
+                const min = args.length > 1 ? args[0] : 0;
+                const max = args.length > 1 ? args[1] : args[0];
+                if (min >= max) return min;
+                return Math.floor(this.random() * (max - min)) + min;
+            }, 'long'),
+            // Like the core's, a seed of 0 is ignored
+            'randomSeed': arity(1, 1, ([seed]) => {
+                if (seed) this.random = seededRandom(seed);
+            }),
+            'abs': arity(1, 1, ([x]) => Math.abs(x), 'auto'),
+            'labs': arity(1, 1, ([x]) => Math.abs(x), 'long'),
+            'min': arity(2, 2, ([a, b]) => Math.min(a, b), 'auto'),
+            'max': arity(2, 2, ([a, b]) => Math.max(a, b), 'auto'),
+            ...mathBuiltins(),
+            'lround': arity(1, 1, ([x]) => MATH_FUNCTIONS.round(x), 'long'),
+            'isnan': arity(1, 1, ([x]) => (isNaN(x) ? 1 : 0), 'bool'),
+            'isinf': arity(1, 1, ([x]) => (x === Infinity || x === -Infinity ? 1 : 0), 'bool'),
+
+            // --- String ---
+            'String': exact(arity(0, 2, ([value, format], node) => {
+                if (value === undefined) return '';
+                const type = node.args[0].ctype;
+                // Unlike Print, the String constructor formats bases in lower case
+                const text = this.formatPrint(value, type, format);
+                return type && type.kind === 'int' && format !== undefined ? text.toLowerCase() : text;
+            }, 'String')),
+            'String::length': arity(0, 0, (args, node, self) => self.base[self.key].length, 'unsigned int'),
+            'String::isEmpty': arity(0, 0, (args, node, self) => (self.base[self.key].length ? 0 : 1), 'bool'),
+            'String::c_str': arity(0, 0, (args, node, self) => self.base[self.key], 'const char*'),
+            'String::charAt': arity(1, 1, ([i], node, self) => {
+                const str = self.base[self.key];
+                return i >= 0 && i < str.length ? convert(str.charCodeAt(i), TYPES.char) : 0;
+            }, 'char'),
+            'String::setCharAt': arity(2, 2, ([i, c], node, self) => {
+                const str = self.base[self.key];
+                if (i >= 0 && i < str.length) self.base[self.key] = str.slice(0, i) + String.fromCharCode(c & 0xFF) + str.slice(i + 1);
+            }),
+            'String::substring': arity(1, 2, ([from, to], node, self) => {
+                const str = self.base[self.key];
+                // Like WString.cpp, the bounds may come in either order
+                let left = from;
+                let right = to === undefined ? str.length : to;
+                if (left > right) [left, right] = [right, left];
+                if (left >= str.length) return '';
+                return str.slice(left, Math.min(right, str.length));
+            }, 'String'),
+            'String::indexOf': arity(1, 2, ([value, from = 0], node, self) =>
+                self.base[self.key].indexOf(this.textArg(value, node.args[0].ctype), from), 'int'),
+            'String::lastIndexOf': arity(1, 2, ([value, from], node, self) => {
+                const str = self.base[self.key];
+                return str.lastIndexOf(this.textArg(value, node.args[0].ctype), from === undefined ? str.length : from);
+            }, 'int'),
+            'String::startsWith': arity(1, 1, ([value], node, self) =>
+                (self.base[self.key].startsWith(this.textArg(value, node.args[0].ctype)) ? 1 : 0), 'bool'),
+            'String::endsWith': arity(1, 1, ([value], node, self) =>
+                (self.base[self.key].endsWith(this.textArg(value, node.args[0].ctype)) ? 1 : 0), 'bool'),
+            'String::equals': arity(1, 1, ([value], node, self) =>
+                (self.base[self.key] === this.textArg(value, node.args[0].ctype) ? 1 : 0), 'bool'),
+            'String::equalsIgnoreCase': arity(1, 1, ([value], node, self) =>
+                (self.base[self.key].toLowerCase() === this.textArg(value, node.args[0].ctype).toLowerCase() ? 1 : 0), 'bool'),
+            'String::compareTo': arity(1, 1, ([value], node, self) => {
+                const a = self.base[self.key];
+                const b = this.textArg(value, node.args[0].ctype);
+                return a === b ? 0 : a < b ? -1 : 1;
+            }, 'int'),
+            'String::concat': exact(arity(1, 1, ([value], node, self) => {
+                self.base[self.key] += this.formatPrint(value, node.args[0].ctype);
+                return 1;
+            }, 'bool')),
+            'String::replace': arity(2, 2, ([find, replacement], node, self) => {
+                const pattern = this.textArg(find, node.args[0].ctype);
+                if (pattern) self.base[self.key] = self.base[self.key].split(pattern).join(this.textArg(replacement, node.args[1].ctype));
+            }),
+            'String::remove': arity(1, 2, ([index, count], node, self) => {
+                const str = self.base[self.key];
+                const end = count === undefined ? str.length : index + count;
+                if (index < str.length) self.base[self.key] = str.slice(0, index) + str.slice(end);
+            }),
+            'String::trim': arity(0, 0, (args, node, self) => {
+                // isspace(): space, \t, \n, \v, \f, \r
+                self.base[self.key] = self.base[self.key].replace(/^[ \t\n\v\f\r]+|[ \t\n\v\f\r]+$/g, '');
+            }),
+            'String::toUpperCase': arity(0, 0, (args, node, self) => {
+                self.base[self.key] = self.base[self.key].toUpperCase();
+            }),
+            'String::toLowerCase': arity(0, 0, (args, node, self) => {
+                self.base[self.key] = self.base[self.key].toLowerCase();
+            }),
+            'String::toInt': arity(0, 0, (args, node, self) => this.parseLong(self.base[self.key]), 'long'),
+            'String::toFloat': arity(0, 0, (args, node, self) => this.parseDouble(self.base[self.key]), 'float'),
+            'String::toDouble': arity(0, 0, (args, node, self) => this.parseDouble(self.base[self.key]), 'double'),
+            'String::reserve': arity(1, 1, () => 1, 'bool'),
+            'String::toCharArray': arity(2, 3, ([buf, size, index = 0], node, self) => {
+                const text = self.base[self.key].slice(index, index + Math.max(0, size - 1));
+                if (size > 0) this.writeCString(buf, text, node);
+            }),
+
+            // --- C strings ---
+            'strlen': arity(1, 1, ([s]) => readCString(s).length, 'size_t'),
+            'strcpy': arity(2, 2, ([dest, src], node) => this.writeCString(dest, readCString(src), node), CHAR_POINTER),
+            'strncpy': arity(3, 3, ([dest, src, n], node) => {
+                // Pads with NULs up to n and does not terminate a truncated copy
+                const { array, index } = this.charBuffer(dest, node);
+                const text = readCString(src);
+                if (index + n > array.length) {
+                    throw new RuntimeError(`Buffer overflow: writing ${n} bytes into a buffer of ${array.length - index}`, node.loc);
+                }
+                for (let i = 0; i < n; i++) array[index + i] = i < text.length ? convert(text.charCodeAt(i), TYPES.char) : 0;
+                return dest;
+            }, CHAR_POINTER),
+            'strcat': arity(2, 2, ([dest, src], node) => {
+                const { array, index } = this.charBuffer(dest, node);
+                const end = readCString(dest).length;
+                this.writeCString(new Pointer(array, index + end), readCString(src), node);
+                return dest;
+            }, CHAR_POINTER),
+            'strchr': arity(2, 2, ([s, c]) => {
+                const text = readCString(s);
+                // The terminator can be searched for too
+                return this.charPointer(s, c & 0xFF ? text.indexOf(String.fromCharCode(c & 0xFF)) : text.length);
+            }, CHAR_POINTER),
+            'strrchr': arity(2, 2, ([s, c]) => {
+                const text = readCString(s);
+                return this.charPointer(s, c & 0xFF ? text.lastIndexOf(String.fromCharCode(c & 0xFF)) : text.length);
+            }, CHAR_POINTER),
+            'strstr': arity(2, 2, ([haystack, needle]) =>
+                this.charPointer(haystack, readCString(haystack).indexOf(readCString(needle))), CHAR_POINTER),
+            'strcmp': arity(2, 2, ([a, b]) => this.compareCStrings(readCString(a), readCString(b)), 'int'),
+            'strncmp': arity(3, 3, ([a, b, n]) => this.compareCStrings(readCString(a).slice(0, n), readCString(b).slice(0, n)), 'int'),
+            'sprintf': exact(arity(2, Infinity, ([dest, fmt, ...args], node) => {
+                const text = this.formatPrintf(readCString(fmt), args);
+                this.writeCString(dest, text, node);
+                return text.length;
+            }, 'int')),
+            'snprintf': exact(arity(3, Infinity, ([dest, size, fmt, ...args], node) => {
+                // Returns the full length even when the output was truncated
+                const text = this.formatPrintf(readCString(fmt), args);
+                if (size > 0) this.writeCString(dest, text.slice(0, Number(size) - 1), node);
+                return text.length;
+            }, 'int')),
+            'dtostrf': arity(4, 4, ([value, width, precision, dest], node) => {
+                const text = this.formatPrintf(`%${width}.${precision}f`, [value]);
+                return this.writeCString(dest, text, node);
+            }, CHAR_POINTER),
+            'itoa': arity(3, 3, ([value, dest, base], node) => this.writeCString(dest, this.integerToText(value, base), node), CHAR_POINTER),
+            'ltoa': arity(3, 3, ([value, dest, base], node) => this.writeCString(dest, this.integerToText(value, base), node), CHAR_POINTER),
+            'atoi': arity(1, 1, ([s]) => this.parseLong(readCString(s)), 'int'),
+            'atol': arity(1, 1, ([s]) => this.parseLong(readCString(s)), 'long'),
+            'atof': arity(1, 1, ([s]) => this.parseDouble(readCString(s)), 'double'),
+
+            // --- Memory ---
+            'memset': arity(3, 3, ([dest, c, n], node) => {
+                const type = elementType(node.args[0].ctype);
+                const { base, keys } = this.memoryRange(dest, type, n, node);
+                const byte = c & 0xFF;
+                const value = byte ? byteFilled(type, byte) : null;
+                if (byte && value === null) {
+                    throw new RuntimeError(`memset() can only fill numbers with a non-zero byte, not '${type.name}'`, node.loc);
+                }
+                for (const key of keys) base[key] = byte ? value : zeroValue(base[key]);
+                return dest;
+            }, VOID_POINTER),
+            'memcpy': arity(3, 3, ([dest, src, n], node) => this.copyMemory(dest, src, n, node), VOID_POINTER),
+            // Overlapping ranges are fine, since the source is read first anyway
+            'memmove': arity(3, 3, ([dest, src, n], node) => this.copyMemory(dest, src, n, node), VOID_POINTER),
+        };
+    }
 
-            // Safe eval for math
-            if (/^[\d\s\+\-\*\/\%\.\(\)]+$/.test(evalExpr)) {
-                return Function(`"use strict"; return (${evalExpr})`)();
-            }
-        } catch (e) {
-            // ignore
+    /**
+     * strcmp() result: difference of the first differing unsigned chars
+     */
+    compareCStrings(a, b) {
+        for (let i = 0; ; i++) {
+            const x = i < a.length ? a.charCodeAt(i) & 0xFF : 0;
+            const y = i < b.length ? b.charCodeAt(i) & 0xFF : 0;
+            if (x !== y || x === 0) return x - y;
         }
+    }
+
+    /**
+     * itoa()/ltoa(): negative numbers get a sign only in base 10, other
+     * bases show the two's complement bits
+     */
+    integerToText(value, base) {
+        if (base < 2 || base > 36) return '';
+        if (base === 10) return String(convert(value, TYPES.long));
+        return convert(value, TYPES['unsigned long']).toString(base);
+    }
 
-        return 0;
+    /**
+     * atol()/String::toInt(): optional whitespace and sign, then digits
+     */
+    parseLong(text) {
+        const match = /^[ \t\n\v\f\r]*([+-]?\d+)/.exec(text);
+        return match ? convert(parseInt(match[1], 10), TYPES.long) : 0;
     }
 
     /**
-     * Split comma-separated arguments respecting parentheses
+     * atof()/String::toFloat(): the longest leading decimal number
      */
-    splitArgs(argsStr) {
-        const args = [];
-        let depth = 0;
-        let current = '';
-        for (const ch of argsStr) {
-            if (ch === '(') depth++;
-            else if (ch === ')') depth--;
-            else if (ch === ',' && depth === 0) {
-                args.push(current.trim());
-                current = '';
-                continue;
-            }
-            current += ch;
+    parseDouble(text) {
+        const match = /^[ \t\n\v\f\r]*([+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/.exec(text);
+        return match ? parseFloat(match[1]) : 0;
+    }
+
+    /**
+     * Format a value the way Print::print() does for its static type.
+     * `format` is the optional base (DEC/HEX/OCT/BIN) or float digits.
+     */
+    formatPrint(value, type, format) {
+        if (type && (type.kind === 'pointer' || type.kind === 'array') && (type.to || type.of).name === 'char') {
+            return readCString(value);
         }
-        if (current.trim()) args.push(current.trim());
-        return args;
+        if (!type || type.kind === 'string' || (typeof value !== 'number' && typeof value !== 'bigint')) return String(value);
+        if (type.kind === 'float') return this.formatFloat(value, format === undefined ? 2 : format);
+        if (type.name === 'char' && format === undefined) return String.fromCharCode(value & 0xFF);
+
+        const base = format === undefined ? 10 : format;
+        if (base === 10 || base < 2 || base > 36) return String(value);
+        // Non-decimal bases print the two's complement bit pattern
+        const bits = type.bits === 64 ? 64 : 32;
+        const unsigned = value < 0 ? (bits === 64 ? BigInt.asUintN(64, BigInt(value)) : value >>> 0) : value;
+        return unsigned.toString(base).toUpperCase();
     }
 
     /**
-     * Parse a value from string
+     * Print::printFloat() — fixed digits, with nan/inf/ovf markers
      */
-    parseValue(str) {
-        str = str.trim();
-        // Remove trailing semicolons
-        if (str.endsWith(';')) str = str.slice(0, -1).trim();
+    formatFloat(value, digits) {
+        if (Number.isNaN(value)) return 'nan';
+        if (!Number.isFinite(value)) return value < 0 ? '-inf' : 'inf';
+        if (value > 4294967040.0) return 'ovf';
+        if (value < -4294967040.0) return '-ovf';
+        return value.toFixed(Math.max(0, Math.min(digits, 100)));
+    }
 
-        if (str === 'true' || str === 'HIGH') return 1;
-        if (str === 'false' || str === 'LOW') return 0;
-        if (/^-?\d+(\.\d+)?$/.test(str)) return parseFloat(str);
-        if (/^0x[0-9a-fA-F]+$/.test(str)) return parseInt(str, 16);
-        if ((str.startsWith('"') && str.endsWith('"'))) return str.slice(1, -1);
+    /**
+     * Format a printf-style string with already evaluated arguments.
+     * Supports flags, width, precision and the l/ll/h length modifiers.
+     */
+    formatPrintf(fmt, args) {
+        let argIdx = 0;
+        return fmt.replace(/%([-+ 0#]*)(\d+|\*)?(?:\.(\d+|\*))?(hh|h|ll|l|z)?([diuxXocsfFeEgGp%])/g,
+            (match, flags, width, precision, length, conv) => {
+                if (conv === '%') return '%';
+                if (width === '*') width = args[argIdx++];
+                if (precision === '*') precision = args[argIdx++];
+                width = width === undefined ? 0 : Number(width);
+                precision = precision === undefined ? undefined : Number(precision);
+                const val = args[argIdx++];
+                let body;
+                let sign = '';
+
+                switch (conv) {
+                    case 'd':
+                    case 'i': {
+                        const n = convert(val, length === 'll' ? TYPES['long long'] : TYPES.long);
+                        sign = n < 0 ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+                        body = String(n < 0 ? -n : n);
+                        if (precision !== undefined) body = body.padStart(precision, '0');
+                        break;
+                    }
+                    case 'u':
+                    case 'x':
+                    case 'X':
+                    case 'o': {
+                        const n = length === 'll' ? convert(val, TYPES['unsigned long long']) : convert(val, TYPES['unsigned long']);
+                        body = n.toString(conv === 'u' ? 10 : conv === 'o' ? 8 : 16);
+                        if (conv === 'X') body = body.toUpperCase();
+                        if (precision !== undefined) body = body.padStart(precision, '0');
+                        if (flags.includes('#') && Number(n) !== 0 && conv !== 'u') body = (conv === 'o' ? '0' : conv === 'x' ? '0x' : '0X') + body;
+                        break;
+                    }
+                    case 'c':
+                        body = String.fromCharCode(Number(val) & 0xFF);
+                        break;
+                    case 's':
+                        body = val !== null && typeof val === 'object' ? readCString(val) : String(val);
+                        if (precision !== undefined) body = body.slice(0, precision);
+                        break;
+                    case 'p':
+                        body = `0x${(Number(val) >>> 0).toString(16)}`;
+                        break;
+                    default: {
+                        const n = Number(val);
+                        const p = precision === undefined ? 6 : precision;
+                        sign = n < 0 || Object.is(n, -0) ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+                        const abs = Math.abs(n);
+                        if (!Number.isFinite(abs)) body = Number.isNaN(abs) ? 'nan' : 'inf';
+                        else if (conv === 'f' || conv === 'F') body = abs.toFixed(p);
+                        else if (conv === 'e' || conv === 'E') body = abs.toExponential(p).replace(/e([+-])(\d)$/, 'e$10$2');
+                        else body = String(Number(abs.toPrecision(p || 1)));
+                        if (conv === 'E' || conv === 'G' || conv === 'F') body = body.toUpperCase();
+                    }
+                }
+
+                // '0' is ignored for strings, and for integers when a precision is given
+                const zeroPad = flags.includes('0') && !'cs'.includes(conv) && (precision === undefined || 'fFeEgG'.includes(conv));
+                const padLength = width - sign.length - body.length;
+                if (padLength <= 0) return sign + body;
+                if (flags.includes('-')) return sign + body + ' '.repeat(padLength);
+                if (zeroPad) return sign + '0'.repeat(padLength) + body;
+                return ' '.repeat(padLength) + sign + body;
+            });
+    }
 
-        // It might reference another variable
-        if (str in this.variables) return this.variables[str];
-        return 0;
+    /**
+     * Yield to the browser every so often so long loops don't freeze the
+     * page. Returns a Promise only when it does.
+     */
+    yieldIfBusy() {
+        // Reading the wall clock costs more than a loop iteration, so only look every so often
+        if (this.statementCount < this.paceCheckAt) return undefined;
+        this.paceCheckAt = this.statementCount + PACE_CHECK_STATEMENTS;
+        const clock = this.clock;
+        const lead = clock.realtime ? clock.lead() : 0;
+        const due = lead >= 1 || lead < -MAX_LAG_MS || wallTime() - this.lastYield >= YIELD_INTERVAL_MS;
+        return due ? this.pace() : undefined;
+    }
+
+    /**
+     * Keep virtual time in step with the wall clock. In real-time mode this
+     * sleeps while the simulation is ahead of real time scaled by speed;
+     * in fast mode it never sleeps. Either way it gives the event loop a
+     * turn every YIELD_INTERVAL_MS so the page stays responsive.
+     */
+    async pace() {
+        const clock = this.clock;
+        if (clock.realtime) {
+            let lead = clock.lead();
+            if (lead >= 1) {
+                // Sleep in slices so stop() and speed changes apply promptly
+                while (this.running && clock.realtime && (lead = clock.lead()) >= 1) {
+                    await this.sleep(Math.min(lead, MAX_SLEEP_SLICE_MS));
+                }
+                this.lastYield = wallTime();
+                return;
+            }
+            // Too far behind to catch up: carry on from here instead of
+            // racing through the backlog later
+            if (lead < -MAX_LAG_MS) clock.anchor();
+        }
+        if (wallTime() - this.lastYield >= YIELD_INTERVAL_MS) {
+            await yieldToEventLoop();
+            this.lastYield = wallTime();
+        }
     }
 
     /**
@@ -613,7 +2660,7 @@ export class ArduinoParser {
         return new Promise(resolve => setTimeout(resolve, Math.max(1, ms)));
     }
 
-    setSpeed(speed) {
-        this.speed = speed;
+    setCyclesPerStatement(cycles) {
+        this.cyclesPerStatement = Math.max(0, cycles);
     }
 }
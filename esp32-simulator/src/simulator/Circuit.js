@@ -0,0 +1,35 @@
+/**
+ * Circuit — Save file format for placed components and their wires
+ */
+
+/**
+ * Serialize a circuit to JSON
+ */
+export function serializeCircuit(components, wires) {
+    return JSON.stringify({
+        version: 1,
+        editor: 'esp32-simulator',
+        parts: components.map(c => ({
+            type: c.type,
+            id: c.id,
+            attrs: c.attrs || {},
+            position: c.position,
+        })),
+        connections: wires.map(w => ({
+            from: w.from,
+            to: w.to,
+            color: w.color,
+        })),
+    }, null, 2);
+}
+
+/**
+ * Parse a saved circuit. Throws if the file isn't valid JSON.
+ */
+export function parseCircuit(json) {
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        throw new Error(`Invalid circuit file: ${e.message}`);
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Clock — Virtual simulation time
+ * The interpreter advances it deterministically (delays, statement costs);
+ * wall-clock time is only consulted to pace it in real-time mode.
+ */
+
+// ESP32 CPU frequency, for converting statement cycle costs to time
+export const CPU_FREQUENCY_MHZ = 240;
+
+export class Clock {
+    constructor() {
+        this.micros = 0;
+        this.speed = 1;
+        // false = run as fast as possible, never sleeping
+        this.realtime = true;
+        this.anchorMicros = 0;
+        this.anchorWall = 0;
+        // Pending { at, callback } alarms, soonest first
+        this.alarms = [];
+    }
+
+    /**
+     * Back to time zero, with real time starting now
+     */
+    reset() {
+        this.micros = 0;
+        this.alarms = [];
+        this.anchor();
+    }
+
+    /**
+     * Pace from the current virtual time as if it were reached just now
+     */
+    anchor() {
+        this.anchorMicros = this.micros;
+        this.anchorWall = wallTime();
+    }
+
+    get millis() {
+        return this.micros / 1000;
+    }
+
+    advance(micros) {
+        this.micros += Math.max(0, micros);
+        if (this.alarms.length && this.alarms[0].at <= this.micros) this.runAlarms();
+    }
+
+    advanceCycles(cycles) {
+        this.advance(cycles / CPU_FREQUENCY_MHZ);
+    }
+
+    /**
+     * Call callback(at) once virtual time reaches `at` microseconds.
+     * Returns a handle for cancelAlarm().
+     */
+    setAlarm(at, callback) {
+        const alarm = { at, callback };
+        let i = this.alarms.length;
+        while (i > 0 && this.alarms[i - 1].at > at) i--;
+        this.alarms.splice(i, 0, alarm);
+        return alarm;
+    }
+
+    cancelAlarm(alarm) {
+        const i = this.alarms.indexOf(alarm);
+        if (i >= 0) this.alarms.splice(i, 1);
+    }
+
+    /**
+     * Microseconds until the next alarm, Infinity if there is none
+     */
+    untilNextAlarm() {
+        return this.alarms.length ? Math.max(0, this.alarms[0].at - this.micros) : Infinity;
+    }
+
+    runAlarms() {
+        while (this.alarms.length && this.alarms[0].at <= this.micros) {
+            const alarm = this.alarms.shift();
+            alarm.callback(alarm.at);
+        }
+    }
+
+    setSpeed(speed) {
+        // Re-anchor so a speed change doesn't make time jump
+        this.anchor();
+        this.speed = speed;
+    }
+
+    setRealtime(realtime) {
+        this.anchor();
+        this.realtime = realtime;
+    }
+
+    /**
+     * How many wall-clock milliseconds virtual time is ahead of real time
+     * scaled by speed. Positive means the simulation should sleep.
+     */
+    lead() {
+        const virtualMs = (this.micros - this.anchorMicros) / 1000 / this.speed;
+        return virtualMs - (wallTime() - this.anchorWall);
+    }
+}
+
+/**
+ * Monotonic wall-clock milliseconds
+ */
+export function wallTime() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
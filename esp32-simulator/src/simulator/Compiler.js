@@ -0,0 +1,1074 @@
+/**
+ * Compiler — Turns the analyzed AST into JS closures
+ * parse() compiles the sketch once; running it only calls closures, with
+ * every operator, conversion and callee picked in advance. A closure
+ * returns its result directly and only returns a Promise when something
+ * had to wait (a delay, a task switch, an interrupt, the debugger), so
+ * straight-line code runs without going through the microtask queue.
+ */
+import {
+    TYPES, Pointer, convert, converter, binaryOp, binaryOperator, arrayOf, defaultValue, pointerOffset, toCharArray,
+    readCString, elementType, is64Bit,
+} from './Types.js';
+import { nonClassMemberMessage } from './Diagnostics.js';
+
+/**
+ * Error raised while executing the sketch, carrying the source range
+ */
+export class RuntimeError extends Error {
+    constructor(message, loc) {
+        super(message);
+        this.name = 'RuntimeError';
+        this.loc = loc;
+    }
+}
+
+// Control-flow signals a statement can return
+const BREAK = { type: 'break' };
+const CONTINUE = { type: 'continue' };
+const RETURN_VOID = { type: 'return', value: undefined, ctype: null };
+
+// Operators on values the Analyzer found no arithmetic type for
+const PLAIN_OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '&': (a, b) => a & b,
+    '|': (a, b) => a | b,
+    '^': (a, b) => a ^ b,
+    '<<': (a, b) => a << b,
+    '>>': (a, b) => a >> b,
+    '==': (a, b) => (a == b ? 1 : 0),
+    '!=': (a, b) => (a != b ? 1 : 0),
+    '<': (a, b) => (a < b ? 1 : 0),
+    '>': (a, b) => (a > b ? 1 : 0),
+    '<=': (a, b) => (a <= b ? 1 : 0),
+    '>=': (a, b) => (a >= b ? 1 : 0),
+};
+
+/**
+ * Mark a closure as never returning a Promise
+ */
+function sync(fn) {
+    fn.sync = true;
+    return fn;
+}
+
+/**
+ * Apply fn to a value that may still be pending
+ */
+function then(value, fn) {
+    return value instanceof Promise ? value.then(fn) : fn(value);
+}
+
+/**
+ * Closure applying fn to the result of a compiled closure
+ */
+function map(compiled, fn) {
+    if (compiled.sync) return sync(scope => fn(compiled(scope)));
+    return scope => then(compiled(scope), fn);
+}
+
+/**
+ * Closure applying fn to the results of two compiled closures, run in order
+ */
+function map2(first, second, fn) {
+    if (first.sync && second.sync) return sync(scope => fn(first(scope), second(scope)));
+    return scope => then(first(scope), a => then(second(scope), b => fn(a, b)));
+}
+
+function fail(message, loc) {
+    return sync(() => { throw new RuntimeError(message, loc); });
+}
+
+/**
+ * Run compiled statements in order until one returns a control-flow signal
+ */
+function runSteps(steps, scope, start) {
+    for (let i = start; i < steps.length; i++) {
+        const signal = steps[i](scope);
+        if (signal === undefined) continue;
+        if (signal instanceof Promise) return signal.then(s => s || runSteps(steps, scope, i + 1));
+        return signal;
+    }
+    return undefined;
+}
+
+/**
+ * Evaluate compiled expressions in order into out[keys[i]]
+ */
+function collect(values, keys, scope, out, start) {
+    for (let i = start; i < values.length; i++) {
+        const value = values[i](scope);
+        if (value instanceof Promise) {
+            return value.then((v) => {
+                out[keys[i]] = v;
+                return collect(values, keys, scope, out, i + 1);
+            });
+        }
+        out[keys[i]] = value;
+    }
+    return out;
+}
+
+/**
+ * The scope `depth` levels out from scope
+ */
+function outer(scope, depth) {
+    for (let i = 0; i < depth; i++) scope = scope.parent;
+    return scope;
+}
+
+/**
+ * Add the names a declaration statement defines to a set
+ */
+function declaredNames(node, names) {
+    switch (node.type) {
+        case 'VarDecl':
+            for (const decl of node.declarations) names.add(decl.name);
+            break;
+        case 'EnumDecl':
+            for (const member of node.members) names.add(member.name);
+            if (node.declaration) declaredNames(node.declaration, names);
+            break;
+        case 'StructDecl':
+            if (node.declaration) declaredNames(node.declaration, names);
+            break;
+        case 'Typedef':
+            if (node.definition) declaredNames(node.definition, names);
+            break;
+    }
+}
+
+/**
+ * C truthiness: any non-zero number (NaN included) or non-null pointer
+ */
+export function truthy(value) {
+    if (typeof value === 'number') return value !== 0;
+    if (typeof value === 'bigint') return value !== 0n;
+    return value !== null && value !== undefined;
+}
+
+/**
+ * Class whose member functions a value of this type has: String, or a
+ * library class such as Ticker or CRGB. Null for everything else.
+ */
+function classOf(type) {
+    if (!type) return null;
+    if (type.kind === 'string') return 'String';
+    if (type.kind === 'object' || type.methods) return type.name;
+    return null;
+}
+
+function isLValue(node) {
+    return node.type === 'Identifier' || node.type === 'Index' || node.type === 'Member'
+        || (node.type === 'Unary' && node.operator === '*');
+}
+
+/**
+ * Storage a pointer value points at. A null or dangling pointer would
+ * fault on the ESP32, so it is reported the way the panic handler does.
+ */
+function dereference(pointer, node) {
+    if (!(pointer instanceof Pointer)) {
+        throw new RuntimeError("Guru Meditation Error: Core 1 panic'ed (LoadProhibited). Exception was unhandled.", node.loc);
+    }
+    if (!pointer.inBounds()) {
+        const length = pointer.isArray ? pointer.base.length : 1;
+        throw new RuntimeError(`Pointer access out of bounds (element ${pointer.index} of ${length})`, node.loc);
+    }
+    return { base: pointer.base, key: pointer.index };
+}
+
+/**
+ * Pointer +/- integer, pointer difference and pointer comparison
+ */
+function pointerArithmetic(op, left, right, node) {
+    const asPointer = v => (Array.isArray(v) ? new Pointer(v, 0) : v || null);
+    const a = asPointer(left);
+    const b = asPointer(right);
+    const isPointer = v => v instanceof Pointer || typeof v === 'string';
+
+    if (op === '+') return isPointer(a) ? pointerOffset(a, Number(b)) : pointerOffset(b, Number(a));
+    if (op === '-' && !isPointer(b)) return pointerOffset(a, -Number(b));
+
+    const same = a instanceof Pointer && b instanceof Pointer && a.base === b.base;
+    switch (op) {
+        case '-':
+            if (!same) throw new RuntimeError('Subtracting pointers into different arrays', node.loc);
+            return a.index - b.index;
+        case '==': return (a instanceof Pointer ? a.equals(b) : a === b) ? 1 : 0;
+        case '!=': return (a instanceof Pointer ? a.equals(b) : a === b) ? 0 : 1;
+    }
+    if (!same) throw new RuntimeError('Comparing pointers into different arrays', node.loc);
+    return binaryOp(op, a.index, b.index, TYPES.int);
+}
+
+export class Compiler {
+    /**
+     * @param {ArduinoParser} vm the interpreter the compiled code runs on
+     * @param {object} options
+     * @param {object} options.constants built-in constants such as HIGH
+     * @param {object[]} options.globals the global declarations
+     * @param {object} options.objects objects the core defines, such as Wire
+     */
+    constructor(vm, { constants, globals, objects = {} }) {
+        this.vm = vm;
+        this.constants = constants;
+        this.objects = objects;
+        this.globals = new Set();
+        for (const node of globals) declaredNames(node, this.globals);
+        // Names declared by each enclosing block, innermost last; null
+        // while compiling global declarations
+        this.scopes = null;
+    }
+
+    /**
+     * Compile a function body. Its closure runs in a scope holding the
+     * parameters.
+     */
+    function(func) {
+        this.scopes = [new Set(func.params)];
+        try {
+            return this.statements(func.body);
+        } finally {
+            this.scopes = null;
+        }
+    }
+
+    /**
+     * Compile statements that run in a scope of their own
+     */
+    scoped(compile) {
+        if (!this.scopes) return compile();
+        this.scopes.push(new Set());
+        try {
+            return compile();
+        } finally {
+            this.scopes.pop();
+        }
+    }
+
+    declare(name) {
+        if (this.scopes) this.scopes[this.scopes.length - 1].add(name);
+    }
+
+    /**
+     * How many scopes out from the current one a name is declared, or -1
+     * if it isn't local. Scopes are created at run time exactly where
+     * they are here, so this holds for the scope chain.
+     */
+    depthOf(name) {
+        if (!this.scopes) return -1;
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            if (this.scopes[i].has(name)) return this.scopes.length - 1 - i;
+        }
+        return -1;
+    }
+
+    // ============================================================
+    //  STATEMENTS
+    // ============================================================
+
+    /**
+     * Compile a statement list. The closure returns the first control-flow
+     * signal ({ type: 'break' | 'continue' | 'return' }), or undefined.
+     */
+    statements(nodes) {
+        const steps = nodes.map(node => this.statement(node));
+        return scope => runSteps(steps, scope, 0);
+    }
+
+    /**
+     * Compile a statement, including the work every statement does first
+     * (see ArduinoParser.executeStatement)
+     */
+    statement(node) {
+        const vm = this.vm;
+        const run = this.statementBody(node);
+        return scope => vm.executeStatement(node, scope, run);
+    }
+
+    statementBody(node) {
+        const vm = this.vm;
+        switch (node.type) {
+            case 'Block': {
+                const body = this.scoped(() => this.statements(node.body));
+                return scope => body({ vars: {}, parent: scope });
+            }
+
+            case 'VarDecl': {
+                const steps = node.declarations.map((decl) => {
+                    const step = this.declarator(decl, node.varType.isStatic);
+                    // Declared once its initializer is compiled: "int x = x" reads the outer x
+                    this.declare(decl.name);
+                    return step;
+                });
+                return scope => runSteps(steps, scope, 0);
+            }
+
+            case 'StructDecl':
+                return node.declaration ? this.statement(node.declaration) : () => undefined;
+
+            case 'EnumDecl': {
+                for (const member of node.members) this.declare(member.name);
+                const declaration = node.declaration ? this.statement(node.declaration) : null;
+                return (scope) => {
+                    for (const member of node.members) scope.vars[member.name] = member.constValue;
+                    return declaration ? declaration(scope) : undefined;
+                };
+            }
+
+            case 'Typedef':
+                return node.definition ? this.statement(node.definition) : () => undefined;
+
+            case 'ExpressionStatement': {
+                const expression = this.expression(node.expression);
+                if (expression.sync) {
+                    return (scope) => {
+                        expression(scope);
+                    };
+                }
+                return (scope) => {
+                    const pending = expression(scope);
+                    if (pending instanceof Promise) return pending.then(() => undefined);
+                    return undefined;
+                };
+            }
+
+            case 'If': {
+                const test = this.expression(node.test);
+                const consequent = this.statement(node.consequent);
+                const alternate = node.alternate ? this.statement(node.alternate) : null;
+                const branch = (value, scope) => {
+                    if (truthy(value)) return consequent(scope);
+                    return alternate ? alternate(scope) : undefined;
+                };
+                if (test.sync) return scope => branch(test(scope), scope);
+                return scope => then(test(scope), value => branch(value, scope));
+            }
+
+            case 'For':
+                return this.scoped(() => this.forStatement(node));
+
+            case 'While': {
+                const test = this.expression(node.test);
+                const body = this.statement(node.body);
+                return async (scope) => {
+                    while (vm.running) {
+                        let value = test(scope);
+                        if (value instanceof Promise) value = await value;
+                        if (!truthy(value)) break;
+                        let signal = body(scope);
+                        if (signal instanceof Promise) signal = await signal;
+                        if (signal === BREAK) break;
+                        if (signal && signal !== CONTINUE) return signal;
+                        const pause = vm.yieldIfBusy();
+                        if (pause) await pause;
+                    }
+                    return undefined;
+                };
+            }
+
+            case 'DoWhile': {
+                const test = this.expression(node.test);
+                const body = this.statement(node.body);
+                return async (scope) => {
+                    do {
+                        let signal = body(scope);
+                        if (signal instanceof Promise) signal = await signal;
+                        if (signal === BREAK) break;
+                        if (signal && signal !== CONTINUE) return signal;
+                        const pause = vm.yieldIfBusy();
+                        if (pause) await pause;
+                        if (!vm.running) break;
+                        let value = test(scope);
+                        if (value instanceof Promise) value = await value;
+                        if (!truthy(value)) break;
+                    } while (true);
+                    return undefined;
+                };
+            }
+
+            case 'Switch':
+                return this.switchStatement(node);
+
+            case 'Break':
+                return () => BREAK;
+
+            case 'Continue':
+                return () => CONTINUE;
+
+            case 'Return': {
+                if (!node.argument) return () => RETURN_VOID;
+                const ctype = node.argument.ctype;
+                return map(this.expression(node.argument), value => ({ type: 'return', value, ctype }));
+            }
+
+            case 'Empty':
+                return () => undefined;
+
+            default:
+                return fail(`Unsupported statement '${node.type}'`, node.loc);
+        }
+    }
+
+    forStatement(node) {
+        const vm = this.vm;
+        const init = node.init ? this.statement(node.init) : null;
+        const test = node.test ? this.expression(node.test) : null;
+        const body = this.statement(node.body);
+        const update = node.update ? this.expression(node.update) : null;
+        return async (scope) => {
+            const forScope = { vars: {}, parent: scope };
+            if (init) {
+                const pending = init(forScope);
+                if (pending instanceof Promise) await pending;
+            }
+            while (vm.running) {
+                if (test) {
+                    let value = test(forScope);
+                    if (value instanceof Promise) value = await value;
+                    if (!truthy(value)) break;
+                }
+                let signal = body(forScope);
+                if (signal instanceof Promise) signal = await signal;
+                if (signal === BREAK) break;
+                if (signal && signal !== CONTINUE) return signal;
+                if (update) {
+                    const pending = update(forScope);
+                    if (pending instanceof Promise) await pending;
+                }
+                const pause = vm.yieldIfBusy();
+                if (pause) await pause;
+            }
+            return undefined;
+        };
+    }
+
+    switchStatement(node) {
+        const discriminant = this.expression(node.discriminant);
+        const type = node.discriminant.ctype;
+        const cases = this.scoped(() => node.cases.map(c => ({
+            test: c.test ? this.expression(c.test) : null,
+            body: this.statements(c.body),
+        })));
+        const fallback = cases.findIndex(c => !c.test);
+
+        // Execution falls through the following cases until a break
+        const runCases = (scope, start) => {
+            for (let i = start; i < cases.length; i++) {
+                const signal = cases[i].body(scope);
+                if (signal instanceof Promise) {
+                    return signal.then(s => (s === BREAK ? undefined : s || runCases(scope, i + 1)));
+                }
+                if (signal === BREAK) return undefined;
+                if (signal) return signal;
+            }
+            return undefined;
+        };
+        const enter = (start, scope) => (start < 0 ? undefined : runCases({ vars: {}, parent: scope }, start));
+
+        if (discriminant.sync && cases.every(c => !c.test || c.test.sync)) {
+            return (scope) => {
+                const value = discriminant(scope);
+                for (let i = 0; i < cases.length; i++) {
+                    if (cases[i].test && convert(cases[i].test(scope), type) === value) return enter(i, scope);
+                }
+                return enter(fallback, scope);
+            };
+        }
+        return async (scope) => {
+            const value = await discriminant(scope);
+            for (let i = 0; i < cases.length; i++) {
+                if (cases[i].test && convert(await cases[i].test(scope), type) === value) return enter(i, scope);
+            }
+            return enter(fallback, scope);
+        };
+    }
+
+    /**
+     * Declare one variable of a declaration in the scope it runs in
+     */
+    declarator(decl, isStatic) {
+        const vm = this.vm;
+        const name = decl.name;
+        const value = this.declaredValue(decl);
+        const declare = scope => then(value(scope), (v) => { scope.vars[name] = v; });
+        if (!isStatic) return declare;
+
+        // Function-local statics are initialized the first time their
+        // declaration runs, then shared by every later call
+        const init = this.initializer(decl.ctype, decl.init);
+        const bind = (scope, storage) => {
+            Object.defineProperty(scope.vars, name, {
+                get: () => storage.value,
+                set: (v) => { storage.value = v; },
+                enumerable: true,
+                configurable: true,
+            });
+        };
+        return (scope) => {
+            if (scope === vm.globalScope) return declare(scope);
+            if (vm.statics.has(decl)) return bind(scope, vm.statics.get(decl));
+            return then(init(scope), (v) => {
+                if (!vm.statics.has(decl)) vm.statics.set(decl, { value: v });
+                bind(scope, vm.statics.get(decl));
+            });
+        };
+    }
+
+    /**
+     * Value a declared variable starts with
+     */
+    declaredValue(decl) {
+        const vm = this.vm;
+        const type = decl.ctype;
+        const args = decl.args || [];
+        const constructor = (type.kind === 'object' || type.kind === 'struct') && vm.builtins[`${type.name}::${type.name}`];
+        if (constructor && !decl.init) {
+            // Library objects such as Ticker, and structs such as CRGB, are built by their constructor
+            return map(this.builtinArguments(constructor, args), values => constructor(values, decl));
+        }
+        if (args.length && type.name === 'String') {
+            // String s(42, HEX) runs the String constructor
+            return map(this.arguments(args), values => vm.builtins.String(values, decl));
+        }
+        if (args.length) return map(this.expression(args[0]), value => convert(value, type));
+        if (decl.vla) return map(this.variableLengthType(decl), defaultValue);
+        return this.initializer(type, decl.init);
+    }
+
+    /**
+     * Value of a declared variable built from its initializer (an
+     * expression, a fully braced InitList or a string for a char array)
+     */
+    initializer(type, init) {
+        if (!init) return sync(() => defaultValue(type));
+
+        if (init.type === 'InitList') {
+            if (type.kind === 'array' || type.kind === 'struct') {
+                const count = Math.min(init.elements.length, type.kind === 'array' ? type.length ?? Infinity : type.fields.length);
+                const elements = init.elements.slice(0, count);
+                const keys = elements.map((e, i) => (type.kind === 'array' ? i : type.fields[i].name));
+                const values = elements.map((e, i) => this.initializer(type.kind === 'array' ? type.of : type.fields[i].type, e));
+                const fill = scope => collect(values, keys, scope, defaultValue(type), 0);
+                return values.every(v => v.sync) ? sync(fill) : fill;
+            }
+            return init.elements.length ? this.initializer(type, init.elements[0]) : sync(() => defaultValue(type));
+        }
+
+        const value = this.expression(init);
+        if (type.kind === 'array') {
+            // char buf[8] = "abc": copy the characters and zero-fill the rest
+            return map(value, (v) => {
+                const array = defaultValue(type);
+                const chars = toCharArray(readCString(v));
+                for (let i = 0; i < Math.min(chars.length, array.length); i++) array[i] = chars[i];
+                return array;
+            });
+        }
+        return map(value, this.coercion(init.ctype, type));
+    }
+
+    /**
+     * Type of an array declared with a runtime bound, e.g. "int buf[n]"
+     */
+    variableLengthType(decl) {
+        let element = decl.ctype;
+        for (let i = 0; i < decl.dims.length; i++) element = element.of;
+        const dims = decl.dims.map(dim => (dim ? this.expression(dim) : sync(() => 0)));
+        const build = (lengths) => {
+            let type = element;
+            for (let i = dims.length - 1; i >= 0; i--) {
+                const length = Number(lengths[i]);
+                if (!(length >= 0)) throw new RuntimeError(`Size of array '${decl.name}' is negative`, decl.dims[i].loc);
+                type = arrayOf(type, Math.trunc(length));
+            }
+            return type;
+        };
+        // The innermost bound is evaluated first
+        const order = dims.map((d, i) => dims.length - 1 - i);
+        const lengths = scope => collect(order.map(i => dims[i]), order, scope, [], 0);
+        return map(dims.every(d => d.sync) ? sync(lengths) : lengths, build);
+    }
+
+    // ============================================================
+    //  EXPRESSIONS
+    // ============================================================
+
+    /**
+     * Compile an expression to a closure computing its value. Closures
+     * marked .sync never return a Promise.
+     */
+    expression(node) {
+        switch (node.type) {
+            case 'Literal': {
+                let value = node.value;
+                if (node.kind === 'bool') value = node.value ? 1 : 0;
+                if (node.kind === 'char') value = convert(node.value.charCodeAt(0), TYPES.char);
+                // Constants past 2^53 keep their exact value
+                if (is64Bit(node.ctype)) value = convert(node.exact ?? value, node.ctype);
+                return sync(() => value);
+            }
+
+            case 'Identifier':
+                return this.variable(node);
+
+            case 'Assign': {
+                const store = this.assignment(node);
+                const right = this.expression(node.right);
+                if (node.left.type === 'Identifier') {
+                    // Plain variables need no { base, key } reference
+                    const table = this.variableTable(node.left);
+                    return map2(table, right, (vars, value) => store(vars, node.left.name, value));
+                }
+                return map2(this.reference(node.left), right, (ref, value) => store(ref.base, ref.key, value));
+            }
+
+            case 'Update': {
+                const type = node.ctype;
+                const step = node.operator === '++' ? 1 : -1;
+                const delta = is64Bit(type) ? BigInt(step) : step;
+                const pointer = type.kind === 'pointer';
+                const wrap = converter(type);
+                const prefix = node.prefix;
+                const update = (base, key) => {
+                    const old = base[key];
+                    base[key] = pointer ? pointerOffset(old, delta) : wrap(old + delta);
+                    return prefix ? base[key] : old;
+                };
+                if (node.argument.type === 'Identifier') {
+                    const name = node.argument.name;
+                    return map(this.variableTable(node.argument), vars => update(vars, name));
+                }
+                return map(this.reference(node.argument), ref => update(ref.base, ref.key));
+            }
+
+            case 'Unary': {
+                if (node.operator === '*') return this.load(this.reference(node));
+                if (node.operator === '&') {
+                    if (node.ctype && node.ctype.kind === 'function') return this.expression(node.argument);
+                    return map(this.reference(node.argument), ref => new Pointer(ref.base, ref.key));
+                }
+                const wrap = converter(node.ctype);
+                const argument = this.expression(node.argument);
+                switch (node.operator) {
+                    case '-': return map(argument, value => wrap(-value));
+                    case '+': return map(argument, wrap);
+                    case '!': return map(argument, value => (truthy(value) ? 0 : 1));
+                    case '~': return map(argument, value => wrap(~value));
+                }
+                return map(argument, () => { throw new RuntimeError(`Unsupported expression '${node.type}'`, node.loc); });
+            }
+
+            case 'Binary': {
+                const left = this.expression(node.left);
+                const right = this.expression(node.right);
+                const op = node.operator;
+                if (node.pointerOp) return map2(left, right, (a, b) => pointerArithmetic(op, a, b, node));
+                if (node.stringOp) return map2(left, right, (a, b) => this.stringOperator(op, a, b, node));
+                return map2(left, right, this.binary(op, node));
+            }
+
+            case 'Logical': {
+                const left = this.expression(node.left);
+                const right = this.expression(node.right);
+                const and = node.operator === '&&';
+                const finish = value => (truthy(value) ? 1 : 0);
+                const decide = (value, scope) => {
+                    if (truthy(value) !== and) return and ? 0 : 1;
+                    return then(right(scope), finish);
+                };
+                if (left.sync && right.sync) return sync(scope => decide(left(scope), scope));
+                return scope => then(left(scope), value => decide(value, scope));
+            }
+
+            case 'Conditional': {
+                const test = this.expression(node.test);
+                const consequent = this.expression(node.consequent);
+                const alternate = this.expression(node.alternate);
+                const type = node.ctype;
+                const choose = (value, scope) => then((truthy(value) ? consequent : alternate)(scope), v => convert(v, type));
+                if (test.sync && consequent.sync && alternate.sync) return sync(scope => choose(test(scope), scope));
+                return scope => then(test(scope), value => choose(value, scope));
+            }
+
+            case 'Sequence': {
+                const expressions = node.expressions.map(e => this.expression(e));
+                // Every value lands in out[0], so the last one is kept
+                const keys = expressions.map(() => 0);
+                const run = scope => then(collect(expressions, keys, scope, [undefined], 0), out => out[0]);
+                return expressions.every(e => e.sync) ? sync(run) : run;
+            }
+
+            case 'Cast':
+                return map(this.expression(node.argument), converter(node.ctype, node.argument.ctype));
+
+            case 'Call':
+                return this.call(node);
+
+            case 'Index':
+            case 'Member':
+                return this.load(this.reference(node));
+
+            case 'Sizeof': {
+                const size = node.size;
+                return sync(() => size);
+            }
+        }
+        return fail(`Unsupported expression '${node.type}'`, node.loc);
+    }
+
+    /**
+     * Value stored at a compiled reference
+     */
+    load(reference) {
+        return map(reference, ref => ref.base[ref.key]);
+    }
+
+    /**
+     * Store function for an assignment: (base, key, value) => new value
+     */
+    assignment(node) {
+        const vm = this.vm;
+        const from = node.right.ctype;
+        const type = node.ctype;
+        if (node.operator === '=') {
+            const coerce = this.coercion(from, type);
+            return (base, key, value) => {
+                base[key] = coerce(value);
+                return base[key];
+            };
+        }
+        if (node.stringOp) {
+            return (base, key, value) => {
+                base[key] = base[key] + vm.formatPrint(value, from);
+                return base[key];
+            };
+        }
+        const op = node.operator.slice(0, -1);
+        const apply = node.pointerOp ? (a, b) => pointerArithmetic(op, a, b, node) : this.binary(op, node);
+        const wrap = converter(type, node.opType);
+        return (base, key, value) => {
+            base[key] = wrap(apply(base[key], value));
+            return base[key];
+        };
+    }
+
+    /**
+     * Conversion for storing a value of type `from` in a variable of type
+     * `to` (see ArduinoParser.coerce)
+     */
+    coercion(from, to) {
+        const vm = this.vm;
+        if (to && to.name === 'String') return value => vm.formatPrint(value, from);
+        return converter(to, from);
+    }
+
+    /**
+     * A binary operator with C semantics in the operation type the
+     * Analyzer worked out (node.opType); non-arithmetic operands fall back
+     * to plain JS semantics
+     */
+    binary(op, node) {
+        const type = node.opType;
+        if (!type) return PLAIN_OPERATORS[op] || (() => { throw new RuntimeError(`Unsupported operator '${op}'`, node.loc); });
+        const left = converter(type, node.left.ctype);
+        const right = converter(type, node.right.ctype);
+        const apply = binaryOperator(op, type);
+        if (op === '<<' || op === '>>') return (a, b) => apply(left(a), Number(b));
+        if ((op === '/' || op === '%') && type.kind === 'int') {
+            return (a, b) => {
+                const divisor = right(b);
+                if (divisor === 0 || divisor === 0n) {
+                    throw new RuntimeError("Guru Meditation Error: Core 1 panic'ed (IntegerDivideByZero). Exception was unhandled.", node.loc);
+                }
+                return apply(left(a), divisor);
+            };
+        }
+        return (a, b) => apply(left(a), right(b));
+    }
+
+    /**
+     * String concatenation and comparison, where at least one side is a String
+     */
+    stringOperator(op, left, right, node) {
+        const a = this.vm.formatPrint(left, node.left.ctype);
+        const b = this.vm.formatPrint(right, node.right.ctype);
+        switch (op) {
+            case '+': return a + b;
+            case '==': return a === b ? 1 : 0;
+            case '!=': return a !== b ? 1 : 0;
+            case '<': return a < b ? 1 : 0;
+            case '>': return a > b ? 1 : 0;
+            case '<=': return a <= b ? 1 : 0;
+            case '>=': return a >= b ? 1 : 0;
+        }
+        throw new RuntimeError(`no match for 'operator${op}' on String`, node.loc);
+    }
+
+    /**
+     * Value of an identifier. Where it is declared is resolved here: a
+     * local a known number of scopes out, a global, a function or a
+     * constant.
+     */
+    variable(node) {
+        const vm = this.vm;
+        const name = node.name;
+        const qualified = node.qualifier && `${node.qualifier}::${name}`;
+        if (qualified && qualified in this.constants) {
+            // Library constants such as CRGB::Red
+            const value = this.constants[qualified];
+            return sync(() => value);
+        }
+        const depth = this.depthOf(name);
+        if (depth === 0) return sync(scope => scope.vars[name]);
+        if (depth > 0) return sync(scope => outer(scope, depth).vars[name]);
+        if (this.globals.has(name)) {
+            // parse() made a new global table just before compiling
+            const vars = vm.variables;
+            if (!(name in vm.functions) && !(name in this.constants)) return sync(() => vars[name]);
+            // Until its declaration has run, the global's name still means the function or constant
+            return sync(() => (name in vars ? vars[name] : vm.globalValue(node)));
+        }
+        if (name in vm.functions) {
+            const func = vm.functions[name];
+            return sync(() => func);
+        }
+        if (name in this.constants) {
+            const value = this.constants[name];
+            return sync(() => value);
+        }
+        if (name in this.objects) {
+            const object = this.objects[name];
+            return sync(() => object);
+        }
+        return fail(`'${name}' was not declared in this scope`, node.loc);
+    }
+
+    /**
+     * Closure finding the variable table that declares an identifier
+     */
+    variableTable(node) {
+        const vm = this.vm;
+        const name = node.name;
+        const depth = this.depthOf(name);
+        if (depth === 0) return sync(scope => scope.vars);
+        if (depth > 0) return sync(scope => outer(scope, depth).vars);
+        if (!this.globals.has(name) && name in this.objects) {
+            const objects = this.objects;
+            return sync(() => objects);
+        }
+        if (!this.globals.has(name)) return fail(`'${name}' was not declared in this scope`, node.loc);
+        const vars = vm.variables;
+        return sync(() => {
+            if (name in vars) return vars;
+            throw new RuntimeError(`'${name}' was not declared in this scope`, node.loc);
+        });
+    }
+
+    /**
+     * Compile an lvalue to a closure locating its storage, as { base, key }
+     * such that base[key] is the value: a variable table, array or struct
+     */
+    reference(node) {
+        switch (node.type) {
+            case 'Identifier':
+                return map(this.variableTable(node), vars => ({ base: vars, key: node.name }));
+
+            case 'Index': {
+                const object = this.expression(node.object);
+                const index = this.expression(node.index);
+                const objectType = node.object.ctype;
+                // s[i] = c writes back into the String
+                const owner = objectType && objectType.name === 'String' && isLValue(node.object) ? this.reference(node.object) : null;
+                const element = (value, i, scope) => {
+                    i = Number(i);
+                    if (typeof value === 'string') {
+                        // Characters of a string literal or String, including the terminating NUL
+                        const chars = toCharArray(value);
+                        if (!owner) return { base: chars, key: i };
+                        return then(owner(scope), ref => stringElement(ref, chars, i));
+                    }
+                    if (Array.isArray(value)) {
+                        if (i < 0 || i >= value.length) {
+                            throw new RuntimeError(`Index ${i} is out of bounds for '${objectType ? objectType.name : 'array'}'`, node.loc);
+                        }
+                        return { base: value, key: i };
+                    }
+                    return dereference(pointerOffset(value, i) || value, node);
+                };
+                if (object.sync && index.sync && (!owner || owner.sync)) {
+                    return sync(scope => element(object(scope), index(scope), scope));
+                }
+                return scope => then(object(scope), value => then(index(scope), i => element(value, i, scope)));
+            }
+
+            case 'Member': {
+                const property = node.property;
+                const typeName = node.object.ctype ? node.object.ctype.name : 'expression';
+                return map(this.expression(node.object), (object) => {
+                    if (node.arrow) {
+                        const { base, key } = dereference(object, node);
+                        object = base[key];
+                    }
+                    if (!object || typeof object !== 'object' || !(property in object)) {
+                        throw new RuntimeError(`'${property}' is not a member of '${typeName}'`, node.loc);
+                    }
+                    return { base: object, key: property };
+                });
+            }
+
+            case 'Unary':
+                if (node.operator === '*') {
+                    return map(this.expression(node.argument), value => dereference(
+                        Array.isArray(value) || typeof value === 'string' ? pointerOffset(value, 0) : value, node,
+                    ));
+                }
+                break;
+        }
+        return fail('lvalue required', node.loc);
+    }
+
+    /**
+     * Compile argument expressions to a closure producing their values
+     */
+    arguments(nodes) {
+        const values = nodes.map(node => this.expression(node));
+        const keys = values.map((v, i) => i);
+        const run = scope => collect(values, keys, scope, new Array(values.length), 0);
+        return values.every(v => v.sync) ? sync(run) : run;
+    }
+
+    /**
+     * Call a user-defined function or a built-in Arduino API. Calls are
+     * never .sync: built-ins such as delay() return a Promise.
+     */
+    call(node) {
+        const vm = this.vm;
+        const name = vm.calleeName(node.callee);
+
+        if (node.overload) {
+            const overload = vm.overloads[node.overload];
+            if (!overload) return () => { throw new RuntimeError(`undefined reference to '${node.overload}'`, node.callee.loc); };
+            return this.invocation(overload, node.args, node.loc);
+        }
+        const func = vm.functions[name];
+        if (func) return this.invocation(func, node.args, node.loc);
+
+        const { callee } = node;
+        const className = callee.type === 'Member' && classOf(callee.object.ctype);
+        if (className) return this.methodCall(node, className);
+
+        // A library constructor called for a temporary, such as CRGB(255, 0, 0)
+        const builtin = vm.builtins[name] || vm.builtins[`${name}::${name}`];
+        if (builtin) {
+            const args = this.builtinArguments(builtin, node.args);
+            const run = this.builtinResult(node, values => builtin(values, node));
+            if (args.sync) return scope => run(args(scope));
+            return scope => then(args(scope), run);
+        }
+
+        const message = callee.type === 'Member' ? this.memberCallMessage(callee) : `'${name || 'expression'}' was not declared in this scope`;
+        return () => { throw new RuntimeError(message, node.callee.loc); };
+    }
+
+    /**
+     * Why a member function call on something other than a class fails
+     */
+    memberCallMessage(callee) {
+        const type = callee.arrow ? elementType(callee.object.ctype) : callee.object.ctype;
+        if (!type) return `'${callee.property}' was not declared in this scope`;
+        if (type.kind === 'struct') return `'struct ${type.name}' has no member named '${callee.property}'`;
+        return nonClassMemberMessage(callee, type);
+    }
+
+    /**
+     * Compile a built-in's argument expressions. 64-bit integers reach it
+     * as numbers, unless it formats them and is marked .exact.
+     */
+    builtinArguments(builtin, nodes) {
+        const args = this.arguments(nodes);
+        const wide = nodes.map(node => is64Bit(node.ctype));
+        if (builtin.exact || !wide.includes(true)) return args;
+        return map(args, values => values.map((value, i) => (wide[i] ? Number(value) : value)));
+    }
+
+    /**
+     * Wrap a built-in's invocation so that a 64-bit result is a BigInt
+     */
+    builtinResult(node, invoke) {
+        const type = node.ctype;
+        if (!is64Bit(type)) return invoke;
+        return (values, self) => then(invoke(values, self), value => convert(value, type));
+    }
+
+    /**
+     * Run a user-defined function with the given argument expressions
+     */
+    invocation(func, args, loc) {
+        const vm = this.vm;
+        const params = func.params.map((name, i) => {
+            const arg = args[i];
+            // Reference parameters ("int &x") alias the caller's variable
+            if (func.paramRefs[i] && arg) return { name, reference: this.reference(arg) };
+            return { name, value: arg ? this.expression(arg) : sync(() => 0), coerce: this.coercion(arg && arg.ctype, func.paramTypes[i]) };
+        });
+        const bind = (vars, param, scope) => {
+            if (param.reference) {
+                return then(param.reference(scope), ({ base, key }) => {
+                    Object.defineProperty(vars, param.name, {
+                        get: () => base[key],
+                        set: (v) => { base[key] = v; },
+                        enumerable: true,
+                    });
+                });
+            }
+            return then(param.value(scope), (value) => { vars[param.name] = param.coerce(value); });
+        };
+        const bindFrom = (fnScope, scope, start) => {
+            for (let i = start; i < params.length; i++) {
+                const pending = bind(fnScope.vars, params[i], scope);
+                if (pending instanceof Promise) return pending.then(() => bindFrom(fnScope, scope, i + 1));
+            }
+            return fnScope;
+        };
+        return scope => then(bindFrom({ vars: {}, parent: vm.globalScope }, scope, 0), fnScope => vm.enter(func, fnScope, loc));
+    }
+
+    /**
+     * Call a member function of String or a library class. Its implementation
+     * gets a reference to the object so that trim(), concat() and friends
+     * can modify it.
+     */
+    methodCall(node, className) {
+        const { object, property } = node.callee;
+        const method = this.vm.builtins[`${className}::${property}`];
+        if (!method) return fail(`'${object.ctype.kind === 'struct' ? 'struct' : 'class'} ${className}' has no member named '${property}'`, node.callee.loc);
+
+        const self = isLValue(object)
+            ? this.reference(object)
+            : map(this.expression(object), value => ({ base: { value }, key: 'value' }));
+        const args = this.builtinArguments(method, node.args);
+        const run = this.builtinResult(node, (values, ref) => method(values, node, ref));
+        return scope => then(self(scope), ref => then(args(scope), values => run(values, ref)));
+    }
+}
+
+/**
+ * Writable character of a String: assigning it rewrites the String
+ */
+function stringElement(owner, chars, index) {
+    const holder = {};
+    Object.defineProperty(holder, index, {
+        get: () => chars[index] || 0,
+        set: (c) => {
+            const str = owner.base[owner.key];
+            if (index < str.length) owner.base[owner.key] = str.slice(0, index) + String.fromCharCode(c & 0xFF) + str.slice(index + 1);
+        },
+    });
+    return { base: holder, key: index };
+}
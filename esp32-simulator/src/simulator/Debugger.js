@@ -0,0 +1,260 @@
+/**
+ * Debugger — Breakpoints, stepping and pausing for the interpreter
+ * The interpreter reports each statement to the debugger before running
+ * it; the debugger decides whether to stop there and holds execution
+ * until it is resumed. Stepping is by source line.
+ */
+import { Pointer, convert, readCString, toCharArray } from './Types.js';
+import { Task, Queue, Semaphore, EventGroup } from './Scheduler.js';
+
+// Array elements shown before the rest is elided
+const MAX_SHOWN_ELEMENTS = 16;
+
+export class Debugger {
+    constructor() {
+        // Line numbers (1-based) to stop at
+        this.breakpoints = new Set();
+        this.listeners = [];
+        this.reset();
+    }
+
+    reset() {
+        // What to stop for next: null (breakpoints only), 'pause', 'into', 'over' or 'out'
+        this.mode = null;
+        // Where the step started: { context, depth, line, frame }
+        this.step = null;
+        // Where execution is held: { context, node, scope, reason }, or null
+        this.paused = null;
+        this.release = null;
+    }
+
+    /**
+     * Whether statements need reporting at all
+     */
+    get enabled() {
+        return this.mode !== null || this.breakpoints.size > 0;
+    }
+
+    setBreakpoints(lines) {
+        this.breakpoints = new Set(lines);
+    }
+
+    /**
+     * Toggle a breakpoint; returns whether the line now has one
+     */
+    toggleBreakpoint(line) {
+        if (this.breakpoints.delete(line)) return false;
+        this.breakpoints.add(line);
+        return true;
+    }
+
+    /**
+     * Stop at the next statement, or while waiting if nothing runs
+     */
+    pause() {
+        if (!this.paused) this.mode = 'pause';
+    }
+
+    resume() {
+        this.continueWith(null);
+    }
+
+    stepInto() {
+        this.continueWith('into');
+    }
+
+    stepOver() {
+        this.continueWith('over');
+    }
+
+    stepOut() {
+        this.continueWith('out');
+    }
+
+    continueWith(mode) {
+        if (!this.paused) return;
+        const { context, node } = this.paused;
+        this.mode = mode;
+        this.step = {
+            context,
+            depth: context.frames.length,
+            line: node ? node.loc.line : null,
+            frame: context.frames[context.frames.length - 1],
+        };
+        this.unblock();
+    }
+
+    /**
+     * Let held execution carry on; stop() uses this to unwind a paused run
+     */
+    unblock() {
+        const release = this.release;
+        this.paused = null;
+        this.release = null;
+        if (release) release();
+    }
+
+    /**
+     * Called before each statement with the task context running it
+     */
+    async statement(node, scope, context) {
+        const line = node.loc.line;
+        // Breakpoints fire when execution arrives on their line
+        const arrived = line !== context.debugLine;
+        context.debugLine = line;
+
+        if (this.shouldStop(line, context)) {
+            await this.hold(context, this.mode === 'pause' ? 'pause' : 'step');
+        } else if (arrived && this.breakpoints.has(line)) {
+            await this.hold(context, 'breakpoint');
+        }
+    }
+
+    shouldStop(line, context) {
+        const step = this.step;
+        const depth = context.frames.length;
+        const frame = context.frames[depth - 1];
+        switch (this.mode) {
+            case 'pause':
+                return true;
+            case 'into':
+                return context !== step.context || depth !== step.depth || frame !== step.frame || line !== step.line;
+            case 'over':
+                if (context !== step.context) return false;
+                return depth < step.depth || (depth === step.depth && (frame !== step.frame || line !== step.line));
+            case 'out':
+                // Leaving loop() stops at the start of the next loop()
+                if (context !== step.context) return false;
+                return depth < step.depth || (depth === step.depth && frame !== step.frame);
+        }
+        return false;
+    }
+
+    /**
+     * Stop while time passes in delay() or with every task blocked, if a
+     * pause was asked for
+     */
+    async checkPause(context) {
+        if (this.mode === 'pause') await this.hold(context, 'pause');
+    }
+
+    /**
+     * Hold execution at the context's current statement until resumed
+     */
+    async hold(context, reason) {
+        this.mode = null;
+        this.step = null;
+        this.paused = { context, node: context.node || null, scope: context.scope || null, reason };
+        const resumed = new Promise(resolve => { this.release = resolve; });
+        for (const cb of this.listeners) cb(this.paused);
+        await resumed;
+    }
+
+    /**
+     * Subscribe to execution stopping: callback({ context, node, scope, reason })
+     */
+    onPause(callback) {
+        this.listeners.push(callback);
+    }
+}
+
+/**
+ * Display text of a value of the given C type, for the watch panel
+ */
+export function formatValue(value, type) {
+    switch (type && type.kind) {
+        case 'int':
+            if (type.bits === 1) return value ? 'true' : 'false';
+            if (type.bits === 8 && type.name.includes('char') && value >= 0x20 && value < 0x7F) {
+                return `${value} '${String.fromCharCode(value)}'`;
+            }
+            return String(value);
+        case 'float':
+            return String(type.bits === 32 ? Number(value.toPrecision(7)) : value);
+        case 'string':
+            return JSON.stringify(value);
+        case 'array':
+            if (isCharType(type.of)) return JSON.stringify(readCString(value));
+            return formatList(value, v => formatValue(v, type.of));
+        case 'struct':
+            return `{${type.fields.map(f => `${f.name}: ${formatValue(value[f.name], f.type)}`).join(', ')}}`;
+        case 'pointer':
+            return formatPointer(value, type);
+        case 'object':
+            return `<${type.name}>`;
+    }
+    return String(value);
+}
+
+function formatList(values, format) {
+    const shown = values.slice(0, MAX_SHOWN_ELEMENTS).map(format);
+    if (values.length > MAX_SHOWN_ELEMENTS) shown.push('…');
+    return `{${shown.join(', ')}}`;
+}
+
+function formatPointer(value, type) {
+    if (value === null || value === undefined) return 'NULL';
+    if (value instanceof Task) return `<task "${value.name}">`;
+    if (value instanceof Queue) return `<queue ${value.items.length}/${value.length}>`;
+    if (value instanceof Semaphore) return `<${value.kind} ${value.count}/${value.max}>`;
+    if (value instanceof EventGroup) return `<event group 0x${value.bits.toString(16)}>`;
+    if (typeof value === 'string' || (value instanceof Pointer && value.isArray && isCharType(type.to))) {
+        return JSON.stringify(readCString(value));
+    }
+    if (value instanceof Pointer) return value.inBounds() ? `→ ${formatValue(value.base[value.index], type.to)}` : '<dangling>';
+    if (value && value.name && value.params) return `${value.name}()`;
+    return `<${type.name}>`;
+}
+
+function isCharType(type) {
+    return !!type && type.kind === 'int' && type.bits === 8 && type.name.includes('char');
+}
+
+/**
+ * Parse text typed into the watch panel into a value of the given type.
+ * Numbers, characters, booleans, strings and arrays of numbers can be
+ * edited; anything else throws.
+ */
+export function parseValue(text, type, current) {
+    const input = text.trim();
+    switch (type && type.kind) {
+        case 'int':
+        case 'float':
+            return convert(parseScalar(input), type);
+        case 'string':
+            return unquote(input);
+        case 'array': {
+            if (isCharType(type.of)) {
+                const chars = toCharArray(unquote(input));
+                if (chars.length > current.length) throw new Error(`Text does not fit in char[${current.length}]`);
+                return current.map((c, i) => (i < chars.length ? chars[i] : 0));
+            }
+            if (type.of.kind !== 'int' && type.of.kind !== 'float') break;
+            const items = input.replace(/^\{|\}$/g, '').split(',').map(s => s.trim()).filter(Boolean);
+            if (items.length > current.length) throw new Error(`Too many elements for an array of ${current.length}`);
+            return current.map((v, i) => (i < items.length ? convert(parseScalar(items[i]), type.of) : v));
+        }
+    }
+    throw new Error('Only numbers, characters, strings and number arrays can be edited');
+}
+
+function parseScalar(text) {
+    if (text === 'true' || text === 'HIGH') return 1;
+    if (text === 'false' || text === 'LOW') return 0;
+    const char = /^'(\\?.)'$/.exec(text);
+    if (char) return unescapeChar(char[1]).charCodeAt(0);
+    const value = /^[-+]?0x[0-9a-f]+$/i.test(text) ? parseInt(text, 16) : Number(text.replace(/[uUlLfF]+$/, ''));
+    if (text === '' || Number.isNaN(value)) throw new Error(`'${text}' is not a number`);
+    return value;
+}
+
+function unquote(text) {
+    const quoted = /^"(.*)"$/s.exec(text);
+    if (!quoted) return text;
+    return quoted[1].replace(/\\(.)/g, (m, c) => unescapeChar(`\\${c}`));
+}
+
+function unescapeChar(text) {
+    if (text.length === 1) return text;
+    return { n: '\n', r: '\r', t: '\t', 0: '\0' }[text[1]] ?? text[1];
+}
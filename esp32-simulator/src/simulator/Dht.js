@@ -0,0 +1,162 @@
+/**
+ * Dht — DHT temperature and humidity sensors and the Adafruit DHT library
+ * The sensor on a pin is the dht22 part whose DATA pin is wired to the
+ * pin's net. A reading is the sensor's 40-bit frame, built from the part's
+ * sliders and decoded the way the library does for its sensor type.
+ */
+
+// Sensor types, as the library numbers them
+export const DHT_TYPES = { DHT11: 11, DHT12: 12, DHT21: 21, DHT22: 22, AM2301: 21 };
+
+// The sensor answers only this long after power-up, and then no more than
+// once per interval. Each quantity can be read once from a measurement; a
+// read sooner than that gets no data, so NaN
+const POWER_UP_MICROS = 1e6;
+const MIN_INTERVAL_MICROS = 2e6;
+// Start signal, the sensor's response and 40 bits
+const READ_MICROS = 1100 + 40 + 160 + 40 * 100;
+
+/**
+ * The 5-byte frame a DHT22 sends: humidity and temperature in tenths,
+ * the temperature in sign-magnitude, then a checksum
+ */
+export function dht22Frame(temperature, humidity) {
+    const h = Math.round(Math.max(0, Math.min(100, humidity)) * 10);
+    const t = Math.round(Math.max(-40, Math.min(80, temperature)) * 10);
+    const magnitude = Math.abs(t);
+    const data = [h >> 8, h & 0xFF, (magnitude >> 8) | (t < 0 ? 0x80 : 0), magnitude & 0xFF];
+    data.push(data.reduce((sum, b) => sum + b, 0) & 0xFF);
+    return data;
+}
+
+export function convertCtoF(c) {
+    return c * 1.8 + 32;
+}
+
+export function convertFtoC(f) {
+    return (f - 32) * 0.55555;
+}
+
+/**
+ * Heat index by the NOAA's Rothfusz regression, as DHT::computeHeatIndex()
+ */
+export function computeHeatIndex(temperature, humidity, isFahrenheit = true) {
+    const t = isFahrenheit ? temperature : convertCtoF(temperature);
+    let hi = 0.5 * (t + 61.0 + ((t - 68.0) * 1.2) + (humidity * 0.094));
+    if (hi > 79) {
+        hi = -42.379 + 2.04901523 * t + 10.14333127 * humidity
+            - 0.22475541 * t * humidity
+            - 0.00683783 * t * t
+            - 0.05481717 * humidity * humidity
+            + 0.00122874 * t * t * humidity
+            + 0.00085282 * t * humidity * humidity
+            - 0.00000199 * t * t * humidity * humidity;
+        if (humidity < 13 && t >= 80 && t <= 112) {
+            hi -= ((13 - humidity) * 0.25) * Math.sqrt((17 - Math.abs(t - 95)) * 0.05882);
+        } else if (humidity > 85 && t >= 80 && t <= 87) {
+            hi += ((humidity - 85) * 0.1) * ((87 - t) * 0.2);
+        }
+    }
+    return isFahrenheit ? hi : convertFtoC(hi);
+}
+
+/**
+ * The library's DHT object
+ */
+export class Dht {
+    /**
+     * @param {Netlist} netlist finds the sensor wired to the pin
+     * @param {Clock} clock
+     * @param {Function} wait async, busy-waits the given microseconds of virtual time
+     */
+    constructor(netlist, clock, wait, pin, type) {
+        this.netlist = netlist;
+        this.clock = clock;
+        this.wait = wait;
+        this.pin = pin;
+        this.type = type;
+        this.data = [0, 0, 0, 0, 0];
+        this.lastRead = null;
+        // Quantities not yet read from the last measurement
+        this.unread = new Set();
+        // When the sensor itself last measured
+        this.lastMeasured = null;
+    }
+
+    begin() {
+        // The first read goes to the sensor however soon it comes
+        this.lastRead = null;
+    }
+
+    /**
+     * Take a reading; whether the data is good. It isn't when the last read
+     * is under two seconds old; force asks the sensor regardless, which it
+     * refuses.
+     */
+    async read(force = false) {
+        const now = this.clock.micros;
+        if (!force && this.lastRead !== null && now - this.lastRead < MIN_INTERVAL_MICROS) return false;
+        this.lastRead = now;
+        this.data = [0, 0, 0, 0, 0];
+        this.unread.clear();
+
+        const part = this.sensor();
+        const ready = part && now >= POWER_UP_MICROS
+            && (this.lastMeasured === null || now - this.lastMeasured >= MIN_INTERVAL_MICROS);
+        // With no answer the library gives up after its start signal
+        await this.wait(ready ? READ_MICROS : 1100);
+        if (!ready) return false;
+        this.lastMeasured = now;
+        this.data = dht22Frame(Number(part.attrs.temperature), Number(part.attrs.humidity));
+        this.unread = new Set(['temperature', 'humidity']);
+        return true;
+    }
+
+    /**
+     * Whether there's data for a quantity: the last measurement's if the
+     * quantity hasn't been read from it yet, else a new reading's
+     */
+    async readQuantity(quantity, force) {
+        if (!force && this.unread.delete(quantity)) return true;
+        if (!await this.read(force)) return false;
+        this.unread.delete(quantity);
+        return true;
+    }
+
+    /**
+     * The dht22 part whose DATA pin is on this pin's net
+     */
+    sensor() {
+        const net = this.netlist.netOfPin(this.pin);
+        if (!net) return null;
+        for (const part of this.netlist.parts.values()) {
+            if (part.type === 'dht22' && this.netlist.nets.get(`${part.id}:SDA`) === net) return part;
+        }
+        return null;
+    }
+
+    async readTemperature(fahrenheit = false, force = false) {
+        if (!await this.readQuantity('temperature', force)) return NaN;
+        const data = this.data;
+        let t;
+        if (this.type === DHT_TYPES.DHT11) {
+            t = data[2];
+            if (data[3] & 0x80) t = -1 - t;
+            t += (data[3] & 0x0F) * 0.1;
+        } else if (this.type === DHT_TYPES.DHT12) {
+            t = data[2] + (data[3] & 0x0F) * 0.1;
+            if (data[2] & 0x80) t *= -1;
+        } else {
+            t = (((data[2] & 0x7F) << 8) | data[3]) * 0.1;
+            if (data[2] & 0x80) t *= -1;
+        }
+        return fahrenheit ? convertCtoF(t) : t;
+    }
+
+    async readHumidity(force = false) {
+        if (!await this.readQuantity('humidity', force)) return NaN;
+        const data = this.data;
+        if (this.type === DHT_TYPES.DHT11 || this.type === DHT_TYPES.DHT12) return data[0] + data[1] * 0.1;
+        return ((data[0] << 8) | data[1]) * 0.1;
+    }
+}
@@ -0,0 +1,1157 @@
+/**
+ * Diagnostics — Static checks run on the sketch AST before simulation starts
+ * Reports undeclared identifiers, unsupported API calls, wrong argument counts
+ * and invalid operand types, and annotates every expression with its C type
+ * (node.ctype) for the interpreter.
+ */
+import {
+    TYPES, resolveType, isArithmetic, isPointerLike, elementType, pointerTo, arrayOf,
+    promote, commonType, literalType, sizeOf,
+} from './Types.js';
+import { pinIssue, wifiAdcIssue } from './PinCapabilities.js';
+
+const FUNCTION_TYPE = { name: 'function', kind: 'function' };
+
+// Built-ins that install a handler, and which argument names it. The
+// handler runs asynchronously, so globals it modifies should be volatile.
+const INTERRUPT_HANDLER_ARGS = {
+    'attachInterrupt': 1,
+    'timerAttachInterrupt': 1,
+    'touchAttachInterrupt': 1,
+    'Ticker::attach': 1,
+    'Ticker::attach_ms': 1,
+    'Ticker::attach_us': 1,
+    'Ticker::once': 1,
+    'Ticker::once_ms': 1,
+    'Ticker::once_us': 1,
+};
+
+// Built-ins whose first argument is a GPIO, and what they use it for
+// (see pinIssue). pinMode's use depends on the mode.
+const PIN_USES = {
+    'pinMode': null,
+    'digitalWrite': 'output',
+    'digitalRead': 'input',
+    'analogRead': 'adc',
+    'analogReadMilliVolts': 'adc',
+    'analogSetPinAttenuation': 'adc',
+    'analogWrite': 'output',
+    'tone': 'output',
+    'ledcAttachPin': 'output',
+    'ledcAttach': 'output',
+    'ledcAttachChannel': 'output',
+    'attachInterrupt': 'input',
+    'dacWrite': 'dac',
+    'dacDisable': 'dac',
+    'touchRead': 'touch',
+    'touchAttachInterrupt': 'touch',
+    'shiftOut': 'output',
+    'shiftIn': 'input',
+    'pulseIn': 'input',
+    'pulseInLong': 'input',
+};
+// Library calls whose arguments include GPIOs the library drives, and which
+// arguments those are
+const LIBRARY_PINS = {
+    'Wire.begin': [0, 1],
+    'DHT::DHT': [0],
+    'Adafruit_NeoPixel::Adafruit_NeoPixel': [1],
+    'Servo::attach': [0],
+};
+const PIN_MODE_USES = { INPUT: 'input', OUTPUT: 'output', INPUT_PULLUP: 'pullup', INPUT_PULLDOWN: 'pulldown' };
+
+// Calls that turn the WiFi radio on, taking ADC2 away from analogRead()
+const WIFI_STARTERS = new Set(['WiFi.begin', 'WiFi.softAP', 'WiFi.mode']);
+
+// Functions of the Arduino core, the ESP32 SDK and the C library that a
+// real build would find but the simulator doesn't emulate
+const UNSUPPORTED_FUNCTIONS = new Set([
+    'memcmp', 'memchr', 'malloc', 'calloc', 'realloc', 'free',
+    'strtok', 'strtol', 'strtoul', 'strtod', 'strtof', 'sscanf', 'printf', 'puts',
+    'toupper', 'tolower', 'isdigit', 'isalpha', 'isalnum', 'isspace', 'isupper', 'islower', 'isprint', 'ispunct', 'isxdigit',
+    'isDigit', 'isAlpha', 'isAlphaNumeric', 'isSpace', 'isWhitespace', 'isUpperCase', 'isLowerCase', 'isHexadecimalDigit',
+    'analogReference', 'word', 'makeWord',
+    'esp_random', 'esp_restart', 'esp_timer_get_time', 'esp_deep_sleep_start', 'esp_deep_sleep',
+    'esp_sleep_enable_timer_wakeup', 'esp_sleep_enable_ext0_wakeup', 'esp_light_sleep_start', 'temperatureRead', 'hallRead',
+    'getCpuFrequencyMhz', 'setCpuFrequencyMhz', 'getApbFrequency', 'btStop',
+]);
+
+// Objects of the Arduino core and ESP32 libraries the simulator doesn't
+// emulate; calls on them are unsupported rather than undeclared
+const UNSUPPORTED_OBJECTS = ['ESP', 'EEPROM', 'SPI', 'Serial1', 'Serial2', 'SPIFFS', 'LittleFS', 'SD', 'BLEDevice'];
+
+// Operators that are only defined for integer operands
+const INTEGER_OPS = new Set(['%', '&', '|', '^', '<<', '>>']);
+
+export class Analyzer {
+    /**
+     * @param {object} options
+     * @param {object} options.builtins  callee name -> implementation (with minArgs/maxArgs/returns)
+     * @param {object} options.constants constant name -> value
+     * @param {object} options.objects   name -> type of objects the core defines, such as Wire
+     * @param {object} options.types     name -> struct types libraries define, such as CRGB
+     */
+    constructor({ builtins, constants, objects = {}, types = {} }) {
+        this.builtins = builtins;
+        this.constants = constants;
+        this.objects = objects;
+        this.types = types;
+        this.namespaces = new Set([
+            ...UNSUPPORTED_OBJECTS,
+            ...Object.keys(builtins).filter(n => n.includes('.')).map(n => n.split('.')[0]),
+        ]);
+        // Library classes with member functions, e.g. 'Ticker' for 'Ticker::attach'
+        this.classes = new Set(Object.keys(builtins).filter(n => n.includes('::')).map(n => n.split('::')[0]));
+    }
+
+    /**
+     * Analyze a Program node and return a list of { severity, message, loc }
+     */
+    analyze(program) {
+        this.diagnostics = [];
+        this.functions = {};
+        // Name -> declarations of each signature, definitions preferred
+        this.overloads = {};
+        // Struct and typedef names -> type descriptors
+        this.named = { ...this.types };
+        // Functions passed to attachInterrupt(), and globals not marked volatile
+        this.interruptHandlers = new Set();
+        this.nonVolatileGlobals = new Set();
+        // Analog reads of ADC2 pins, a problem if WiFi is started anywhere
+        this.adc2Reads = [];
+        this.wifiStarted = false;
+
+        const globalScope = this.newScope(null);
+        const definedGlobals = new Set();
+        for (const node of program.body) {
+            if (node.type === 'FunctionDecl') {
+                node.ctype = this.resolve(node.returnType);
+                for (const param of node.params) param.ctype = this.resolveParam(param);
+                this.declareFunction(node);
+            } else if (node.type === 'VarDecl') {
+                for (const decl of node.declarations) {
+                    const type = this.resolve(node.varType, decl.dims, globalScope);
+                    // extern only declares a global defined elsewhere
+                    if (!node.varType.isExtern) {
+                        if (definedGlobals.has(decl.name)) this.report('error', `redefinition of '${declarationText(type, decl.name)}'`, decl.loc);
+                        definedGlobals.add(decl.name);
+                    }
+                    globalScope.names.set(decl.name, type);
+                    if (!node.varType.isVolatile) this.nonVolatileGlobals.add(decl.name);
+                }
+            } else {
+                // Types must be known before function signatures that use them
+                this.visit(node, globalScope);
+            }
+        }
+
+        for (const node of program.body) {
+            if (node.type === 'FunctionDecl') {
+                if (!node.body) continue;
+                const scope = this.newScope(globalScope);
+                for (const param of node.params) {
+                    if (param.name) scope.names.set(param.name, param.ctype);
+                }
+                this.currentFunction = node;
+                this.loopDepth = 0;
+                this.switchDepth = 0;
+                for (const stmt of node.body.body) this.visit(stmt, scope);
+                this.currentFunction = null;
+                if (node.ctype.kind !== 'void' && !this.containsReturn(node.body)) {
+                    this.report('warning', `no return statement in function returning non-void '${node.ctype.name}'`, node.loc);
+                }
+            } else if (node.type === 'VarDecl') {
+                this.visit(node, globalScope);
+            }
+        }
+
+        for (const name of this.interruptHandlers) {
+            if (this.functions[name] && this.functions[name].body) this.checkSharedVariables(this.functions[name]);
+        }
+
+        if (this.wifiStarted) {
+            for (const { node, pin } of this.adc2Reads) {
+                this.report('warning', `${node.callee.name}(${pin}): ${wifiAdcIssue(pin)}`, node.loc);
+            }
+        }
+
+        for (const name of ['setup', 'loop']) {
+            if (!this.functions[name] || !this.functions[name].body) {
+                this.report('warning', `Sketch has no ${name}() function`, { line: 1, column: 1, endLine: 1, endColumn: 1 });
+            }
+        }
+
+        return this.diagnostics;
+    }
+
+    report(severity, message, loc) {
+        this.diagnostics.push({ severity, message, loc });
+    }
+
+    /**
+     * Record a function declaration under its signature, e.g. 'f(int)'.
+     * Overloads differ in their parameter types; a second body for the
+     * same signature is a redefinition.
+     */
+    declareFunction(node) {
+        node.signature = `${node.name}(${node.params.map(p => `${p.ctype.name}${p.varType.reference ? '&' : ''}`).join(', ')})`;
+        if (!this.overloads[node.name]) this.overloads[node.name] = [];
+        const overloads = this.overloads[node.name];
+        const i = overloads.findIndex(f => f.signature === node.signature);
+        if (i < 0) {
+            overloads.push(node);
+        } else if (overloads[i].ctype.name !== node.ctype.name) {
+            this.report('error', `ambiguating new declaration of '${node.ctype.name} ${node.signature}'`, node.loc);
+        } else if (overloads[i].body && node.body) {
+            this.report('error', `redefinition of '${node.ctype.name} ${node.signature}'`, node.loc);
+        } else if (node.body) {
+            overloads[i] = node;
+        }
+        // What the bare name means, as when passed to attachInterrupt(): the
+        // first definition, else the first prototype
+        const first = this.functions[node.name];
+        if (!first || (node.body && !first.body)) this.functions[node.name] = node;
+    }
+
+    /**
+     * The overload a call picks: the one whose parameters match the
+     * arguments at least as well as every other's, and better in some
+     * argument. Reports a call none or several of them fit.
+     */
+    resolveOverload(name, overloads, argTypes, node) {
+        const viable = [];
+        for (const func of overloads) {
+            if (func.params.length !== argTypes.length) continue;
+            const ranks = func.params.map((param, i) => conversionRank(argTypes[i], param.ctype));
+            if (!ranks.includes(null)) viable.push({ func, ranks });
+        }
+        const better = (a, b) => a.ranks.every((r, i) => r <= b.ranks[i]) && a.ranks.some((r, i) => r < b.ranks[i]);
+        const best = viable.find(a => viable.every(b => b === a || better(a, b)));
+        if (best) return best.func;
+        const call = `${name}(${argTypes.map(t => (t ? t.name : 'int')).join(', ')})`;
+        this.report('error', viable.length ? `call of overloaded '${call}' is ambiguous` : `no matching function for call to '${call}'`, node.loc);
+        return null;
+    }
+
+    /**
+     * Does a statement contain a return anywhere inside it?
+     */
+    containsReturn(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (node.type === 'Return') return true;
+        if (Array.isArray(node)) return node.some(n => this.containsReturn(n));
+        return ['body', 'consequent', 'alternate', 'cases'].some(key => this.containsReturn(node[key]));
+    }
+
+    /**
+     * Warn about globals an interrupt handler modifies without them being
+     * volatile: the compiler may keep them in a register in loop()
+     */
+    checkSharedVariables(func) {
+        const locals = new Set(func.params.map(p => p.name));
+        const writes = [];
+        forEachNode(func.body, node => {
+            if (node.type === 'VarDecl') for (const decl of node.declarations) locals.add(decl.name);
+            const target = node.type === 'Assign' ? node.left : node.type === 'Update' ? node.argument : null;
+            if (target && target.type === 'Identifier') writes.push(target);
+        });
+        const reported = new Set();
+        for (const target of writes) {
+            const { name } = target;
+            if (locals.has(name) || !this.nonVolatileGlobals.has(name) || reported.has(name)) continue;
+            reported.add(name);
+            this.report('warning', `'${name}' is modified in interrupt handler '${func.name}' but not declared volatile`, target.loc);
+        }
+    }
+
+    /**
+     * A block scope: declared names with their types, plus the values of
+     * integer constants usable in array bounds
+     */
+    newScope(parent) {
+        return { names: new Map(), consts: new Map(), parent };
+    }
+
+    /**
+     * Type of a declarator: its type spec plus any array dimensions
+     */
+    resolve(varType, dims = [], scope = null) {
+        let type = resolveType(varType, this.named);
+        for (let i = dims.length - 1; i >= 0; i--) {
+            const length = dims[i] ? this.constValue(dims[i], scope) : null;
+            type = arrayOf(type, length);
+        }
+        return type;
+    }
+
+    /**
+     * Parameters declared as arrays are really pointers: "int a[]" is "int *a"
+     */
+    resolveParam(param) {
+        const type = this.resolve(param.varType, param.dims);
+        return type.kind === 'array' ? pointerTo(type.of) : type;
+    }
+
+    /**
+     * Value of an integer constant expression, or null if it isn't one
+     */
+    constValue(node, scope) {
+        switch (node.type) {
+            case 'Literal':
+                if (node.kind === 'number' && !node.isFloat) return node.value;
+                if (node.kind === 'char') return node.value.charCodeAt(0);
+                return null;
+            case 'Identifier': {
+                const qualified = node.qualifier && this.constants[`${node.qualifier}::${node.name}`];
+                if (Number.isInteger(qualified)) return qualified;
+                for (let s = scope; s; s = s.parent) {
+                    if (s.consts.has(node.name)) return s.consts.get(node.name);
+                    if (s.names.has(node.name)) return null;
+                }
+                return Number.isInteger(this.constants[node.name]) ? this.constants[node.name] : null;
+            }
+            case 'Sizeof':
+                this.visit(node, scope || this.newScope(null));
+                return node.size;
+            case 'Cast':
+                return this.constValue(node.argument, scope);
+            case 'Unary': {
+                const v = this.constValue(node.argument, scope);
+                if (v === null) return null;
+                return node.operator === '-' ? -v : node.operator === '+' ? v : node.operator === '~' ? ~v : null;
+            }
+            case 'Binary': {
+                const a = this.constValue(node.left, scope);
+                const b = this.constValue(node.right, scope);
+                if (a === null || b === null) return null;
+                switch (node.operator) {
+                    case '+': return a + b;
+                    case '-': return a - b;
+                    case '*': return a * b;
+                    case '/': return b ? Math.trunc(a / b) : null;
+                    case '%': return b ? a % b : null;
+                    case '<<': return a << b;
+                    case '>>': return a >> b;
+                    case '&': return a & b;
+                    case '|': return a | b;
+                    case '^': return a ^ b;
+                }
+                return null;
+            }
+        }
+        return null;
+    }
+    /**
+     * Type of a name visible from scope, or null if it isn't declared
+     */
+    typeOf(name, scope) {
+        for (let s = scope; s; s = s.parent) {
+            if (s.names.has(name)) return s.names.get(name);
+        }
+        if (name in this.functions || name in this.builtins) return FUNCTION_TYPE;
+        if (name in this.constants) return Number.isInteger(this.constants[name]) ? TYPES.int : TYPES.double;
+        return null;
+    }
+
+    /**
+     * Visit a node; expressions get node.ctype set and returned
+     */
+    visit(node, scope) {
+        if (!node || typeof node !== 'object') return null;
+
+        switch (node.type) {
+            case 'Block': {
+                const inner = this.newScope(scope);
+                for (const stmt of node.body) this.visit(stmt, inner);
+                return null;
+            }
+            case 'For': {
+                const inner = this.newScope(scope);
+                this.visit(node.init, inner);
+                this.visit(node.test, inner);
+                this.visit(node.update, inner);
+                this.visitLoopBody(node.body, inner);
+                return null;
+            }
+            case 'While':
+            case 'DoWhile':
+                this.visit(node.test, scope);
+                this.visitLoopBody(node.body, scope);
+                return null;
+
+            case 'Switch':
+                this.visitSwitch(node, scope);
+                return null;
+
+            case 'Break':
+                if (!this.loopDepth && !this.switchDepth) this.report('error', 'break statement not within loop or switch', node.loc);
+                return null;
+
+            case 'Continue':
+                if (!this.loopDepth) this.report('error', 'continue statement not within a loop', node.loc);
+                return null;
+
+            case 'Return': {
+                const type = node.argument ? this.visit(node.argument, scope) : null;
+                const func = this.currentFunction;
+                if (!func) return null;
+                if (func.ctype.kind === 'void' && node.argument && type && type.kind !== 'void') {
+                    this.report('error', `return-statement with a value, in function returning 'void'`, node.loc);
+                } else if (func.ctype.kind !== 'void' && !node.argument) {
+                    this.report('error', `return-statement with no value, in function returning '${func.ctype.name}'`, node.loc);
+                } else if (node.argument) {
+                    this.checkAssignable(func.ctype, type, node.argument.loc);
+                }
+                return null;
+            }
+
+            case 'EnumDecl': {
+                if (!node.ctype) {
+                    let next = 0;
+                    for (const member of node.members) {
+                        let value = next;
+                        if (member.value) {
+                            this.visit(member.value, scope);
+                            value = this.constValue(member.value, scope);
+                            if (value === null) {
+                                this.report('error', `enumerator value for '${member.name}' is not an integer constant`, member.value.loc);
+                                value = next;
+                            }
+                        }
+                        member.constValue = value;
+                        scope.names.set(member.name, TYPES.int);
+                        scope.consts.set(member.name, value);
+                        next = value + 1;
+                    }
+                    node.ctype = TYPES.int;
+                    if (node.name) this.named[node.name] = node.ctype;
+                }
+                if (node.declaration) this.visit(node.declaration, scope);
+                return null;
+            }
+            case 'VarDecl': {
+                for (const decl of node.declarations) {
+                    let type = this.resolve(node.varType, decl.dims, scope);
+                    decl.vla = decl.dims.some(dim => dim && this.constValue(dim, scope) === null);
+                    for (const dim of decl.dims) if (dim) this.visit(dim, scope);
+                    if (decl.init) {
+                        decl.init = this.visitInitializer(type, decl.init, scope);
+                        type = this.completeArrayType(type, decl.init);
+                    } else if (type.kind === 'array' && type.length === null && !decl.vla) {
+                        this.report('error', `storage size of '${decl.name}' isn't known`, decl.loc);
+                    }
+                    decl.ctype = type;
+                    for (const arg of decl.args || []) this.visit(arg, scope);
+                    const constructorName = `${type.name}::${type.name}`;
+                    const constructor = (type.kind === 'object' || type.kind === 'struct') && this.builtins[constructorName];
+                    if (constructor && !decl.init) {
+                        this.checkArity(type.name, constructor, { args: decl.args || [], loc: decl.loc });
+                        if (constructorName in LIBRARY_PINS) this.checkLibraryPins(constructorName, type.name, decl.args || [], decl.loc, scope);
+                    }
+                    // Globals were checked when they were first collected
+                    if (scope.parent && scope.names.has(decl.name)) {
+                        this.report('error', `redeclaration of '${declarationText(type, decl.name)}'`, decl.loc);
+                    }
+                    scope.names.set(decl.name, type);
+
+                    const value = node.varType.isConst && type.kind === 'int' && decl.init ? this.constValue(decl.init, scope) : null;
+                    if (value !== null) scope.consts.set(decl.name, value);
+                }
+                return null;
+            }
+
+            case 'StructDecl': {
+                if (!node.ctype) {
+                    const fields = [];
+                    for (const field of node.fields) {
+                        if (fields.some(f => f.name === field.name)) {
+                            this.report('error', `duplicate member '${field.name}'`, field.loc);
+                        }
+                        fields.push({ name: field.name, type: this.resolve(field.varType, field.dims, scope) });
+                    }
+                    node.ctype = { name: node.name, kind: 'struct', fields };
+                    if (node.name) this.named[node.name] = node.ctype;
+                }
+                if (node.declaration) this.visit(node.declaration, scope);
+                return null;
+            }
+
+            case 'Typedef':
+                if (node.definition) this.visit(node.definition, scope);
+                if (!node.ctype) {
+                    node.ctype = this.resolve(node.varType, node.dims, scope);
+                    this.named[node.name] = node.ctype;
+                }
+                return null;
+        }
+
+        const type = this.visitExpression(node, scope);
+        if (type !== undefined) {
+            node.ctype = type;
+            return type;
+        }
+
+        this.visitChildren(node, scope);
+        return null;
+    }
+
+    /**
+     * Check an initializer against the declared type. Brace-enclosed
+     * lists are returned fully braced, so "int m[2][2] = {1, 2, 3, 4}"
+     * comes back as {{1, 2}, {3, 4}} for the interpreter.
+     */
+    visitInitializer(type, init, scope) {
+        if (init.type !== 'InitList') {
+            if (this.isCharArrayInit(type, init)) return init;
+            if (type.kind === 'array') {
+                this.visit(init, scope);
+                this.report('error', `array '${type.name}' must be initialized with a brace-enclosed initializer`, init.loc);
+                return init;
+            }
+            this.checkAssignable(type, this.visit(init, scope), init.loc);
+            return init;
+        }
+
+        if (type.kind !== 'array' && type.kind !== 'struct') {
+            if (init.elements.length > 1) this.report('error', `scalar object of type '${type.name}' requires one element in initializer`, init.loc);
+            return init.elements.length ? this.visitInitializer(type, init.elements[0], scope) : init;
+        }
+
+        const items = init.elements;
+        const state = { pos: 0 };
+        const elements = this.fillAggregate(type, items, state, scope);
+        if (state.pos < items.length) {
+            this.report('error', `too many initializers for '${type.name}'`, items[state.pos].loc);
+            for (let i = state.pos; i < items.length; i++) this.visit(items[i], scope);
+        }
+        return { ...init, elements };
+    }
+
+    /**
+     * Initialize the members of an array or struct from items[state.pos...]
+     */
+    fillAggregate(type, items, state, scope) {
+        const elements = [];
+        const slots = type.kind === 'struct' ? type.fields.length : type.length ?? Infinity;
+        for (let i = 0; i < slots && state.pos < items.length; i++) {
+            const member = type.kind === 'struct' ? type.fields[i].type : type.of;
+            const item = items[state.pos];
+            if ((member.kind === 'array' || member.kind === 'struct') && item.type !== 'InitList' && !this.isCharArrayInit(member, item)) {
+                // Elided braces: the sub-aggregate takes as many items as it needs
+                elements.push({ type: 'InitList', elements: this.fillAggregate(member, items, state, scope), loc: item.loc });
+            } else {
+                elements.push(this.visitInitializer(member, item, scope));
+                state.pos++;
+            }
+        }
+        return elements;
+    }
+
+    isCharArrayInit(type, init) {
+        if (type.kind !== 'array' || type.of.kind !== 'int' || type.of.bits !== 8) return false;
+        if (init.type !== 'Literal' || init.kind !== 'string') return false;
+        init.ctype = TYPES['const char*'];
+        if (type.length !== null && init.value.length > type.length) {
+            this.report('error', `initializer-string for '${type.name}' is too long`, init.loc);
+        }
+        return true;
+    }
+
+    /**
+     * "int a[] = {1, 2, 3}" takes its length from the initializer
+     */
+    completeArrayType(type, init) {
+        if (type.kind !== 'array' || type.length !== null) return type;
+        if (init.type === 'InitList') return arrayOf(type.of, init.elements.length);
+        if (init.type === 'Literal' && init.kind === 'string') return arrayOf(type.of, init.value.length + 1);
+        return type;
+    }
+
+    visitLoopBody(body, scope) {
+        this.loopDepth++;
+        this.visit(body, scope);
+        this.loopDepth--;
+    }
+
+    /**
+     * Case labels must be distinct integer constants; the cases share one scope
+     */
+    visitSwitch(node, scope) {
+        const type = this.visit(node.discriminant, scope);
+        if (type && type.kind !== 'int') {
+            this.report('error', `switch quantity not an integer (have '${type.name}')`, node.discriminant.loc);
+        }
+
+        const inner = this.newScope(scope);
+        const seen = new Map();
+        let sawDefault = false;
+        this.switchDepth++;
+        for (const c of node.cases) {
+            if (c.test) {
+                this.visit(c.test, scope);
+                const value = this.constValue(c.test, scope);
+                if (value === null) {
+                    this.report('error', 'case label does not reduce to an integer constant', c.test.loc);
+                } else if (seen.has(value)) {
+                    this.report('error', `duplicate case value ${value}`, c.test.loc);
+                } else {
+                    seen.set(value, c);
+                }
+            } else if (sawDefault) {
+                this.report('error', "multiple default labels in one switch", c.loc);
+            } else {
+                sawDefault = true;
+            }
+            for (const stmt of c.body) this.visit(stmt, inner);
+        }
+        this.switchDepth--;
+    }
+
+    visitChildren(node, scope) {
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'loc' || key === 'varType' || key === 'ctype' || key === 'opType') continue;
+            if (Array.isArray(value)) {
+                for (const item of value) this.visit(item, scope);
+            } else if (value && typeof value === 'object' && value.type) {
+                this.visit(value, scope);
+            }
+        }
+    }
+
+    /**
+     * Type an expression node. Returns undefined for non-expressions.
+     */
+    visitExpression(node, scope) {
+        switch (node.type) {
+            case 'Literal':
+                if (node.kind === 'number' && node.exact !== undefined && node.exact > 0xFFFFFFFFFFFFFFFFn) {
+                    this.report('error', 'integer constant is too large for its type', node.loc);
+                }
+                if (node.kind === 'number') return literalType(node);
+                if (node.kind === 'string') return TYPES['const char*'];
+                if (node.kind === 'char') return TYPES.char;
+                return TYPES.bool;
+
+            case 'Identifier': {
+                // Library constants such as CRGB::Red
+                if (node.qualifier && `${node.qualifier}::${node.name}` in this.constants) return TYPES.int;
+                const type = this.typeOf(node.name, scope) || this.objects[node.name];
+                if (!type) {
+                    this.report('error', this.undeclaredMessage(node.name, scope), node.loc);
+                    return TYPES.int;
+                }
+                return type;
+            }
+
+            case 'Assign': {
+                const left = this.visit(node.left, scope);
+                const right = this.visit(node.right, scope);
+                if (left && left.kind === 'array') {
+                    this.report('error', `invalid array assignment to '${left.name}'`, node.loc);
+                } else if (node.operator === '=') {
+                    this.checkAssignable(left, right, node.right.loc);
+                } else if (left && left.kind === 'string' && node.operator === '+=') {
+                    node.stringOp = true;
+                } else {
+                    const op = node.operator.slice(0, -1);
+                    this.checkOperands(op, left, right, node);
+                    node.pointerOp = isPointerLike(left) && (op === '+' || op === '-');
+                    node.opType = op === '<<' || op === '>>' ? promote(left) : commonType(left, right);
+                }
+                return left;
+            }
+
+            case 'Update':
+                return this.visit(node.argument, scope);
+
+            case 'Unary': {
+                const arg = this.visit(node.argument, scope);
+                if (node.operator === '!') return TYPES.bool;
+                // A function name already acts as a pointer to it
+                if (node.operator === '&') return arg && arg.kind === 'function' ? arg : arg ? pointerTo(arg) : null;
+                if (node.operator === '*') {
+                    const target = elementType(arg);
+                    if (!target && arg && arg.kind !== 'object') {
+                        this.report('error', `invalid type argument of unary '*' (have '${arg.name}')`, node.loc);
+                    }
+                    return target || TYPES.int;
+                }
+                if (node.operator === '~' && arg && arg.kind === 'float') {
+                    this.report('error', `wrong type argument to bit-complement ('${arg.name}')`, node.loc);
+                }
+                return isArithmetic(arg) ? promote(arg) : arg;
+            }
+
+            case 'Binary': {
+                const left = this.visit(node.left, scope);
+                const right = this.visit(node.right, scope);
+                if ((left && left.kind === 'string') || (right && right.kind === 'string')) {
+                    // String concatenation and comparison
+                    if (node.operator === '+') {
+                        node.stringOp = true;
+                        return TYPES.String;
+                    }
+                    if (['==', '!=', '<', '>', '<=', '>='].includes(node.operator)) {
+                        node.stringOp = true;
+                        return TYPES.bool;
+                    }
+                }
+                if (isPointerLike(left) || isPointerLike(right)) {
+                    const type = this.pointerArithmeticType(node.operator, left, right);
+                    if (type) {
+                        node.pointerOp = true;
+                        return type;
+                    }
+                }
+                this.checkOperands(node.operator, left, right, node);
+                if (node.operator === '<<' || node.operator === '>>') {
+                    node.opType = promote(left);
+                    return node.opType;
+                }
+                node.opType = commonType(left, right);
+                if (['==', '!=', '<', '>', '<=', '>='].includes(node.operator)) return TYPES.bool;
+                return node.opType || left;
+            }
+
+            case 'Logical':
+                this.visit(node.left, scope);
+                this.visit(node.right, scope);
+                return TYPES.bool;
+
+            case 'Conditional': {
+                this.visit(node.test, scope);
+                const a = this.visit(node.consequent, scope);
+                const b = this.visit(node.alternate, scope);
+                return commonType(a, b) || a;
+            }
+
+            case 'Sequence': {
+                let type = null;
+                for (const expr of node.expressions) type = this.visit(expr, scope);
+                return type;
+            }
+
+            case 'Cast':
+                this.visit(node.argument, scope);
+                return this.resolve(node.varType);
+
+            case 'Call':
+                return this.visitCall(node, scope);
+
+            case 'Index': {
+                const object = this.visit(node.object, scope);
+                const index = this.visit(node.index, scope);
+                if (index && index.kind !== 'int') {
+                    this.report('error', `invalid types '${object ? object.name : '?'}[${index.name}]' for array subscript`, node.index.loc);
+                }
+                if (object && object.name === 'String') return TYPES.char;
+                const element = elementType(object);
+                if (!element && object && object.kind !== 'object') {
+                    this.report('error', `subscripted value '${object.name}' is neither array nor pointer`, node.loc);
+                }
+                return element || TYPES.int;
+            }
+
+            case 'Member':
+                return this.visitMember(node, scope);
+
+            case 'Sizeof': {
+                const type = node.varType ? this.resolve(node.varType) : this.visit(node.argument, scope);
+                node.size = type ? sizeOf(type) : 0;
+                return TYPES['unsigned int'];
+            }
+
+            case 'InitList':
+                for (const element of node.elements) this.visit(element, scope);
+                this.report('error', 'Brace-enclosed lists are only supported as initializers', node.loc);
+                return TYPES.int;
+        }
+        return undefined;
+    }
+
+    /**
+     * Result type of a pointer operation, or null if the operands don't form one
+     */
+    pointerArithmeticType(op, left, right) {
+        if (['==', '!=', '<', '>', '<=', '>='].includes(op)) return TYPES.bool;
+        const isInt = t => t && t.kind === 'int';
+        if (op === '+' && isPointerLike(left) && isInt(right)) return pointerTo(elementType(left));
+        if (op === '+' && isInt(left) && isPointerLike(right)) return pointerTo(elementType(right));
+        if (op === '-' && isPointerLike(left) && isInt(right)) return pointerTo(elementType(left));
+        if (op === '-' && isPointerLike(left) && isPointerLike(right)) return TYPES.int;
+        return null;
+    }
+
+    visitMember(node, scope) {
+        const { object } = node;
+        if (object.type === 'Identifier' && this.namespaces.has(object.name) && !this.typeOf(object.name, scope)) {
+            this.report('error', `'${object.name}.${node.property}' is not supported by the simulator`, node.loc);
+            return TYPES.int;
+        }
+
+        let type = this.visit(object, scope);
+        if (node.arrow) {
+            if (type && type.kind !== 'pointer' && type.kind !== 'object') {
+                this.report('error', `base operand of '->' has non-pointer type '${type.name}'`, node.loc);
+            }
+            type = elementType(type);
+        }
+        if (!type || type.kind !== 'struct') return TYPES.int;
+
+        const field = type.fields.find(f => f.name === node.property);
+        if (!field) {
+            this.report('error', `'struct ${type.name}' has no member named '${node.property}'`, node.loc);
+            return TYPES.int;
+        }
+        return field.type;
+    }
+
+    checkOperands(op, left, right, node) {
+        if (!INTEGER_OPS.has(op) || !left || !right) return;
+        if (left.kind === 'float' || right.kind === 'float') {
+            this.report('error', `invalid operands of types '${left.name}' and '${right.name}' to binary 'operator${op}'`, node.loc);
+        }
+    }
+
+    checkAssignable(target, value, loc) {
+        if (!target || !value) return;
+        const stringLike = value.kind === 'string' || isPointerLike(value);
+        if (isArithmetic(target) && stringLike && target.name !== 'bool') {
+            this.report('error', `invalid conversion from '${value.name}' to '${target.name}'`, loc);
+        } else if (target.kind === 'struct' && value !== target && !(target.accepts && target.accepts(value))) {
+            this.report('error', `cannot convert '${value.name}' to '${target.name}'`, loc);
+        }
+    }
+
+    visitCall(node, scope) {
+        const { callee, args } = node;
+        const argTypes = args.map(arg => this.visit(arg, scope));
+        if (node.templateArgs) this.visitTemplateArgs(node, scope);
+
+        if (callee.type === 'Identifier') {
+            const overloads = !callee.qualifier && this.overloads[callee.name];
+            if (overloads && overloads.length > 1) {
+                const func = this.resolveOverload(callee.name, overloads, argTypes, node);
+                if (!func) return TYPES.int;
+                // The Compiler calls the overload by its signature
+                node.overload = func.signature;
+                return func.ctype;
+            }
+            if (overloads) {
+                const func = overloads[0];
+                const expected = func.params.length;
+                if (args.length !== expected) {
+                    this.report('error', `too ${args.length > expected ? 'many' : 'few'} arguments to function '${callee.name}' (expected ${expected}, got ${args.length})`, node.loc);
+                }
+                return func.ctype;
+            }
+            // Static member functions such as Adafruit_NeoPixel::Color
+            const name = callee.qualifier ? `${callee.qualifier}::${callee.name}` : callee.name;
+            const builtin = this.builtins[name];
+            if (builtin) {
+                this.checkArity(name, builtin, node);
+                if (callee.name in PIN_USES && args.length) this.checkPinArgument(node, scope);
+                if (INTERRUPT_HANDLER_ARGS[callee.name] !== undefined) this.noteInterruptHandler(callee.name, args[INTERRUPT_HANDLER_ARGS[callee.name]]);
+                return this.builtinType(builtin, argTypes);
+            }
+            // A temporary built by a library constructor, such as CRGB(255, 0, 0)
+            const constructor = this.builtins[`${name}::${name}`];
+            if (constructor) {
+                this.checkArity(name, constructor, node);
+                return resolveType(name, this.named);
+            }
+            if (!this.typeOf(callee.name, scope)) {
+                this.report('error', this.undeclaredMessage(callee.name, scope), callee.loc);
+            }
+            return TYPES.int;
+        }
+
+        if (callee.type === 'Member' && callee.object.type === 'Identifier') {
+            const name = `${callee.object.name}.${callee.property}`;
+            const builtin = this.builtins[name];
+            if (builtin) {
+                this.checkArity(name, builtin, node);
+                if (name in LIBRARY_PINS) this.checkLibraryPins(name, name, args, node.loc, scope);
+                // addLeds<CHIPSET, DATA_PIN, ...>
+                if (name === 'FastLED.addLeds' && node.templateValues && node.templateValues.length > 1) {
+                    this.checkLibraryPin(name, node.templateValues[1], node.loc);
+                }
+                if (WIFI_STARTERS.has(name) && !(name === 'WiFi.mode' && args.length && this.constValue(args[0], scope) === this.constants.WIFI_OFF)) {
+                    this.wifiStarted = true;
+                }
+                return this.builtinType(builtin, argTypes);
+            }
+            if (this.namespaces.has(callee.object.name) && !this.typeOf(callee.object.name, scope)) {
+                this.report('error', this.coreMemberMessage(callee.object.name, callee.property), callee.loc);
+                return TYPES.int;
+            }
+        }
+
+        if (callee.type === 'Member') {
+            const errors = this.diagnostics.length;
+            const objectType = this.visit(callee.object, scope);
+            // An undeclared object has been reported already
+            if (this.diagnostics.slice(errors).some(d => d.severity === 'error')) return TYPES.int;
+            const className = objectType && !callee.arrow && (objectType.kind === 'string' ? 'String' : objectType.kind === 'object' || objectType.methods ? objectType.name : null);
+            if (className && this.classes.has(className)) {
+                const name = `${className}::${callee.property}`;
+                const method = this.builtins[name];
+                if (!method) {
+                    this.report('error', `'${objectType.kind === 'struct' ? 'struct' : 'class'} ${className}' has no member named '${callee.property}'`, callee.loc);
+                    return TYPES.int;
+                }
+                this.checkArity(name, method, node);
+                if (name in LIBRARY_PINS) this.checkLibraryPins(name, `${callee.object.name || className}.${callee.property}`, args, node.loc, scope);
+                if (INTERRUPT_HANDLER_ARGS[name] !== undefined) this.noteInterruptHandler(`${callee.object.name || className}.${callee.property}`, args[INTERRUPT_HANDLER_ARGS[name]]);
+                return this.builtinType(method, argTypes);
+            }
+            const target = callee.arrow ? elementType(objectType) : objectType;
+            if (target && target.kind === 'struct') {
+                this.report('error', `'struct ${target.name}' has no member named '${callee.property}'`, callee.loc);
+            } else if (target && target.kind !== 'object' && target.kind !== 'string') {
+                this.report('error', nonClassMemberMessage(callee, target), callee.loc);
+            }
+            return TYPES.int;
+        }
+
+        this.visit(callee, scope);
+        return TYPES.int;
+    }
+
+    /**
+     * Template arguments, as in FastLED.addLeds<WS2812B, 5, GRB>(), must be
+     * constants; their values are left in node.templateValues
+     */
+    visitTemplateArgs(node, scope) {
+        node.templateValues = node.templateArgs.map((arg) => {
+            this.visit(arg, scope);
+            const value = this.constValue(arg, scope);
+            if (value === null) this.report('error', 'template argument is not a constant expression', arg.loc);
+            return value;
+        });
+    }
+
+    /**
+     * Warn about a constant pin number the call can't use that way: input-only,
+     * flash and missing pins, pins without the peripheral
+     */
+    checkPinArgument(node, scope) {
+        const name = node.callee.name;
+        let arg = node.args[0];
+        // attachInterrupt(digitalPinToInterrupt(pin), ...)
+        if (arg.type === 'Call' && arg.callee.type === 'Identifier' && arg.callee.name === 'digitalPinToInterrupt' && arg.args.length) {
+            arg = arg.args[0];
+        }
+        const pin = this.constValue(arg, scope);
+        if (pin === null) return;
+
+        let use = PIN_USES[name];
+        if (name === 'pinMode') {
+            const mode = node.args.length > 1 ? this.constValue(node.args[1], scope) : null;
+            const modeName = Object.keys(PIN_MODE_USES).find(n => this.constants[n] === mode);
+            use = modeName ? PIN_MODE_USES[modeName] : 'input';
+        }
+        const issue = pinIssue(pin, use);
+        if (issue) this.report('warning', `${name}(${pin}): ${issue}`, node.loc);
+        else if (name.startsWith('analogRead') && wifiAdcIssue(pin)) this.adc2Reads.push({ node, pin });
+    }
+
+    /**
+     * Warn about constant pins a library call can't drive. A call that leaves
+     * some of them out, such as Wire.begin(address), is another form and
+     * isn't checked
+     */
+    checkLibraryPins(name, call, args, loc, scope) {
+        const indexes = LIBRARY_PINS[name];
+        if (indexes.some(i => i >= args.length)) return;
+        for (const i of indexes) this.checkLibraryPin(call, this.constValue(args[i], scope), loc);
+    }
+
+    checkLibraryPin(call, pin, loc) {
+        // -1 keeps the library's default pin
+        if (pin === null || pin < 0) return;
+        const issue = pinIssue(pin, 'output');
+        if (issue) this.report('warning', `${call}(${pin}): ${issue}`, loc);
+    }
+
+    /**
+     * Remember the function an attachInterrupt()-style call installs
+     */
+    noteInterruptHandler(callee, arg) {
+        if (!arg) return;
+        if (arg.type === 'Unary' && arg.operator === '&') arg = arg.argument;
+        if (arg.type === 'Identifier' && this.functions[arg.name]) {
+            this.interruptHandlers.add(arg.name);
+        } else {
+            this.report('error', `${callee}() expects the name of a function`, arg.loc);
+        }
+    }
+
+    /**
+     * Result type of a built-in: its declared type, or for generic helpers
+     * such as min()/max() the common type of the arguments
+     */
+    builtinType(builtin, argTypes) {
+        if (!builtin.returns) return TYPES.void;
+        if (typeof builtin.returns === 'object') return builtin.returns;
+        if (builtin.returns === 'auto') {
+            return argTypes.reduce((acc, t) => (acc ? commonType(acc, t) || acc : t), null) || TYPES.int;
+        }
+        return resolveType(builtin.returns);
+    }
+
+    checkArity(name, builtin, node) {
+        const min = builtin.minArgs ?? 0;
+        const max = builtin.maxArgs ?? Infinity;
+        const count = node.args.length;
+        if (count < min || count > max) {
+            const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+            this.report('error', `too ${count > max ? 'many' : 'few'} arguments to function '${name}' (expected ${expected}, got ${count})`, node.loc);
+        }
+    }
+
+    undeclaredMessage(name, scope) {
+        if (UNSUPPORTED_FUNCTIONS.has(name)) return `'${name}' is not supported by the simulator`;
+        const suggestion = this.suggest(name, scope);
+        return `'${name}' was not declared in this scope${suggestion ? `; did you mean '${suggestion}'?` : ''}`;
+    }
+
+    /**
+     * Why a call on a core object such as Serial isn't known: a typo of one
+     * of its member functions, or one the simulator doesn't emulate
+     */
+    coreMemberMessage(object, property) {
+        const prefix = `${object}.`;
+        const members = Object.keys(this.builtins).filter(n => n.startsWith(prefix)).map(n => n.slice(prefix.length));
+        const suggestion = this.suggest(property, null, members);
+        const type = this.objects[object];
+        if (suggestion && type) return `'class ${type.name}' has no member named '${property}'; did you mean '${suggestion}'?`;
+        return `'${object}.${property}' is not supported by the simulator`;
+    }
+
+    /**
+     * Find the closest known name, for "did you mean" hints: of the names
+     * visible from scope, or of the given candidates
+     */
+    suggest(name, scope, candidates = null) {
+        if (!candidates) {
+            candidates = new Set([
+                ...Object.keys(this.functions),
+                ...Object.keys(this.constants),
+                ...Object.keys(this.objects),
+                ...Object.keys(this.builtins).filter(n => !n.includes('.') && !n.includes('::')),
+            ]);
+            for (let s = scope; s; s = s.parent) {
+                for (const n of s.names.keys()) candidates.add(n);
+            }
+        }
+
+        const lower = name.toLowerCase();
+        // A tie goes to a name the typo is the start of: 'printl' is 'println' cut short
+        const completes = candidate => candidate.toLowerCase().startsWith(lower);
+        let best = null;
+        let bestDistance = Math.min(3, Math.floor(name.length / 2) + 1);
+        for (const candidate of candidates) {
+            const d = editDistance(lower, candidate.toLowerCase());
+            if (d < bestDistance || (d === bestDistance && best && completes(candidate) && !completes(best))) {
+                best = candidate;
+                bestDistance = d;
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * A declaration as g++ writes it in messages, e.g. 'int g[3]'
+ */
+function declarationText(type, name) {
+    const dims = type.name.indexOf('[');
+    return dims < 0 ? `${type.name} ${name}` : `${type.name.slice(0, dims)} ${name}${type.name.slice(dims)}`;
+}
+
+/**
+ * How well an argument of type `from` fits a parameter of type `to`, for
+ * picking an overload: 0 exactly, 1 by promotion, 2 by a standard
+ * conversion, 3 by a constructor such as String's; null not at all
+ */
+function conversionRank(from, to) {
+    if (!from || from === to || from.name === to.name) return 0;
+    if (isArithmetic(from) && isArithmetic(to)) {
+        return promote(from) === to || (from.name === 'float' && to.name === 'double') ? 1 : 2;
+    }
+    if (isPointerLike(from) && to.kind === 'pointer') {
+        const element = elementType(from);
+        if (element && element.name === to.to.name) return 0;
+        return to.to.kind === 'void' ? 2 : null;
+    }
+    if (isPointerLike(from) && to.name === 'bool') return 2;
+    if (to.kind === 'string' && isPointerLike(from)) return 3;
+    if (to.kind === 'struct' && to.accepts && to.accepts(from)) return 3;
+    return null;
+}
+
+/**
+ * The error for calling a member function on an int, pointer or array,
+ * naming the expression where it is simple enough to write out
+ */
+export function nonClassMemberMessage(callee, type) {
+    const text = expressionText(callee.object);
+    return `request for member '${callee.property}'${text ? ` in '${text}'` : ''}, which is of non-class type '${type.name}'`;
+}
+
+/**
+ * Source text of a name, literal, subscript or member access; null for
+ * anything else
+ */
+function expressionText(node) {
+    switch (node.type) {
+        case 'Identifier':
+            return node.qualifier ? `${node.qualifier}::${node.name}` : node.name;
+        case 'Literal':
+            return node.kind === 'number' ? String(node.value) : null;
+        case 'Index': {
+            const object = expressionText(node.object);
+            const index = expressionText(node.index);
+            return object && index ? `${object}[${index}]` : null;
+        }
+        case 'Member': {
+            const object = expressionText(node.object);
+            return object ? `${object}${node.arrow ? '->' : '.'}${node.property}` : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Levenshtein distance with adjacent transpositions counted as one edit
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * Call fn on every AST node below node, skipping analysis annotations
+ */
+export function forEachNode(node, fn) {
+    if (Array.isArray(node)) {
+        for (const child of node) forEachNode(child, fn);
+        return;
+    }
+    if (!node || typeof node !== 'object' || !node.type) return;
+    fn(node);
+    for (const [key, child] of Object.entries(node)) {
+        if (key !== 'ctype' && key !== 'loc' && child && typeof child === 'object') forEachNode(child, fn);
+    }
+}
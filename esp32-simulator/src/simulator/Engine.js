@@ -4,19 +4,58 @@
  */
 import { PinManager } from './PinManager.js';
 import { ArduinoParser } from './ArduinoParser.js';
+import { Clock } from './Clock.js';
+import { Scheduler } from './Scheduler.js';
+import { formatValue, parseValue } from './Debugger.js';
+import { serializeCircuit, parseCircuit } from './Circuit.js';
+import { LogicAnalyzer } from './LogicAnalyzer.js';
+
+// Bytes appended to sent text for each line ending setting, as in the Arduino IDE
+const LINE_ENDINGS = {
+    none: '',
+    lf: '\n',
+    cr: '\r',
+    crlf: '\r\n',
+};
+
+// HardwareSerial's default RX buffer size; further bytes are dropped
+const SERIAL_RX_BUFFER_SIZE = 256;
+
+// The ESP32 core runs setup() and loop() in this task
+const LOOP_TASK = { name: 'loopTask', priority: 1, core: 1, stackDepth: 8192 };
 
 export class Engine {
     constructor() {
         this.pinManager = new PinManager();
-        this.parser = new ArduinoParser(this.pinManager, this.handleSerial.bind(this));
+        // Serial RX FIFO of byte values, shared with the interpreter
+        this.serialRx = [];
+        this.serialLineEnding = 'lf';
+        // Virtual time; the sketch only ever sees this, never the wall clock
+        this.clock = new Clock();
+        this.scheduler = new Scheduler(this.clock);
+        this.analyzer = new LogicAnalyzer(this.pinManager, this.clock);
+        this.parser = new ArduinoParser(this.pinManager, this.handleSerial.bind(this), this.serialRx, this.clock, this.scheduler);
+        this.debugger = this.parser.debugger;
+        this.i2c = this.parser.i2c;
+        this.pixels = this.parser.pixels;
+        this.debugger.onPause(() => this.notifyStatus('paused'));
         this.running = false;
         this.loopHandle = null;
         this.peripherals = new Map(); // id -> peripheral instance
         this.serialListeners = [];
         this.statusListeners = [];
-        this.startTime = 0;
-        this.speed = 1;
         this.serialBuffer = '';
+        this.pinManager.onWarning(message => this.handleSerial(`[Warning] ${message}`, 'warning'));
+    }
+
+    /**
+     * Wire up the circuit: parts and connections as saved by Circuit.js
+     */
+    setCircuit(parts, connections) {
+        this.pinManager.setCircuit(parts, connections);
+        this.analyzer.setCircuit(parts);
+        this.i2c.setCircuit(parts);
+        this.pixels.setCircuit(parts);
     }
 
     /**
@@ -45,6 +84,25 @@ export class Engine {
         this.peripherals.delete(id);
     }
 
+    /**
+     * Run the static diagnostics pass over code without starting it
+     */
+    check(code) {
+        return this.parser.diagnose(code);
+    }
+
+    /**
+     * Print diagnostics to the serial monitor, errors first
+     */
+    reportDiagnostics(diagnostics) {
+        const sorted = [...diagnostics].sort((a, b) =>
+            (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) || a.loc.line - b.loc.line);
+        for (const d of sorted) {
+            const label = d.severity === 'error' ? 'Error' : 'Warning';
+            this.handleSerial(`[${label}] Line ${d.loc.line}:${d.loc.column}: ${d.message}`, d.severity);
+        }
+    }
+
     /**
      * Start simulation with code
      */
@@ -53,27 +111,33 @@ export class Engine {
 
         this.running = true;
         this.parser.running = true;
-        this.startTime = Date.now();
-        this.parser.startTime = this.startTime;
-        this.parser.speed = this.speed;
+        this.serialRx.length = 0;
+        this.clock.reset();
+        this.pinManager.clearWarnings();
+        this.pinManager.adc.reset();
+        this.pinManager.checkStrapping();
+        this.analyzer.start();
+        this.i2c.reset();
+        this.pixels.reset();
         this.notifyStatus('running');
 
         try {
             // Parse the code
             this.parser.parse(code);
 
-            // Execute setup()
-            await this.parser.execute(this.parser.setupCode);
+            // Initialise globals
+            await this.parser.runGlobals();
 
-            // Execute loop() repeatedly
-            while (this.running) {
-                await this.parser.execute(this.parser.loopCode);
-                // Small yield to prevent browser freezing
-                await new Promise(r => setTimeout(r, 1));
-            }
+            // setup() and loop() run in loopTask, alongside any tasks the sketch creates
+            this.scheduler.createTask({ ...LOOP_TASK, body: () => this.runLoopTask() });
+            await this.scheduler.run(micros => this.parser.idle(micros));
         } catch (err) {
-            this.handleSerial(`[Error] ${err.message}`, 'error');
+            const where = err.loc ? `Line ${err.loc.line}:${err.loc.column}: ` : '';
+            this.handleSerial(`[Error] ${where}${err.message}`, 'error');
+            this.running = false;
+            this.parser.running = false;
             this.notifyStatus('error');
+            return;
         }
 
         if (!this.running) {
@@ -81,12 +145,32 @@ export class Engine {
         }
     }
 
+    /**
+     * Body of loopTask: setup(), then loop() repeatedly
+     */
+    async runLoopTask() {
+        const parser = this.parser;
+        await parser.runEntryPoint('setup');
+        while (this.running) {
+            await parser.runEntryPoint('loop');
+            await parser.serialEventRun();
+            // An empty loop() still takes time, lets interrupts and other
+            // tasks in, and keeps the browser responsive
+            this.clock.advanceCycles(parser.cyclesPerStatement);
+            await parser.checkInterrupts();
+            await parser.preemptionPoint();
+            await parser.pace();
+        }
+    }
+
     /**
      * Stop simulation
      */
     stop() {
         this.running = false;
         this.parser.running = false;
+        this.scheduler.stop();
+        this.debugger.unblock();
         this.notifyStatus('stopped');
     }
 
@@ -98,6 +182,9 @@ export class Engine {
         this.pinManager.reset();
         this.parser.variables = {};
         this.serialBuffer = '';
+        this.serialRx.length = 0;
+        this.clock.reset();
+        this.scheduler.reset();
         this.notifyStatus('idle');
         // Reset peripherals
         for (const [, peripheral] of this.peripherals) {
@@ -106,26 +193,193 @@ export class Engine {
     }
 
     /**
-     * Set simulation speed
+     * Set the lines to stop at (1-based); they last across runs
+     */
+    setBreakpoints(lines) {
+        this.debugger.setBreakpoints(lines);
+    }
+
+    get paused() {
+        return this.debugger.paused !== null;
+    }
+
+    /**
+     * Stop at the next statement. The 'paused' status follows once stopped.
+     */
+    pause() {
+        if (this.running) this.debugger.pause();
+    }
+
+    resume() {
+        this.continueAfterPause(() => this.debugger.resume());
+    }
+
+    stepInto() {
+        this.continueAfterPause(() => this.debugger.stepInto());
+    }
+
+    stepOver() {
+        this.continueAfterPause(() => this.debugger.stepOver());
+    }
+
+    stepOut() {
+        this.continueAfterPause(() => this.debugger.stepOut());
+    }
+
+    continueAfterPause(go) {
+        if (!this.paused) return;
+        // Time stood still while paused; don't race to catch up with the wall clock
+        this.clock.anchor();
+        this.notifyStatus('running');
+        go();
+    }
+
+    /**
+     * Variables for the watch panel: globals and, while paused, the locals
+     * of the function stopped in. Also reports where execution is held.
+     */
+    getWatch() {
+        const parser = this.parser;
+        const paused = this.debugger.paused;
+        const entry = (name, type, value) => ({ name, type: type ? type.name : '', value: formatValue(value, type) });
+
+        const globals = [...parser.globalTypes]
+            .filter(([name]) => name in parser.variables)
+            .map(([name, type]) => entry(name, type, parser.variables[name]));
+
+        let locals = [];
+        let location = null;
+        if (paused) {
+            const frames = paused.context.frames;
+            const frame = frames[frames.length - 1];
+            location = {
+                line: paused.node ? paused.node.loc.line : null,
+                task: paused.context.name,
+                reason: paused.reason,
+                callStack: frames.map(f => f.func.name).reverse(),
+            };
+            const seen = new Set();
+            for (let scope = paused.scope; scope && scope !== parser.globalScope; scope = scope.parent) {
+                for (const name of Object.keys(scope.vars)) {
+                    // Inner declarations shadow outer ones
+                    if (seen.has(name)) continue;
+                    seen.add(name);
+                    locals.push(entry(name, frame && frame.func.localTypes.get(name), scope.vars[name]));
+                }
+            }
+        }
+        return { location, locals, globals };
+    }
+
+    /**
+     * Change a variable from the watch panel. scope is 'global' or 'local'
+     * (locals only while paused). Throws with a message if the text isn't
+     * a valid value for the variable.
+     */
+    setVariable(scope, name, text) {
+        const parser = this.parser;
+        const paused = this.debugger.paused;
+        let vars = null;
+        let type;
+        if (scope === 'global') {
+            vars = name in parser.variables ? parser.variables : null;
+            type = parser.globalTypes.get(name);
+        } else if (paused) {
+            for (let s = paused.scope; s && s !== parser.globalScope && !vars; s = s.parent) {
+                if (Object.prototype.hasOwnProperty.call(s.vars, name)) vars = s.vars;
+            }
+            const frame = paused.context.frames[paused.context.frames.length - 1];
+            type = frame && frame.func.localTypes.get(name);
+        }
+        if (!vars) throw new Error(`No variable named '${name}'`);
+        vars[name] = parseValue(text, type, vars[name]);
+        return formatValue(vars[name], type);
+    }
+
+    /**
+     * Set simulation speed, as a multiple of real time
      */
     setSpeed(speed) {
-        this.speed = speed;
-        this.parser.setSpeed(speed);
+        this.clock.setSpeed(speed);
+    }
+
+    /**
+     * Pace virtual time against the wall clock (true), or run as fast as
+     * possible without ever sleeping (false)
+     */
+    setRealtime(realtime) {
+        this.clock.setRealtime(realtime);
+    }
+
+    /**
+     * Set how many CPU cycles each executed statement costs; 0 means only
+     * delays advance time
+     */
+    setCyclesPerStatement(cycles) {
+        this.parser.setCyclesPerStatement(cycles);
+    }
+
+    /**
+     * Add Gaussian noise (standard deviation in mV) to ADC readings. Each
+     * run starts the seeded sequence over, so it reads the same values.
+     */
+    setAdcNoise(millivolts, seed) {
+        this.pinManager.adc.setNoise(millivolts, seed);
+    }
+
+    /**
+     * Queue data for the sketch to read from Serial. Text gets the
+     * configured line ending appended; byte arrays are sent as they are.
+     * Returns the number of bytes accepted.
+     */
+    sendSerial(data) {
+        let bytes;
+        if (typeof data === 'string') {
+            bytes = [...new TextEncoder().encode(data + LINE_ENDINGS[this.serialLineEnding])];
+        } else {
+            bytes = Array.from(data, b => b & 0xFF);
+        }
+        const room = Math.max(0, SERIAL_RX_BUFFER_SIZE - this.serialRx.length);
+        const accepted = bytes.slice(0, room);
+        this.serialRx.push(...accepted);
+        return accepted.length;
+    }
+
+    /**
+     * Set the line ending added by sendSerial(): 'none', 'lf', 'cr' or 'crlf'
+     */
+    setSerialLineEnding(ending) {
+        if (!(ending in LINE_ENDINGS)) throw new Error(`Unknown line ending '${ending}'`);
+        this.serialLineEnding = ending;
     }
 
     /**
      * Handle serial output from the parser
      */
     handleSerial(text, type) {
-        if (type === 'print') {
+        if (type === 'print' || type === 'printf') {
+            // Buffer partial lines; every newline completes one
             this.serialBuffer += text;
+            let newline;
+            while ((newline = this.serialBuffer.indexOf('\n')) >= 0) {
+                const line = this.serialBuffer.slice(0, newline).replace(/\r$/, '');
+                this.serialBuffer = this.serialBuffer.slice(newline + 1);
+                this.emitSerial(line, type);
+            }
             return;
         }
 
-        let output = this.serialBuffer + text;
+        const output = this.serialBuffer + text;
         this.serialBuffer = '';
+        this.emitSerial(output, type);
+    }
 
-        const elapsed = ((Date.now() - this.startTime) / 1000).toFixed(3);
+    /**
+     * Deliver one line of output to the serial listeners
+     */
+    emitSerial(output, type) {
+        // Messages outside a run (e.g. diagnostics) are stamped at zero
+        const elapsed = this.running ? (this.clock.micros / 1e6).toFixed(3) : (0).toFixed(3);
 
         for (const listener of this.serialListeners) {
             listener(output, type, elapsed);
@@ -153,11 +407,30 @@ export class Engine {
     }
 
     /**
-     * Get elapsed simulation time
+     * Get elapsed simulation time in seconds
      */
     getElapsedTime() {
-        if (!this.startTime) return 0;
-        return ((Date.now() - this.startTime) * this.speed) / 1000;
+        return this.clock.micros / 1e6;
+    }
+
+    /**
+     * Snapshot of the FreeRTOS tasks for the task panel. cpu is the share
+     * of virtual time each task has spent running.
+     */
+    getTasks() {
+        const scheduler = this.scheduler;
+        const now = this.clock.micros;
+        return scheduler.tasks.map(task => {
+            const runTime = task.runTime + (task === scheduler.current ? now - scheduler.switchedInAt : 0);
+            return {
+                name: task.name,
+                state: task.state,
+                priority: task.priority,
+                core: task.core,
+                stackDepth: task.stackDepth,
+                cpu: now > 0 ? runTime / now : 0,
+            };
+        });
     }
 
     /**
@@ -175,21 +448,7 @@ export class Engine {
      * Export circuit as JSON
      */
     exportCircuit(components, wires) {
-        return JSON.stringify({
-            version: 1,
-            editor: 'esp32-simulator',
-            parts: components.map(c => ({
-                type: c.type,
-                id: c.id,
-                attrs: c.attrs || {},
-                position: c.position,
-            })),
-            connections: wires.map(w => ({
-                from: w.from,
-                to: w.to,
-                color: w.color,
-            })),
-        }, null, 2);
+        return serializeCircuit(components, wires);
     }
 
     /**
@@ -197,9 +456,9 @@ export class Engine {
      */
     importCircuit(json) {
         try {
-            return JSON.parse(json);
+            return parseCircuit(json);
         } catch (e) {
-            this.handleSerial(`[Error] Invalid circuit file: ${e.message}`, 'error');
+            this.handleSerial(`[Error] ${e.message}`, 'error');
             return null;
         }
     }
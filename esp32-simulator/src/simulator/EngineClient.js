@@ -0,0 +1,332 @@
+/**
+ * EngineClient — The page's handle on the Engine running in EngineWorker
+ * Mirrors the Engine API the UI uses. Commands are posted to the worker;
+ * state the UI polls (time, tasks, watch, pins) is kept from the worker's
+ * latest messages, so reading it never waits on the interpreter.
+ */
+import { PinManager } from './PinManager.js';
+import { ArduinoParser } from './ArduinoParser.js';
+import { serializeCircuit, parseCircuit } from './Circuit.js';
+
+// A stop the worker hasn't acknowledged by then is forced by replacing it
+const STOP_TIMEOUT_MS = 250;
+
+/**
+ * Page-side copy of the worker's pin states. Inputs driven by components
+ * are forwarded to the worker.
+ */
+class PinMirror {
+    constructor(client) {
+        this.client = client;
+        this.pins = new PinManager().getState();
+        this.listeners = [];
+    }
+
+    setVoltage(pin, volts) {
+        this.client.input('setVoltage', pin, volts);
+    }
+
+    setTouch(pin, amount) {
+        this.client.input('setTouch', pin, amount);
+    }
+
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    update(pins) {
+        for (const [pin, state] of Object.entries(pins)) {
+            this.pins[pin] = state;
+            for (const cb of this.listeners) cb(pin, state);
+        }
+    }
+}
+
+export class EngineClient {
+    constructor() {
+        this.pinManager = new PinMirror(this);
+        this.serialListeners = [];
+        this.statusListeners = [];
+        this.captureListeners = [];
+        this.partListeners = [];
+        this.running = false;
+        this.paused = false;
+        this.snapshot = { time: 0, tasks: [], watch: { location: null, locals: [], globals: [] } };
+        // Latest value of each setting and pin input, keyed by method (and pin)
+        this.settings = new Map();
+        this.inputs = new Map();
+        // Parts last sent with setCircuit, kept current for a respawned worker
+        this.parts = [];
+        this.pending = new Map();
+        this.nextId = 1;
+        this.stopTimer = null;
+        // Parses on the page for the editor's live diagnostics
+        this.checker = null;
+        this.spawn();
+    }
+
+    spawn() {
+        this.worker = new Worker(new URL('./EngineWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this.receive(data);
+        for (const [method, args] of this.settings) this.call(method, ...args);
+        for (const [, [method, ...args]] of this.inputs) this.worker.postMessage({ type: 'input', method, args });
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case 'status':
+                this.snapshot = message.snapshot;
+                this.running = message.snapshot.running;
+                this.paused = message.status === 'paused';
+                if (message.status !== 'running' && message.status !== 'paused') this.clearStopTimer();
+                this.notifyStatus(message.status);
+                break;
+            case 'snapshot':
+                this.snapshot = message.snapshot;
+                break;
+            case 'serial':
+                for (const [text, type, elapsed] of message.lines) this.emitSerial(text, type, elapsed);
+                break;
+            case 'pins':
+                this.pinManager.update(message.pins);
+                break;
+            case 'capture':
+                for (const listener of this.captureListeners) listener(message);
+                break;
+            case 'parts':
+                for (const [id, state] of Object.entries(message.parts)) {
+                    for (const listener of this.partListeners) listener(id, state);
+                }
+                break;
+            case 'reply': {
+                const request = this.pending.get(message.id);
+                this.pending.delete(message.id);
+                if (!request) break;
+                if (message.error !== undefined) request.reject(new Error(message.error));
+                else request.resolve(message.result);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Post an Engine method call; the Promise settles with its result
+     */
+    request(method, ...args) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'call', method, args, id });
+        });
+    }
+
+    /**
+     * Post an Engine method call without waiting for it
+     */
+    call(method, ...args) {
+        this.worker.postMessage({ type: 'call', method, args });
+    }
+
+    input(method, target, value) {
+        this.inputs.set(`${method}:${target}`, [method, target, value]);
+        this.worker.postMessage({ type: 'input', method, args: [target, value] });
+    }
+
+    setting(method, ...args) {
+        this.settings.set(method, args);
+        this.call(method, ...args);
+    }
+
+    start(code) {
+        if (this.running) return;
+        this.running = true;
+        this.call('start', code);
+    }
+
+    /**
+     * Stop the simulation. The worker normally stops at its next yield; if
+     * it doesn't answer in time it is terminated and replaced.
+     */
+    stop() {
+        this.call('stop');
+        this.clearStopTimer();
+        if (!this.running) return;
+        this.stopTimer = setTimeout(() => {
+            this.stopTimer = null;
+            this.worker.terminate();
+            for (const request of this.pending.values()) request.reject(new Error('Simulation stopped'));
+            this.pending.clear();
+            this.spawn();
+            this.running = false;
+            this.paused = false;
+            this.notifyStatus('stopped');
+        }, STOP_TIMEOUT_MS);
+    }
+
+    clearStopTimer() {
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+    }
+
+    reset() {
+        this.stop();
+        this.inputs.clear();
+        this.call('reset');
+    }
+
+    check(code) {
+        if (!this.checker) this.checker = new ArduinoParser(new PinManager(), () => {});
+        return this.checker.diagnose(code);
+    }
+
+    reportDiagnostics(diagnostics) {
+        this.call('reportDiagnostics', diagnostics);
+    }
+
+    pause() {
+        this.call('pause');
+    }
+
+    resume() {
+        this.call('resume');
+    }
+
+    stepInto() {
+        this.call('stepInto');
+    }
+
+    stepOver() {
+        this.call('stepOver');
+    }
+
+    stepOut() {
+        this.call('stepOut');
+    }
+
+    setBreakpoints(lines) {
+        this.setting('setBreakpoints', lines);
+    }
+
+    /**
+     * Change a variable from the watch panel. Resolves with its new value;
+     * rejects with the reason it couldn't be set.
+     */
+    setVariable(scope, name, text) {
+        return this.request('setVariable', scope, name, text);
+    }
+
+    getWatch() {
+        return this.snapshot.watch;
+    }
+
+    getTasks() {
+        return this.snapshot.tasks;
+    }
+
+    getElapsedTime() {
+        return this.snapshot.time;
+    }
+
+    setSpeed(speed) {
+        this.setting('setSpeed', speed);
+    }
+
+    setRealtime(realtime) {
+        this.setting('setRealtime', realtime);
+    }
+
+    setCyclesPerStatement(cycles) {
+        this.setting('setCyclesPerStatement', cycles);
+    }
+
+    setAdcNoise(millivolts, seed) {
+        this.setting('setAdcNoise', millivolts, seed);
+    }
+
+    setSerialLineEnding(ending) {
+        this.setting('setSerialLineEnding', ending);
+    }
+
+    /**
+     * Queue data for the sketch to read from Serial. Resolves with the
+     * number of bytes accepted.
+     */
+    sendSerial(data) {
+        return this.request('sendSerial', data);
+    }
+
+    /**
+     * Send the placed components and wires for the worker's netlist
+     */
+    setCircuit(components, wires) {
+        this.parts = components.map(c => ({ id: c.id, type: c.type, attrs: { ...c.attrs } }));
+        this.setting('setCircuit', this.parts, wires.map(w => ({ from: w.from, to: w.to })));
+    }
+
+    /**
+     * A component's attributes changed, e.g. a button was pressed
+     */
+    updatePart(component) {
+        const part = this.parts.find(p => p.id === component.id);
+        if (part) part.attrs = { ...component.attrs };
+        this.input('setPart', component.id, { ...component.attrs });
+    }
+
+    removePeripheral(id) {
+        this.call('removePeripheral', id);
+    }
+
+    /**
+     * Report an error of the page itself, e.g. a bad circuit file
+     */
+    handleSerial(text, type) {
+        this.emitSerial(text, type, (this.running ? this.snapshot.time : 0).toFixed(3));
+    }
+
+    emitSerial(output, type, elapsed) {
+        for (const listener of this.serialListeners) {
+            listener(output, type, elapsed);
+        }
+    }
+
+    onSerial(callback) {
+        this.serialListeners.push(callback);
+    }
+
+    onStatus(callback) {
+        this.statusListeners.push(callback);
+    }
+
+    /**
+     * Subscribe to logic analyzer data: callback({ samples, full, restart, channels? })
+     */
+    onCapture(callback) {
+        this.captureListeners.push(callback);
+    }
+
+    /**
+     * Subscribe to what I2C parts such as the LCD show: callback(partId, state)
+     */
+    onPartState(callback) {
+        this.partListeners.push(callback);
+    }
+
+    notifyStatus(status) {
+        for (const cb of this.statusListeners) {
+            cb(status);
+        }
+    }
+
+    exportCircuit(components, wires) {
+        return serializeCircuit(components, wires);
+    }
+
+    importCircuit(json) {
+        try {
+            return parseCircuit(json);
+        } catch (e) {
+            this.handleSerial(`[Error] ${e.message}`, 'error');
+            return null;
+        }
+    }
+}
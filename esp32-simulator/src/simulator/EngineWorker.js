@@ -0,0 +1,136 @@
+/**
+ * EngineWorker — Runs the Engine off the UI thread
+ * Loaded as a module Worker by EngineClient. A runaway sketch then only
+ * ever blocks this thread, never the editor or the canvas.
+ *
+ * Messages from the page:
+ *   { type: 'call', method, args, id? }   call an Engine method; with an id,
+ *                                          the result comes back as a 'reply'
+ *   { type: 'input', method, args }       drive the circuit (setPart, setVoltage, setTouch)
+ *
+ * Messages to the page:
+ *   { type: 'status', status, snapshot }  the Engine's status changed
+ *   { type: 'serial', lines }             [text, type, elapsed] serial lines
+ *   { type: 'pins', pins }                pin number -> state, changed pins only
+ *   { type: 'capture', samples, full, restart, channels? }
+ *                                          logic analyzer samples (see LogicAnalyzer.take)
+ *   { type: 'parts', parts }              part id -> what a display or LED chain shows, changed parts only
+ *   { type: 'snapshot', snapshot }        time, tasks and watch, while running
+ *   { type: 'reply', id, result | error }
+ */
+import { Engine } from './Engine.js';
+
+// Engine methods the page may call
+const METHODS = new Set([
+    'start', 'stop', 'reset',
+    'pause', 'resume', 'stepInto', 'stepOver', 'stepOut', 'setBreakpoints', 'setVariable',
+    'setSpeed', 'setRealtime', 'setCyclesPerStatement', 'setAdcNoise',
+    'sendSerial', 'setSerialLineEnding', 'reportDiagnostics', 'setCircuit', 'removePeripheral',
+]);
+const INPUT_METHODS = new Set(['setPart', 'setVoltage', 'setTouch']);
+
+// Pin changes and serial output are batched into one message per interval,
+// so a sketch toggling a pin in a tight loop can't flood the page
+const FLUSH_INTERVAL_MS = 16;
+// How often time, tasks and variables are sent while running
+const SNAPSHOT_INTERVAL_MS = 100;
+
+const engine = new Engine();
+let serialLines = [];
+let changedPins = {};
+let changedParts = new Set();
+let flushTimer = null;
+
+engine.onSerial((text, type, elapsed) => {
+    serialLines.push([text, type, elapsed]);
+    scheduleFlush();
+});
+
+engine.pinManager.onChange((pin, state) => {
+    changedPins[pin] = { ...state };
+    scheduleFlush();
+});
+
+engine.analyzer.onCapture(scheduleFlush);
+
+function partChanged(id) {
+    changedParts.add(id);
+    scheduleFlush();
+}
+
+engine.i2c.onChange(partChanged);
+engine.pixels.onChange(partChanged);
+
+engine.onStatus((status) => {
+    // Output produced before the status change arrives first
+    flush();
+    self.postMessage({ type: 'status', status, snapshot: snapshot() });
+});
+
+setInterval(() => {
+    if (engine.running && !engine.paused) self.postMessage({ type: 'snapshot', snapshot: snapshot() });
+}, SNAPSHOT_INTERVAL_MS);
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'input' && INPUT_METHODS.has(data.method)) {
+        engine.pinManager[data.method](...data.args);
+        return;
+    }
+    if (data.type !== 'call' || !METHODS.has(data.method)) return;
+
+    let reply;
+    try {
+        // start() resolves only when the run ends, so it is never awaited here
+        const result = engine[data.method](...data.args);
+        reply = { type: 'reply', id: data.id, result: data.method === 'start' ? undefined : await result };
+    } catch (err) {
+        reply = { type: 'reply', id: data.id, error: err.message };
+    }
+    if (data.id === undefined) return;
+    // Let the page see the effect, e.g. an edited variable, before the reply
+    flush();
+    self.postMessage({ type: 'snapshot', snapshot: snapshot() });
+    self.postMessage(reply);
+};
+
+/**
+ * Everything the page polls: simulated time, the task list and the watch
+ */
+function snapshot() {
+    return {
+        time: engine.getElapsedTime(),
+        running: engine.running,
+        paused: engine.paused,
+        tasks: engine.getTasks(),
+        watch: engine.getWatch(),
+    };
+}
+
+function scheduleFlush() {
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+}
+
+function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (Object.keys(changedPins).length) {
+        self.postMessage({ type: 'pins', pins: changedPins });
+        changedPins = {};
+    }
+    if (changedParts.size) {
+        const parts = {};
+        for (const id of changedParts) {
+            // A part removed since it changed has nothing to show
+            const state = engine.i2c.stateOf(id) || engine.pixels.stateOf(id);
+            if (state) parts[id] = state;
+        }
+        self.postMessage({ type: 'parts', parts });
+        changedParts.clear();
+    }
+    const capture = engine.analyzer.take();
+    if (capture) self.postMessage({ type: 'capture', ...capture });
+    if (serialLines.length) {
+        self.postMessage({ type: 'serial', lines: serialLines });
+        serialLines = [];
+    }
+}
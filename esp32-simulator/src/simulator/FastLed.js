@@ -0,0 +1,270 @@
+/**
+ * FastLed — The basics of the FastLED library: CRGB and CHSV colours,
+ * controllers for single-wire chipsets, and FastLED.show()
+ * CRGB and CHSV are structs to the sketch. A CRGB converts implicitly from
+ * a 0xRRGGBB colour code, which is what CRGB::Red and the other named
+ * colours are, and from a CHSV by FastLED's rainbow colour wheel.
+ */
+import { TYPES, isArithmetic } from './Types.js';
+
+const byteField = name => ({ name, type: TYPES['unsigned char'] });
+
+export const CHSV_TYPE = { name: 'CHSV', kind: 'struct', fields: ['hue', 'sat', 'val'].map(byteField) };
+
+export const CRGB_TYPE = {
+    name: 'CRGB',
+    kind: 'struct',
+    fields: ['r', 'g', 'b'].map(byteField),
+    // Implicit conversions the struct allows (see Types.convert)
+    accepts: type => isArithmetic(type) || type === CHSV_TYPE,
+    from: value => toCRGB(value),
+    // It has member functions (CRGB::nscale8() and the rest), called as a class's are
+    methods: true,
+};
+
+// Struct types the library adds to a sketch
+export const FASTLED_TYPES = { CRGB: CRGB_TYPE, CHSV: CHSV_TYPE };
+
+// The commonly used of CRGB's HTML colour codes
+const HTML_COLORS = {
+    Black: 0x000000, White: 0xFFFFFF, Gray: 0x808080, Grey: 0x808080, Silver: 0xC0C0C0,
+    Red: 0xFF0000, DarkRed: 0x8B0000, Maroon: 0x800000, Crimson: 0xDC143C, Tomato: 0xFF6347,
+    Coral: 0xFF7F50, Salmon: 0xFA8072, OrangeRed: 0xFF4500, Orange: 0xFFA500, DarkOrange: 0xFF8C00,
+    Gold: 0xFFD700, Yellow: 0xFFFF00, Khaki: 0xF0E68C, Olive: 0x808000, Chocolate: 0xD2691E, Brown: 0xA52A2A,
+    Lime: 0x00FF00, Green: 0x008000, DarkGreen: 0x006400, ForestGreen: 0x228B22, SeaGreen: 0x2E8B57,
+    SpringGreen: 0x00FF7F, LightGreen: 0x90EE90, Teal: 0x008080, Turquoise: 0x40E0D0,
+    Aqua: 0x00FFFF, Cyan: 0x00FFFF, SkyBlue: 0x87CEEB, DeepSkyBlue: 0x00BFFF, LightBlue: 0xADD8E6,
+    SteelBlue: 0x4682B4, RoyalBlue: 0x4169E1, Blue: 0x0000FF, DarkBlue: 0x00008B, Navy: 0x000080,
+    Indigo: 0x4B0082, Purple: 0x800080, Amethyst: 0x9966CC, Violet: 0xEE82EE, Lavender: 0xE6E6FA,
+    Magenta: 0xFF00FF, Fuchsia: 0xFF00FF, DeepPink: 0xFF1493, HotPink: 0xFF69B4, Pink: 0xFFC0CB,
+    FairyLight: 0xFFE42D, Plaid: 0xCC5533,
+};
+
+// Chipsets by template name (the single-wire, 800 kHz ones), colour
+// orders, colour corrections and temperatures
+export const FASTLED_CONSTANTS = {
+    NEOPIXEL: 1,
+    WS2811: 2,
+    WS2812: 3,
+    WS2812B: 4,
+    WS2813: 5,
+    SK6812: 6,
+    // EOrder: which of red, green and blue goes out first, second and third
+    RGB: 0o012,
+    RBG: 0o021,
+    GRB: 0o102,
+    GBR: 0o120,
+    BRG: 0o201,
+    BGR: 0o210,
+    TypicalLEDStrip: 0xFFB0F0,
+    TypicalSMD5050: 0xFFB0F0,
+    TypicalPixelString: 0xFFE08C,
+    UncorrectedColor: 0xFFFFFF,
+    UncorrectedTemperature: 0xFFFFFF,
+    ...Object.fromEntries(Object.entries(HTML_COLORS).map(([name, code]) => [`CRGB::${name}`, code])),
+};
+
+// NEOPIXEL controllers send GRB whatever order they are given
+const NEOPIXEL_ORDER = FASTLED_CONSTANTS.GRB;
+// 1.25 µs a bit; clockless controllers refresh at most 400 times a second
+const BIT_MICROS = 1.25;
+const MIN_FRAME_MICROS = 1e6 / 400;
+
+export function scale8(i, scale) {
+    return (i * (1 + scale)) >> 8;
+}
+
+export function scale8Video(i, scale) {
+    return ((i * scale) >> 8) + (i && scale ? 1 : 0);
+}
+
+/**
+ * A colour with each channel scaled by scale8() or, without letting a lit
+ * channel go dark, scale8Video()
+ */
+export function scaleColor({ r, g, b }, scale, by = scale8) {
+    return { r: by(r, scale), g: by(g, scale), b: by(b, scale) };
+}
+
+/**
+ * A colour scaled up until its brightest channel reaches limit, as
+ * CRGB::maximizeBrightness() does
+ */
+export function maximizeBrightness(color, limit) {
+    const max = Math.max(color.r, color.g, color.b);
+    if (max === 0) return color;
+    const factor = Math.floor((limit * 256) / max);
+    return { r: (color.r * factor) >> 8, g: (color.g * factor) >> 8, b: (color.b * factor) >> 8 };
+}
+
+/**
+ * A CRGB from anything that converts to one
+ */
+export function toCRGB(value) {
+    if (typeof value === 'number') return { r: (value >> 16) & 0xFF, g: (value >> 8) & 0xFF, b: value & 0xFF };
+    if (value && 'hue' in value) return hsv2rgbRainbow(value.hue, value.sat, value.val);
+    return { r: value.r, g: value.g, b: value.b };
+}
+
+/**
+ * FastLED's hsv2rgb_rainbow(): eight sections of 32 hues each, with
+ * yellow boosted to look as bright as the rest
+ */
+export function hsv2rgbRainbow(hue, sat, val) {
+    const offset8 = (hue & 0x1F) << 3;
+    const third = scale8(offset8, 85);
+    const twoThirds = scale8(offset8, 170);
+    let r;
+    let g;
+    let b;
+    switch (hue >> 5) {
+        case 0: [r, g, b] = [255 - third, third, 0]; break;
+        case 1: [r, g, b] = [171, 85 + third, 0]; break;
+        case 2: [r, g, b] = [171 - twoThirds, 170 + third, 0]; break;
+        case 3: [r, g, b] = [0, 255 - third, third]; break;
+        case 4: [r, g, b] = [0, 171 - twoThirds, 85 + twoThirds]; break;
+        case 5: [r, g, b] = [third, 0, 255 - third]; break;
+        case 6: [r, g, b] = [85 + third, 0, 171 - third]; break;
+        default: [r, g, b] = [170 + third, 0, 85 - third]; break;
+    }
+
+    if (sat !== 255) {
+        if (sat === 0) {
+            [r, g, b] = [255, 255, 255];
+        } else {
+            const desat = scale8Video(255 - sat, 255 - sat);
+            const satScale = 255 - desat;
+            r = (scale8(r, satScale) + desat) & 0xFF;
+            g = (scale8(g, satScale) + desat) & 0xFF;
+            b = (scale8(b, satScale) + desat) & 0xFF;
+        }
+    }
+    if (val !== 255) {
+        val = scale8Video(val, val);
+        if (val === 0) [r, g, b] = [0, 0, 0];
+        else [r, g, b] = [scale8(r, val), scale8(g, val), scale8(b, val)];
+    }
+    return { r, g, b };
+}
+
+/**
+ * What FastLED.addLeds() returns: the strip on one pin, sent from the
+ * sketch's CRGB array
+ */
+export class LedController {
+    constructor(pin, order, leds, count) {
+        this.pin = pin;
+        this.order = order;
+        // { array, index } of the first CRGB
+        this.leds = leds;
+        this.count = count;
+        this.correction = FASTLED_CONSTANTS.UncorrectedColor;
+        this.temperature = FASTLED_CONSTANTS.UncorrectedTemperature;
+    }
+
+    setCorrection(color) {
+        this.correction = toCode(color);
+    }
+
+    setTemperature(color) {
+        this.temperature = toCode(color);
+    }
+
+    /**
+     * The bytes on the wire at a brightness: each channel scaled by the
+     * correction, temperature and brightness, then put in the chip's order
+     */
+    frame(scale) {
+        const adjust = [16, 8, 0].map((shift) => {
+            const cc = (this.correction >> shift) & 0xFF;
+            const ct = (this.temperature >> shift) & 0xFF;
+            return scale && cc && ct ? Math.floor((cc + 1) * (ct + 1) * scale / 0x10000) & 0xFF : 0;
+        });
+        const first = (this.order >> 6) & 3;
+        const second = (this.order >> 3) & 3;
+        const third = this.order & 3;
+        const bytes = [];
+        const { array, index } = this.leds;
+        for (let i = 0; i < this.count; i++) {
+            const led = array[index + i];
+            const raw = led ? [led.r, led.g, led.b].map((c, k) => scale8(c & 0xFF, adjust[k])) : [0, 0, 0];
+            bytes.push(raw[first], raw[second], raw[third]);
+        }
+        return bytes;
+    }
+}
+
+function toCode(color) {
+    const { r, g, b } = toCRGB(color);
+    return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * The FastLED object
+ */
+export class FastLed {
+    /**
+     * @param {PixelChain} chain
+     * @param {Clock} clock
+     * @param {object} timing { wait(us), delay(ms) }, both async
+     */
+    constructor(chain, clock, timing) {
+        this.chain = chain;
+        this.clock = clock;
+        this.timing = timing;
+        this.reset();
+    }
+
+    reset() {
+        this.controllers = [];
+        this.brightness = 255;
+        this.lastShow = null;
+    }
+
+    /**
+     * addLeds<CHIPSET, PIN, ORDER>(leds, count)
+     */
+    addLeds(chipset, pin, order, leds, count) {
+        const controller = new LedController(pin, chipset === FASTLED_CONSTANTS.NEOPIXEL ? NEOPIXEL_ORDER : order, leds, count);
+        this.controllers.push(controller);
+        return controller;
+    }
+
+    /**
+     * Send every controller's LEDs at a brightness, no sooner than the
+     * refresh limit allows after the last frame
+     */
+    async show(scale = this.brightness) {
+        if (this.lastShow !== null) {
+            const since = this.clock.micros - this.lastShow;
+            if (since < MIN_FRAME_MICROS) await this.timing.wait(MIN_FRAME_MICROS - since);
+        }
+        this.lastShow = this.clock.micros;
+        for (const controller of this.controllers) {
+            const bytes = controller.frame(scale & 0xFF);
+            await this.timing.wait(bytes.length * 8 * BIT_MICROS);
+            this.chain.send(controller.pin, bytes);
+        }
+    }
+
+    /**
+     * Black out every controller's array, and the LEDs too if asked
+     */
+    async clear(writeData) {
+        for (const { leds: { array, index }, count } of this.controllers) {
+            for (let i = 0; i < count && index + i < array.length; i++) array[index + i] = { r: 0, g: 0, b: 0 };
+        }
+        if (writeData) await this.show(0);
+    }
+
+    /**
+     * FastLED.delay(): keeps showing, for dithering, until the time is up
+     */
+    async delay(ms) {
+        const start = this.clock.micros;
+        do {
+            await this.timing.delay(1);
+            await this.show();
+        } while (this.clock.micros - start < ms * 1000);
+    }
+}
@@ -0,0 +1,422 @@
+/**
+ * Gfx — The Adafruit_GFX drawing library
+ * Lines, shapes, bitmaps and text in the library's own algorithms, so a
+ * sketch's pixels land where they do on the real display. Display drivers
+ * extend AdafruitGfx and implement drawPixel(x, y, color).
+ */
+
+// The library's built-in 5×7 font: five column bytes per character, bit 0
+// at the top. Printable ASCII only; other codes draw blank, but for the
+// code page 437 degree sign.
+const FONT = new Uint8Array(256 * 5);
+const ASCII_GLYPHS = [
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x5F, 0x00, 0x00, 0x00, 0x07, 0x00, 0x07, 0x00, // space ! "
+    0x14, 0x7F, 0x14, 0x7F, 0x14, 0x24, 0x2A, 0x7F, 0x2A, 0x12, 0x23, 0x13, 0x08, 0x64, 0x62, // # $ %
+    0x36, 0x49, 0x55, 0x22, 0x50, 0x00, 0x05, 0x03, 0x00, 0x00, 0x00, 0x1C, 0x22, 0x41, 0x00, // & ' (
+    0x00, 0x41, 0x22, 0x1C, 0x00, 0x14, 0x08, 0x3E, 0x08, 0x14, 0x08, 0x08, 0x3E, 0x08, 0x08, // ) * +
+    0x00, 0x50, 0x30, 0x00, 0x00, 0x08, 0x08, 0x08, 0x08, 0x08, 0x00, 0x60, 0x60, 0x00, 0x00, // , - .
+    0x20, 0x10, 0x08, 0x04, 0x02, 0x3E, 0x51, 0x49, 0x45, 0x3E, 0x00, 0x42, 0x7F, 0x40, 0x00, // / 0 1
+    0x42, 0x61, 0x51, 0x49, 0x46, 0x21, 0x41, 0x45, 0x4B, 0x31, 0x18, 0x14, 0x12, 0x7F, 0x10, // 2 3 4
+    0x27, 0x45, 0x45, 0x45, 0x39, 0x3C, 0x4A, 0x49, 0x49, 0x30, 0x01, 0x71, 0x09, 0x05, 0x03, // 5 6 7
+    0x36, 0x49, 0x49, 0x49, 0x36, 0x06, 0x49, 0x49, 0x29, 0x1E, 0x00, 0x36, 0x36, 0x00, 0x00, // 8 9 :
+    0x00, 0x56, 0x36, 0x00, 0x00, 0x08, 0x14, 0x22, 0x41, 0x00, 0x14, 0x14, 0x14, 0x14, 0x14, // ; < =
+    0x00, 0x41, 0x22, 0x14, 0x08, 0x02, 0x01, 0x51, 0x09, 0x06, 0x32, 0x49, 0x79, 0x41, 0x3E, // > ? @
+    0x7E, 0x11, 0x11, 0x11, 0x7E, 0x7F, 0x49, 0x49, 0x49, 0x36, 0x3E, 0x41, 0x41, 0x41, 0x22, // A B C
+    0x7F, 0x41, 0x41, 0x22, 0x1C, 0x7F, 0x49, 0x49, 0x49, 0x41, 0x7F, 0x09, 0x09, 0x09, 0x01, // D E F
+    0x3E, 0x41, 0x49, 0x49, 0x7A, 0x7F, 0x08, 0x08, 0x08, 0x7F, 0x00, 0x41, 0x7F, 0x41, 0x00, // G H I
+    0x20, 0x40, 0x41, 0x3F, 0x01, 0x7F, 0x08, 0x14, 0x22, 0x41, 0x7F, 0x40, 0x40, 0x40, 0x40, // J K L
+    0x7F, 0x02, 0x0C, 0x02, 0x7F, 0x7F, 0x04, 0x08, 0x10, 0x7F, 0x3E, 0x41, 0x41, 0x41, 0x3E, // M N O
+    0x7F, 0x09, 0x09, 0x09, 0x06, 0x3E, 0x41, 0x51, 0x21, 0x5E, 0x7F, 0x09, 0x19, 0x29, 0x46, // P Q R
+    0x46, 0x49, 0x49, 0x49, 0x31, 0x01, 0x01, 0x7F, 0x01, 0x01, 0x3F, 0x40, 0x40, 0x40, 0x3F, // S T U
+    0x1F, 0x20, 0x40, 0x20, 0x1F, 0x3F, 0x40, 0x38, 0x40, 0x3F, 0x63, 0x14, 0x08, 0x14, 0x63, // V W X
+    0x07, 0x08, 0x70, 0x08, 0x07, 0x61, 0x51, 0x49, 0x45, 0x43, 0x00, 0x7F, 0x41, 0x41, 0x00, // Y Z [
+    0x02, 0x04, 0x08, 0x10, 0x20, 0x00, 0x41, 0x41, 0x7F, 0x00, 0x04, 0x02, 0x01, 0x02, 0x04, // \ ] ^
+    0x40, 0x40, 0x40, 0x40, 0x40, 0x00, 0x01, 0x02, 0x04, 0x00, 0x20, 0x54, 0x54, 0x54, 0x78, // _ ` a
+    0x7F, 0x48, 0x44, 0x44, 0x38, 0x38, 0x44, 0x44, 0x44, 0x20, 0x38, 0x44, 0x44, 0x48, 0x7F, // b c d
+    0x38, 0x54, 0x54, 0x54, 0x18, 0x08, 0x7E, 0x09, 0x01, 0x02, 0x0C, 0x52, 0x52, 0x52, 0x3E, // e f g
+    0x7F, 0x08, 0x04, 0x04, 0x78, 0x00, 0x44, 0x7D, 0x40, 0x00, 0x20, 0x40, 0x44, 0x3D, 0x00, // h i j
+    0x7F, 0x10, 0x28, 0x44, 0x00, 0x00, 0x41, 0x7F, 0x40, 0x00, 0x7C, 0x04, 0x18, 0x04, 0x78, // k l m
+    0x7C, 0x08, 0x04, 0x04, 0x78, 0x38, 0x44, 0x44, 0x44, 0x38, 0x7C, 0x14, 0x14, 0x14, 0x08, // n o p
+    0x08, 0x14, 0x14, 0x18, 0x7C, 0x7C, 0x08, 0x04, 0x04, 0x08, 0x48, 0x54, 0x54, 0x54, 0x20, // q r s
+    0x04, 0x3F, 0x44, 0x40, 0x20, 0x3C, 0x40, 0x40, 0x20, 0x7C, 0x1C, 0x20, 0x40, 0x20, 0x1C, // t u v
+    0x3C, 0x40, 0x30, 0x40, 0x3C, 0x44, 0x28, 0x10, 0x28, 0x44, 0x0C, 0x50, 0x50, 0x50, 0x3C, // w x y
+    0x44, 0x64, 0x54, 0x4C, 0x44, 0x00, 0x08, 0x36, 0x41, 0x00, 0x00, 0x00, 0x7F, 0x00, 0x00, // z { |
+    0x00, 0x41, 0x36, 0x08, 0x00, 0x10, 0x08, 0x08, 0x10, 0x08, // } ~
+];
+FONT.set(ASCII_GLYPHS, 0x20 * 5);
+FONT.set([0x00, 0x06, 0x09, 0x09, 0x06], 0xF8 * 5);
+
+export class AdafruitGfx {
+    constructor(width, height) {
+        this.WIDTH = width;
+        this.HEIGHT = height;
+        this.width = width;
+        this.height = height;
+        this.rotation = 0;
+        this.cursorX = 0;
+        this.cursorY = 0;
+        this.textSizeX = 1;
+        this.textSizeY = 1;
+        // Equal colours draw text without a background
+        this.textColor = 0xFFFF;
+        this.textBgColor = 0xFFFF;
+        this.wrap = true;
+        this.cp437 = false;
+    }
+
+    drawPixel() {
+        throw new Error('drawPixel() is up to the display driver');
+    }
+
+    setRotation(rotation) {
+        this.rotation = rotation & 3;
+        const portrait = this.rotation & 1;
+        this.width = portrait ? this.HEIGHT : this.WIDTH;
+        this.height = portrait ? this.WIDTH : this.HEIGHT;
+    }
+
+    drawLine(x0, y0, x1, y1, color) {
+        if (x0 === x1) {
+            this.drawFastVLine(x0, Math.min(y0, y1), Math.abs(y1 - y0) + 1, color);
+            return;
+        }
+        if (y0 === y1) {
+            this.drawFastHLine(Math.min(x0, x1), y0, Math.abs(x1 - x0) + 1, color);
+            return;
+        }
+        const steep = Math.abs(y1 - y0) > Math.abs(x1 - x0);
+        if (steep) [x0, y0, x1, y1] = [y0, x0, y1, x1];
+        if (x0 > x1) [x0, y0, x1, y1] = [x1, y1, x0, y0];
+        const dx = x1 - x0;
+        const dy = Math.abs(y1 - y0);
+        const step = y0 < y1 ? 1 : -1;
+        let err = Math.trunc(dx / 2);
+        for (; x0 <= x1; x0++) {
+            if (steep) this.drawPixel(y0, x0, color);
+            else this.drawPixel(x0, y0, color);
+            err -= dy;
+            if (err < 0) {
+                y0 += step;
+                err += dx;
+            }
+        }
+    }
+
+    drawFastVLine(x, y, h, color) {
+        for (let i = 0; i < h; i++) this.drawPixel(x, y + i, color);
+    }
+
+    drawFastHLine(x, y, w, color) {
+        for (let i = 0; i < w; i++) this.drawPixel(x + i, y, color);
+    }
+
+    drawRect(x, y, w, h, color) {
+        this.drawFastHLine(x, y, w, color);
+        this.drawFastHLine(x, y + h - 1, w, color);
+        this.drawFastVLine(x, y, h, color);
+        this.drawFastVLine(x + w - 1, y, h, color);
+    }
+
+    fillRect(x, y, w, h, color) {
+        for (let i = x; i < x + w; i++) this.drawFastVLine(i, y, h, color);
+    }
+
+    fillScreen(color) {
+        this.fillRect(0, 0, this.width, this.height, color);
+    }
+
+    drawCircle(x0, y0, r, color) {
+        let f = 1 - r;
+        let ddFx = 1;
+        let ddFy = -2 * r;
+        let x = 0;
+        let y = r;
+        this.drawPixel(x0, y0 + r, color);
+        this.drawPixel(x0, y0 - r, color);
+        this.drawPixel(x0 + r, y0, color);
+        this.drawPixel(x0 - r, y0, color);
+        while (x < y) {
+            if (f >= 0) {
+                y--;
+                ddFy += 2;
+                f += ddFy;
+            }
+            x++;
+            ddFx += 2;
+            f += ddFx;
+            this.drawPixel(x0 + x, y0 + y, color);
+            this.drawPixel(x0 - x, y0 + y, color);
+            this.drawPixel(x0 + x, y0 - y, color);
+            this.drawPixel(x0 - x, y0 - y, color);
+            this.drawPixel(x0 + y, y0 + x, color);
+            this.drawPixel(x0 - y, y0 + x, color);
+            this.drawPixel(x0 + y, y0 - x, color);
+            this.drawPixel(x0 - y, y0 - x, color);
+        }
+    }
+
+    /**
+     * Quarter-circle outlines: corners is a mask of 1 top left, 2 top
+     * right, 4 bottom right and 8 bottom left
+     */
+    drawCircleHelper(x0, y0, r, corners, color) {
+        let f = 1 - r;
+        let ddFx = 1;
+        let ddFy = -2 * r;
+        let x = 0;
+        let y = r;
+        while (x < y) {
+            if (f >= 0) {
+                y--;
+                ddFy += 2;
+                f += ddFy;
+            }
+            x++;
+            ddFx += 2;
+            f += ddFx;
+            if (corners & 0x4) {
+                this.drawPixel(x0 + x, y0 + y, color);
+                this.drawPixel(x0 + y, y0 + x, color);
+            }
+            if (corners & 0x2) {
+                this.drawPixel(x0 + x, y0 - y, color);
+                this.drawPixel(x0 + y, y0 - x, color);
+            }
+            if (corners & 0x8) {
+                this.drawPixel(x0 - y, y0 + x, color);
+                this.drawPixel(x0 - x, y0 + y, color);
+            }
+            if (corners & 0x1) {
+                this.drawPixel(x0 - y, y0 - x, color);
+                this.drawPixel(x0 - x, y0 - y, color);
+            }
+        }
+    }
+
+    fillCircle(x0, y0, r, color) {
+        this.drawFastVLine(x0, y0 - r, 2 * r + 1, color);
+        this.fillCircleHelper(x0, y0, r, 3, 0, color);
+    }
+
+    /**
+     * Filled halves of a circle, stretched apart by delta: sides 1 is the
+     * right half, 2 the left
+     */
+    fillCircleHelper(x0, y0, r, sides, delta, color) {
+        let f = 1 - r;
+        let ddFx = 1;
+        let ddFy = -2 * r;
+        let x = 0;
+        let y = r;
+        let px = x;
+        let py = y;
+        delta++;
+        while (x < y) {
+            if (f >= 0) {
+                y--;
+                ddFy += 2;
+                f += ddFy;
+            }
+            x++;
+            ddFx += 2;
+            f += ddFx;
+            // Skip lines already drawn, which matters for INVERSE
+            if (x < y + 1) {
+                if (sides & 1) this.drawFastVLine(x0 + x, y0 - y, 2 * y + delta, color);
+                if (sides & 2) this.drawFastVLine(x0 - x, y0 - y, 2 * y + delta, color);
+            }
+            if (y !== py) {
+                if (sides & 1) this.drawFastVLine(x0 + py, y0 - px, 2 * px + delta, color);
+                if (sides & 2) this.drawFastVLine(x0 - py, y0 - px, 2 * px + delta, color);
+                py = y;
+            }
+            px = x;
+        }
+    }
+
+    drawRoundRect(x, y, w, h, r, color) {
+        r = Math.min(r, Math.trunc(Math.min(w, h) / 2));
+        this.drawFastHLine(x + r, y, w - 2 * r, color);
+        this.drawFastHLine(x + r, y + h - 1, w - 2 * r, color);
+        this.drawFastVLine(x, y + r, h - 2 * r, color);
+        this.drawFastVLine(x + w - 1, y + r, h - 2 * r, color);
+        this.drawCircleHelper(x + r, y + r, r, 1, color);
+        this.drawCircleHelper(x + w - r - 1, y + r, r, 2, color);
+        this.drawCircleHelper(x + w - r - 1, y + h - r - 1, r, 4, color);
+        this.drawCircleHelper(x + r, y + h - r - 1, r, 8, color);
+    }
+
+    fillRoundRect(x, y, w, h, r, color) {
+        r = Math.min(r, Math.trunc(Math.min(w, h) / 2));
+        this.fillRect(x + r, y, w - 2 * r, h, color);
+        this.fillCircleHelper(x + w - r - 1, y + r, r, 1, h - 2 * r - 1, color);
+        this.fillCircleHelper(x + r, y + r, r, 2, h - 2 * r - 1, color);
+    }
+
+    drawTriangle(x0, y0, x1, y1, x2, y2, color) {
+        this.drawLine(x0, y0, x1, y1, color);
+        this.drawLine(x1, y1, x2, y2, color);
+        this.drawLine(x2, y2, x0, y0, color);
+    }
+
+    fillTriangle(x0, y0, x1, y1, x2, y2, color) {
+        // Sort by y: y0 <= y1 <= y2
+        if (y0 > y1) [x0, y0, x1, y1] = [x1, y1, x0, y0];
+        if (y1 > y2) [x1, y1, x2, y2] = [x2, y2, x1, y1];
+        if (y0 > y1) [x0, y0, x1, y1] = [x1, y1, x0, y0];
+
+        if (y0 === y2) {
+            const a = Math.min(x0, x1, x2);
+            const b = Math.max(x0, x1, x2);
+            this.drawFastHLine(a, y0, b - a + 1, color);
+            return;
+        }
+        const dx01 = x1 - x0;
+        const dy01 = y1 - y0;
+        const dx02 = x2 - x0;
+        const dy02 = y2 - y0;
+        const dx12 = x2 - x1;
+        const dy12 = y2 - y1;
+        let sa = 0;
+        let sb = 0;
+        // The upper part includes scanline y1 unless the lower one is flat
+        const last = y1 === y2 ? y1 : y1 - 1;
+        let y = y0;
+        for (; y <= last; y++) {
+            let a = x0 + Math.trunc(sa / dy01);
+            let b = x0 + Math.trunc(sb / dy02);
+            sa += dx01;
+            sb += dx02;
+            if (a > b) [a, b] = [b, a];
+            this.drawFastHLine(a, y, b - a + 1, color);
+        }
+        sa = dx12 * (y - y1);
+        sb = dx02 * (y - y0);
+        for (; y <= y2; y++) {
+            let a = x1 + Math.trunc(sa / dy12);
+            let b = x0 + Math.trunc(sb / dy02);
+            sa += dx12;
+            sb += dx02;
+            if (a > b) [a, b] = [b, a];
+            this.drawFastHLine(a, y, b - a + 1, color);
+        }
+    }
+
+    /**
+     * A 1-bit bitmap, rows padded to whole bytes, most significant bit
+     * leftmost. Clear bits are drawn in bg if given, else left alone.
+     */
+    drawBitmap(x, y, bitmap, w, h, color, bg) {
+        const byteWidth = (w + 7) >> 3;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const set = bitmap[j * byteWidth + (i >> 3)] & (0x80 >> (i & 7));
+                if (set) this.drawPixel(x + i, y + j, color);
+                else if (bg !== undefined) this.drawPixel(x + i, y + j, bg);
+            }
+        }
+    }
+
+    /**
+     * An XBM bitmap, as GIMP exports: least significant bit leftmost
+     */
+    drawXBitmap(x, y, bitmap, w, h, color) {
+        const byteWidth = (w + 7) >> 3;
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                if (bitmap[j * byteWidth + (i >> 3)] & (1 << (i & 7))) this.drawPixel(x + i, y + j, color);
+            }
+        }
+    }
+
+    drawChar(x, y, c, color, bg, sizeX, sizeY = sizeX) {
+        if (x >= this.width || y >= this.height || x + 6 * sizeX - 1 < 0 || y + 8 * sizeY - 1 < 0) return;
+        // The font once left out a character; cp437(true) asks for the corrected table
+        if (!this.cp437 && c >= 176) c++;
+        c &= 0xFF;
+        for (let i = 0; i < 5; i++) {
+            let line = FONT[c * 5 + i];
+            for (let j = 0; j < 8; j++, line >>= 1) {
+                const ink = line & 1 ? color : bg !== color ? bg : null;
+                if (ink === null) continue;
+                if (sizeX === 1 && sizeY === 1) this.drawPixel(x + i, y + j, ink);
+                else this.fillRect(x + i * sizeX, y + j * sizeY, sizeX, sizeY, ink);
+            }
+        }
+        // The gap after the character gets the background too
+        if (bg !== color) {
+            if (sizeX === 1 && sizeY === 1) this.drawFastVLine(x + 5, y, 8, bg);
+            else this.fillRect(x + 5 * sizeX, y, sizeX, 8 * sizeY, bg);
+        }
+    }
+
+    /**
+     * Print's write(): one character at the cursor, which moves on
+     */
+    write(c) {
+        if (c === 0x0A) {
+            this.cursorX = 0;
+            this.cursorY += this.textSizeY * 8;
+        } else if (c !== 0x0D) {
+            if (this.wrap && this.cursorX + this.textSizeX * 6 > this.width) {
+                this.cursorX = 0;
+                this.cursorY += this.textSizeY * 8;
+            }
+            this.drawChar(this.cursorX, this.cursorY, c, this.textColor, this.textBgColor, this.textSizeX, this.textSizeY);
+            this.cursorX += this.textSizeX * 6;
+        }
+        return 1;
+    }
+
+    print(text) {
+        for (let i = 0; i < text.length; i++) this.write(text.charCodeAt(i) & 0xFF);
+        return text.length;
+    }
+
+    setCursor(x, y) {
+        this.cursorX = x;
+        this.cursorY = y;
+    }
+
+    setTextSize(sizeX, sizeY = sizeX) {
+        this.textSizeX = Math.max(1, sizeX);
+        this.textSizeY = Math.max(1, sizeY);
+    }
+
+    setTextColor(color, bg = color) {
+        this.textColor = color;
+        this.textBgColor = bg;
+    }
+
+    /**
+     * Where text would go if printed now, as { x, y, w, h }
+     */
+    getTextBounds(text, x, y) {
+        let cursorX = x;
+        let cursorY = y;
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (let i = 0; i < text.length; i++) {
+            const c = text.charCodeAt(i);
+            if (c === 0x0A) {
+                cursorX = 0;
+                cursorY += this.textSizeY * 8;
+                continue;
+            }
+            if (c === 0x0D) continue;
+            if (this.wrap && cursorX + this.textSizeX * 6 > this.width) {
+                cursorX = 0;
+                cursorY += this.textSizeY * 8;
+            }
+            minX = Math.min(minX, cursorX);
+            minY = Math.min(minY, cursorY);
+            maxX = Math.max(maxX, cursorX + this.textSizeX * 6 - 1);
+            maxY = Math.max(maxY, cursorY + this.textSizeY * 8 - 1);
+            cursorX += this.textSizeX * 6;
+        }
+        if (maxX < minX) return { x, y, w: 0, h: 0 };
+        return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
+}
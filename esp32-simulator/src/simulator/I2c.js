@@ -0,0 +1,231 @@
+/**
+ * I2c — The I2C bus, the devices on it and the Wire library's TwoWire
+ * A device is on the bus a sketch drives when its SDA and SCL pins are
+ * wired to the nets of the GPIOs passed to Wire.begin(). Devices plug in
+ * through I2C_PARTS and implement:
+ *
+ *   address            7-bit address it answers to
+ *   configure(attrs)   the part's attributes changed, e.g. its address
+ *   write(bytes)       a master write; return false to NACK it
+ *   read(count)        a master read; returns up to count bytes
+ *   reset()            back to the power-on state
+ *   state()            what the page needs to draw it (optional)
+ */
+import { Lcd1602 } from './Lcd1602.js';
+import { Ssd1306 } from './Ssd1306.js';
+
+// Models of parts that talk I2C, keyed by part type
+const I2C_PARTS = {
+    lcd1602: attrs => new Lcd1602(attrs),
+    ssd1306: attrs => new Ssd1306(attrs),
+};
+
+// ESP32 Arduino defaults
+export const DEFAULT_SDA = 21;
+export const DEFAULT_SCL = 22;
+const DEFAULT_FREQUENCY = 100000;
+// TwoWire's transmit and receive buffers
+const I2C_BUFFER_LENGTH = 128;
+// Bits on the wire per byte: 8 data and the acknowledge
+const BITS_PER_BYTE = 9;
+
+// endTransmission() results
+export const I2C_SUCCESS = 0;
+export const I2C_NACK_ADDRESS = 2;
+export const I2C_NACK_DATA = 3;
+export const I2C_OTHER_ERROR = 4;
+
+export class I2cBus {
+    /**
+     * @param {Netlist} netlist tells which GPIOs a device's pins are wired to
+     */
+    constructor(netlist) {
+        this.netlist = netlist;
+        // Part id -> { id, type, device }
+        this.parts = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Follow a new circuit: parts as for Netlist.setCircuit. Devices that
+     * are still placed keep their state, as they would keep their power.
+     */
+    setCircuit(parts) {
+        const placed = new Map();
+        for (const part of parts) {
+            const model = I2C_PARTS[part.type];
+            if (!model) continue;
+            const existing = this.parts.get(part.id);
+            const device = existing && existing.type === part.type ? existing.device : model(part.attrs || {});
+            if (existing) device.configure(part.attrs || {});
+            placed.set(part.id, { id: part.id, type: part.type, device });
+        }
+        this.parts = placed;
+        for (const part of placed.values()) this.emit(part);
+    }
+
+    /**
+     * Devices whose SDA and SCL are on the nets of these GPIOs
+     */
+    devicesOn(sda, scl) {
+        const sdaNet = this.netlist.netOfPin(sda);
+        const sclNet = this.netlist.netOfPin(scl);
+        if (!sdaNet || !sclNet) return [];
+        return [...this.parts.values()].filter(({ id }) =>
+            this.netlist.nets.get(`${id}:SDA`) === sdaNet && this.netlist.nets.get(`${id}:SCL`) === sclNet);
+    }
+
+    /**
+     * A write transaction: I2C_SUCCESS, or which byte went unacknowledged
+     */
+    transmit(sda, scl, address, bytes) {
+        const parts = this.devicesOn(sda, scl).filter(p => p.device.address === address);
+        if (!parts.length) return I2C_NACK_ADDRESS;
+        // Every device at the address sees the write; any one ACK holds the bus
+        let acknowledged = false;
+        for (const part of parts) {
+            if (part.device.write(bytes) !== false) acknowledged = true;
+            this.emit(part);
+        }
+        return acknowledged ? I2C_SUCCESS : I2C_NACK_DATA;
+    }
+
+    /**
+     * A read transaction: the bytes read, or null if nothing acknowledged
+     */
+    receive(sda, scl, address, count) {
+        const part = this.devicesOn(sda, scl).find(p => p.device.address === address);
+        if (!part) return null;
+        return part.device.read(count).slice(0, count);
+    }
+
+    /**
+     * Power every device back on, e.g. for a new run
+     */
+    reset() {
+        for (const part of this.parts.values()) {
+            part.device.reset();
+            this.emit(part);
+        }
+    }
+
+    /**
+     * Subscribe to device changes: callback(partId). A busy display
+     * changes on every transaction, so its state is only built on request.
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    emit(part) {
+        if (!part.device.state) return;
+        for (const cb of this.listeners) cb(part.id);
+    }
+
+    /**
+     * What a device shows now, null if it isn't on the bus
+     */
+    stateOf(partId) {
+        const part = this.parts.get(partId);
+        return part ? part.device.state() : null;
+    }
+}
+
+/**
+ * The Wire library: buffers a transaction and runs it on the bus
+ */
+export class TwoWire {
+    /**
+     * @param {I2cBus} bus
+     * @param {Function} wait async, busy-waits the given microseconds of virtual time
+     */
+    constructor(bus, wait) {
+        this.bus = bus;
+        this.wait = wait;
+        this.reset();
+    }
+
+    reset() {
+        this.sda = -1;
+        this.scl = -1;
+        this.frequency = DEFAULT_FREQUENCY;
+        this.started = false;
+        this.txAddress = null;
+        this.txBuffer = [];
+        this.rxBuffer = [];
+    }
+
+    begin(sda = DEFAULT_SDA, scl = DEFAULT_SCL, frequency = 0) {
+        this.sda = sda < 0 ? DEFAULT_SDA : sda;
+        this.scl = scl < 0 ? DEFAULT_SCL : scl;
+        if (frequency) this.frequency = frequency;
+        this.started = true;
+    }
+
+    end() {
+        this.started = false;
+    }
+
+    setClock(frequency) {
+        if (frequency > 0) this.frequency = frequency;
+    }
+
+    beginTransmission(address) {
+        this.txAddress = address & 0x7F;
+        this.txBuffer = [];
+    }
+
+    /**
+     * Queue bytes for the transmission; returns how many fit
+     */
+    write(bytes) {
+        if (this.txAddress === null) return 0;
+        const room = Math.min(bytes.length, I2C_BUFFER_LENGTH - this.txBuffer.length);
+        this.txBuffer.push(...bytes.slice(0, room).map(b => b & 0xFF));
+        return room;
+    }
+
+    /**
+     * Send the queued bytes, taking as long as they do on the wire
+     */
+    async endTransmission() {
+        if (!this.started || this.txAddress === null) return I2C_OTHER_ERROR;
+        const address = this.txAddress;
+        const bytes = this.txBuffer;
+        this.txAddress = null;
+        this.txBuffer = [];
+        const result = this.bus.transmit(this.sda, this.scl, address, bytes);
+        // An address NACK ends the transaction after its first byte
+        await this.wait(this.byteMicros(result === I2C_NACK_ADDRESS ? 1 : bytes.length + 1));
+        return result;
+    }
+
+    /**
+     * Read up to count bytes into the receive buffer; returns how many
+     */
+    async requestFrom(address, count) {
+        this.rxBuffer = [];
+        if (!this.started) return 0;
+        const bytes = this.bus.receive(this.sda, this.scl, address & 0x7F, Math.min(count, I2C_BUFFER_LENGTH));
+        await this.wait(this.byteMicros(bytes ? bytes.length + 1 : 1));
+        if (!bytes) return 0;
+        this.rxBuffer = bytes;
+        return bytes.length;
+    }
+
+    available() {
+        return this.rxBuffer.length;
+    }
+
+    read() {
+        return this.rxBuffer.length ? this.rxBuffer.shift() : -1;
+    }
+
+    peek() {
+        return this.rxBuffer.length ? this.rxBuffer[0] : -1;
+    }
+
+    byteMicros(count) {
+        return count * BITS_PER_BYTE * 1e6 / this.frequency;
+    }
+}
@@ -0,0 +1,358 @@
+/**
+ * Lcd1602 — A 16×2 HD44780 character LCD on a PCF8574 I2C backpack, and
+ * the LiquidCrystal_I2C library sketches drive it with
+ * The backpack's port bits are RS, RW, EN and the backlight, then D4–D7.
+ * The controller latches the data lines as EN falls, a nibble at a time
+ * once the library has switched it to 4-bit mode.
+ */
+
+// PCF8574 port bits, as LCD backpacks wire them
+const RS = 0x01;
+const RW = 0x02;
+const EN = 0x04;
+const BACKLIGHT = 0x08;
+
+export const DEFAULT_LCD_ADDRESS = 0x27;
+const COLUMNS = 16;
+// Display data RAM: each line holds 40 characters, line 2 from 0x40
+const LINE_LENGTH = 40;
+const LINE2 = 0x40;
+
+/**
+ * Address from a part attribute, which the page keeps as '0x27'
+ */
+function parseAddress(value) {
+    const address = typeof value === 'string' ? parseInt(value, 16) : value;
+    return Number.isInteger(address) ? address : DEFAULT_LCD_ADDRESS;
+}
+
+export class Lcd1602 {
+    constructor(attrs) {
+        this.configure(attrs);
+        this.reset();
+    }
+
+    configure(attrs) {
+        this.address = parseAddress(attrs.address === undefined ? DEFAULT_LCD_ADDRESS : attrs.address);
+    }
+
+    /**
+     * Power-on state: the expander's outputs high, the controller in 8-bit
+     * mode with the display off
+     */
+    reset() {
+        this.port = 0xFF;
+        this.eightBit = true;
+        this.twoLines = false;
+        this.pendingNibble = null;
+        this.ddram = new Array(0x80).fill(0x20);
+        this.cgram = new Array(64).fill(0);
+        this.addressCounter = 0;
+        this.toCgram = false;
+        this.increment = true;
+        this.shiftOnWrite = false;
+        this.displayOn = false;
+        this.cursorOn = false;
+        this.blinkOn = false;
+        // How many characters the display is scrolled left
+        this.shift = 0;
+    }
+
+    write(bytes) {
+        for (const value of bytes) {
+            const falling = (this.port & EN) && !(value & EN);
+            this.port = value;
+            if (falling) this.strobe(value);
+        }
+    }
+
+    /**
+     * The PCF8574's pins are quasi-bidirectional: a read returns the port
+     */
+    read(count) {
+        return new Array(count).fill(this.port);
+    }
+
+    /**
+     * EN fell: take D4–D7, as a whole instruction in 8-bit mode (D0–D3
+     * aren't wired) or as half of one in 4-bit mode
+     */
+    strobe(value) {
+        if (value & RW) return;
+        const nibble = value & 0xF0;
+        if (this.eightBit) {
+            this.execute(nibble, value & RS);
+        } else if (this.pendingNibble === null) {
+            this.pendingNibble = nibble;
+        } else {
+            const byte = this.pendingNibble | (nibble >> 4);
+            this.pendingNibble = null;
+            this.execute(byte, value & RS);
+        }
+    }
+
+    execute(byte, data) {
+        if (data) {
+            this.writeData(byte);
+        } else if (byte & 0x80) {
+            this.toCgram = false;
+            this.addressCounter = byte & 0x7F;
+        } else if (byte & 0x40) {
+            this.toCgram = true;
+            this.addressCounter = byte & 0x3F;
+        } else if (byte & 0x20) {
+            this.eightBit = !!(byte & 0x10);
+            this.twoLines = !!(byte & 0x08);
+            this.pendingNibble = null;
+        } else if (byte & 0x10) {
+            const right = !!(byte & 0x04);
+            if (byte & 0x08) this.shift += right ? -1 : 1;
+            else this.moveCursor(right);
+        } else if (byte & 0x08) {
+            this.displayOn = !!(byte & 0x04);
+            this.cursorOn = !!(byte & 0x02);
+            this.blinkOn = !!(byte & 0x01);
+        } else if (byte & 0x04) {
+            this.increment = !!(byte & 0x02);
+            this.shiftOnWrite = !!(byte & 0x01);
+        } else if (byte & 0x02) {
+            this.addressCounter = 0;
+            this.toCgram = false;
+            this.shift = 0;
+        } else if (byte & 0x01) {
+            this.ddram.fill(0x20);
+            this.addressCounter = 0;
+            this.toCgram = false;
+            this.shift = 0;
+            this.increment = true;
+        }
+    }
+
+    writeData(byte) {
+        if (this.toCgram) {
+            this.cgram[this.addressCounter] = byte & 0x1F;
+            this.addressCounter = (this.addressCounter + (this.increment ? 1 : -1)) & 0x3F;
+            return;
+        }
+        this.ddram[this.addressCounter] = byte;
+        this.moveCursor(this.increment);
+        if (this.shiftOnWrite) this.shift += this.increment ? 1 : -1;
+    }
+
+    /**
+     * Step the address counter, wrapping between the lines as the
+     * controller does
+     */
+    moveCursor(forward) {
+        const ac = this.addressCounter;
+        if (!this.twoLines) {
+            this.addressCounter = (ac + (forward ? 1 : -1) + 2 * LINE_LENGTH) % (2 * LINE_LENGTH);
+        } else if (forward) {
+            this.addressCounter = ac === LINE_LENGTH - 1 ? LINE2 : ac === LINE2 + LINE_LENGTH - 1 ? 0 : ac + 1;
+        } else {
+            this.addressCounter = ac === 0 ? LINE2 + LINE_LENGTH - 1 : ac === LINE2 ? LINE_LENGTH - 1 : ac - 1;
+        }
+    }
+
+    /**
+     * What the glass shows: the character codes of each row, where the
+     * cursor is, and the custom characters codes 0–7 draw
+     */
+    state() {
+        const column = c => ((this.shift + c) % LINE_LENGTH + LINE_LENGTH) % LINE_LENGTH;
+        const rows = [0, 1].map(row => Array.from({ length: COLUMNS }, (_, c) => {
+            if (!this.twoLines) return row === 0 ? this.ddram[(this.shift + c + 2 * LINE_LENGTH) % (2 * LINE_LENGTH)] : 0x20;
+            return this.ddram[row * LINE2 + column(c)];
+        }));
+
+        let cursor = null;
+        if ((this.cursorOn || this.blinkOn) && !this.toCgram) {
+            const row = this.twoLines && this.addressCounter >= LINE2 ? 1 : 0;
+            const offset = this.twoLines ? this.addressCounter - row * LINE2 : this.addressCounter;
+            const length = this.twoLines ? LINE_LENGTH : 2 * LINE_LENGTH;
+            const col = ((offset - this.shift) % length + length) % length;
+            if (col < COLUMNS) cursor = { row, col, underline: this.cursorOn, blink: this.blinkOn };
+        }
+        return {
+            backlight: !!(this.port & BACKLIGHT),
+            display: this.displayOn,
+            rows,
+            cursor,
+            cgram: this.cgram.slice(),
+        };
+    }
+}
+
+// LiquidCrystal_I2C's commands and flags
+const LCD_CLEARDISPLAY = 0x01;
+const LCD_RETURNHOME = 0x02;
+const LCD_ENTRYMODESET = 0x04;
+const LCD_DISPLAYCONTROL = 0x08;
+const LCD_CURSORSHIFT = 0x10;
+const LCD_FUNCTIONSET = 0x20;
+const LCD_SETCGRAMADDR = 0x40;
+const LCD_SETDDRAMADDR = 0x80;
+const LCD_ENTRYLEFT = 0x02;
+const LCD_ENTRYSHIFTINCREMENT = 0x01;
+const LCD_DISPLAYON = 0x04;
+const LCD_CURSORON = 0x02;
+const LCD_BLINKON = 0x01;
+const LCD_DISPLAYMOVE = 0x08;
+const LCD_MOVERIGHT = 0x04;
+const LCD_2LINE = 0x08;
+const ROW_OFFSETS = [0x00, 0x40, 0x14, 0x54];
+
+/**
+ * The LiquidCrystal_I2C library: every call becomes the same expander
+ * writes over Wire, with the same delays, as on the real board
+ */
+export class LiquidCrystalI2C {
+    /**
+     * @param {TwoWire} wire
+     * @param {object} timing { wait(us), delay(ms) }, both async
+     */
+    constructor(wire, timing, address, cols, rows) {
+        this.wire = wire;
+        this.timing = timing;
+        this.address = address;
+        this.cols = cols;
+        this.rows = rows;
+        this.backlightValue = BACKLIGHT;
+        this.displayFunction = 0;
+        this.displayControl = 0;
+        this.displayMode = 0;
+    }
+
+    /**
+     * init(): starts Wire on its default pins unless the sketch already has
+     */
+    async init() {
+        if (!this.wire.started) this.wire.begin();
+        await this.begin();
+    }
+
+    async begin() {
+        const { wait, delay } = this.timing;
+        this.displayFunction = this.rows > 1 ? LCD_2LINE : 0;
+        // The controller needs 40 ms after power-up; the library waits longer
+        await delay(50);
+        await this.expanderWrite(this.backlightValue);
+        await delay(1000);
+        // Three tries at 8-bit mode get it in sync, then 4-bit mode
+        await this.write4bits(0x03 << 4);
+        await wait(4500);
+        await this.write4bits(0x03 << 4);
+        await wait(4500);
+        await this.write4bits(0x03 << 4);
+        await wait(150);
+        await this.write4bits(0x02 << 4);
+        await this.command(LCD_FUNCTIONSET | this.displayFunction);
+        this.displayControl = LCD_DISPLAYON;
+        await this.command(LCD_DISPLAYCONTROL | this.displayControl);
+        await this.clear();
+        this.displayMode = LCD_ENTRYLEFT;
+        await this.command(LCD_ENTRYMODESET | this.displayMode);
+        await this.home();
+    }
+
+    async clear() {
+        await this.command(LCD_CLEARDISPLAY);
+        await this.timing.wait(2000);
+    }
+
+    async home() {
+        await this.command(LCD_RETURNHOME);
+        await this.timing.wait(2000);
+    }
+
+    async setCursor(col, row) {
+        row = Math.max(0, Math.min(row, this.rows - 1));
+        await this.command(LCD_SETDDRAMADDR | (col + ROW_OFFSETS[row]));
+    }
+
+    async display(on) {
+        await this.setControl(LCD_DISPLAYON, on);
+    }
+
+    async cursor(on) {
+        await this.setControl(LCD_CURSORON, on);
+    }
+
+    async blink(on) {
+        await this.setControl(LCD_BLINKON, on);
+    }
+
+    async leftToRight(on) {
+        await this.setMode(LCD_ENTRYLEFT, on);
+    }
+
+    async autoscroll(on) {
+        await this.setMode(LCD_ENTRYSHIFTINCREMENT, on);
+    }
+
+    async setControl(bit, on) {
+        this.displayControl = on ? this.displayControl | bit : this.displayControl & ~bit;
+        await this.command(LCD_DISPLAYCONTROL | this.displayControl);
+    }
+
+    async setMode(bit, on) {
+        this.displayMode = on ? this.displayMode | bit : this.displayMode & ~bit;
+        await this.command(LCD_ENTRYMODESET | this.displayMode);
+    }
+
+    /**
+     * Move the whole display one column, leaving the text where it is
+     */
+    async scroll(right) {
+        await this.command(LCD_CURSORSHIFT | LCD_DISPLAYMOVE | (right ? LCD_MOVERIGHT : 0));
+    }
+
+    async setBacklight(on) {
+        this.backlightValue = on ? BACKLIGHT : 0;
+        await this.expanderWrite(0);
+    }
+
+    /**
+     * Store a 5×8 custom character as code location (0–7)
+     */
+    async createChar(location, rows) {
+        await this.command(LCD_SETCGRAMADDR | ((location & 7) << 3));
+        for (const row of rows) await this.write(row);
+    }
+
+    /**
+     * Print's write(): one character code
+     */
+    async write(value) {
+        await this.send(value, RS);
+        return 1;
+    }
+
+    async print(text) {
+        for (let i = 0; i < text.length; i++) await this.write(text.charCodeAt(i) & 0xFF);
+        return text.length;
+    }
+
+    async command(value) {
+        await this.send(value, 0);
+    }
+
+    async send(value, mode) {
+        await this.write4bits((value & 0xF0) | mode);
+        await this.write4bits(((value << 4) & 0xF0) | mode);
+    }
+
+    async write4bits(value) {
+        await this.expanderWrite(value);
+        await this.expanderWrite(value | EN);
+        await this.timing.wait(1);
+        await this.expanderWrite(value & ~EN);
+        await this.timing.wait(50);
+    }
+
+    async expanderWrite(data) {
+        this.wire.beginTransmission(this.address);
+        this.wire.write([data | this.backlightValue]);
+        await this.wire.endTransmission();
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Ledc — The ESP32's LED PWM controller
+ * 16 channels in two groups of 8. Each pair of neighbouring channels
+ * shares one of its group's 4 timers, which sets the frequency and duty
+ * resolution of both. A channel drives any number of output pins.
+ */
+import { APB_CLOCK_HZ } from './Timers.js';
+
+export const LEDC_CHANNELS = 16;
+const TIMERS_PER_GROUP = 4;
+// Timers count APB_CLK, or the 1 MHz REF_TICK for frequencies too low for it
+const REF_TICK_HZ = 1000000;
+export const LEDC_MAX_RESOLUTION = 20;
+// The timer clock divider is fixed point, 10 integer and 8 fractional bits
+const DIVIDER_ONE = 256;
+const DIVIDER_MAX = 1024 * DIVIDER_ONE - 1;
+
+// ledcWriteTone() runs the channel at 10 bits, 50% duty
+const TONE_RESOLUTION = 10;
+const TONE_DUTY = 0x1FF;
+// Octave 8 of each note_t, C to B; lower octaves halve it
+const NOTE_FREQUENCIES = [4186, 4435, 4699, 4978, 5274, 5588, 5920, 6272, 6645, 7040, 7459, 7902];
+
+/**
+ * Frequency a timer really runs at when asked for frequency at a
+ * resolution, or 0 if its divider can't get there from either clock
+ */
+function achievableFrequency(frequency, resolution) {
+    const counts = 2 ** resolution;
+    for (const clock of [APB_CLOCK_HZ, REF_TICK_HZ]) {
+        const divider = Math.round(clock * DIVIDER_ONE / (frequency * counts));
+        if (divider >= DIVIDER_ONE && divider <= DIVIDER_MAX) {
+            return Math.floor(clock * DIVIDER_ONE / (divider * counts));
+        }
+    }
+    return 0;
+}
+
+export class Ledc {
+    /**
+     * @param {PinManager} pinManager receives each routed pin's duty and frequency
+     */
+    constructor(pinManager) {
+        this.pinManager = pinManager;
+        this.timers = [];
+        this.channels = [];
+        this.reset();
+    }
+
+    /**
+     * Unroute every pin and clear all timers and channels
+     */
+    reset() {
+        for (const channel of this.channels) {
+            for (const pin of channel.pins) this.pinManager.setPwm(pin, 0, 0);
+        }
+        this.timers = Array.from({ length: 2 * TIMERS_PER_GROUP }, () => ({ frequency: 0, resolution: 0 }));
+        this.channels = Array.from({ length: LEDC_CHANNELS }, (_, num) => ({
+            num,
+            timer: this.timers[Math.floor(num / 8) * TIMERS_PER_GROUP + ((num >> 1) % TIMERS_PER_GROUP)],
+            duty: 0,
+            used: false,
+            pins: new Set(),
+        }));
+    }
+
+    /**
+     * Set up a channel's timer. Returns the frequency it runs at, 0 if it
+     * can't be done. The other channel on the timer changes with it.
+     */
+    setup(num, frequency, resolution) {
+        if (!(frequency > 0) || !(resolution >= 1 && resolution <= LEDC_MAX_RESOLUTION)) return 0;
+        const actual = achievableFrequency(frequency, resolution);
+        if (!actual) return 0;
+        const channel = this.channels[num];
+        Object.assign(channel.timer, { frequency: actual, resolution });
+        channel.used = true;
+        for (const other of this.channels) {
+            if (other.timer === channel.timer) this.output(other);
+        }
+        return actual;
+    }
+
+    /**
+     * The used channel sharing num's timer, if any
+     */
+    partner(num) {
+        const other = this.channels[num ^ 1];
+        return other.used ? other : null;
+    }
+
+    /**
+     * Highest free channel, as analogWrite() takes them; -1 if there is none
+     */
+    lastFreeChannel() {
+        for (let num = LEDC_CHANNELS - 1; num >= 0; num--) {
+            if (!this.channels[num].used) return num;
+        }
+        return -1;
+    }
+
+    /**
+     * Lowest free channel whose timer is free or already runs at this
+     * frequency and resolution, for ledcAttach(); -1 if there is none
+     */
+    freeChannel(frequency, resolution) {
+        const wanted = achievableFrequency(frequency, resolution);
+        for (const channel of this.channels) {
+            if (channel.used) continue;
+            const partner = this.partner(channel.num);
+            const { timer } = channel;
+            if (!partner || (timer.frequency === wanted && timer.resolution === resolution)) return channel.num;
+        }
+        return -1;
+    }
+
+    attachPin(pin, num) {
+        this.detachPin(pin);
+        this.channels[num].pins.add(pin);
+        this.output(this.channels[num]);
+    }
+
+    detachPin(pin) {
+        for (const channel of this.channels) {
+            if (channel.pins.delete(pin)) this.pinManager.setPwm(pin, 0, 0);
+        }
+    }
+
+    /**
+     * Channel a pin is routed from, or -1
+     */
+    channelOfPin(pin) {
+        const channel = this.channels.find(c => c.pins.has(pin));
+        return channel ? channel.num : -1;
+    }
+
+    /**
+     * Release a channel once nothing is routed from it any more
+     */
+    release(num) {
+        const channel = this.channels[num];
+        if (channel.pins.size) return;
+        channel.used = false;
+        channel.duty = 0;
+    }
+
+    write(num, duty) {
+        this.channels[num].duty = Math.max(0, duty);
+        this.output(this.channels[num]);
+    }
+
+    read(num) {
+        return this.channels[num].duty;
+    }
+
+    readFrequency(num) {
+        return this.channels[num].timer.frequency;
+    }
+
+    /**
+     * Square wave at frequency, or silence for 0. Returns the frequency set.
+     */
+    writeTone(num, frequency) {
+        if (!frequency) {
+            this.write(num, 0);
+            return 0;
+        }
+        const actual = this.setup(num, frequency, TONE_RESOLUTION);
+        this.write(num, TONE_DUTY);
+        return actual;
+    }
+
+    writeNote(num, note, octave) {
+        if (!(note >= 0 && note < NOTE_FREQUENCIES.length) || !(octave >= 0 && octave <= 8)) return 0;
+        return this.writeTone(num, NOTE_FREQUENCIES[note] / 2 ** (8 - octave));
+    }
+
+    /**
+     * Duty as a fraction of the period. Writing all ones is full on.
+     */
+    dutyFraction(channel) {
+        const { resolution } = channel.timer;
+        if (!resolution) return 0;
+        const counts = 2 ** resolution;
+        const duty = channel.duty === counts - 1 ? counts : channel.duty;
+        return Math.min(duty, counts) / counts;
+    }
+
+    output(channel) {
+        const duty = this.dutyFraction(channel);
+        for (const pin of channel.pins) this.pinManager.setPwm(pin, duty, channel.timer.frequency);
+    }
+}
@@ -0,0 +1,458 @@
+/**
+ * Lexer — Turns Arduino C++ source into a token stream
+ * Handles comments, literals, punctuators and a small preprocessor
+ * (#define object/function-like macros, #ifdef/#ifndef/#if/#else/#endif)
+ */
+
+const KEYWORDS = new Set([
+    'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default',
+    'break', 'continue', 'return', 'sizeof', 'struct', 'typedef', 'enum',
+    'const', 'volatile', 'static', 'extern', 'inline', 'unsigned', 'signed',
+    'void', 'char', 'short', 'int', 'long', 'float', 'double', 'bool',
+    'true', 'false',
+]);
+
+// Longest first so that maximal munch works with a simple prefix scan
+const PUNCTUATORS = [
+    '<<=', '>>=', '...',
+    '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '::',
+    '{', '}', '(', ')', '[', ']', ';', ',', '.', '?', ':',
+    '+', '-', '*', '/', '%', '&', '|', '^', '~', '!', '=', '<', '>',
+];
+
+// Macros the ESP32 core headers (pgmspace.h, WString.h) provide. Flash and RAM share
+// one address space on the ESP32, so PROGMEM reads are plain dereferences.
+const PREDEFINED_MACROS = [
+    'PROGMEM',
+    'IRAM_ATTR',
+    'ARDUINO_ISR_ATTR',
+    'PSTR(s) (s)',
+    'F(s) (s)',
+    'pgm_read_byte(addr) (*(const unsigned char *)(addr))',
+    'pgm_read_word(addr) (*(const unsigned short *)(addr))',
+    'pgm_read_dword(addr) (*(const unsigned long *)(addr))',
+    'pgm_read_float(addr) (*(const float *)(addr))',
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', a: '\x07', b: '\b', f: '\f', v: '\v', '?': '?' };
+
+/**
+ * Error raised for malformed source, carrying the offending range
+ */
+export class ParseError extends Error {
+    constructor(message, loc) {
+        super(message);
+        this.name = 'ParseError';
+        this.loc = loc;
+    }
+}
+
+export class Lexer {
+    constructor(source, { predefined = true } = {}) {
+        this.source = source;
+        this.pos = 0;
+        this.line = 1;
+        this.column = 1;
+        this.macros = {};
+        if (predefined) {
+            for (const body of PREDEFINED_MACROS) this.defineMacro(body, { line: 1, column: 1 });
+        }
+    }
+
+    /**
+     * Produce the full token list with macros expanded, ending in an 'eof' token
+     */
+    tokenize() {
+        const raw = [];
+        // Stack of #if states: { active, taken } — active means the branch is being emitted
+        const conditions = [];
+        const isActive = () => conditions.every(c => c.active);
+        let atLineStart = true;
+
+        while (true) {
+            const sawNewline = this.skipWhitespaceAndComments();
+            if (sawNewline) atLineStart = true;
+            if (this.pos >= this.source.length) break;
+
+            if (atLineStart && this.peekChar() === '#') {
+                this.readDirective(conditions, isActive);
+                atLineStart = true;
+                continue;
+            }
+            atLineStart = false;
+
+            const token = this.readToken();
+            if (isActive()) raw.push(token);
+        }
+
+        const eof = { type: 'eof', value: '', ...this.here() };
+        eof.endLine = eof.line;
+        eof.endColumn = eof.column;
+        const tokens = this.expandMacros(raw, new Set());
+        tokens.push(eof);
+        return tokens;
+    }
+
+    peekChar(offset = 0) {
+        return this.source[this.pos + offset];
+    }
+
+    here() {
+        return { line: this.line, column: this.column };
+    }
+
+    advance(count = 1) {
+        for (let i = 0; i < count; i++) {
+            if (this.source[this.pos] === '\n') {
+                this.line++;
+                this.column = 1;
+            } else {
+                this.column++;
+            }
+            this.pos++;
+        }
+    }
+
+    /**
+     * Skip blanks and comments. Returns true if a newline was crossed.
+     */
+    skipWhitespaceAndComments() {
+        let sawNewline = false;
+        while (this.pos < this.source.length) {
+            const ch = this.peekChar();
+            if (ch === '\n') {
+                sawNewline = true;
+                this.advance();
+            } else if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v') {
+                this.advance();
+            } else if (ch === '\\' && this.peekChar(1) === '\n') {
+                this.advance(2);
+            } else if (ch === '/' && this.peekChar(1) === '/') {
+                while (this.pos < this.source.length && this.peekChar() !== '\n') this.advance();
+            } else if (ch === '/' && this.peekChar(1) === '*') {
+                const start = this.here();
+                this.advance(2);
+                while (this.pos < this.source.length && !(this.peekChar() === '*' && this.peekChar(1) === '/')) {
+                    if (this.peekChar() === '\n') sawNewline = true;
+                    this.advance();
+                }
+                if (this.pos >= this.source.length) {
+                    throw new ParseError('Unterminated comment', { ...start, endLine: this.line, endColumn: this.column });
+                }
+                this.advance(2);
+            } else {
+                break;
+            }
+        }
+        return sawNewline;
+    }
+
+    readToken() {
+        const start = this.here();
+        const ch = this.peekChar();
+        let token;
+
+        if (/[A-Za-z_]/.test(ch)) {
+            let value = '';
+            while (this.pos < this.source.length && /[A-Za-z0-9_]/.test(this.peekChar())) {
+                value += this.peekChar();
+                this.advance();
+            }
+            token = { type: KEYWORDS.has(value) ? 'keyword' : 'ident', value };
+        } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(this.peekChar(1) || ''))) {
+            token = this.readNumber(start);
+        } else if (ch === '"') {
+            token = { type: 'string', value: this.readQuoted('"', start) };
+        } else if (ch === "'") {
+            const value = this.readQuoted("'", start);
+            if (value.length !== 1) {
+                throw new ParseError('Character literal must contain exactly one character', { ...start, endLine: this.line, endColumn: this.column });
+            }
+            token = { type: 'char', value };
+        } else {
+            const punct = PUNCTUATORS.find(p => this.source.startsWith(p, this.pos));
+            if (!punct) {
+                throw new ParseError(`Unexpected character '${ch}'`, { ...start, endLine: start.line, endColumn: start.column + 1 });
+            }
+            this.advance(punct.length);
+            token = { type: 'punct', value: punct };
+        }
+
+        token.line = start.line;
+        token.column = start.column;
+        token.endLine = this.line;
+        token.endColumn = this.column;
+        return token;
+    }
+
+    readNumber(start) {
+        const rest = this.source.slice(this.pos);
+        let match;
+        let value;
+        let isFloat = false;
+        let radix = 10;
+        let prefix = '';
+
+        if ((match = rest.match(/^0[xX]([0-9a-fA-F]+)/))) {
+            value = parseInt(match[1], 16);
+            radix = 16;
+            prefix = '0x';
+        } else if ((match = rest.match(/^0[bB]([01]+)/))) {
+            value = parseInt(match[1], 2);
+            radix = 2;
+            prefix = '0b';
+        } else if ((match = rest.match(/^(\d+\.\d*|\.\d+|\d+)([eE][+-]?\d+)?/)) && (match[0].includes('.') || match[2])) {
+            value = parseFloat(match[0]);
+            isFloat = true;
+        } else if ((match = rest.match(/^0([0-7]+)/))) {
+            value = parseInt(match[1], 8);
+            radix = 8;
+            prefix = '0o';
+        } else {
+            match = rest.match(/^\d+/);
+            value = parseInt(match[0], 10);
+        }
+
+        let text = match[0];
+        const suffix = rest.slice(text.length).match(/^[uUlLfF]*/)[0];
+        text += suffix;
+        if (/[A-Za-z0-9_]/.test(rest[text.length] || '')) {
+            throw new ParseError(`Invalid number literal '${text}${rest[text.length]}'`, { ...start, endLine: start.line, endColumn: start.column + text.length + 1 });
+        }
+        this.advance(text.length);
+
+        const lower = suffix.toLowerCase();
+        if (lower.includes('f') && !isFloat) {
+            throw new ParseError(`Invalid suffix '${suffix}' on integer constant`, { ...start, endLine: start.line, endColumn: start.column + text.length });
+        }
+        const token = { type: 'number', value, isFloat, radix, suffix: lower };
+        // A double can't hold every integer past 2^53; 64-bit arithmetic needs the exact value
+        if (!isFloat && !Number.isSafeInteger(value)) token.exact = BigInt(prefix + (match[1] ?? match[0]));
+        return token;
+    }
+
+    readQuoted(quote, start) {
+        this.advance();
+        let value = '';
+        while (true) {
+            const ch = this.peekChar();
+            if (ch === undefined || ch === '\n') {
+                throw new ParseError(`Missing terminating ${quote} character`, { ...start, endLine: this.line, endColumn: this.column });
+            }
+            this.advance();
+            if (ch === quote) break;
+            if (ch === '\\') {
+                const esc = this.peekChar();
+                if (esc === 'x') {
+                    this.advance();
+                    let hex = '';
+                    while (/[0-9a-fA-F]/.test(this.peekChar() || '')) {
+                        hex += this.peekChar();
+                        this.advance();
+                    }
+                    value += String.fromCharCode(parseInt(hex || '0', 16) & 0xFF);
+                } else if (/[0-7]/.test(esc)) {
+                    let oct = '';
+                    while (oct.length < 3 && /[0-7]/.test(this.peekChar() || '')) {
+                        oct += this.peekChar();
+                        this.advance();
+                    }
+                    value += String.fromCharCode(parseInt(oct, 8) & 0xFF);
+                } else {
+                    this.advance();
+                    value += esc in ESCAPES ? ESCAPES[esc] : esc;
+                }
+            } else {
+                value += ch;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Read a preprocessor directive up to the end of the (continued) line
+     */
+    readDirective(conditions, isActive) {
+        const start = this.here();
+        let text = '';
+        while (this.pos < this.source.length && this.peekChar() !== '\n') {
+            if (this.peekChar() === '\\' && this.peekChar(1) === '\n') {
+                this.advance(2);
+                text += ' ';
+                continue;
+            }
+            if (this.peekChar() === '/' && this.peekChar(1) === '/') {
+                while (this.pos < this.source.length && this.peekChar() !== '\n') this.advance();
+                break;
+            }
+            if (this.peekChar() === '/' && this.peekChar(1) === '*') {
+                this.skipWhitespaceAndComments();
+                text += ' ';
+                continue;
+            }
+            text += this.peekChar();
+            this.advance();
+        }
+
+        const match = text.match(/^#\s*(\w*)\s*([\s\S]*)$/);
+        const directive = match ? match[1] : '';
+        const body = match ? match[2].trim() : '';
+
+        switch (directive) {
+            case 'ifdef':
+            case 'ifndef': {
+                const defined = body.split(/\s+/)[0] in this.macros;
+                const cond = directive === 'ifdef' ? defined : !defined;
+                conditions.push({ active: cond, taken: cond });
+                return;
+            }
+            case 'if': {
+                const cond = this.evaluateCondition(body);
+                conditions.push({ active: cond, taken: cond });
+                return;
+            }
+            case 'elif': {
+                const top = conditions[conditions.length - 1];
+                if (!top) break;
+                const cond = !top.taken && this.evaluateCondition(body);
+                top.active = cond;
+                top.taken = top.taken || cond;
+                return;
+            }
+            case 'else': {
+                const top = conditions[conditions.length - 1];
+                if (!top) break;
+                top.active = !top.taken;
+                top.taken = true;
+                return;
+            }
+            case 'endif':
+                if (!conditions.pop()) break;
+                return;
+            default:
+                if (!isActive()) return;
+        }
+
+        if (['elif', 'else', 'endif'].includes(directive)) {
+            throw new ParseError(`#${directive} without #if`, { ...start, endLine: start.line, endColumn: start.column + text.length });
+        }
+
+        if (directive === 'define') {
+            this.defineMacro(body, start);
+        } else if (directive === 'undef') {
+            delete this.macros[body.split(/\s+/)[0]];
+        } else if (directive === 'error') {
+            throw new ParseError(`#error ${body}`, { ...start, endLine: start.line, endColumn: start.column + text.length });
+        }
+        // #include, #pragma and friends have no effect in the simulator
+    }
+
+    defineMacro(body, start) {
+        const match = body.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?\s*([\s\S]*)$/);
+        if (!match) {
+            throw new ParseError('Macro name missing in #define', { ...start, endLine: start.line, endColumn: start.column + 7 });
+        }
+        const [, name, paramList, params, replacement] = match;
+        // Lex the replacement with the directive's position so diagnostics point somewhere sensible
+        const sub = new Lexer(replacement, { predefined: false });
+        sub.line = start.line;
+        sub.column = start.column;
+        const tokens = sub.tokenize();
+        tokens.pop();
+        this.macros[name] = {
+            params: paramList !== undefined ? params.split(',').map(p => p.trim()).filter(Boolean) : null,
+            tokens,
+        };
+    }
+
+    /**
+     * Evaluate a #if / #elif expression. Only integer literals,
+     * defined(X) and macros expanding to integers are understood.
+     */
+    evaluateCondition(expr) {
+        const replaced = expr
+            .replace(/defined\s*\(\s*(\w+)\s*\)|defined\s+(\w+)/g, (m, a, b) => ((a || b) in this.macros ? '1' : '0'))
+            .replace(/[A-Za-z_]\w*/g, name => {
+                const macro = this.macros[name];
+                if (macro && !macro.params && macro.tokens.length === 1 && macro.tokens[0].type === 'number') {
+                    return String(macro.tokens[0].value);
+                }
+                return '0';
+            });
+        if (!/^[\d\s()!<>=&|+\-*/%]*$/.test(replaced)) return false;
+        try {
+            return !!Function(`"use strict"; return (${replaced || 0})`)();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Replace macro invocations with their bodies (recursively, but never
+     * re-expanding a macro inside its own expansion)
+     */
+    expandMacros(tokens, hidden) {
+        const out = [];
+        for (let i = 0; i < tokens.length; i++) {
+            const tok = tokens[i];
+            const macro = tok.type === 'ident' && !hidden.has(tok.value) ? this.macros[tok.value] : null;
+            if (!macro) {
+                out.push(tok);
+                continue;
+            }
+
+            let replacement;
+            if (macro.params) {
+                if (!tokens[i + 1] || tokens[i + 1].value !== '(') {
+                    out.push(tok);
+                    continue;
+                }
+                const args = [];
+                let current = [];
+                let depth = 0;
+                let j = i + 2;
+                for (; j < tokens.length; j++) {
+                    const t = tokens[j];
+                    if (t.type === 'punct' && (t.value === '(' || t.value === '[' || t.value === '{')) depth++;
+                    if (t.type === 'punct' && (t.value === ')' || t.value === ']' || t.value === '}')) {
+                        if (depth === 0 && t.value === ')') break;
+                        depth--;
+                    }
+                    if (depth === 0 && t.type === 'punct' && t.value === ',') {
+                        args.push(current);
+                        current = [];
+                        continue;
+                    }
+                    current.push(t);
+                }
+                if (j >= tokens.length) {
+                    throw new ParseError(`Unterminated argument list invoking macro '${tok.value}'`, tok);
+                }
+                if (current.length || args.length) args.push(current);
+                if (args.length !== macro.params.length) {
+                    throw new ParseError(`Macro '${tok.value}' expects ${macro.params.length} argument(s), got ${args.length}`, tok);
+                }
+                const expandedArgs = args.map(a => this.expandMacros(a, hidden));
+                replacement = [];
+                for (const t of macro.tokens) {
+                    const idx = t.type === 'ident' ? macro.params.indexOf(t.value) : -1;
+                    if (idx !== -1) replacement.push(...expandedArgs[idx]);
+                    else replacement.push(t);
+                }
+                i = j;
+            } else {
+                replacement = macro.tokens;
+            }
+
+            // Expanded tokens report the location of the macro use
+            const located = replacement.map(t => ({
+                ...t, line: tok.line, column: tok.column, endLine: tok.endLine, endColumn: tok.endColumn,
+            }));
+            const nested = new Set(hidden);
+            nested.add(tok.value);
+            out.push(...this.expandMacros(located, nested));
+        }
+        return out;
+    }
+}
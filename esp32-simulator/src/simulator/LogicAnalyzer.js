@@ -0,0 +1,211 @@
+/**
+ * LogicAnalyzer — Records what the logic analyzer's probes see
+ * Each probe wired to a GPIO's net is a channel. Every change of a probed
+ * pin is stamped with the virtual time it happened at, so the capture shows
+ * the timing the sketch really produced however fast the simulation ran.
+ * A pin driven by an LEDC channel is recorded as one sample holding its
+ * duty and frequency; waveformEdges() expands that into its square wave.
+ */
+
+// Probe pins of the logic-analyzer part, one channel each
+export const ANALYZER_PROBES = ['D0', 'D1', 'D2', 'D3', 'D4', 'D5', 'D6', 'D7'];
+
+// Samples one run may record; a sketch toggling pins flat out would
+// otherwise fill the page's memory
+const MAX_SAMPLES = 500000;
+
+/**
+ * Whether a sample is a PWM signal toggling rather than a steady level
+ */
+export function isToggling(sample) {
+    return sample.frequency > 0 && sample.duty > 0 && sample.duty < 1;
+}
+
+/**
+ * Edges of a channel between from and to (µs) as [time, level] pairs,
+ * starting with the level at from. PWM samples give every edge of their
+ * wave, up to maxEdges in all.
+ */
+export function waveformEdges(samples, from, to, maxEdges = Infinity) {
+    const edges = [];
+    let i = firstSampleAt(samples, from);
+    if (i < 0) return edges;
+    for (; i < samples.length && samples[i].time < to; i++) {
+        const sample = samples[i];
+        const start = Math.max(sample.time, from);
+        const end = i + 1 < samples.length ? Math.min(samples[i + 1].time, to) : to;
+        if (!isToggling(sample)) {
+            edges.push([start, sample.level]);
+            continue;
+        }
+        const period = 1e6 / sample.frequency;
+        const high = sample.duty * period;
+        // Periods count from the sample, which starts on a rising edge
+        for (let k = Math.floor((start - sample.time) / period); ; k++) {
+            const rise = sample.time + k * period;
+            if (rise >= end || edges.length >= maxEdges) break;
+            const fall = rise + high;
+            // Only the first period can have fallen already at start
+            if (fall <= start) {
+                edges.push([start, 0]);
+                continue;
+            }
+            edges.push([Math.max(rise, start), 1]);
+            if (fall < end) edges.push([fall, 0]);
+        }
+    }
+    return edges;
+}
+
+/**
+ * Index of the sample in force at time, -1 if recording started later
+ */
+export function firstSampleAt(samples, time) {
+    let lo = 0;
+    let hi = samples.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (samples[mid].time <= time) {
+            found = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * A capture as a Value Change Dump, as PulseView and GTKWave open.
+ * channels are { name, pin }; samples maps each pin to its samples.
+ */
+export function toVcd(channels, samples, end) {
+    const ids = channels.map((_, i) => String.fromCharCode(33 + i));
+    const lines = [
+        `$date ${new Date().toUTCString()} $end`,
+        '$version ESP32 Simulator logic analyzer $end',
+        '$timescale 1 ns $end',
+        '$scope module logic $end',
+        ...channels.map((channel, i) => `$var wire 1 ${ids[i]} ${channel.name.replace(/\s+/g, '_')} $end`),
+        '$upscope $end',
+        '$enddefinitions $end',
+    ];
+
+    // Merge every channel's edges into one time-ordered list of changes
+    const changes = [];
+    channels.forEach((channel, i) => {
+        let level = null;
+        for (const [time, next] of waveformEdges(samples[channel.pin] || [], 0, end)) {
+            if (next === level) continue;
+            level = next;
+            changes.push([Math.round(time * 1000), i, next]);
+        }
+    });
+    changes.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let at = null;
+    for (const [time, i, level] of changes) {
+        if (time !== at) {
+            lines.push(`#${time}`);
+            at = time;
+        }
+        lines.push(`${level}${ids[i]}`);
+    }
+    lines.push(`#${Math.round(end * 1000)}`);
+    return `${lines.join('\n')}\n`;
+}
+
+export class LogicAnalyzer {
+    /**
+     * @param {PinManager} pinManager whose pin changes are recorded
+     * @param {Clock} clock stamps each sample
+     */
+    constructor(pinManager, clock) {
+        this.pinManager = pinManager;
+        this.clock = clock;
+        // { name, pin } for each probe wired to a GPIO
+        this.channels = [];
+        this.pending = [];
+        this.count = 0;
+        this.restarted = false;
+        this.channelsChanged = false;
+        // Pin -> its latest sample, to record only real changes
+        this.last = new Map();
+        this.listeners = [];
+        pinManager.onChange((pin, state) => this.sample(pin, state));
+    }
+
+    /**
+     * Find the probes in a new circuit: parts as for Netlist.setCircuit,
+     * which must already have been given the circuit
+     */
+    setCircuit(parts) {
+        const analyzers = parts.filter(p => p.type === 'logic-analyzer');
+        const channels = [];
+        for (const part of analyzers) {
+            for (const probe of ANALYZER_PROBES) {
+                const net = this.pinManager.netlist.nets.get(`${part.id}:${probe}`);
+                if (!net || !net.gpios.length) continue;
+                channels.push({ name: analyzers.length > 1 ? `${part.id} ${probe}` : probe, pin: net.gpios[0] });
+            }
+        }
+        if (JSON.stringify(channels) === JSON.stringify(this.channels)) return;
+        this.channels = channels;
+        this.channelsChanged = true;
+        // Channels added mid-run start from the level they have now
+        for (const { pin } of channels) {
+            if (!this.last.has(pin)) this.sample(pin, this.pinManager.pins[pin]);
+        }
+        this.emit();
+    }
+
+    /**
+     * Begin a new capture at time zero with every channel's current level
+     */
+    start() {
+        this.pending = [];
+        this.count = 0;
+        this.last.clear();
+        this.restarted = true;
+        for (const { pin } of this.channels) this.sample(pin, this.pinManager.pins[pin]);
+        this.emit();
+    }
+
+    sample(pin, state) {
+        pin = Number(pin);
+        if (!this.channels.some(c => c.pin === pin) || this.count >= MAX_SAMPLES) return;
+        const last = this.last.get(pin);
+        if (last && last.level === state.value && last.duty === state.duty && last.frequency === state.frequency) return;
+        const sample = { time: this.clock.micros, pin, level: state.value, duty: state.duty, frequency: state.frequency };
+        this.last.set(pin, sample);
+        this.pending.push(sample);
+        this.count++;
+        this.emit();
+    }
+
+    /**
+     * Subscribe to new samples or channels; collect them with take()
+     */
+    onCapture(callback) {
+        this.listeners.push(callback);
+    }
+
+    emit() {
+        for (const cb of this.listeners) cb();
+    }
+
+    /**
+     * What was recorded since the last call: { samples, full, restart,
+     * channels } with channels only if they changed; null if nothing was
+     */
+    take() {
+        if (!this.pending.length && !this.restarted && !this.channelsChanged) return null;
+        const capture = { samples: this.pending, full: this.count >= MAX_SAMPLES, restart: this.restarted };
+        if (this.channelsChanged) capture.channels = this.channels;
+        this.pending = [];
+        this.restarted = false;
+        this.channelsChanged = false;
+        return capture;
+    }
+}
@@ -0,0 +1,311 @@
+/**
+ * NeoPixel — WS2812 addressable LEDs, and the Adafruit_NeoPixel library
+ * A strip, ring or matrix takes the bytes clocked into its DIN pin, three
+ * (green, red, blue) per pixel, and passes whatever follows out of DOUT to
+ * the next part in the chain. Colours change only when a frame is
+ * complete, so nothing shows until the sketch calls show().
+ */
+
+// Parts built from WS2812 pixels, and how many pixels each has
+const PIXEL_PARTS = {
+    'neopixel-strip': attrs => Number(attrs.pixels) || 1,
+    'neopixel-ring': attrs => Number(attrs.pixels) || 1,
+    'neopixel-matrix': attrs => (Number(attrs.rows) || 1) * (Number(attrs.cols) || 1),
+};
+
+// Bytes a WS2812 takes for itself, in the order it expects them
+const BYTES_PER_PIXEL = 3;
+const GREEN = 0;
+const RED = 1;
+const BLUE = 2;
+
+export class PixelChain {
+    /**
+     * @param {Netlist} netlist tells which part's DIN each GPIO drives
+     */
+    constructor(netlist) {
+        this.netlist = netlist;
+        // Part id -> { id, count, data }, data the bytes each pixel latched
+        this.parts = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Follow a new circuit: parts as for Netlist.setCircuit. A part that is
+     * still placed with as many pixels keeps its colours.
+     */
+    setCircuit(parts) {
+        const placed = new Map();
+        for (const part of parts) {
+            const pixels = PIXEL_PARTS[part.type];
+            if (!pixels) continue;
+            const count = pixels(part.attrs || {});
+            const existing = this.parts.get(part.id);
+            const data = existing && existing.count === count ? existing.data : new Array(count * BYTES_PER_PIXEL).fill(0);
+            placed.set(part.id, { id: part.id, count, data });
+        }
+        this.parts = placed;
+        for (const part of placed.values()) this.emit(part);
+    }
+
+    /**
+     * A frame on a GPIO, followed by the reset time that latches it
+     */
+    send(pin, bytes) {
+        const net = this.netlist.netOfPin(pin);
+        if (net) this.deliver(net, bytes, new Set());
+    }
+
+    /**
+     * Each part on the net keeps the first of the bytes, a pixel's worth
+     * at a time, and repeats the rest on DOUT. Pixels past the end of the
+     * frame keep their colours.
+     */
+    deliver(net, bytes, visited) {
+        for (const part of this.parts.values()) {
+            if (visited.has(part.id) || this.netlist.nets.get(`${part.id}:DIN`) !== net) continue;
+            visited.add(part.id);
+            const length = Math.min(part.data.length, bytes.length - bytes.length % BYTES_PER_PIXEL);
+            let changed = false;
+            for (let i = 0; i < length; i++) {
+                changed = changed || part.data[i] !== (bytes[i] & 0xFF);
+                part.data[i] = bytes[i] & 0xFF;
+            }
+            if (changed) this.emit(part);
+
+            const out = this.netlist.nets.get(`${part.id}:DOUT`);
+            if (out && bytes.length > part.data.length) this.deliver(out, bytes.slice(part.data.length), visited);
+        }
+    }
+
+    /**
+     * Power every pixel back on, dark
+     */
+    reset() {
+        for (const part of this.parts.values()) {
+            part.data.fill(0);
+            this.emit(part);
+        }
+    }
+
+    /**
+     * Subscribe to pixels changing colour: callback(partId)
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    emit(part) {
+        for (const cb of this.listeners) cb(part.id);
+    }
+
+    /**
+     * What a part shows: { rgb } with a red, green and blue byte per
+     * pixel in chain order, null if it isn't placed
+     */
+    stateOf(partId) {
+        const part = this.parts.get(partId);
+        if (!part) return null;
+        const rgb = [];
+        for (let i = 0; i < part.data.length; i += BYTES_PER_PIXEL) {
+            rgb.push(part.data[i + RED], part.data[i + GREEN], part.data[i + BLUE]);
+        }
+        return { rgb };
+    }
+}
+
+// Adafruit_NeoPixel pixel types: the offsets of white, red, green and
+// blue in each pixel's bytes, two bits each, and the data rate
+export const NEO_TYPES = {
+    NEO_RGB: (0 << 6) | (0 << 4) | (1 << 2) | 2,
+    NEO_RBG: (0 << 6) | (0 << 4) | (2 << 2) | 1,
+    NEO_GRB: (1 << 6) | (1 << 4) | (0 << 2) | 2,
+    NEO_GBR: (2 << 6) | (2 << 4) | (0 << 2) | 1,
+    NEO_BRG: (1 << 6) | (1 << 4) | (2 << 2) | 0,
+    NEO_BGR: (2 << 6) | (2 << 4) | (1 << 2) | 0,
+    NEO_RGBW: (3 << 6) | (0 << 4) | (1 << 2) | 2,
+    NEO_GRBW: (3 << 6) | (1 << 4) | (0 << 2) | 2,
+    NEO_KHZ800: 0x0000,
+    NEO_KHZ400: 0x0100,
+};
+
+// A bit takes 1.25 µs at 800 kHz; the line must then idle for the pixels to latch
+const BIT_MICROS = 1.25;
+const LATCH_MICROS = 300;
+
+// The library's gamma 2.6 table
+const GAMMA = Array.from({ length: 256 }, (_, i) => Math.floor(Math.pow(i / 255, 2.6) * 255 + 0.5));
+
+/**
+ * Adafruit_NeoPixel::Color(): a packed 0xWWRRGGBB colour
+ */
+export function neoColor(r, g, b, w = 0) {
+    return (((w & 0xFF) << 24) | ((r & 0xFF) << 16) | ((g & 0xFF) << 8) | (b & 0xFF)) >>> 0;
+}
+
+/**
+ * Adafruit_NeoPixel::ColorHSV(): hue 0–65535 around the colour wheel,
+ * in integer steps exactly as the library takes them
+ */
+export function neoColorHSV(hue, sat = 255, val = 255) {
+    hue = Math.floor(((hue & 0xFFFF) * 1530 + 32768) / 65536);
+    sat &= 0xFF;
+    val &= 0xFF;
+    let r;
+    let g;
+    let b;
+    if (hue < 510) {
+        b = 0;
+        if (hue < 255) [r, g] = [255, hue];
+        else [r, g] = [510 - hue, 255];
+    } else if (hue < 1020) {
+        r = 0;
+        if (hue < 765) [g, b] = [255, hue - 510];
+        else [g, b] = [1020 - hue, 255];
+    } else if (hue < 1530) {
+        g = 0;
+        if (hue < 1275) [r, b] = [hue - 1020, 255];
+        else [r, b] = [255, 1530 - hue];
+    } else {
+        [r, g, b] = [255, 0, 0];
+    }
+    const v1 = 1 + val;
+    const s1 = 1 + sat;
+    const s2 = 255 - sat;
+    const scale = c => ((((c * s1) >> 8) + s2) * v1) & 0xFF00;
+    return ((scale(r) << 8) | scale(g) | (scale(b) >> 8)) >>> 0;
+}
+
+export function neoGamma8(x) {
+    return GAMMA[x & 0xFF];
+}
+
+export function neoGamma32(color) {
+    return neoColor(GAMMA[(color >>> 16) & 0xFF], GAMMA[(color >>> 8) & 0xFF], GAMMA[color & 0xFF], GAMMA[(color >>> 24) & 0xFF]);
+}
+
+/**
+ * The Adafruit_NeoPixel library: a buffer of pixel bytes in the strip's
+ * own order, scaled by the brightness as they are set, sent by show()
+ */
+export class AdafruitNeoPixel {
+    /**
+     * @param {PixelChain} chain
+     * @param {Clock} clock
+     * @param {Function} wait async, busy-waits the given microseconds of virtual time
+     */
+    constructor(chain, clock, wait, count = 0, pin = -1, type = NEO_TYPES.NEO_GRB + NEO_TYPES.NEO_KHZ800) {
+        this.chain = chain;
+        this.clock = clock;
+        this.wait = wait;
+        this.pin = pin;
+        // Stored as brightness + 1, so 0 means full brightness
+        this.brightness = 0;
+        this.endTime = null;
+        this.updateType(type);
+        this.updateLength(count);
+    }
+
+    updateLength(count) {
+        this.count = count & 0xFFFF;
+        this.pixels = new Array(this.count * this.bytesPerPixel).fill(0);
+    }
+
+    updateType(type) {
+        const oldBytes = this.bytesPerPixel;
+        this.wOffset = (type >> 6) & 3;
+        this.rOffset = (type >> 4) & 3;
+        this.gOffset = (type >> 2) & 3;
+        this.bOffset = type & 3;
+        this.kHz400 = !!(type & NEO_TYPES.NEO_KHZ400);
+        this.bytesPerPixel = this.wOffset === this.rOffset ? 3 : 4;
+        // Switching between RGB and RGBW resizes the buffer
+        if (oldBytes !== undefined && oldBytes !== this.bytesPerPixel) this.updateLength(this.count);
+    }
+
+    setPin(pin) {
+        this.pin = pin;
+    }
+
+    /**
+     * Send the buffer, first waiting out the latch time of the last frame
+     */
+    async show() {
+        if (!this.pixels.length || this.pin < 0) return;
+        if (this.endTime !== null) {
+            const idle = this.clock.micros - this.endTime;
+            if (idle < LATCH_MICROS) await this.wait(LATCH_MICROS - idle);
+        }
+        const bytes = this.pixels.slice();
+        await this.wait(bytes.length * 8 * BIT_MICROS * (this.kHz400 ? 2 : 1));
+        this.chain.send(this.pin, bytes);
+        this.endTime = this.clock.micros;
+    }
+
+    canShow() {
+        return this.endTime === null || this.clock.micros - this.endTime >= LATCH_MICROS;
+    }
+
+    setPixelColor(n, r, g, b, w = 0) {
+        if (n < 0 || n >= this.count) return;
+        if (this.brightness) {
+            r = (r * this.brightness) >> 8;
+            g = (g * this.brightness) >> 8;
+            b = (b * this.brightness) >> 8;
+            w = (w * this.brightness) >> 8;
+        }
+        const p = n * this.bytesPerPixel;
+        if (this.bytesPerPixel === 4) this.pixels[p + this.wOffset] = w & 0xFF;
+        this.pixels[p + this.rOffset] = r & 0xFF;
+        this.pixels[p + this.gOffset] = g & 0xFF;
+        this.pixels[p + this.bOffset] = b & 0xFF;
+    }
+
+    setPixelColor32(n, color) {
+        this.setPixelColor(n, (color >>> 16) & 0xFF, (color >>> 8) & 0xFF, color & 0xFF, (color >>> 24) & 0xFF);
+    }
+
+    /**
+     * The colour a pixel was set to, less what brightness scaling lost
+     */
+    getPixelColor(n) {
+        if (n < 0 || n >= this.count) return 0;
+        const p = n * this.bytesPerPixel;
+        const unscale = c => (this.brightness ? Math.floor((c << 8) / this.brightness) & 0xFF : c);
+        const w = this.bytesPerPixel === 4 ? unscale(this.pixels[p + this.wOffset]) : 0;
+        return neoColor(unscale(this.pixels[p + this.rOffset]), unscale(this.pixels[p + this.gOffset]), unscale(this.pixels[p + this.bOffset]), w);
+    }
+
+    /**
+     * Fill count pixels from first, to the end if count is 0
+     */
+    fill(color = 0, first = 0, count = 0) {
+        if (first >= this.count) return;
+        const end = count === 0 ? this.count : Math.min(this.count, first + count);
+        for (let i = first; i < end; i++) this.setPixelColor32(i, color);
+    }
+
+    clear() {
+        this.pixels.fill(0);
+    }
+
+    /**
+     * Rescale the pixels already set to the new brightness, losing
+     * precision just as the library does
+     */
+    setBrightness(b) {
+        const newBrightness = ((b & 0xFF) + 1) & 0xFF;
+        if (newBrightness === this.brightness) return;
+        const oldBrightness = (this.brightness - 1) & 0xFF;
+        let scale;
+        if (oldBrightness === 0) scale = 0;
+        else if ((b & 0xFF) === 255) scale = Math.floor(65535 / oldBrightness);
+        else scale = Math.floor(((newBrightness << 8) - 1) / oldBrightness);
+        for (let i = 0; i < this.pixels.length; i++) this.pixels[i] = ((this.pixels[i] * scale) >> 8) & 0xFF;
+        this.brightness = newBrightness;
+    }
+
+    getBrightness() {
+        return (this.brightness - 1) & 0xFF;
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Netlist — Electrical nets of the circuit and the level each one settles at
+ * Wires, and switches while closed, join pins into nets. A net follows its
+ * drivers (supply rails, GPIO outputs, part outputs); with none it follows
+ * resistors to a driven net, then the GPIOs' internal pulls, which are far
+ * weaker, and otherwise floats.
+ */
+
+// Board pins tied to a supply rail, and the level they hold
+const RAILS = { GND: 0, '3V3': 1, VIN: 1 };
+
+// How parts behave electrically, given their attributes: pin pairs joined
+// outright, pin pairs joined through a resistor, and [pin, level] outputs
+const PART_MODELS = {
+    pushbutton: { closed: attrs => attrs.pressed ? [['a', 'b']] : [] },
+    resistor: { resistors: () => [['a', 'b']] },
+    photoresistor: { resistors: () => [['a', 'b']] },
+    pir: { outputs: attrs => [['signal', attrs.motion ? 1 : 0]] },
+};
+
+const nodeKey = (compId, pin) => `${compId}:${pin}`;
+
+export class Netlist {
+    constructor() {
+        this.parts = new Map();
+        this.connections = [];
+        // Node key -> net, for every pin that is wired to something
+        this.nets = new Map();
+        // Board pin -> net, looked up on every GPIO write
+        this.boardNets = {};
+    }
+
+    /**
+     * Replace the circuit: parts are { id, type, attrs }, connections
+     * { from: { compId, pin }, to: { compId, pin } } with 'board' for the ESP32
+     */
+    setCircuit(parts, connections) {
+        this.parts = new Map(parts.map(p => [p.id, { ...p, attrs: { ...p.attrs } }]));
+        this.connections = connections;
+        this.build();
+    }
+
+    /**
+     * Update a part's attributes, e.g. a button being pressed
+     */
+    setPart(id, attrs) {
+        const part = this.parts.get(id);
+        if (!part) return;
+        part.attrs = { ...part.attrs, ...attrs };
+        this.build();
+    }
+
+    /**
+     * Net a board pin is on, undefined if nothing is wired to it
+     */
+    netOfPin(pin) {
+        return this.boardNets[pin];
+    }
+
+    /**
+     * Group wired nodes into nets and note what drives each one
+     */
+    build() {
+        const parent = new Map();
+        const find = (key) => {
+            if (!parent.has(key)) parent.set(key, key);
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+        const join = (a, b) => parent.set(find(a), find(b));
+
+        for (const { from, to } of this.connections) {
+            join(nodeKey(from.compId, from.pin), nodeKey(to.compId, to.pin));
+        }
+        const resistors = [];
+        const outputs = [];
+        for (const part of this.parts.values()) {
+            const model = PART_MODELS[part.type];
+            if (!model) continue;
+            const node = pin => nodeKey(part.id, pin);
+            for (const [a, b] of model.closed ? model.closed(part.attrs) : []) join(node(a), node(b));
+            for (const [a, b] of model.resistors ? model.resistors(part.attrs) : []) resistors.push([node(a), node(b)]);
+            for (const [pin, level] of model.outputs ? model.outputs(part.attrs) : []) {
+                outputs.push({ node: node(pin), name: `${part.id} ${pin}`, level });
+            }
+        }
+
+        const byRoot = new Map();
+        this.nets = new Map();
+        this.boardNets = {};
+        for (const key of parent.keys()) {
+            const root = find(key);
+            if (!byRoot.has(root)) byRoot.set(root, { key, gpios: [], rails: [], outputs: [], resistors: [] });
+            const net = byRoot.get(root);
+            this.nets.set(key, net);
+            if (key < net.key) net.key = key;
+
+            const [compId, pin] = key.split(':');
+            if (compId !== 'board') continue;
+            this.boardNets[pin] = net;
+            if (pin in RAILS) net.rails.push({ name: pin, level: RAILS[pin] });
+            else if (/^\d+$/.test(pin)) net.gpios.push(Number(pin));
+        }
+        for (const output of outputs) {
+            const net = this.nets.get(output.node);
+            if (net) net.outputs.push(output);
+        }
+        // A resistor only couples nets it has wires on both ends of
+        for (const [a, b] of resistors) {
+            const netA = this.nets.get(a);
+            const netB = this.nets.get(b);
+            if (!netA || !netB || netA === netB) continue;
+            netA.resistors.push(netB);
+            netB.resistors.push(netA);
+        }
+    }
+
+    /**
+     * Everything forcing a net to a level: { name, level } for each rail,
+     * part output and GPIO in OUTPUT mode on it
+     */
+    drivers(net, pins) {
+        const drivers = [...net.rails, ...net.outputs];
+        for (const pin of net.gpios) {
+            const state = pins[pin];
+            if (state && state.mode === 'OUTPUT') drivers.push({ name: `GPIO${pin}`, level: state.value });
+        }
+        return drivers;
+    }
+
+    /**
+     * Level a net settles at, given the GPIO states. level is null when it
+     * is undefined: floating, between opposing pulls, or shorted, in which
+     * case contention lists the drivers fighting.
+     */
+    solve(net, pins) {
+        const drivers = this.drivers(net, pins);
+        if (drivers.length) {
+            const fighting = drivers.some(d => d.level !== drivers[0].level);
+            return { level: fighting ? null : drivers[0].level, floating: false, contention: fighting ? drivers : null };
+        }
+
+        const pulls = new Set();
+        for (const other of net.resistors) {
+            const far = this.drivers(other, pins);
+            if (far.length && far.every(d => d.level === far[0].level)) pulls.add(far[0].level);
+        }
+        if (!pulls.size) {
+            for (const pin of net.gpios) {
+                const mode = pins[pin] && pins[pin].mode;
+                if (mode === 'INPUT_PULLUP') pulls.add(1);
+                else if (mode === 'INPUT_PULLDOWN') pulls.add(0);
+            }
+        }
+        return { level: pulls.size === 1 ? [...pulls][0] : null, floating: pulls.size === 0, contention: null };
+    }
+}
@@ -0,0 +1,969 @@
+/**
+ * Parser — Recursive-descent parser for the Arduino C++ subset
+ * Builds an AST of declarations, statements and expressions
+ */
+import { Lexer, ParseError } from './Lexer.js';
+
+// Built-in scalar type names (keywords and common typedefs)
+const SCALAR_TYPES = new Set([
+    'void', 'char', 'short', 'int', 'long', 'float', 'double', 'bool', 'signed', 'unsigned',
+    'boolean', 'byte', 'word', 'size_t',
+    'int8_t', 'int16_t', 'int32_t', 'int64_t',
+    'uint8_t', 'uint16_t', 'uint32_t', 'uint64_t',
+    'BaseType_t', 'UBaseType_t', 'TickType_t', 'EventBits_t',
+    'adc_attenuation_t', 'note_t', 'touch_value_t',
+]);
+
+// Class-like and opaque types provided by the Arduino core and bundled libraries
+const CLASS_TYPES = new Set([
+    'String',
+    'hw_timer_t', 'portMUX_TYPE', 'Ticker', 'TwoWire', 'LiquidCrystal_I2C', 'DHT', 'Adafruit_SSD1306',
+    'Adafruit_NeoPixel', 'CRGB', 'CHSV', 'CLEDController', 'Servo',
+    'TaskHandle_t', 'QueueHandle_t', 'SemaphoreHandle_t', 'EventGroupHandle_t',
+]);
+
+const QUALIFIERS = new Set(['const', 'volatile', 'static', 'extern', 'inline', 'unsigned', 'signed']);
+
+const ASSIGN_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+// Function-like macros of Arduino.h: parameters and replacement text
+const FUNCTION_MACROS = {
+    bitRead: [['value', 'bit'], '(((value) >> (bit)) & 0x01)'],
+    bitSet: [['value', 'bit'], '((value) |= (1UL << (bit)))'],
+    bitClear: [['value', 'bit'], '((value) &= ~(1UL << (bit)))'],
+    bitToggle: [['value', 'bit'], '((value) ^= (1UL << (bit)))'],
+    bitWrite: [['value', 'bit', 'bitvalue'], '((bitvalue) ? bitSet(value, bit) : bitClear(value, bit))'],
+    bit: [['b'], '(1UL << (b))'],
+    _BV: [['b'], '(1UL << (b))'],
+    lowByte: [['w'], '((uint8_t) ((w) & 0xff))'],
+    highByte: [['w'], '((uint8_t) ((w) >> 8))'],
+    sq: [['x'], '((x) * (x))'],
+    radians: [['deg'], '((deg) * DEG_TO_RAD)'],
+    degrees: [['rad'], '((rad) * RAD_TO_DEG)'],
+};
+// Replacement text of each macro, parsed the first time it is used
+const macroBodies = new Map();
+
+// Stop collecting syntax errors past this many; later ones are usually cascades
+const MAX_ERRORS = 20;
+
+// Binary operator precedence (higher binds tighter)
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '|': 3,
+    '^': 4,
+    '&': 5,
+    '==': 6, '!=': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7,
+    '<<': 8, '>>': 8,
+    '+': 9, '-': 9,
+    '*': 10, '/': 10, '%': 10,
+};
+
+export class Parser {
+    constructor(source) {
+        this.tokens = new Lexer(source).tokenize();
+        this.pos = 0;
+        this.typeNames = new Set([...SCALAR_TYPES, ...CLASS_TYPES]);
+        this.errors = [];
+    }
+
+    /**
+     * Parse a whole sketch into a Program node. Syntax errors are
+     * collected in this.errors and parsing resumes at the next statement.
+     */
+    parseProgram() {
+        const start = this.peek();
+        const body = [];
+        while (!this.isEOF()) {
+            if (this.match(';')) continue;
+            const before = this.pos;
+            try {
+                body.push(this.parseExternalDeclaration());
+            } catch (err) {
+                this.recover(err);
+                // A stray '}' at file scope is never consumed by recover()
+                if (this.pos === before) this.next();
+            }
+        }
+        return this.finish({ type: 'Program', body }, start);
+    }
+
+    /**
+     * Record a syntax error and skip ahead to the end of the broken
+     * statement: past the next ';' or balanced '}' at the current depth,
+     * or up to a '}' that closes the enclosing block.
+     */
+    recover(err) {
+        if (!(err instanceof ParseError)) throw err;
+        const last = this.errors[this.errors.length - 1];
+        const repeated = last && last.message === err.message && last.loc.line === err.loc.line && last.loc.column === err.loc.column;
+        if (!repeated && this.errors.length < MAX_ERRORS) this.errors.push(err);
+
+        let depth = 0;
+        while (!this.isEOF()) {
+            if (this.check('{')) {
+                depth++;
+            } else if (this.check('}')) {
+                // Leave the enclosing block's '}' for its parser
+                if (depth === 0) return;
+                depth--;
+                if (depth === 0) {
+                    this.next();
+                    return;
+                }
+            } else if (this.check(';') && depth === 0) {
+                this.next();
+                return;
+            }
+            this.next();
+        }
+    }
+
+    // ---------------------------------------------------------
+    //  Token helpers
+    // ---------------------------------------------------------
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    isEOF() {
+        return this.peek().type === 'eof';
+    }
+
+    next() {
+        const tok = this.peek();
+        if (tok.type !== 'eof') this.pos++;
+        return tok;
+    }
+
+    check(value, offset = 0) {
+        const tok = this.peek(offset);
+        return (tok.type === 'punct' || tok.type === 'keyword') && tok.value === value;
+    }
+
+    match(value) {
+        if (this.check(value)) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expect(value, what = `'${value}'`) {
+        if (this.check(value)) return this.next();
+        const message = `Expected ${what} but found ${this.describe(this.peek())}`;
+        if (value === ';' && this.pos > 0) {
+            // Like gcc, blame the end of the previous token for a missing ';'
+            const prev = this.tokens[this.pos - 1];
+            throw new ParseError(message, {
+                line: prev.endLine, column: prev.endColumn, endLine: prev.endLine, endColumn: prev.endColumn + 1,
+            });
+        }
+        throw this.error(message);
+    }
+
+    expectIdentifier(what = 'identifier') {
+        const tok = this.peek();
+        if (tok.type === 'ident') return this.next();
+        throw this.error(`Expected ${what} but found ${this.describe(tok)}`);
+    }
+
+    describe(tok) {
+        if (tok.type === 'eof') return 'end of input';
+        if (tok.type === 'string') return 'string literal';
+        if (tok.type === 'char') return 'character literal';
+        return `'${tok.value}'`;
+    }
+
+    error(message, tok = this.peek()) {
+        return new ParseError(message, {
+            line: tok.line, column: tok.column, endLine: tok.endLine, endColumn: tok.endColumn,
+        });
+    }
+
+    /**
+     * Attach a source range spanning from the start token to the last consumed token
+     */
+    finish(node, startTok) {
+        const last = this.tokens[Math.max(this.pos - 1, 0)];
+        node.loc = {
+            line: startTok.line,
+            column: startTok.column,
+            endLine: last.endLine,
+            endColumn: last.endColumn,
+        };
+        return node;
+    }
+
+    // ---------------------------------------------------------
+    //  Types
+    // ---------------------------------------------------------
+
+    isTypeStart(offset = 0) {
+        const tok = this.peek(offset);
+        if (tok.type !== 'ident' && tok.type !== 'keyword') return false;
+        return QUALIFIERS.has(tok.value) || this.typeNames.has(tok.value) || tok.value === 'struct' || tok.value === 'enum';
+    }
+
+    /**
+     * Does a struct definition ("struct Name {" or "struct {") start here?
+     */
+    isStructDefinitionStart() {
+        return this.check('struct') && (this.check('{', 1) || (this.peek(1).type === 'ident' && this.check('{', 2)));
+    }
+
+    /**
+     * Does an enum definition start here? Scoped "enum class" is accepted too.
+     */
+    isEnumDefinitionStart() {
+        if (!this.check('enum')) return false;
+        let offset = 1;
+        if (this.peek(offset).type === 'ident' && this.peek(offset).value === 'class') offset++;
+        if (this.peek(offset).type === 'ident') offset++;
+        return this.check('{', offset) || this.check(':', offset);
+    }
+
+    /**
+     * Does a declaration start here? A type name followed by another
+     * identifier (or pointer/reference declarator) begins one.
+     */
+    isDeclarationStart() {
+        const tok = this.peek();
+        if (tok.type === 'keyword' && QUALIFIERS.has(tok.value)) return true;
+        if (!this.isTypeStart()) return false;
+        let offset = 1;
+        while (this.check('*', offset) || this.check('&', offset)) offset++;
+        const after = this.peek(offset);
+        return after.type === 'ident' || (after.type === 'keyword' && this.typeNames.has(after.value));
+    }
+
+    /**
+     * Parse declaration specifiers, e.g. "const unsigned long" or "volatile int"
+     */
+    parseType() {
+        const start = this.peek();
+        const type = { name: '', isConst: false, isVolatile: false, isStatic: false, isExtern: false, pointer: 0, reference: false };
+        const words = [];
+
+        while (true) {
+            const tok = this.peek();
+            if (tok.type !== 'keyword' && tok.type !== 'ident') break;
+            if (tok.value === 'const') type.isConst = true;
+            else if (tok.value === 'volatile') type.isVolatile = true;
+            else if (tok.value === 'static') type.isStatic = true;
+            else if (tok.value === 'extern') type.isExtern = true;
+            else if (tok.value === 'inline') { /* no effect */ }
+            else if ((tok.value === 'struct' || tok.value === 'enum') && !words.length) {
+                // Elaborated type specifier: "struct Reading r;"
+                this.next();
+                const nameTok = this.expectIdentifier(`${tok.value} name`);
+                this.typeNames.add(nameTok.value);
+                words.push(nameTok.value);
+                break;
+            } else if (this.typeNames.has(tok.value)) {
+                // A second non-combinable type name is the declarator, e.g. "String String"
+                if (words.length && !this.combinesWith(words, tok.value)) break;
+                words.push(tok.value);
+            } else break;
+            this.next();
+        }
+
+        if (words.length === 0) {
+            if (type.isConst || type.isVolatile || type.isStatic) words.push('int');
+            else throw this.error(`Expected type name but found ${this.describe(this.peek())}`);
+        }
+
+        while (this.check('*') || this.check('&')) {
+            if (this.next().value === '*') type.pointer++;
+            else type.reference = true;
+        }
+        while (this.match('const')) type.isConst = true;
+
+        type.name = words.join(' ');
+        type.loc = this.finish({}, start).loc;
+        return type;
+    }
+
+    /**
+     * A plain type spec for a name, as parseType() would produce it
+     */
+    namedType(name, tok = this.peek()) {
+        return {
+            name, isConst: false, isVolatile: false, isStatic: false, isExtern: false, pointer: 0, reference: false,
+            loc: { line: tok.line, column: tok.column, endLine: tok.endLine, endColumn: tok.endColumn },
+        };
+    }
+
+    /**
+     * Array dimensions after a declarator name: "[3][4]", "[]" gives null
+     */
+    parseDims() {
+        const dims = [];
+        while (this.match('[')) {
+            dims.push(this.check(']') ? null : this.parseConditional());
+            this.expect(']');
+        }
+        return dims;
+    }
+
+    /**
+     * C allows stacking some specifiers ("unsigned long int"), but not class names
+     */
+    combinesWith(words, next) {
+        const combinable = new Set(['unsigned', 'signed', 'short', 'long', 'int', 'char', 'double']);
+        return combinable.has(next) && words.every(w => combinable.has(w));
+    }
+
+    // ---------------------------------------------------------
+    //  Declarations
+    // ---------------------------------------------------------
+
+    parseExternalDeclaration() {
+        const start = this.peek();
+        if (this.check('typedef')) return this.parseTypedef();
+        if (this.isStructDefinitionStart()) return this.parseStruct();
+        if (this.isEnumDefinitionStart()) return this.parseEnum();
+        if (!this.isTypeStart()) {
+            throw this.error(`Expected a declaration but found ${this.describe(start)}`);
+        }
+        const varType = this.parseType();
+        const nameTok = this.expectIdentifier('a name');
+
+        if (this.check('(') && this.looksLikeParameterList()) {
+            return this.parseFunctionRest(varType, nameTok, start);
+        }
+        const decl = this.parseDeclarationRest(varType, nameTok, start);
+        return decl;
+    }
+
+    /**
+     * After "Type name(", decide between a function and constructor arguments
+     */
+    looksLikeParameterList() {
+        const after = this.peek(1);
+        if (after.type === 'punct' && after.value === ')') return true;
+        if (after.type === 'keyword' && after.value === 'void') return true;
+        const saved = this.pos;
+        this.pos++;
+        const result = this.isTypeStart();
+        this.pos = saved;
+        return result;
+    }
+
+    parseFunctionRest(returnType, nameTok, start) {
+        this.expect('(');
+        const params = [];
+        if (this.check('void') && this.check(')', 1)) this.next();
+        if (!this.check(')')) {
+            do {
+                const pStart = this.peek();
+                const varType = this.parseType();
+                const name = this.peek().type === 'ident' ? this.next().value : null;
+                const dims = this.parseDims();
+                params.push(this.finish({ type: 'Param', name, varType, dims }, pStart));
+            } while (this.match(','));
+        }
+        this.expect(')');
+
+        let body = null;
+        if (!this.match(';')) {
+            body = this.parseBlock();
+        }
+        return this.finish({ type: 'FunctionDecl', name: nameTok.value, returnType, params, body }, start);
+    }
+
+    /**
+     * Parse the remaining declarators after the first name, up to ';'
+     */
+    parseDeclarationRest(varType, firstName, start) {
+        const declarations = [];
+        let nameTok = firstName;
+        while (true) {
+            declarations.push(this.parseDeclarator(nameTok));
+            if (!this.match(',')) break;
+            // Pointer declarators may repeat per name: "int *a, *b"
+            while (this.check('*') || this.check('&')) this.next();
+            nameTok = this.expectIdentifier('a name');
+        }
+        this.expect(';', "';' after declaration");
+        return this.finish({ type: 'VarDecl', varType, declarations }, start);
+    }
+
+    parseDeclarator(nameTok) {
+        const decl = { type: 'Declarator', name: nameTok.value, dims: this.parseDims(), init: null, args: null };
+        if (this.match('=')) {
+            decl.init = this.parseInitializer();
+        } else if (this.check('(')) {
+            // Constructor-style initialisation: "DHT dht(4, DHT22)"
+            this.next();
+            decl.args = this.check(')') ? [] : this.parseArguments();
+            this.expect(')');
+        }
+        return this.finish(decl, nameTok);
+    }
+
+    /**
+     * An initializer: an expression or a brace-enclosed list, e.g. "{ {1, 2}, {3, 4} }"
+     */
+    parseInitializer() {
+        const start = this.peek();
+        if (!this.match('{')) return this.parseAssignment();
+        const elements = [];
+        while (!this.check('}')) {
+            elements.push(this.parseInitializer());
+            if (!this.match(',')) break;
+        }
+        this.expect('}');
+        return this.finish({ type: 'InitList', elements }, start);
+    }
+
+    /**
+     * "struct Name { fields } [declarators];"
+     */
+    parseStruct() {
+        const start = this.expect('struct');
+        const nameTok = this.peek().type === 'ident' ? this.next() : null;
+        if (nameTok) this.typeNames.add(nameTok.value);
+        const node = this.parseStructBody(nameTok ? nameTok.value : null, start);
+
+        let decl = null;
+        if (this.peek().type === 'ident' || this.check('*')) {
+            const varType = this.namedType(node.name, start);
+            while (this.match('*')) varType.pointer++;
+            decl = this.parseDeclarationRest(varType, this.expectIdentifier('a name'), start);
+        } else {
+            this.expect(';', "';' after struct definition");
+        }
+        node.declaration = decl;
+        return this.finish(node, start);
+    }
+
+    parseStructBody(name, start) {
+        this.expect('{');
+        const fields = [];
+        while (!this.match('}')) {
+            if (this.isEOF()) throw this.error("Expected '}' before end of input");
+            const fStart = this.peek();
+            const varType = this.parseType();
+            do {
+                while (this.match('*')) varType.pointer++;
+                const fieldName = this.expectIdentifier('a member name');
+                if (this.check('(')) throw this.error('Member functions are not supported by the simulator', fieldName);
+                if (this.check('=')) throw this.error('Default member initializers are not supported by the simulator');
+                const dims = this.parseDims();
+                fields.push(this.finish({ type: 'Field', name: fieldName.value, varType: { ...varType }, dims }, fStart));
+                varType.pointer = 0;
+            } while (this.match(','));
+            this.expect(';', "';' after struct member");
+        }
+        return { type: 'StructDecl', name, fields, loc: this.finish({}, start).loc };
+    }
+
+    /**
+     * "enum [class] Name [: type] { A, B = 5, C } [declarators];"
+     */
+    parseEnum() {
+        const start = this.expect('enum');
+        if (this.peek().type === 'ident' && this.peek().value === 'class') this.next();
+        const nameTok = this.peek().type === 'ident' ? this.next() : null;
+        if (nameTok) this.typeNames.add(nameTok.value);
+        // The underlying type is ignored; enumerators are ints
+        if (this.match(':')) this.parseType();
+        const node = this.parseEnumBody(nameTok ? nameTok.value : null, start);
+
+        let decl = null;
+        if (this.peek().type === 'ident') {
+            decl = this.parseDeclarationRest(this.namedType(node.name || 'int', start), this.next(), start);
+        } else {
+            this.expect(';', "';' after enum definition");
+        }
+        node.declaration = decl;
+        return this.finish(node, start);
+    }
+
+    parseEnumBody(name, start) {
+        this.expect('{');
+        const members = [];
+        while (!this.check('}')) {
+            const memberTok = this.expectIdentifier('an enumerator');
+            const value = this.match('=') ? this.parseConditional() : null;
+            members.push(this.finish({ type: 'Enumerator', name: memberTok.value, value }, memberTok));
+            if (!this.match(',')) break;
+        }
+        this.expect('}');
+        return { type: 'EnumDecl', name, members, loc: this.finish({}, start).loc };
+    }
+
+    /**
+     * "typedef <type> Name;" including "typedef struct { ... } Name;" and enums
+     */
+    parseTypedef() {
+        const start = this.expect('typedef');
+        let definition = null;
+        let varType;
+        if (this.isStructDefinitionStart() || this.isEnumDefinitionStart()) {
+            const keywordTok = this.next();
+            const tagTok = this.peek().type === 'ident' ? this.next() : null;
+            if (tagTok) this.typeNames.add(tagTok.value);
+            definition = keywordTok.value === 'struct'
+                ? this.parseStructBody(tagTok ? tagTok.value : null, keywordTok)
+                : this.parseEnumBody(tagTok ? tagTok.value : null, keywordTok);
+            varType = this.namedType(definition.name, keywordTok);
+            while (this.match('*')) varType.pointer++;
+        } else {
+            varType = this.parseType();
+        }
+        const nameTok = this.expectIdentifier('a type name');
+        const dims = this.parseDims();
+        this.expect(';', "';' after typedef");
+        this.typeNames.add(nameTok.value);
+        // An anonymous struct or enum takes the typedef's name
+        if (definition && !definition.name) {
+            definition.name = nameTok.value;
+            varType.name = nameTok.value;
+        }
+        return this.finish({ type: 'Typedef', name: nameTok.value, varType, dims, definition }, start);
+    }
+
+    // ---------------------------------------------------------
+    //  Statements
+    // ---------------------------------------------------------
+
+    parseBlock() {
+        const start = this.expect('{');
+        const body = [];
+        while (!this.check('}')) {
+            if (this.isEOF()) throw this.error("Expected '}' before end of input");
+            try {
+                body.push(this.parseStatement());
+            } catch (err) {
+                this.recover(err);
+            }
+        }
+        this.expect('}');
+        return this.finish({ type: 'Block', body }, start);
+    }
+
+    parseStatement() {
+        const start = this.peek();
+
+        if (this.check('{')) return this.parseBlock();
+        if (this.match(';')) return this.finish({ type: 'Empty' }, start);
+
+        if (start.type === 'keyword') {
+            switch (start.value) {
+                case 'if': return this.parseIf();
+                case 'for': return this.parseFor();
+                case 'while': return this.parseWhile();
+                case 'do': return this.parseDoWhile();
+                case 'switch': return this.parseSwitch();
+                case 'break':
+                case 'continue':
+                    this.next();
+                    this.expect(';', `';' after ${start.value}`);
+                    return this.finish({ type: start.value === 'break' ? 'Break' : 'Continue' }, start);
+                case 'case':
+                case 'default':
+                    throw this.error(`'${start.value}' label not within a switch statement`);
+                case 'return': {
+                    this.next();
+                    const argument = this.check(';') ? null : this.parseExpression();
+                    this.expect(';', "';' after return");
+                    return this.finish({ type: 'Return', argument }, start);
+                }
+                case 'else':
+                    throw this.error("'else' without a previous 'if'");
+                case 'typedef':
+                    return this.parseTypedef();
+            }
+        }
+
+        if (this.isStructDefinitionStart()) return this.parseStruct();
+        if (this.isEnumDefinitionStart()) return this.parseEnum();
+
+        if (this.isDeclarationStart()) {
+            const varType = this.parseType();
+            const nameTok = this.expectIdentifier('a name');
+            return this.parseDeclarationRest(varType, nameTok, start);
+        }
+
+        const expression = this.parseExpression();
+        this.expect(';', "';' after expression");
+        return this.finish({ type: 'ExpressionStatement', expression }, start);
+    }
+
+    parseIf() {
+        const start = this.next();
+        this.expect('(');
+        const test = this.parseExpression();
+        this.expect(')');
+        const consequent = this.parseStatement();
+        const alternate = this.match('else') ? this.parseStatement() : null;
+        return this.finish({ type: 'If', test, consequent, alternate }, start);
+    }
+
+    parseFor() {
+        const start = this.next();
+        this.expect('(');
+
+        let init = null;
+        if (this.isDeclarationStart()) {
+            const initStart = this.peek();
+            const varType = this.parseType();
+            const nameTok = this.expectIdentifier('a name');
+            init = this.parseDeclarationRest(varType, nameTok, initStart);
+        } else if (!this.match(';')) {
+            const initStart = this.peek();
+            const expression = this.parseExpression();
+            this.expect(';');
+            init = this.finish({ type: 'ExpressionStatement', expression }, initStart);
+        }
+
+        const test = this.check(';') ? null : this.parseExpression();
+        this.expect(';');
+        const update = this.check(')') ? null : this.parseExpression();
+        this.expect(')');
+        const body = this.parseStatement();
+        return this.finish({ type: 'For', init, test, update, body }, start);
+    }
+
+    parseWhile() {
+        const start = this.next();
+        this.expect('(');
+        const test = this.parseExpression();
+        this.expect(')');
+        const body = this.parseStatement();
+        return this.finish({ type: 'While', test, body }, start);
+    }
+
+    parseDoWhile() {
+        const start = this.next();
+        const body = this.parseStatement();
+        this.expect('while', "'while' after do body");
+        this.expect('(');
+        const test = this.parseExpression();
+        this.expect(')');
+        this.expect(';', "';' after do-while");
+        return this.finish({ type: 'DoWhile', body, test }, start);
+    }
+
+    /**
+     * "switch (x) { case 1: ... default: ... }" — each case holds the
+     * statements up to the next label, so execution can fall through
+     */
+    parseSwitch() {
+        const start = this.next();
+        this.expect('(');
+        const discriminant = this.parseExpression();
+        this.expect(')');
+        this.expect('{');
+
+        const cases = [];
+        while (!this.match('}')) {
+            if (this.isEOF()) throw this.error("Expected '}' before end of input");
+            const caseStart = this.peek();
+            let test = null;
+            if (this.match('case')) {
+                test = this.parseConditional();
+            } else if (!this.match('default')) {
+                throw this.error(`Expected 'case' or 'default' but found ${this.describe(caseStart)}`);
+            }
+            this.expect(':', "':' after case label");
+
+            const body = [];
+            while (!this.check('case') && !this.check('default') && !this.check('}')) {
+                if (this.isEOF()) throw this.error("Expected '}' before end of input");
+                try {
+                    body.push(this.parseStatement());
+                } catch (err) {
+                    this.recover(err);
+                }
+            }
+            cases.push(this.finish({ type: 'SwitchCase', test, body }, caseStart));
+        }
+        return this.finish({ type: 'Switch', discriminant, cases }, start);
+    }
+
+    // ---------------------------------------------------------
+    //  Expressions
+    // ---------------------------------------------------------
+
+    parseExpression() {
+        const start = this.peek();
+        const first = this.parseAssignment();
+        if (!this.check(',')) return first;
+        const expressions = [first];
+        while (this.match(',')) expressions.push(this.parseAssignment());
+        return this.finish({ type: 'Sequence', expressions }, start);
+    }
+
+    parseArguments() {
+        const args = [this.parseAssignment()];
+        while (this.match(',')) args.push(this.parseAssignment());
+        return args;
+    }
+
+    parseAssignment() {
+        const start = this.peek();
+        const left = this.parseConditional();
+        const tok = this.peek();
+        if (tok.type === 'punct' && ASSIGN_OPS.has(tok.value)) {
+            if (!this.isLValue(left)) {
+                throw this.error('lvalue required as left operand of assignment', tok);
+            }
+            this.next();
+            const right = this.parseAssignment();
+            return this.finish({ type: 'Assign', operator: tok.value, left, right }, start);
+        }
+        return left;
+    }
+
+    isLValue(node) {
+        return node.type === 'Identifier' || node.type === 'Index' || node.type === 'Member'
+            || (node.type === 'Unary' && node.operator === '*');
+    }
+
+    parseConditional() {
+        const start = this.peek();
+        const test = this.parseBinary(1);
+        if (!this.match('?')) return test;
+        const consequent = this.parseExpression();
+        this.expect(':');
+        const alternate = this.parseConditional();
+        return this.finish({ type: 'Conditional', test, consequent, alternate }, start);
+    }
+
+    /**
+     * Precedence climbing over the binary operator table
+     */
+    parseBinary(minPrec) {
+        const start = this.peek();
+        let left = this.parseUnary();
+        while (true) {
+            const tok = this.peek();
+            const prec = tok.type === 'punct' ? BINARY_PRECEDENCE[tok.value] : undefined;
+            if (prec === undefined || prec < minPrec) break;
+            this.next();
+            const right = this.parseBinary(prec + 1);
+            const type = tok.value === '&&' || tok.value === '||' ? 'Logical' : 'Binary';
+            left = this.finish({ type, operator: tok.value, left, right }, start);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const start = this.peek();
+
+        if (start.type === 'punct') {
+            if (start.value === '++' || start.value === '--') {
+                this.next();
+                const argument = this.parseUnary();
+                if (!this.isLValue(argument)) {
+                    throw this.error(`lvalue required as operand of '${start.value}'`, start);
+                }
+                return this.finish({ type: 'Update', operator: start.value, prefix: true, argument }, start);
+            }
+            if (['-', '+', '!', '~', '*', '&'].includes(start.value)) {
+                this.next();
+                const argument = this.parseUnary();
+                return this.finish({ type: 'Unary', operator: start.value, argument }, start);
+            }
+            // C-style cast: "(int) x"
+            if (start.value === '(' && this.isTypeStart(1) && this.isCastAhead()) {
+                this.next();
+                const varType = this.parseType();
+                this.expect(')');
+                const argument = this.parseUnary();
+                return this.finish({ type: 'Cast', varType, argument }, start);
+            }
+        }
+
+        if (start.type === 'keyword' && start.value === 'sizeof') {
+            this.next();
+            if (this.check('(') && this.isTypeStart(1) && this.isCastAhead()) {
+                this.next();
+                const varType = this.parseType();
+                this.expect(')');
+                return this.finish({ type: 'Sizeof', varType, argument: null }, start);
+            }
+            const argument = this.parseUnary();
+            return this.finish({ type: 'Sizeof', varType: null, argument }, start);
+        }
+
+        return this.parsePostfix();
+    }
+
+    /**
+     * "(" followed by a type is a cast only if the type is closed by ")"
+     * (as opposed to a call like "(String(x))")
+     */
+    isCastAhead() {
+        const saved = this.pos;
+        try {
+            this.next();
+            this.parseType();
+            return this.check(')');
+        } catch (e) {
+            return false;
+        } finally {
+            this.pos = saved;
+        }
+    }
+
+    /**
+     * Whether '<' opens template arguments rather than a comparison: only
+     * names, numbers, ',' and '::' up to a '>' followed by '('
+     */
+    isTemplateCallAhead() {
+        if (!this.check('<')) return false;
+        for (let offset = 1; ; offset++) {
+            const tok = this.peek(offset);
+            if (this.check('>', offset)) return offset > 1 && this.check('(', offset + 1);
+            if (tok.type !== 'ident' && tok.type !== 'number' && !this.check(',', offset) && !this.check('::', offset)) return false;
+        }
+    }
+
+    parsePostfix() {
+        const start = this.peek();
+        let expr = this.parsePrimary();
+        if (expr.type === 'Identifier' && !expr.qualifier && FUNCTION_MACROS[expr.name] && this.check('(')) {
+            expr = this.expandMacro(expr.name, start);
+        }
+
+        while (true) {
+            if (this.match('(')) {
+                const args = this.check(')') ? [] : this.parseArguments();
+                this.expect(')');
+                expr = this.finish({ type: 'Call', callee: expr, args }, start);
+            } else if (this.match('[')) {
+                const index = this.parseExpression();
+                this.expect(']');
+                expr = this.finish({ type: 'Index', object: expr, index }, start);
+            } else if (this.check('.') || this.check('->')) {
+                const arrow = this.next().value === '->';
+                const prop = this.expectIdentifier('member name');
+                expr = this.finish({ type: 'Member', object: expr, property: prop.value, arrow }, start);
+                if (this.isTemplateCallAhead()) {
+                    // Member function template: "FastLED.addLeds<WS2812B, 5, GRB>(leds, 8)"
+                    this.expect('<');
+                    const templateArgs = [this.parseBinary(BINARY_PRECEDENCE['<<'])];
+                    while (this.match(',')) templateArgs.push(this.parseBinary(BINARY_PRECEDENCE['<<']));
+                    this.expect('>');
+                    this.expect('(');
+                    const args = this.check(')') ? [] : this.parseArguments();
+                    this.expect(')');
+                    expr = this.finish({ type: 'Call', callee: expr, args, templateArgs }, start);
+                }
+            } else if (this.check('++') || this.check('--')) {
+                if (!this.isLValue(expr)) {
+                    throw this.error(`lvalue required as operand of '${this.peek().value}'`);
+                }
+                const operator = this.next().value;
+                expr = this.finish({ type: 'Update', operator, prefix: false, argument: expr }, start);
+            } else {
+                break;
+            }
+        }
+        return expr;
+    }
+
+    /**
+     * Expand a call of an Arduino.h macro such as bitSet(flags, 3) into the
+     * expression it stands for, with the arguments in place of the
+     * parameters. As with the preprocessor, an argument used twice is
+     * evaluated twice.
+     */
+    expandMacro(name, start) {
+        const [params, text] = FUNCTION_MACROS[name];
+        this.expect('(');
+        const args = this.check(')') ? [] : this.parseArguments();
+        this.expect(')');
+        if (args.length < params.length) {
+            throw this.error(`macro "${name}" requires ${params.length} arguments, but only ${args.length} given`, start);
+        }
+        if (args.length > params.length) {
+            throw this.error(`macro "${name}" passed ${args.length} arguments, but takes just ${params.length}`, start);
+        }
+        if (!macroBodies.has(name)) macroBodies.set(name, new Parser(text).parseExpression());
+        const values = new Map(params.map((param, i) => [param, args[i]]));
+        return substitute(macroBodies.get(name), values, this.finish({}, start).loc);
+    }
+
+    parsePrimary() {
+        const tok = this.peek();
+
+        switch (tok.type) {
+            case 'number':
+                this.next();
+                return this.finish({
+                    type: 'Literal', kind: 'number', value: tok.value, exact: tok.exact,
+                    isFloat: tok.isFloat, radix: tok.radix, suffix: tok.suffix,
+                }, tok);
+            case 'string': {
+                this.next();
+                // Adjacent string literals are concatenated
+                let value = tok.value;
+                while (this.peek().type === 'string') value += this.next().value;
+                return this.finish({ type: 'Literal', kind: 'string', value }, tok);
+            }
+            case 'char':
+                this.next();
+                return this.finish({ type: 'Literal', kind: 'char', value: tok.value }, tok);
+            case 'keyword':
+                if (tok.value === 'true' || tok.value === 'false') {
+                    this.next();
+                    return this.finish({ type: 'Literal', kind: 'bool', value: tok.value === 'true' }, tok);
+                }
+                if (this.typeNames.has(tok.value) && this.check('(', 1)) {
+                    // Functional cast: "int(x)"
+                    const varType = this.parseType();
+                    this.expect('(');
+                    const argument = this.parseExpression();
+                    this.expect(')');
+                    return this.finish({ type: 'Cast', varType, argument }, tok);
+                }
+                break;
+            case 'ident':
+                this.next();
+                if (SCALAR_TYPES.has(tok.value) && this.check('(')) {
+                    // Functional cast with a typedef name: "byte(x)"
+                    this.expect('(');
+                    const argument = this.parseExpression();
+                    this.expect(')');
+                    const varType = this.namedType(tok.value, tok);
+                    return this.finish({ type: 'Cast', varType, argument }, tok);
+                }
+                if (this.match('::')) {
+                    // Scoped enumerator: "State::IDLE"
+                    const member = this.expectIdentifier('a name after ::');
+                    return this.finish({ type: 'Identifier', name: member.value, qualifier: tok.value }, tok);
+                }
+                return this.finish({ type: 'Identifier', name: tok.value }, tok);
+            case 'punct':
+                if (tok.value === '(') {
+                    this.next();
+                    const expr = this.parseExpression();
+                    this.expect(')');
+                    return expr;
+                }
+                break;
+        }
+
+        throw this.error(`Expected expression but found ${this.describe(tok)}`);
+    }
+}
+
+/**
+ * Copy of a macro body with its parameters replaced by copies of the
+ * argument expressions; the rest takes the location of the macro call
+ */
+function substitute(node, values, loc) {
+    if (Array.isArray(node)) return node.map(item => substitute(item, values, loc));
+    if (!node || typeof node !== 'object') return node;
+    if (node.type === 'Identifier' && values.has(node.name)) return structuredClone(values.get(node.name));
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) copy[key] = key === 'loc' ? loc : substitute(value, values, loc);
+    return copy;
+}
@@ -0,0 +1,79 @@
+/**
+ * PinCapabilities — What each GPIO of the ESP32 (WROOM-32 module) can do
+ * Shared by the PinManager's runtime checks and the static diagnostics.
+ */
+
+// ADC channel of each analog-capable pin. ADC2 is shared with the WiFi radio.
+const ADC1_CHANNELS = { 36: 0, 37: 1, 38: 2, 39: 3, 32: 4, 33: 5, 34: 6, 35: 7 };
+const ADC2_CHANNELS = { 4: 0, 0: 1, 2: 2, 15: 3, 13: 4, 12: 5, 14: 6, 27: 7, 25: 8, 26: 9 };
+const DAC_CHANNELS = { 25: 1, 26: 2 };
+const TOUCH_CHANNELS = { 4: 0, 0: 1, 2: 2, 15: 3, 13: 4, 12: 5, 14: 6, 27: 7, 33: 8, 32: 9 };
+
+// GPIO6–11 drive the module's SPI flash; 20, 24 and 28–31 aren't bonded out
+const FLASH_PINS = [6, 7, 8, 9, 10, 11];
+const MISSING_PINS = [20, 24, 28, 29, 30, 31];
+// No output driver and no internal pull resistors
+const INPUT_ONLY_PINS = [34, 35, 36, 37, 38, 39];
+
+// Level each strapping pin's internal resistor holds it at during reset,
+// and what the chip does if the circuit forces the other level
+export const STRAPPING_PINS = {
+    0: { level: 1, effect: 'the chip boots into the serial bootloader instead of the sketch' },
+    2: { level: 0, effect: 'the chip can\'t enter the serial bootloader to be flashed' },
+    5: { level: 1, effect: 'the SDIO slave timing changes' },
+    12: { level: 0, effect: 'the flash voltage is set to 1.8 V and the module fails to boot' },
+    15: { level: 1, effect: 'the boot log on UART0 is silenced' },
+};
+
+/**
+ * Capabilities of every GPIO number on the chip
+ */
+export const ESP32_PINS = {};
+for (let pin = 0; pin < 40; pin++) {
+    if (MISSING_PINS.includes(pin)) continue;
+    ESP32_PINS[pin] = {
+        flash: FLASH_PINS.includes(pin),
+        output: !INPUT_ONLY_PINS.includes(pin),
+        pulls: !INPUT_ONLY_PINS.includes(pin),
+        adc: pin in ADC1_CHANNELS ? { unit: 1, channel: ADC1_CHANNELS[pin] }
+            : pin in ADC2_CHANNELS ? { unit: 2, channel: ADC2_CHANNELS[pin] } : null,
+        dac: DAC_CHANNELS[pin] || null,
+        touch: pin in TOUCH_CHANNELS ? TOUCH_CHANNELS[pin] : null,
+        strapping: STRAPPING_PINS[pin] || null,
+    };
+}
+
+/**
+ * Why a pin can't be used the way a call uses it, or null if it can.
+ * use is 'input', 'output', 'pullup', 'pulldown', 'adc', 'dac' or 'touch'.
+ */
+export function pinIssue(pin, use) {
+    const caps = ESP32_PINS[pin];
+    if (!caps) return `GPIO${pin} doesn't exist on the ESP32`;
+    if (caps.flash) return `GPIO${pin} is wired to the SPI flash; using it crashes the ESP32`;
+    switch (use) {
+        case 'output':
+            return caps.output ? null : `GPIO${pin} is input-only and can't be an output`;
+        case 'pullup':
+        case 'pulldown':
+            return caps.pulls ? null : `GPIO${pin} has no internal ${use === 'pullup' ? 'pull-up' : 'pull-down'}; add an external resistor`;
+        case 'adc':
+            return caps.adc ? null : `GPIO${pin} has no ADC channel`;
+        case 'dac':
+            return caps.dac ? null : `GPIO${pin} has no DAC; only GPIO25 and GPIO26 do`;
+        case 'touch':
+            return caps.touch !== null ? null : `GPIO${pin} isn't a touch pin`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Why an analog read of the pin fails while WiFi is on, or null if it
+ * doesn't: the radio owns ADC2
+ */
+export function wifiAdcIssue(pin) {
+    const caps = ESP32_PINS[pin];
+    if (!caps || !caps.adc || caps.adc.unit !== 2) return null;
+    return `GPIO${pin} is on ADC2, which can't be read while WiFi is on; use an ADC1 pin (GPIO32–39)`;
+}
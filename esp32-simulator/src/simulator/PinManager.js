@@ -1,29 +1,54 @@
 /**
  * PinManager — Manages ESP32 GPIO pin states
+ * Input levels come from the Netlist: what the pin's net is driven to.
+ * Analog reads convert the pin's voltage through the Adc model.
+ * Touch pins read the capacitance of the pad wired to them.
  */
+import { Netlist } from './Netlist.js';
+import { ESP32_PINS, STRAPPING_PINS } from './PinCapabilities.js';
+import { Adc } from './Adc.js';
+
+// Supply voltage, which a driven HIGH level sits at
+export const VDD = 3.3;
+
+// touchRead() of a bare pad, and of one pressed firmly; the count falls as
+// a finger adds capacitance
+export const TOUCH_UNTOUCHED = 75;
+export const TOUCH_TOUCHED = 10;
+
 export class PinManager {
     constructor() {
         this.pins = {};
         this.listeners = [];
+        this.edgeListeners = [];
+        this.warningListeners = [];
+        this.touchListeners = [];
+        this.netlist = new Netlist();
+        this.adc = new Adc();
+        // Keys of shorted nets already reported, and floating pins read
+        this.contended = new Set();
+        this.warnedFloating = new Set();
         this.initPins();
     }
 
     initPins() {
         // ESP32 GPIO pins
         const gpios = [0, 1, 2, 3, 4, 5, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 23, 25, 26, 27, 32, 33, 34, 35, 36, 39];
-        const adcPins = [32, 33, 34, 35, 36, 39, 25, 26, 27, 14, 12, 13, 4, 0, 2, 15];
-        const dacPins = [25, 26];
 
         for (const pin of gpios) {
             this.pins[pin] = {
                 number: pin,
-                mode: 'INPUT',      // INPUT, OUTPUT, INPUT_PULLUP
-                value: 0,            // 0 or 1 for digital, 0-4095 for analog
-                analogValue: 0,      // For ADC reads
-                pwmValue: 0,         // 0-255
-                isADC: adcPins.includes(pin),
-                isDAC: dacPins.includes(pin),
+                mode: 'INPUT',      // INPUT, OUTPUT, INPUT_PULLUP, INPUT_PULLDOWN
+                value: 0,            // 0 or 1
+                voltage: null,       // Volts a component puts on it, null if none
+                duty: 0,             // PWM duty cycle, 0-1
+                frequency: 0,        // PWM frequency in Hz, 0 unless an LEDC channel drives it
+                dac: null,           // Volts the DAC drives it at, null unless dacWrite() does
+                touch: 0,            // How firmly its touch pad is touched, 0-1
+                isADC: !!ESP32_PINS[pin].adc,
+                isDAC: !!ESP32_PINS[pin].dac,
                 connected: null,     // { componentId, pinName }
+                floating: true,      // Input with nothing driving or pulling it
             };
         }
 
@@ -33,45 +58,248 @@ export class PinManager {
         this.pins['VIN'] = { number: 'VIN', mode: 'POWER', value: 1, connected: null };
     }
 
+    /**
+     * Set a pin's mode. Input-only pins have no output driver or pull
+     * resistors, so asking for those leaves them a plain input.
+     */
     pinMode(pin, mode) {
         if (this.pins[pin]) {
+            const caps = ESP32_PINS[pin];
+            if ((mode === 'OUTPUT' && !caps.output) || (mode.startsWith('INPUT_PULL') && !caps.pulls)) mode = 'INPUT';
             this.pins[pin].mode = mode;
+            // Back to a digital pin, off the DAC
+            this.pins[pin].dac = null;
+            this.resolve(pin);
             this.notify(pin);
         }
     }
 
     digitalWrite(pin, value) {
-        if (this.pins[pin]) {
-            this.pins[pin].value = value ? 1 : 0;
+        // Input-only pins have no output latch to write
+        if (this.pins[pin] && ESP32_PINS[pin].output) {
+            this.setLevel(pin, value ? 1 : 0);
+            this.resolve(pin);
             this.notify(pin);
         }
     }
 
+    /**
+     * Replace the circuit the pins are wired into (see Netlist.setCircuit)
+     */
+    setCircuit(parts, connections) {
+        this.netlist.setCircuit(parts, connections);
+        this.contended.clear();
+        this.resolveAll();
+    }
+
+    /**
+     * Update a part's attributes, e.g. a button being pressed
+     */
+    setPart(id, attrs) {
+        this.netlist.setPart(id, attrs);
+        this.resolveAll();
+    }
+
+    resolveAll() {
+        for (const pin of Object.keys(this.pins)) {
+            if (this.pins[pin].mode !== 'POWER') this.resolve(pin, null);
+        }
+    }
+
+    /**
+     * Settle the inputs affected by a change to a pin: those on its net,
+     * and on nets a resistor pulls from it. The caller notifies origin.
+     */
+    resolve(pin, origin = pin) {
+        const net = this.netlist.netOfPin(pin);
+        if (!net) {
+            const state = this.pins[pin];
+            state.floating = state.mode === 'INPUT';
+            if (state.mode !== 'OUTPUT') this.settle(pin, this.inputLevel(pin), origin);
+            return;
+        }
+        this.resolveNet(net, origin);
+        for (const other of net.resistors) this.resolveNet(other, origin);
+    }
+
+    resolveNet(net, origin) {
+        const { level, floating, contention } = this.netlist.solve(net, this.pins);
+        this.reportContention(net, contention);
+        for (const pin of net.gpios) {
+            const state = this.pins[pin];
+            if (!state) continue;
+            state.floating = floating;
+            // An undefined level leaves inputs where they were
+            if (state.mode !== 'OUTPUT' && level !== null) this.settle(pin, level, origin);
+        }
+    }
+
+    /**
+     * Warn about strapping pins the circuit holds at the wrong level while
+     * the chip resets, when every GPIO is an input with its default pull
+     */
+    checkStrapping() {
+        const bootMode = pin => {
+            const strap = STRAPPING_PINS[pin];
+            return { mode: !strap ? 'INPUT' : strap.level ? 'INPUT_PULLUP' : 'INPUT_PULLDOWN', value: 0 };
+        };
+        for (const [pin, strap] of Object.entries(STRAPPING_PINS)) {
+            const net = this.netlist.netOfPin(pin);
+            if (!net) continue;
+            const boot = Object.fromEntries(net.gpios.map(gpio => [gpio, bootMode(gpio)]));
+            const { level } = this.netlist.solve(net, boot);
+            if (level !== null && level !== strap.level) {
+                this.warn(`GPIO${pin} is a strapping pin and the circuit holds it ${level ? 'HIGH' : 'LOW'} at boot: ${strap.effect}`);
+            }
+        }
+    }
+
+    /**
+     * Level an unwired input pin reads: its pull resistor's, else the last
+     */
+    inputLevel(pin) {
+        const state = this.pins[pin];
+        if (state.mode === 'INPUT_PULLUP') return 1;
+        if (state.mode === 'INPUT_PULLDOWN') return 0;
+        return state.value;
+    }
+
+    settle(pin, level, origin) {
+        if (this.setLevel(pin, level) && String(pin) !== String(origin)) this.notify(pin);
+    }
+
+    /**
+     * Change a pin's digital level, reporting the edge if it changed.
+     * Returns whether it did.
+     */
+    setLevel(pin, level) {
+        const state = this.pins[pin];
+        if (state.value === level) return false;
+        state.value = level;
+        for (const cb of this.edgeListeners) {
+            cb(pin, level === 1);
+        }
+        return true;
+    }
+
+    reportContention(net, drivers) {
+        if (!drivers) {
+            this.contended.delete(net.key);
+            return;
+        }
+        if (this.contended.has(net.key)) return;
+        this.contended.add(net.key);
+        const names = level => drivers.filter(d => d.level === level).map(d => d.name).join(' and ');
+        this.warn(`Short circuit: ${names(1)} driving HIGH while ${names(0)} driving LOW`);
+    }
+
     digitalRead(pin) {
-        if (this.pins[pin]) {
-            return this.pins[pin].value;
+        const state = this.pins[pin];
+        if (!state) return 0;
+        if (state.floating && state.mode === 'INPUT' && !this.warnedFloating.has(String(pin))) {
+            this.warnedFloating.add(String(pin));
+            this.warn(`digitalRead(${pin}): GPIO${pin} is floating; nothing drives it and it has no pull-up or pull-down`);
         }
-        return 0;
+        return state.value;
+    }
+
+    /**
+     * Volts on a pin: what a component reports, else what a DAC on its net
+     * drives, else the level of its net
+     */
+    voltageOf(pin) {
+        const state = this.pins[pin];
+        if (!state) return 0;
+        if (state.voltage !== null) return state.voltage;
+        if (state.dac !== null) return state.dac;
+        const net = this.netlist.netOfPin(pin);
+        const dac = net ? net.gpios.find(gpio => this.pins[gpio] && this.pins[gpio].dac !== null) : undefined;
+        if (dac !== undefined) return this.pins[dac].dac;
+        return state.floating && state.mode !== 'OUTPUT' ? 0 : state.value * VDD;
     }
 
     analogRead(pin) {
-        if (this.pins[pin]) {
-            return this.pins[pin].analogValue || 0;
-        }
-        return 0;
+        return this.adc.read(pin, this.voltageOf(pin));
     }
 
-    analogWrite(pin, value) {
-        if (this.pins[pin]) {
-            this.pins[pin].pwmValue = Math.max(0, Math.min(255, value));
-            this.pins[pin].value = value > 0 ? 1 : 0;
-            this.notify(pin);
+    analogReadMilliVolts(pin) {
+        return this.adc.readMilliVolts(pin, this.voltageOf(pin));
+    }
+
+    /**
+     * Drive a pin from an LEDC channel at a duty cycle (0-1) and frequency.
+     * Frequency 0 means the channel no longer drives it.
+     */
+    setPwm(pin, duty, frequency) {
+        const state = this.pins[pin];
+        if (!state || !ESP32_PINS[pin].output) return;
+        state.duty = duty;
+        state.frequency = frequency;
+        if (frequency) state.mode = 'OUTPUT';
+        this.setLevel(pin, frequency && duty > 0 ? 1 : 0);
+        this.resolve(pin);
+        this.notify(pin);
+    }
+
+    /**
+     * Drive a DAC pin at 0-255 of VDD. Digital inputs on its net see the
+     * level the voltage reads as.
+     */
+    dacWrite(pin, value) {
+        const state = this.pins[pin];
+        if (!state || !ESP32_PINS[pin].dac) return;
+        state.dac = Math.max(0, Math.min(255, value)) / 255 * VDD;
+        state.mode = 'OUTPUT';
+        this.setLevel(pin, state.dac >= VDD / 2 ? 1 : 0);
+        this.resolve(pin);
+        this.notify(pin);
+    }
+
+    dacDisable(pin) {
+        const state = this.pins[pin];
+        if (!state || state.dac === null) return;
+        state.dac = null;
+        state.mode = 'INPUT';
+        this.resolve(pin);
+        this.notify(pin);
+    }
+
+    /**
+     * touchRead(): the pad's count, lower the firmer it is touched
+     */
+    touchRead(pin) {
+        const state = this.pins[pin];
+        if (!state || ESP32_PINS[pin].touch === null) return 0;
+        return Math.round(TOUCH_UNTOUCHED - state.touch * (TOUCH_UNTOUCHED - TOUCH_TOUCHED));
+    }
+
+    /**
+     * Touch the pad on a pin, from 0 (not at all) to 1 (firmly)
+     */
+    setTouch(pin, amount) {
+        const state = this.pins[pin];
+        if (!state || state.mode === 'POWER') return;
+        const previous = this.touchRead(pin);
+        state.touch = Math.max(0, Math.min(1, amount));
+        const reading = this.touchRead(pin);
+        for (const cb of this.touchListeners) {
+            cb(Number(pin), reading, previous);
         }
     }
 
-    setAnalogValue(pin, value) {
+    /**
+     * Subscribe to touch changes: callback(pin, reading, previous)
+     */
+    onTouch(callback) {
+        this.touchListeners.push(callback);
+    }
+
+    /**
+     * Put a component's output voltage on a pin; null removes it
+     */
+    setVoltage(pin, volts) {
         if (this.pins[pin]) {
-            this.pins[pin].analogValue = Math.max(0, Math.min(4095, value));
+            this.pins[pin].voltage = volts === null ? null : Math.max(0, Math.min(VDD, volts));
         }
     }
 
@@ -91,6 +319,34 @@ export class PinManager {
         this.listeners.push(callback);
     }
 
+    /**
+     * Subscribe to level changes: callback(pin, rising)
+     */
+    onEdge(callback) {
+        this.edgeListeners.push(callback);
+    }
+
+    /**
+     * Subscribe to electrical problems: callback(message)
+     */
+    onWarning(callback) {
+        this.warningListeners.push(callback);
+    }
+
+    warn(message) {
+        for (const cb of this.warningListeners) {
+            cb(message);
+        }
+    }
+
+    /**
+     * Report each floating pin and short again, e.g. for a new run
+     */
+    clearWarnings() {
+        this.contended.clear();
+        this.warnedFloating.clear();
+    }
+
     notify(pin) {
         for (const cb of this.listeners) {
             cb(pin, this.pins[pin]);
@@ -99,6 +355,8 @@ export class PinManager {
 
     reset() {
         this.initPins();
+        this.clearWarnings();
+        this.resolveAll();
         for (const pin of Object.keys(this.pins)) {
             this.notify(pin);
         }
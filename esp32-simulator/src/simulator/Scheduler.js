@@ -0,0 +1,358 @@
+/**
+ * Scheduler — Cooperative emulation of the FreeRTOS scheduler
+ * Each task is its own interpreter context (an async call chain). Only the
+ * task the scheduler has handed the CPU to makes progress; it gives the CPU
+ * back when it blocks, or when it is preempted on a statement boundary at
+ * the 1 ms tick. Both cores are scheduled as one, so core affinity is
+ * metadata only.
+ */
+
+// configTICK_RATE_HZ is 1000 in the ESP32 Arduino core
+export const TICK_MICROS = 1000;
+// portMAX_DELAY: block without a timeout
+export const MAX_DELAY = 0xFFFFFFFF;
+export const MAX_PRIORITIES = 25;
+
+// Task states, as eTaskGetState() names them
+export const TASK_STATES = ['Running', 'Ready', 'Blocked', 'Suspended', 'Deleted'];
+
+export class Task {
+    constructor({ name, priority, core, stackDepth, body }) {
+        this.name = name;
+        this.priority = priority;
+        // Core the task is pinned to, or null for no affinity
+        this.core = core;
+        this.stackDepth = stackDepth;
+        this.body = body;
+        this.state = 'Ready';
+        // Virtual time at which a blocked task times out
+        this.wakeAt = Infinity;
+        // Wait list of the queue, semaphore, ... the task is blocked on
+        this.waitList = null;
+        this.timedOut = false;
+        // Resolves the promise the task is parked on, handing it the CPU
+        this.resume = null;
+        // Order in which tasks became ready, for round-robin between equals
+        this.readySeq = 0;
+        // Interpreter call depth, and the deepest it has been
+        this.callDepth = 0;
+        this.maxCallDepth = 0;
+        // Functions being run ({ func, scope }), and the statement running
+        this.frames = [];
+        this.node = null;
+        this.scope = null;
+        // Line of the last statement reported to the debugger
+        this.debugLine = null;
+        // Task notification value and whether one is pending
+        this.notifyValue = 0;
+        this.notifyPending = false;
+        this.notifyWaiters = [];
+        // Bits an event group wait is for, and the bits that released it
+        this.eventWait = null;
+        this.eventResult = null;
+        // Virtual microseconds spent running
+        this.runTime = 0;
+    }
+}
+
+export class Scheduler {
+    /**
+     * @param {Clock} clock
+     */
+    constructor(clock) {
+        this.clock = clock;
+        this.reset();
+    }
+
+    reset() {
+        this.tasks = [];
+        this.current = null;
+        this.running = false;
+        this.error = null;
+        this.handBack = null;
+        this.seq = 0;
+        this.nextTick = 0;
+        // A task became ready that outranks the running one
+        this.switchPending = false;
+        this.switchedInAt = 0;
+    }
+
+    /**
+     * Create a task; it first runs when the scheduler picks it
+     */
+    createTask(options) {
+        const task = new Task(options);
+        this.tasks.push(task);
+        task.readySeq = ++this.seq;
+        const turn = new Promise(resolve => { task.resume = resolve; });
+        turn.then(() => task.body())
+            .catch(err => { this.error = this.error || err; })
+            .finally(() => {
+                task.state = 'Deleted';
+                this.switchOut(task);
+            });
+        if (this.current && task.priority > this.current.priority) this.switchPending = true;
+        return task;
+    }
+
+    /**
+     * Run tasks until stopped. idle(micros) is called to let time pass
+     * while no task is ready; micros is the time until the next one wakes
+     * up. Interrupts still need servicing after every task has ended.
+     */
+    async run(idle) {
+        this.running = true;
+        while (this.running) {
+            this.wakeDue();
+            const next = this.pickReady();
+            if (next) {
+                await this.switchTo(next);
+            } else {
+                await idle(this.untilNextWake());
+            }
+            if (this.error) throw this.error;
+        }
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Hand the CPU to a task until it gives it back
+     */
+    switchTo(task) {
+        this.current = task;
+        task.state = 'Running';
+        this.switchedInAt = this.clock.micros;
+        return new Promise(resolve => {
+            this.handBack = resolve;
+            const resume = task.resume;
+            task.resume = null;
+            resume();
+        });
+    }
+
+    /**
+     * Give the CPU back to the scheduler's run loop
+     */
+    switchOut(task) {
+        if (this.current !== task) return;
+        task.runTime += this.clock.micros - this.switchedInAt;
+        this.current = null;
+        const handBack = this.handBack;
+        this.handBack = null;
+        if (handBack) handBack();
+    }
+
+    /**
+     * Park the running task, already marked with its new state, until the
+     * scheduler runs it again
+     */
+    park() {
+        const task = this.current;
+        const turn = new Promise(resolve => { task.resume = resolve; });
+        this.switchOut(task);
+        return turn;
+    }
+
+    /**
+     * Block the running task until woken or until wakeAt. Returns true if it
+     * timed out.
+     */
+    async block(wakeAt, waitList = null) {
+        const task = this.current;
+        task.state = 'Blocked';
+        task.wakeAt = wakeAt;
+        task.timedOut = false;
+        task.waitList = waitList;
+        if (waitList) waitList.push(task);
+        await this.park();
+        return task.timedOut;
+    }
+
+    /**
+     * vTaskDelay(): block for a number of ticks, waking on a tick boundary
+     */
+    delay(ticks) {
+        if (ticks <= 0) return this.yield();
+        const tick = Math.floor(this.clock.micros / TICK_MICROS);
+        return this.block((tick + ticks) * TICK_MICROS);
+    }
+
+    /**
+     * taskYIELD(): let other ready tasks of the same priority run
+     */
+    async yield() {
+        const next = this.pickReady();
+        if (!next || next.priority < this.current.priority) return;
+        this.makeReady(this.current);
+        await this.park();
+    }
+
+    /**
+     * Called between statements of the running task: handle the tick and
+     * switch if a higher-priority task is ready, or take turns with tasks
+     * of equal priority once per tick (time slicing)
+     */
+    async preempt() {
+        const tick = this.clock.micros >= this.nextTick;
+        if (tick) this.nextTick = (Math.floor(this.clock.micros / TICK_MICROS) + 1) * TICK_MICROS;
+        this.switchPending = false;
+        const task = this.current;
+        if (!task) return;
+
+        this.wakeDue();
+        const next = this.pickReady();
+        if (next && (next.priority > task.priority || (tick && next.priority === task.priority))) {
+            this.makeReady(task);
+            await this.park();
+        }
+    }
+
+    makeReady(task) {
+        task.state = 'Ready';
+        task.readySeq = ++this.seq;
+    }
+
+    /**
+     * Unblock a task. Returns true if it outranks the running task.
+     */
+    wake(task, timedOut = false) {
+        if (task.state !== 'Blocked') return false;
+        if (task.waitList) {
+            const i = task.waitList.indexOf(task);
+            if (i >= 0) task.waitList.splice(i, 1);
+        }
+        task.waitList = null;
+        task.wakeAt = Infinity;
+        task.timedOut = timedOut;
+        this.makeReady(task);
+        const higher = !this.current || task.priority > this.current.priority;
+        if (higher) this.switchPending = true;
+        return higher;
+    }
+
+    /**
+     * Wake the highest-priority task waiting on a list
+     */
+    wakeOne(waitList) {
+        const task = highestPriority(waitList);
+        return task ? this.wake(task) : false;
+    }
+
+    /**
+     * Wake every task waiting on a list, e.g. for an event group
+     */
+    wakeAll(waitList) {
+        let higher = false;
+        for (const task of [...waitList]) higher = this.wake(task) || higher;
+        return higher;
+    }
+
+    suspend(task) {
+        if (task.state === 'Blocked') this.wake(task);
+        task.state = 'Suspended';
+        if (task === this.current) return this.park();
+        return null;
+    }
+
+    resumeTask(task) {
+        if (task.state !== 'Suspended') return false;
+        this.makeReady(task);
+        const higher = !this.current || task.priority > this.current.priority;
+        if (higher) this.switchPending = true;
+        return higher;
+    }
+
+    /**
+     * vTaskDelete(): the task never runs again
+     */
+    deleteTask(task) {
+        if (task.state === 'Blocked') this.wake(task);
+        task.state = 'Deleted';
+        if (task === this.current) return this.park();
+        return null;
+    }
+
+    setPriority(task, priority) {
+        task.priority = priority;
+        this.switchPending = true;
+    }
+
+    wakeDue() {
+        for (const task of this.tasks) {
+            if (task.state === 'Blocked' && task.wakeAt <= this.clock.micros) this.wake(task, true);
+        }
+    }
+
+    untilNextWake() {
+        let next = Infinity;
+        for (const task of this.tasks) {
+            if (task.state === 'Blocked') next = Math.min(next, task.wakeAt);
+        }
+        return Math.max(0, next - this.clock.micros);
+    }
+
+    pickReady() {
+        return highestPriority(this.tasks.filter(t => t.state === 'Ready'));
+    }
+
+    get tickCount() {
+        return Math.floor(this.clock.micros / TICK_MICROS) >>> 0;
+    }
+}
+
+/**
+ * Highest-priority task of a list; among equals, the one ready longest
+ */
+function highestPriority(tasks) {
+    let best = null;
+    for (const task of tasks) {
+        if (!best || task.priority > best.priority || (task.priority === best.priority && task.readySeq < best.readySeq)) best = task;
+    }
+    return best;
+}
+
+/**
+ * FreeRTOS queue of fixed-size items, copied in and out by value
+ */
+export class Queue {
+    constructor(length, itemSize) {
+        this.length = length;
+        this.itemSize = itemSize;
+        this.items = [];
+        this.senders = [];
+        this.receivers = [];
+    }
+
+    get spaces() {
+        return this.length - this.items.length;
+    }
+}
+
+/**
+ * Binary, counting and (recursive) mutex semaphores
+ */
+export class Semaphore {
+    constructor(kind, max, initial) {
+        // 'binary', 'counting', 'mutex' or 'recursive'
+        this.kind = kind;
+        this.max = max;
+        this.count = initial;
+        this.owner = null;
+        this.recursion = 0;
+        this.waiters = [];
+    }
+
+    get isMutex() {
+        return this.kind === 'mutex' || this.kind === 'recursive';
+    }
+}
+
+export class EventGroup {
+    constructor() {
+        this.bits = 0;
+        this.waiters = [];
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Servo — The ESP32Servo library, which sketches also include as Servo.h
+ * Each servo gets an LEDC channel with a 16-bit timer at 50 Hz. The pulse
+ * width, from 500 to 2500 µs, sets the angle: write() takes degrees
+ * (anything below 500) or microseconds, and maps degrees onto the
+ * attach() range.
+ */
+
+// Pulse widths the library allows, and the centre
+export const MIN_PULSE_WIDTH = 500;
+export const MAX_PULSE_WIDTH = 2500;
+export const DEFAULT_PULSE_WIDTH = 1500;
+// attach(pin) without a range assumes these ends
+const DEFAULT_US_LOW = 544;
+const DEFAULT_US_HIGH = 2400;
+export const SERVO_TIMER_WIDTH = 16;
+const REFRESH_CPS = 50;
+
+/**
+ * Arduino's map(), in integers
+ */
+function mapRange(x, inMin, inMax, outMin, outMax) {
+    return Math.trunc((x - inMin) * (outMax - outMin) / (inMax - inMin)) + outMin;
+}
+
+export class Servo {
+    /**
+     * @param {Ledc} ledc
+     */
+    constructor(ledc) {
+        this.ledc = ledc;
+        this.pin = -1;
+        this.channel = -1;
+        this.min = DEFAULT_US_LOW;
+        this.max = DEFAULT_US_HIGH;
+        // Frame rate, which setPeriodHertz() changes for the next attach()
+        this.frequency = REFRESH_CPS;
+        this.ticks = this.usToTicks(DEFAULT_PULSE_WIDTH);
+    }
+
+    /**
+     * Route the pin from a channel; no pulses go out until a write().
+     * Returns the channel, or 0 if its timer can't be set up.
+     */
+    attach(pin, channel, min = DEFAULT_US_LOW, max = DEFAULT_US_HIGH) {
+        if (!this.ledc.setup(channel, this.frequency, SERVO_TIMER_WIDTH)) return 0;
+        this.min = Math.max(min, MIN_PULSE_WIDTH);
+        this.max = Math.min(max, MAX_PULSE_WIDTH);
+        this.pin = pin;
+        this.channel = channel;
+        this.ledc.attachPin(pin, channel);
+        return channel;
+    }
+
+    detach() {
+        if (!this.attached()) return;
+        this.ledc.detachPin(this.pin);
+        this.ledc.release(this.channel);
+        this.pin = -1;
+        this.channel = -1;
+    }
+
+    attached() {
+        return this.pin !== -1;
+    }
+
+    setPeriodHertz(hertz) {
+        this.frequency = hertz;
+    }
+
+    /**
+     * Degrees below MIN_PULSE_WIDTH, otherwise microseconds
+     */
+    write(value) {
+        if (value < MIN_PULSE_WIDTH) {
+            value = mapRange(Math.max(0, Math.min(180, value)), 0, 180, this.min, this.max);
+        }
+        this.writeMicroseconds(value);
+    }
+
+    writeMicroseconds(us) {
+        if (!this.attached()) return;
+        const ticks = this.usToTicks(us);
+        this.ticks = Math.max(this.usToTicks(this.min), Math.min(this.usToTicks(this.max), ticks));
+        this.ledc.write(this.channel, this.ticks);
+    }
+
+    readMicroseconds() {
+        return this.attached() ? this.ticksToUs(this.ticks) : 0;
+    }
+
+    /**
+     * The angle last written, as near as the timer's ticks give it back
+     */
+    read() {
+        return mapRange(this.readMicroseconds() + 1, this.min, this.max, 0, 180);
+    }
+
+    usToTicks(us) {
+        return Math.trunc(us / (1e6 / this.frequency / 2 ** SERVO_TIMER_WIDTH));
+    }
+
+    ticksToUs(ticks) {
+        return Math.trunc(ticks * (1e6 / this.frequency / 2 ** SERVO_TIMER_WIDTH));
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * Ssd1306 — A 128×64 or 128×32 SSD1306 OLED on I2C, and the
+ * Adafruit_SSD1306 library sketches drive it with
+ * Each I2C transaction starts with a control byte: D/C# picks commands or
+ * display RAM data, and with Co clear the rest of the transaction is all
+ * of that kind. The RAM is 8 pages of 128 column bytes, bit 0 at the top.
+ */
+import { AdafruitGfx } from './Gfx.js';
+
+export const DEFAULT_OLED_ADDRESS = 0x3C;
+const COLUMNS = 128;
+const PAGES = 8;
+
+// Parameter bytes that follow each command opcode
+const PARAMETERS = {
+    0x20: 1, 0x21: 2, 0x22: 2, 0x26: 6, 0x27: 6, 0x29: 5, 0x2A: 5, 0x81: 1, 0x8D: 1,
+    0xA3: 2, 0xA8: 1, 0xD3: 1, 0xD5: 1, 0xD9: 1, 0xDA: 1, 0xDB: 1,
+};
+
+// Memory addressing modes (command 0x20)
+const HORIZONTAL = 0;
+const VERTICAL = 1;
+const PAGE = 2;
+
+/**
+ * Panel height from a part attribute such as '128x32'
+ */
+function parseHeight(size) {
+    return size === '128x32' ? 32 : 64;
+}
+
+export class Ssd1306 {
+    constructor(attrs) {
+        this.configure(attrs);
+        this.reset();
+    }
+
+    configure(attrs) {
+        const address = typeof attrs.address === 'string' ? parseInt(attrs.address, 16) : attrs.address;
+        this.address = Number.isInteger(address) ? address : DEFAULT_OLED_ADDRESS;
+        this.height = parseHeight(attrs.size);
+    }
+
+    /**
+     * Power-on state: display off, charge pump off, page addressing
+     */
+    reset() {
+        this.ram = new Uint8Array(COLUMNS * PAGES);
+        this.on = false;
+        this.chargePump = false;
+        this.contrast = 0x7F;
+        this.invert = false;
+        this.allOn = false;
+        this.mode = PAGE;
+        this.column = 0;
+        this.page = 0;
+        this.columnStart = 0;
+        this.columnEnd = COLUMNS - 1;
+        this.pageStart = 0;
+        this.pageEnd = PAGES - 1;
+        this.startLine = 0;
+        this.offset = 0;
+        this.multiplex = 63;
+        this.segmentRemap = false;
+        this.comRemap = false;
+        // The command being collected: opcode and parameters so far
+        this.pending = null;
+    }
+
+    write(bytes) {
+        let i = 0;
+        while (i < bytes.length) {
+            const control = bytes[i++];
+            const data = !!(control & 0x40);
+            if (control & 0x80) {
+                // Co set: one byte, then another control byte
+                if (i < bytes.length) this.receive(bytes[i++], data);
+            } else {
+                while (i < bytes.length) this.receive(bytes[i++], data);
+            }
+        }
+    }
+
+    /**
+     * Only the status byte can be read over I2C: bit 6 set while the display is off
+     */
+    read(count) {
+        return new Array(count).fill(this.on ? 0x00 : 0x40);
+    }
+
+    receive(byte, data) {
+        if (data) {
+            this.writeRam(byte);
+            return;
+        }
+        if (this.pending) {
+            this.pending.push(byte);
+        } else {
+            this.pending = [byte];
+        }
+        if (this.pending.length > (PARAMETERS[this.pending[0]] || 0)) {
+            const [opcode, ...params] = this.pending;
+            this.pending = null;
+            this.command(opcode, params);
+        }
+    }
+
+    command(opcode, params) {
+        if (opcode < 0x10) {
+            this.column = (this.column & 0xF0) | opcode;
+        } else if (opcode < 0x20) {
+            this.column = ((opcode & 0x07) << 4) | (this.column & 0x0F);
+        } else if (opcode >= 0x40 && opcode < 0x80) {
+            this.startLine = opcode & 0x3F;
+        } else if (opcode >= 0xB0 && opcode < 0xB8) {
+            this.page = opcode & 0x07;
+        } else {
+            switch (opcode) {
+                case 0x20: this.mode = params[0] & 0x03; break;
+                case 0x21:
+                    this.columnStart = params[0] & 0x7F;
+                    this.columnEnd = params[1] & 0x7F;
+                    this.column = this.columnStart;
+                    break;
+                case 0x22:
+                    this.pageStart = params[0] & 0x07;
+                    this.pageEnd = params[1] & 0x07;
+                    this.page = this.pageStart;
+                    break;
+                case 0x81: this.contrast = params[0]; break;
+                case 0x8D: this.chargePump = !!(params[0] & 0x04); break;
+                case 0xA0: case 0xA1: this.segmentRemap = opcode === 0xA1; break;
+                case 0xA4: case 0xA5: this.allOn = opcode === 0xA5; break;
+                case 0xA6: case 0xA7: this.invert = opcode === 0xA7; break;
+                case 0xA8: this.multiplex = Math.max(15, params[0] & 0x3F); break;
+                case 0xAE: case 0xAF: this.on = opcode === 0xAF; break;
+                case 0xC0: case 0xC8: this.comRemap = opcode === 0xC8; break;
+                case 0xD3: this.offset = params[0] & 0x3F; break;
+                // Timing, COM pin wiring, scrolling: nothing a still picture shows
+                default: break;
+            }
+        }
+    }
+
+    /**
+     * Store a data byte and step the address the way the mode says
+     */
+    writeRam(byte) {
+        this.ram[this.page * COLUMNS + this.column] = byte;
+        if (this.mode === PAGE) {
+            this.column = (this.column + 1) % COLUMNS;
+        } else if (this.mode === HORIZONTAL) {
+            if (this.column < this.columnEnd) {
+                this.column++;
+            } else {
+                this.column = this.columnStart;
+                this.page = this.page < this.pageEnd ? this.page + 1 : this.pageStart;
+            }
+        } else if (this.mode === VERTICAL) {
+            if (this.page < this.pageEnd) {
+                this.page++;
+            } else {
+                this.page = this.pageStart;
+                this.column = this.column < this.columnEnd ? this.column + 1 : this.columnStart;
+            }
+        }
+    }
+
+    /**
+     * The panel as the page draws it: { width, height, lit, contrast,
+     * pixels } with pixels a row-major bitmap, 16 bytes a row, most
+     * significant bit leftmost. Modules are mounted so that segment and
+     * COM remapping, as the library sets them, show the picture upright.
+     */
+    state() {
+        const width = COLUMNS;
+        const height = this.height;
+        const pixels = new Array(height * width / 8).fill(0);
+        const lit = this.on && this.chargePump;
+        if (lit) {
+            for (let y = 0; y < height; y++) {
+                // The row counter scans down or up the COM lines
+                const counter = this.comRemap ? y : this.multiplex - y;
+                if (counter < 0 || counter > this.multiplex) continue;
+                const row = (counter + this.startLine + this.offset) & 63;
+                for (let x = 0; x < width; x++) {
+                    const column = this.segmentRemap ? x : COLUMNS - 1 - x;
+                    let on = this.allOn || !!(this.ram[(row >> 3) * COLUMNS + column] & (1 << (row & 7)));
+                    if (this.invert) on = !on;
+                    if (on) pixels[y * width / 8 + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+        }
+        return { width, height, lit, contrast: this.contrast, pixels };
+    }
+}
+
+// Adafruit_SSD1306 colours and supply options
+export const SSD1306_BLACK = 0;
+export const SSD1306_WHITE = 1;
+export const SSD1306_INVERSE = 2;
+export const SSD1306_EXTERNALVCC = 0x01;
+export const SSD1306_SWITCHCAPVCC = 0x02;
+
+// Bytes the library puts in one Wire transmission
+const WIRE_MAX = 128;
+
+/**
+ * The Adafruit_SSD1306 library: draws into its own buffer with
+ * Adafruit_GFX, and display() copies the buffer to the panel over Wire
+ */
+export class AdafruitSsd1306 extends AdafruitGfx {
+    /**
+     * @param {TwoWire} wire
+     */
+    constructor(wire, width, height, clockDuring = 400000, clockAfter = 100000) {
+        super(width, height);
+        this.wire = wire;
+        this.clockDuring = clockDuring;
+        this.clockAfter = clockAfter;
+        this.buffer = null;
+        this.address = 0;
+        this.vccState = SSD1306_SWITCHCAPVCC;
+        this.contrast = 0;
+    }
+
+    /**
+     * Allocate the buffer and send the panel its setup; false only if the
+     * buffer can't be had, as the library never checks for an ACK
+     */
+    async begin(vccState = SSD1306_SWITCHCAPVCC, address = 0, periphBegin = true) {
+        this.buffer = new Uint8Array(this.WIDTH * ((this.HEIGHT + 7) >> 3));
+        this.clearDisplay();
+        this.vccState = vccState;
+        this.address = address || (this.HEIGHT === 32 ? 0x3C : 0x3D);
+        if (periphBegin && !this.wire.started) this.wire.begin();
+
+        const external = vccState === SSD1306_EXTERNALVCC;
+        let comPins = 0x02;
+        this.contrast = 0x8F;
+        if (this.WIDTH === 128 && this.HEIGHT === 64) {
+            comPins = 0x12;
+            this.contrast = external ? 0x9F : 0xCF;
+        } else if (this.WIDTH === 96 && this.HEIGHT === 16) {
+            this.contrast = external ? 0x10 : 0xAF;
+        }
+        await this.commandList([
+            0xAE, 0xD5, 0x80, 0xA8, this.HEIGHT - 1,
+            0xD3, 0x00, 0x40, 0x8D, external ? 0x10 : 0x14,
+            0x20, 0x00, 0xA1, 0xC8,
+            0xDA, comPins, 0x81, this.contrast,
+            0xD9, external ? 0x22 : 0xF1, 0xDB, 0x40, 0xA4, 0xA6, 0x2E, 0xAF,
+        ]);
+        return true;
+    }
+
+    /**
+     * Commands in as few transmissions as the buffer allows
+     */
+    async commandList(commands) {
+        this.wire.setClock(this.clockDuring);
+        for (let i = 0; i < commands.length; i += WIRE_MAX - 1) {
+            this.wire.beginTransmission(this.address);
+            this.wire.write([0x00, ...commands.slice(i, i + WIRE_MAX - 1)]);
+            await this.wire.endTransmission();
+        }
+        this.wire.setClock(this.clockAfter);
+    }
+
+    async command(c) {
+        await this.commandList([c]);
+    }
+
+    async display() {
+        if (!this.buffer) return;
+        await this.commandList([0x22, 0x00, 0xFF, 0x21, 0x00, this.WIDTH - 1]);
+        this.wire.setClock(this.clockDuring);
+        for (let i = 0; i < this.buffer.length; i += WIRE_MAX - 1) {
+            this.wire.beginTransmission(this.address);
+            this.wire.write([0x40, ...this.buffer.subarray(i, i + WIRE_MAX - 1)]);
+            await this.wire.endTransmission();
+        }
+        this.wire.setClock(this.clockAfter);
+    }
+
+    clearDisplay() {
+        if (this.buffer) this.buffer.fill(0);
+    }
+
+    async invertDisplay(invert) {
+        await this.command(invert ? 0xA7 : 0xA6);
+    }
+
+    async dim(dim) {
+        await this.commandList([0x81, dim ? 0 : this.contrast]);
+    }
+
+    /**
+     * Set, clear or flip a pixel of the buffer, in rotated coordinates
+     */
+    drawPixel(x, y, color) {
+        const location = this.locate(x, y);
+        if (location === null) return;
+        const [index, bit] = location;
+        if (color === SSD1306_WHITE) this.buffer[index] |= bit;
+        else if (color === SSD1306_BLACK) this.buffer[index] &= ~bit;
+        else if (color === SSD1306_INVERSE) this.buffer[index] ^= bit;
+    }
+
+    getPixel(x, y) {
+        const location = this.locate(x, y);
+        return location !== null && !!(this.buffer[location[0]] & location[1]);
+    }
+
+    /**
+     * Buffer byte and bit of a pixel, null if it's off the display
+     */
+    locate(x, y) {
+        if (!this.buffer || x < 0 || x >= this.width || y < 0 || y >= this.height) return null;
+        switch (this.rotation) {
+            case 1: [x, y] = [this.WIDTH - y - 1, x]; break;
+            case 2: [x, y] = [this.WIDTH - x - 1, this.HEIGHT - y - 1]; break;
+            case 3: [x, y] = [y, this.HEIGHT - x - 1]; break;
+            default: break;
+        }
+        return [x + (y >> 3) * this.WIDTH, 1 << (y & 7)];
+    }
+}
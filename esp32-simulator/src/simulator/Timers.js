@@ -0,0 +1,156 @@
+/**
+ * Timers — ESP32 general-purpose hardware timers and the Ticker library,
+ * both driven by the simulation clock
+ */
+
+// Timers count the 80 MHz APB clock through a 16-bit prescaler
+export const APB_CLOCK_HZ = 80000000;
+// Two timer groups of two timers each
+export const TIMER_COUNT = 4;
+
+/**
+ * One 64-bit up/down counter with an alarm (hw_timer_t)
+ */
+export class HardwareTimer {
+    /**
+     * @param {number} num timer number, 0 to TIMER_COUNT - 1
+     * @param {number} frequency counter ticks per second
+     * @param {boolean} countUp
+     * @param {Clock} clock
+     * @param {Function} onAlarm called with the timer each time its alarm fires
+     */
+    constructor(num, frequency, countUp, clock, onAlarm) {
+        this.num = num;
+        this.frequency = frequency;
+        this.countUp = countUp;
+        this.clock = clock;
+        this.onAlarm = onAlarm;
+        // The counter held `count` at virtual time `since`
+        this.count = 0;
+        this.since = clock.micros;
+        this.running = true;
+        this.alarmValue = 0;
+        this.autoreload = false;
+        this.alarmEnabled = false;
+        // Alarms left before the alarm disables itself; 0 = unlimited
+        this.reloadCount = 0;
+        this.reloads = 0;
+        this.alarm = null;
+    }
+
+    get tickMicros() {
+        return 1e6 / this.frequency;
+    }
+
+    read() {
+        if (!this.running) return this.count;
+        const ticks = Math.floor((this.clock.micros - this.since) / this.tickMicros + 1e-9);
+        return Math.max(0, this.countUp ? this.count + ticks : this.count - ticks);
+    }
+
+    write(value) {
+        this.count = value;
+        this.since = this.clock.micros;
+        this.schedule();
+    }
+
+    start() {
+        if (this.running) return;
+        this.since = this.clock.micros;
+        this.running = true;
+        this.schedule();
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.count = this.read();
+        this.running = false;
+        this.schedule();
+    }
+
+    setAlarm(value, autoreload, enabled, reloadCount = 0) {
+        this.alarmValue = value;
+        this.autoreload = autoreload;
+        this.alarmEnabled = enabled;
+        this.reloadCount = reloadCount;
+        this.reloads = 0;
+        this.schedule();
+    }
+
+    enableAlarm(enabled) {
+        this.alarmEnabled = enabled;
+        this.schedule();
+    }
+
+    end() {
+        this.running = false;
+        this.alarmEnabled = false;
+        this.schedule();
+    }
+
+    /**
+     * Book the clock alarm for when the counter reaches the alarm value
+     */
+    schedule() {
+        if (this.alarm) this.clock.cancelAlarm(this.alarm);
+        this.alarm = null;
+        if (!this.running || !this.alarmEnabled) return;
+
+        const elapsed = (this.clock.micros - this.since) / this.tickMicros;
+        let ticks = this.countUp ? this.alarmValue - this.count : this.count - this.alarmValue;
+        // An alarm value the counter has already passed fires on the next tick
+        if (ticks <= elapsed) ticks = Math.floor(elapsed + 1e-9) + 1;
+        this.alarm = this.clock.setAlarm(this.since + ticks * this.tickMicros, at => this.fire(at));
+    }
+
+    fire(at) {
+        this.alarm = null;
+        this.since = at;
+        if (this.autoreload) {
+            this.count = 0;
+            if (this.reloadCount && ++this.reloads >= this.reloadCount) this.alarmEnabled = false;
+        } else {
+            this.count = this.alarmValue;
+            this.alarmEnabled = false;
+        }
+        this.onAlarm(this);
+        this.schedule();
+    }
+}
+
+/**
+ * Ticker library object: calls a function once or periodically
+ */
+export class Ticker {
+    /**
+     * @param {Clock} clock
+     * @param {Function} onTick called with the ticker each time it fires
+     */
+    constructor(clock, onTick) {
+        this.clock = clock;
+        this.onTick = onTick;
+        this.alarm = null;
+    }
+
+    /**
+     * Fire after periodMicros, and every periodMicros after that if repeat
+     */
+    attach(periodMicros, repeat) {
+        this.detach();
+        const period = Math.max(1, periodMicros);
+        const tick = (at) => {
+            this.alarm = repeat ? this.clock.setAlarm(at + period, tick) : null;
+            this.onTick(this);
+        };
+        this.alarm = this.clock.setAlarm(this.clock.micros + period, tick);
+    }
+
+    detach() {
+        if (this.alarm) this.clock.cancelAlarm(this.alarm);
+        this.alarm = null;
+    }
+
+    active() {
+        return this.alarm !== null;
+    }
+}
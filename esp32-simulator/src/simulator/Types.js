@@ -0,0 +1,521 @@
+/**
+ * Types — C types as seen by the ESP32 (32-bit Xtensa) toolchain
+ * Type descriptors, the usual arithmetic conversions, value wrapping and
+ * the runtime representation of arrays, structs and pointers
+ */
+
+function integer(name, bits, signed, rank) {
+    return { name, kind: 'int', bits, signed, rank };
+}
+
+// Canonical descriptors. On Xtensa int and long are both 32 bits and plain char is signed.
+export const TYPES = {
+    'void': { name: 'void', kind: 'void' },
+    'bool': integer('bool', 1, false, 0),
+    'char': integer('char', 8, true, 1),
+    'signed char': integer('signed char', 8, true, 1),
+    'unsigned char': integer('unsigned char', 8, false, 1),
+    'short': integer('short', 16, true, 2),
+    'unsigned short': integer('unsigned short', 16, false, 2),
+    'int': integer('int', 32, true, 3),
+    'unsigned int': integer('unsigned int', 32, false, 3),
+    'long': integer('long', 32, true, 4),
+    'unsigned long': integer('unsigned long', 32, false, 4),
+    'long long': integer('long long', 64, true, 5),
+    'unsigned long long': integer('unsigned long long', 64, false, 5),
+    'float': { name: 'float', kind: 'float', bits: 32 },
+    'double': { name: 'double', kind: 'float', bits: 64 },
+    'String': { name: 'String', kind: 'string' },
+};
+TYPES['const char*'] = { name: 'const char*', kind: 'pointer', to: TYPES.char };
+
+// Arduino and <stdint.h> typedefs
+const ALIASES = {
+    'boolean': 'bool',
+    'byte': 'unsigned char',
+    'word': 'unsigned short',
+    'size_t': 'unsigned int',
+    'int8_t': 'signed char',
+    'uint8_t': 'unsigned char',
+    'int16_t': 'short',
+    'uint16_t': 'unsigned short',
+    'int32_t': 'int',
+    'uint32_t': 'unsigned int',
+    'int64_t': 'long long',
+    'uint64_t': 'unsigned long long',
+    // FreeRTOS
+    'BaseType_t': 'int',
+    'UBaseType_t': 'unsigned int',
+    'TickType_t': 'unsigned int',
+    'EventBits_t': 'unsigned int',
+    // ESP32 core enums
+    'note_t': 'int',
+    'adc_attenuation_t': 'int',
+    'touch_value_t': 'unsigned short',
+};
+
+// FreeRTOS handles: pointers to opaque kernel objects
+const HANDLE_TYPES = {
+    'TaskHandle_t': 'tskTaskControlBlock',
+    'QueueHandle_t': 'QueueDefinition',
+    'SemaphoreHandle_t': 'QueueDefinition',
+    'EventGroupHandle_t': 'EventGroupDef_t',
+};
+
+const C_TYPE_WORDS = new Set(['void', 'bool', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned']);
+
+export function pointerTo(type, isConst = false) {
+    return { name: `${isConst ? 'const ' : ''}${type.name}*`, kind: 'pointer', to: type };
+}
+
+export function arrayOf(type, length) {
+    const dim = `[${length ?? ''}]`;
+    // int[4] of length 3 is written int[3][4]
+    const name = type.kind === 'array' ? type.name.replace('[', `${dim}[`) : `${type.name}${dim}`;
+    return { name, kind: 'array', of: type, length };
+}
+
+/**
+ * Map a parsed type ({ name, pointer, ... }) or a type name to its
+ * descriptor. `named` holds the sketch's struct and typedef names.
+ */
+export function resolveType(varType, named = {}) {
+    const spec = typeof varType === 'string' ? { name: varType, pointer: 0 } : varType;
+    let type = named[spec.name] || resolveBaseType(spec.name);
+    for (let i = 0; i < (spec.pointer || 0); i++) type = pointerTo(type, i === 0 && spec.isConst);
+    return type;
+}
+
+function resolveBaseType(name) {
+    const words = name.split(/\s+/);
+    if (words.length === 1 && ALIASES[words[0]]) return TYPES[ALIASES[words[0]]];
+    if (words.length === 1 && TYPES[words[0]]) return TYPES[words[0]];
+    if (words.length === 1 && HANDLE_TYPES[name]) return { name, kind: 'pointer', to: { name: HANDLE_TYPES[name], kind: 'object' } };
+    if (!words.some(w => C_TYPE_WORDS.has(w))) return { name, kind: 'object' };
+
+    // Normalise combinations such as "long unsigned int" or "signed"
+    const unsigned = words.includes('unsigned');
+    const longs = words.filter(w => w === 'long').length;
+    let base;
+    if (words.includes('char')) base = unsigned ? 'unsigned char' : words.includes('signed') ? 'signed char' : 'char';
+    else if (words.includes('double')) base = 'double';
+    else if (words.includes('short')) base = 'short';
+    else if (longs >= 2) base = 'long long';
+    else if (longs === 1) base = 'long';
+    else base = 'int';
+
+    if (unsigned && !base.startsWith('unsigned') && TYPES[`unsigned ${base}`]) base = `unsigned ${base}`;
+    return TYPES[base] || TYPES.int;
+}
+
+/**
+ * long long and its typedefs, whose values are BigInts so that they are
+ * exact beyond 2^53
+ */
+export function is64Bit(type) {
+    return !!type && type.kind === 'int' && type.bits === 64;
+}
+
+export function isArithmetic(type) {
+    return !!type && (type.kind === 'int' || type.kind === 'float');
+}
+
+/**
+ * Pointers and arrays (which decay to pointers in expressions)
+ */
+export function isPointerLike(type) {
+    return !!type && (type.kind === 'pointer' || type.kind === 'array');
+}
+
+/**
+ * The type a pointer or array refers to, or null
+ */
+export function elementType(type) {
+    if (!type) return null;
+    if (type.kind === 'array') return type.of;
+    if (type.kind === 'pointer') return type.to;
+    return null;
+}
+
+/**
+ * sizeof() in bytes, following the Xtensa ABI
+ */
+export function sizeOf(type) {
+    switch (type.kind) {
+        case 'int': return type.bits === 1 ? 1 : type.bits / 8;
+        case 'float': return type.bits / 8;
+        case 'pointer': return 4;
+        case 'string': return 16;
+        case 'array': return type.length === null ? 0 : type.length * sizeOf(type.of);
+        case 'struct': return structLayout(type).size;
+    }
+    return 0;
+}
+
+function alignOf(type) {
+    switch (type.kind) {
+        case 'array': return alignOf(type.of);
+        case 'struct': return structLayout(type).align;
+        case 'string': return 4;
+    }
+    return Math.max(1, sizeOf(type));
+}
+
+function structLayout(type) {
+    let size = 0;
+    let align = 1;
+    for (const field of type.fields) {
+        const a = alignOf(field.type);
+        size = Math.ceil(size / a) * a + sizeOf(field.type);
+        align = Math.max(align, a);
+    }
+    return { size: Math.ceil(size / align) * align, align };
+}
+
+/**
+ * Zero value of a type: what globals (and, in the simulator, locals) start as
+ */
+export function defaultValue(type) {
+    switch (type && type.kind) {
+        case 'int': return type.bits === 64 ? 0n : 0;
+        case 'string': return '';
+        case 'pointer': return null;
+        case 'array': return Array.from({ length: type.length || 0 }, () => defaultValue(type.of));
+        case 'struct': {
+            const value = {};
+            for (const field of type.fields) value[field.name] = defaultValue(field.type);
+            return value;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Deep copy of an array or struct value, for by-value semantics
+ */
+export function cloneValue(value) {
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (value && typeof value === 'object' && !(value instanceof Pointer) && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy = {};
+        for (const [key, v] of Object.entries(value)) copy[key] = cloneValue(v);
+        return copy;
+    }
+    return value;
+}
+/**
+ * A value of the same shape with every number zeroed and every pointer
+ * null, as memset(p, 0, n) leaves it
+ */
+export function zeroValue(value) {
+    if (Array.isArray(value)) return value.map(zeroValue);
+    if (typeof value === 'number') return 0;
+    if (typeof value === 'bigint') return 0n;
+    if (value instanceof Pointer) return null;
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const zero = {};
+        for (const [key, v] of Object.entries(value)) zero[key] = zeroValue(v);
+        return zero;
+    }
+    return value;
+}
+
+/**
+ * Value of an arithmetic type whose every byte is `byte`, as memset()
+ * leaves it; null for other types
+ */
+export function byteFilled(type, byte) {
+    const size = sizeOf(type);
+    if (type.kind === 'float') {
+        const view = new DataView(new ArrayBuffer(size));
+        for (let i = 0; i < size; i++) view.setUint8(i, byte);
+        return size === 4 ? view.getFloat32(0) : view.getFloat64(0);
+    }
+    if (type.kind !== 'int') return null;
+    let value = 0n;
+    for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(byte);
+    return convert(value, type);
+}
+
+/**
+ * Integer promotion: anything narrower than int becomes int
+ */
+export function promote(type) {
+    if (type && type.kind === 'int' && type.rank < TYPES.int.rank) return TYPES.int;
+    return type;
+}
+
+/**
+ * The usual arithmetic conversions: the type a binary operation is carried out in
+ */
+export function commonType(a, b) {
+    if (!isArithmetic(a) || !isArithmetic(b)) return null;
+    if (a.kind === 'float' || b.kind === 'float') {
+        if (a.name === 'double' || b.name === 'double') return TYPES.double;
+        return TYPES.float;
+    }
+    a = promote(a);
+    b = promote(b);
+    if (a === b) return a;
+    if (a.signed === b.signed) return a.rank >= b.rank ? a : b;
+
+    const [u, s] = a.signed ? [b, a] : [a, b];
+    if (u.rank >= s.rank) return u;
+    if (s.bits > u.bits) return s;
+    return TYPES[`unsigned ${s.name}`];
+}
+
+/**
+ * Convert a value to a type the way an implicit conversion or cast would
+ */
+export function convert(value, type) {
+    if (!type) return value;
+    switch (type.kind) {
+        case 'float':
+            value = Number(value);
+            return type.bits === 32 ? Math.fround(value) : value;
+        case 'int':
+            return wrapInteger(typeof value === 'bigint' ? value : Number(value), type);
+        case 'pointer':
+            // Arrays decay to a pointer to their first element
+            if (Array.isArray(value)) return new Pointer(value, 0);
+            if (value === 0 || value === undefined) return null;
+            return value;
+        case 'struct':
+            // Library structs such as CRGB also convert from other types
+            return type.from ? type.from(value) : cloneValue(value);
+        default:
+            return value;
+    }
+}
+
+function wrapInteger(value, type) {
+    if (typeof value === 'bigint') {
+        if (type.bits === 64) return type.signed ? BigInt.asIntN(64, value) : BigInt.asUintN(64, value);
+        if (type.bits === 1) return value !== 0n ? 1 : 0;
+        // Narrowing keeps the low bits
+        value = Number(BigInt.asIntN(32, value));
+    }
+    if (type.bits === 1) return value !== 0 ? 1 : 0;
+    // Out-of-range float to integer is undefined behaviour; the ESP32 saturates NaN to 0
+    if (!Number.isFinite(value)) return type.bits === 64 ? 0n : 0;
+    value = Math.trunc(value);
+    switch (type.bits) {
+        case 8: return type.signed ? (value << 24) >> 24 : value & 0xFF;
+        case 16: return type.signed ? (value << 16) >> 16 : value & 0xFFFF;
+        case 32: return type.signed ? value | 0 : value >>> 0;
+        default: return wrapInteger(BigInt(value), type);
+    }
+}
+
+/**
+ * Perform an arithmetic, bitwise or comparison operator in the given type.
+ * Operands must already be converted to `type`.
+ */
+export function binaryOp(op, a, b, type) {
+    if (type.kind === 'float') {
+        switch (op) {
+            case '+': return convert(a + b, type);
+            case '-': return convert(a - b, type);
+            case '*': return convert(a * b, type);
+            case '/': return convert(a / b, type);
+            case '%': return convert(a % b, type);
+        }
+        return compare(op, a, b);
+    }
+
+    if (type.bits === 64) return binaryOp64(op, a, b, type);
+
+    switch (op) {
+        case '+': return convert(a + b, type);
+        case '-': return convert(a - b, type);
+        case '*': return convert(type.bits <= 32 ? Math.imul(a, b) : a * b, type);
+        case '/': return convert(Math.trunc(a / b), type);
+        case '%': return convert(a % b, type);
+        case '&': return convert(a & b, type);
+        case '|': return convert(a | b, type);
+        case '^': return convert(a ^ b, type);
+        case '<<': return convert(a << (b & 31), type);
+        case '>>': return convert(type.signed ? a >> (b & 31) : a >>> (b & 31), type);
+    }
+    return compare(op, a, b);
+}
+
+/**
+ * convert(value, type) specialized for one type, for compiled code. Values
+ * converted from a 64-bit type are BigInts, which only convert() takes.
+ */
+export function converter(type, from = null) {
+    if (!type) return value => value;
+    if (is64Bit(from)) return value => convert(value, type);
+    if (type.kind === 'int') {
+        // JS bitwise operators truncate and turn NaN and infinities into 0, as wrapInteger() does
+        switch (type.bits) {
+            case 8: return type.signed ? value => (value << 24) >> 24 : value => value & 0xFF;
+            case 16: return type.signed ? value => (value << 16) >> 16 : value => value & 0xFFFF;
+            case 32: return type.signed ? value => value | 0 : value => value >>> 0;
+        }
+    }
+    if (type.kind === 'float') return type.bits === 32 ? Math.fround : Number;
+    return value => convert(value, type);
+}
+
+/**
+ * binaryOp(op, a, b, type) specialized for one operator and type
+ */
+export function binaryOperator(op, type) {
+    const wrap = converter(type);
+    if (type.kind === 'float') {
+        switch (op) {
+            case '+': return (a, b) => wrap(a + b);
+            case '-': return (a, b) => wrap(a - b);
+            case '*': return (a, b) => wrap(a * b);
+            case '/': return (a, b) => wrap(a / b);
+            case '%': return (a, b) => wrap(a % b);
+        }
+    } else if (type.bits <= 32) {
+        switch (op) {
+            case '+': return (a, b) => wrap(a + b);
+            case '-': return (a, b) => wrap(a - b);
+            case '*': return (a, b) => wrap(Math.imul(a, b));
+            case '/': return (a, b) => wrap(Math.trunc(a / b));
+            case '%': return (a, b) => wrap(a % b);
+            case '&': return (a, b) => wrap(a & b);
+            case '|': return (a, b) => wrap(a | b);
+            case '^': return (a, b) => wrap(a ^ b);
+            case '<<': return (a, b) => wrap(a << (b & 31));
+            case '>>': return type.signed ? (a, b) => wrap(a >> (b & 31)) : (a, b) => wrap(a >>> (b & 31));
+        }
+    } else {
+        return (a, b) => binaryOp(op, a, b, type);
+    }
+    switch (op) {
+        case '==': return (a, b) => (a === b ? 1 : 0);
+        case '!=': return (a, b) => (a !== b ? 1 : 0);
+        case '<': return (a, b) => (a < b ? 1 : 0);
+        case '>': return (a, b) => (a > b ? 1 : 0);
+        case '<=': return (a, b) => (a <= b ? 1 : 0);
+        case '>=': return (a, b) => (a >= b ? 1 : 0);
+    }
+    return () => undefined;
+}
+
+/**
+ * binaryOp() on 64-bit integers, carried out on BigInts
+ */
+function binaryOp64(op, a, b, type) {
+    const x = BigInt(a);
+    const y = BigInt(b);
+    switch (op) {
+        case '+': return convert(x + y, type);
+        case '-': return convert(x - y, type);
+        case '*': return convert(x * y, type);
+        // BigInt division truncates toward zero, as C's does
+        case '/': return convert(x / y, type);
+        case '%': return convert(x % y, type);
+        case '&': return convert(x & y, type);
+        case '|': return convert(x | y, type);
+        case '^': return convert(x ^ y, type);
+        case '<<': return convert(x << (y & 63n), type);
+        case '>>': return convert(x >> (y & 63n), type);
+    }
+    return compare(op, x, y);
+}
+
+function compare(op, a, b) {
+    switch (op) {
+        case '==': return a === b ? 1 : 0;
+        case '!=': return a !== b ? 1 : 0;
+        case '<': return a < b ? 1 : 0;
+        case '>': return a > b ? 1 : 0;
+        case '<=': return a <= b ? 1 : 0;
+        case '>=': return a >= b ? 1 : 0;
+    }
+    return undefined;
+}
+
+/**
+ * Type of an integer literal: the first of int, long, long long (plus
+ * unsigned variants for hex/octal/suffixed literals) that can hold it
+ */
+export function literalType(node) {
+    const suffix = node.suffix || '';
+    if (node.isFloat) return suffix.includes('f') ? TYPES.float : TYPES.double;
+    const v = node.value;
+    const isLong = suffix.includes('l');
+    if (suffix.includes('u')) {
+        if (v > 0xFFFFFFFF || suffix.includes('ll')) return TYPES['unsigned long long'];
+        return isLong ? TYPES['unsigned long'] : TYPES['unsigned int'];
+    }
+    if (suffix.includes('ll')) return TYPES['long long'];
+    if (v <= 0x7FFFFFFF) return isLong ? TYPES.long : TYPES.int;
+    if (v <= 0xFFFFFFFF && node.radix !== 10) return isLong ? TYPES['unsigned long'] : TYPES['unsigned int'];
+    return TYPES['long long'];
+}
+
+/**
+ * Runtime pointer: element `index` of the JS array `base`, or property
+ * `index` of a variable table or struct (for &x and &s.field)
+ */
+export class Pointer {
+    constructor(base, index) {
+        this.base = base;
+        this.index = index;
+    }
+
+    get isArray() {
+        return Array.isArray(this.base);
+    }
+
+    inBounds() {
+        return this.isArray ? this.index >= 0 && this.index < this.base.length : this.index in this.base;
+    }
+
+    offset(n) {
+        if (n === 0) return this;
+        // Only pointers into arrays can move; anything else is left dangling
+        return new Pointer(this.base, this.isArray ? this.index + n : NaN);
+    }
+
+    equals(other) {
+        return other instanceof Pointer && other.base === this.base && other.index === this.index;
+    }
+}
+
+/**
+ * Pointer arithmetic on anything pointer-like: a Pointer, an array or a
+ * string literal (which is backed by a fresh char array)
+ */
+export function pointerOffset(value, n) {
+    if (value instanceof Pointer) return value.offset(n);
+    if (Array.isArray(value)) return new Pointer(value, n);
+    if (typeof value === 'string') return new Pointer(toCharArray(value), n);
+    return null;
+}
+
+/**
+ * NUL-terminated char array holding a string's characters
+ */
+export function toCharArray(str) {
+    const chars = [];
+    for (let i = 0; i < str.length; i++) chars.push(convert(str.charCodeAt(i), TYPES.char));
+    chars.push(0);
+    return chars;
+}
+
+/**
+ * Read a C string from a literal, char array or char pointer
+ */
+export function readCString(value) {
+    if (typeof value === 'string') return value;
+    let base = value;
+    let i = 0;
+    if (value instanceof Pointer) {
+        if (!value.isArray) return String.fromCharCode(value.base[value.index] & 0xFF);
+        base = value.base;
+        i = value.index;
+    }
+    if (!Array.isArray(base)) return '';
+    let out = '';
+    for (; i < base.length && base[i] !== 0; i++) out += String.fromCharCode(base[i] & 0xFF);
+    return out;
+}